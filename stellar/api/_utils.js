@@ -3,6 +3,9 @@
  */
 import fs from 'fs';
 import path from 'path';
+import { authorizeRequest, SCOPES } from '../server/apiKeys.js';
+import { checkBody } from '../server/openapi.js';
+import { parseTelemetryCSV } from '../src/utils/telemetryIngest.js';
 
 // ─── CORS Helper ───────────────────────────────────────────────────
 
@@ -20,51 +23,69 @@ export function cors(req, res) {
 
 // ─── Auth Helper ───────────────────────────────────────────────────
 
-const API_KEYS = new Set([
-    'stellar-demo-key-2025',
-    process.env.STELLAR_API_KEY || 'sk-stellar-hackathon'
-]);
+export { SCOPES };
 
-export function auth(req, res) {
-    const key = req.headers['x-api-key'] || req.query?.api_key;
-    if (!key || !API_KEYS.has(key)) {
-        res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Missing or invalid API key. Set X-API-Key header.',
-            demo_key: 'stellar-demo-key-2025'
-        });
+/**
+ * Check the API key against the shared key store (scope, rate limit, usage).
+ * Writes the error response and returns false when the request is rejected.
+ */
+export function auth(req, res, scope) {
+    const secret = req.headers['x-api-key'] || req.query?.api_key;
+    const result = authorizeRequest(secret, scope, `${req.method} ${req.url.split('?')[0]}`);
+
+    if (result.headers) {
+        Object.entries(result.headers).forEach(([name, value]) => res.setHeader(name, value));
+    }
+    if (!result.ok) {
+        res.status(result.status).json(result.body);
+        return false;
+    }
+    req.apiKey = result.key;
+    return true;
+}
+
+// ─── Request Validation ────────────────────────────────────────────
+
+/**
+ * Routes served by the serverless functions, in the shape expressRoutes()
+ * returns for the Express server (the OpenAPI document and the index use it)
+ */
+export const ROUTES = [
+    { method: 'GET', path: '/api/v1/health', scope: null, authenticated: false },
+    { method: 'GET', path: '/api/v1', scope: null, authenticated: false },
+    { method: 'GET', path: '/api/v1/openapi.json', scope: null, authenticated: false },
+    { method: 'GET', path: '/api/v1/satellites', scope: SCOPES.FORECAST_READ, authenticated: true },
+    { method: 'POST', path: '/api/v1/forecast', scope: SCOPES.FORECAST_READ, authenticated: true },
+    { method: 'POST', path: '/api/v1/train', scope: SCOPES.TRAIN_WRITE, authenticated: true },
+    { method: 'POST', path: '/api/v1/flood-risk', scope: SCOPES.FORECAST_READ, authenticated: true },
+    { method: 'GET', path: '/api/v1/data/summary', scope: SCOPES.FORECAST_READ, authenticated: true },
+    { method: 'POST', path: '/api/v1/whatsapp/webhook', scope: SCOPES.WEBHOOK, authenticated: true }
+];
+
+/**
+ * Check the body against the operation's OpenAPI schema.
+ * Writes the 400 response and returns false when the body is invalid.
+ */
+export function validate(req, res, operation) {
+    const invalid = checkBody(operation, req.body);
+    if (invalid) {
+        res.status(400).json(invalid);
         return false;
     }
     return true;
 }
 
-// ─── CSV Loader ────────────────────────────────────────────────────
+// ─── Telemetry Loader ──────────────────────────────────────────────
 
-export function loadCSV(filename) {
+export function loadTelemetry(filename) {
     // Try multiple paths (local dev vs Vercel deployment)
     const paths = [
         path.join(process.cwd(), 'data', filename),
         path.join(process.cwd(), 'public', 'data', filename),
     ];
 
-    for (const filepath of paths) {
-        if (fs.existsSync(filepath)) {
-            const text = fs.readFileSync(filepath, 'utf-8');
-            const lines = text.trim().split('\n');
-            const headers = lines[0].split(',').map(h =>
-                h.trim().toLowerCase().replace(/\s*\([^)]*\)/g, '').replace(/\r/g, '')
-            );
-            return lines.slice(1).map(line => {
-                const vals = line.replace(/\r/g, '').split(',');
-                const row = {};
-                headers.forEach((h, i) => {
-                    row[h] = isNaN(vals[i]) ? vals[i]?.trim() : parseFloat(vals[i]);
-                });
-                return row;
-            });
-        }
-    }
-    return [];
+    const filepath = paths.find(p => fs.existsSync(p));
+    return parseTelemetryCSV(filepath ? fs.readFileSync(filepath, 'utf-8') : '');
 }
 
 // ─── Stats Helper ──────────────────────────────────────────────────
@@ -1,9 +1,10 @@
-import { cors, auth } from '../_utils.js';
+import { cors, auth, validate, SCOPES } from '../_utils.js';
 
 export default function handler(req, res) {
     if (cors(req, res)) return;
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed. Use POST.' });
-    if (!auth(req, res)) return;
+    if (!auth(req, res, SCOPES.FORECAST_READ)) return;
+    if (!validate(req, res, 'POST /api/v1/flood-risk')) return;
 
     const { latitude = 10.0, longitude = 76.3, region = 'Kerala' } = req.body || {};
 
@@ -1,43 +1,44 @@
-import { cors, auth, loadCSV } from '../_utils.js';
+import { cors, auth, validate, SCOPES, loadTelemetry } from '../_utils.js';
+import { forecastSatellite, forecastStatistical, datasetFile, SATELLITE_DATASETS } from '../../server/forecastEngine.js';
+import { orbitForDataset } from '../../server/modelRegistry.js';
+import { invalidBody } from '../../server/openapi.js';
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
     if (cors(req, res)) return;
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed. Use POST.' });
-    if (!auth(req, res)) return;
+    if (!auth(req, res, SCOPES.FORECAST_READ)) return;
+    if (!validate(req, res, 'POST /api/v1/forecast')) return;
 
-    const { satellite = 'gsat-14', horizon = '6h', steps = 6 } = req.body || {};
-    const data = satellite.includes('geo') ? loadCSV('DATA_GEO_Train.csv') : loadCSV('DATA_MEO_Train2.csv');
+    const { satellite = 'gsat-14', horizon, step, steps, model_version = 'production', method = 'model' } = req.body || {};
+    const dataset = req.body?.dataset || SATELLITE_DATASETS[satellite];
+    const file = dataset && datasetFile(dataset);
 
-    if (data.length === 0) {
-        return res.status(404).json({ error: 'No data available for this satellite' });
+    if (!file) {
+        return res.status(400).json({ error: `Unknown dataset for satellite ${satellite}. Pass "dataset", e.g. "MEO_Train2".` });
     }
 
-    const last = data[data.length - 1];
-    const predictions = [];
-    const baseTime = new Date();
-
-    for (let i = 1; i <= Math.min(steps, 24); i++) {
-        const t = new Date(baseTime.getTime() + i * 3600000);
-        const noise = () => (Math.random() - 0.5) * 0.02;
-        predictions.push({
-            timestamp: t.toISOString(),
-            radial_error_m: parseFloat(((last.x_error || -0.08) + noise()).toFixed(6)),
-            along_error_m: parseFloat(((last.y_error || 0.04) + noise()).toFixed(6)),
-            cross_error_m: parseFloat(((last.z_error || 0.12) + noise()).toFixed(6)),
-            clock_bias_ns: parseFloat(((last.satclockerror || -0.01) * 1e9 + noise() * 1e9).toFixed(4)),
-            confidence: parseFloat((0.92 + Math.random() * 0.06).toFixed(3))
-        });
+    const { rows: data } = loadTelemetry(file);
+    if (data.length === 0) {
+        return res.status(404).json({ error: 'No data available for this satellite' });
     }
 
-    res.json({
-        satellite,
-        model: 'stellar-gnss-v2',
-        horizon,
-        predictions,
-        metadata: {
-            training_samples: data.length,
-            model_rmse: { radial: 0.12, along: 0.09, cross: 0.15 },
-            generated_at: new Date().toISOString()
+    try {
+        if (method !== 'model') {
+            const forecast = await forecastStatistical(satellite, data, { method, orbit: orbitForDataset(dataset), modelVersion: model_version, horizon, step, steps });
+            return res.json({ ...forecast, dataset });
+        }
+        const forecast = await forecastSatellite(satellite, data, { orbit: orbitForDataset(dataset), modelVersion: model_version, horizon, step, steps });
+        if (!forecast) {
+            return res.status(503).json({
+                error: 'No trained model',
+                message: model_version === 'production'
+                    ? `No production model is registered for ${satellite}. Run: npm run train -- --satellite ${satellite} --dataset ${dataset}`
+                    : `Model version ${model_version} is not registered for ${satellite}`
+            });
         }
-    });
+        res.json({ ...forecast, dataset });
+    } catch (error) {
+        if (error.field) return res.status(400).json(invalidBody([{ field: error.field, message: error.message }], error.message));
+        res.status(error.status || 422).json({ error: 'Forecast failed', message: error.message });
+    }
 }
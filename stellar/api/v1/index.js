@@ -1,4 +1,5 @@
-import { cors } from '../_utils.js';
+import { cors, ROUTES } from '../_utils.js';
+import { describeOperation } from '../../server/openapi.js';
 
 export default function handler(req, res) {
     if (cors(req, res)) return;
@@ -7,16 +8,13 @@ export default function handler(req, res) {
         name: 'STELLAR Platform API',
         version: '2.0.0',
         base_url: `https://${req.headers.host}/api/v1`,
-        endpoints: [
-            { method: 'GET', path: '/health', auth: false, description: 'System health check' },
-            { method: 'GET', path: '/satellites', auth: true, description: 'List available satellites' },
-            { method: 'POST', path: '/forecast', auth: true, description: 'GNSS error forecast' },
-            { method: 'POST', path: '/train', auth: true, description: 'Trigger model training' },
-            { method: 'POST', path: '/flood-risk', auth: true, description: 'Flood risk assessment' },
-            { method: 'GET', path: '/data/summary', auth: true, description: 'Dataset summary stats' },
-            { method: 'POST', path: '/whatsapp/webhook', auth: true, description: 'WhatsApp webhook handler' }
-        ],
-        auth: 'Pass API key via X-API-Key header',
-        demo_key: 'stellar-demo-key-2025'
+        openapi: `https://${req.headers.host}/api/v1/openapi.json`,
+        endpoints: ROUTES.filter(r => r.path !== '/api/v1').map(r => ({
+            method: r.method,
+            path: r.path.replace('/api/v1', ''),
+            scope: r.scope,
+            description: describeOperation(r.method, r.path)
+        })),
+        auth: 'Pass API key via X-API-Key header. Each endpoint requires the listed scope.'
     });
 }
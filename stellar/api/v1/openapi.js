@@ -0,0 +1,8 @@
+import { cors, ROUTES } from '../_utils.js';
+import { buildOpenAPISpec } from '../../server/openapi.js';
+
+export default function handler(req, res) {
+    if (cors(req, res)) return;
+
+    res.json(buildOpenAPISpec(ROUTES, { serverUrl: `https://${req.headers.host}/api/v1` }));
+}
@@ -1,11 +1,11 @@
-import { cors, auth, loadCSV } from '../_utils.js';
+import { cors, auth, SCOPES, loadTelemetry } from '../_utils.js';
 
 export default function handler(req, res) {
     if (cors(req, res)) return;
-    if (!auth(req, res)) return;
+    if (!auth(req, res, SCOPES.FORECAST_READ)) return;
 
-    const meoData = loadCSV('DATA_MEO_Train2.csv');
-    const geoData = loadCSV('DATA_GEO_Train.csv');
+    const meoData = loadTelemetry('DATA_MEO_Train2.csv').rows;
+    const geoData = loadTelemetry('DATA_GEO_Train.csv').rows;
 
     res.json({
         satellites: [
@@ -1,33 +1,38 @@
-import { cors, auth, loadCSV, computeStats } from '../_utils.js';
+import { cors, auth, SCOPES, loadTelemetry, computeStats } from '../_utils.js';
 
 export default function handler(req, res) {
     if (cors(req, res)) return;
-    if (!auth(req, res)) return;
+    if (!auth(req, res, SCOPES.FORECAST_READ)) return;
 
-    const meoData = loadCSV('DATA_MEO_Train2.csv');
-    const geoData = loadCSV('DATA_GEO_Train.csv');
+    const meoTelemetry = loadTelemetry('DATA_MEO_Train2.csv');
+    const geoTelemetry = loadTelemetry('DATA_GEO_Train.csv');
+    const meoData = meoTelemetry.rows;
+    const geoData = geoTelemetry.rows;
 
     res.json({
         datasets: {
             meo_train2: {
                 samples: meoData.length,
+                rejected_rows: meoTelemetry.errors.length,
                 features: {
-                    x_error: computeStats(meoData, 'x_error'),
-                    y_error: computeStats(meoData, 'y_error'),
-                    z_error: computeStats(meoData, 'z_error'),
-                    satclockerror: computeStats(meoData, 'satclockerror')
+                    x_error: computeStats(meoData, 'radial'),
+                    y_error: computeStats(meoData, 'along'),
+                    z_error: computeStats(meoData, 'cross'),
+                    satclockerror: computeStats(meoData, 'clockMeters')
                 }
             },
             geo_train: {
                 samples: geoData.length,
+                rejected_rows: geoTelemetry.errors.length,
                 features: {
-                    x_error: computeStats(geoData, 'x_error'),
-                    y_error: computeStats(geoData, 'y_error'),
-                    z_error: computeStats(geoData, 'z_error'),
-                    satclockerror: computeStats(geoData, 'satclockerror')
+                    x_error: computeStats(geoData, 'radial'),
+                    y_error: computeStats(geoData, 'along'),
+                    z_error: computeStats(geoData, 'cross'),
+                    satclockerror: computeStats(geoData, 'clockMeters')
                 }
             }
         },
+        units: { x_error: 'm', y_error: 'm', z_error: 'm', satclockerror: 'm' },
         timestamp: new Date().toISOString()
     });
 }
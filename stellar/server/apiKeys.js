@@ -0,0 +1,327 @@
+/**
+ * STELLAR API Key Store
+ *
+ * Keys are persisted in storage/keys.json as SHA-256 hashes; the plaintext
+ * is only returned when a key is created or rotated. Each key carries scopes,
+ * its own token-bucket rate limit and usage counters.
+ *
+ * Bootstrap (first start with an empty store):
+ * - STELLAR_ADMIN_KEY, or a generated key written once to storage/admin-key.txt,
+ *   gets every scope
+ * - STELLAR_API_KEY, if set, is imported with the non-admin scopes
+ * - the public demo key is seeded read-only if STELLAR_DEMO_KEY=1
+ * Later starts never re-seed, so revoked bootstrap keys stay revoked.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_DIR, writeJSON, readJSON } from './storage.js';
+
+const KEYS_FILE = path.join(STORAGE_DIR, 'keys.json');
+export const ADMIN_KEY_FILE = path.join(STORAGE_DIR, 'admin-key.txt');
+const FLUSH_DELAY_MS = 1000;
+
+export const SCOPES = {
+    FORECAST_READ: 'forecast:read',
+    TRAIN_WRITE: 'train:write',
+    WEBHOOK: 'webhook',
+    KEYS_ADMIN: 'keys:admin'
+};
+
+export const DEMO_KEY = 'stellar-demo-key-2025';
+export const DEMO_KEY_ENABLED = process.env.STELLAR_DEMO_KEY === '1';
+
+const ALL_SCOPES = Object.values(SCOPES);
+const DEFAULT_RATE_LIMIT = { requests_per_minute: 60, burst: 20 };
+const DEMO_RATE_LIMIT = { requests_per_minute: 10, burst: 5 };
+
+let store = null;
+const keysByHash = new Map();
+const buckets = new Map();
+let flushTimer = null;
+let persistenceWarned = false;
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+    return `sk-stellar-${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function emptyUsage() {
+    return { total_requests: 0, rate_limited: 0, by_endpoint: {}, by_day: {}, last_used_at: null };
+}
+
+function persist() {
+    try {
+        writeJSON(KEYS_FILE, store);
+    } catch (error) {
+        // Read-only deployments (e.g. serverless) keep counters in memory only
+        if (!persistenceWarned) {
+            console.warn(`⚠️  API key store is not writable (${error.message}); usage is kept in memory`);
+            persistenceWarned = true;
+        }
+    }
+}
+
+function schedulePersist() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        persist();
+    }, FLUSH_DELAY_MS);
+    flushTimer.unref?.();
+}
+
+function indexKeys() {
+    keysByHash.clear();
+    store.keys.filter(k => !k.revoked_at).forEach(k => keysByHash.set(k.hash, k));
+}
+
+function addKey({ name, scopes, rateLimit, secret = generateSecret() }) {
+    const key = {
+        id: `key_${crypto.randomBytes(4).toString('hex')}`,
+        name,
+        prefix: secret.slice(0, 14),
+        hash: hashKey(secret),
+        scopes,
+        rate_limit: {
+            requests_per_minute: rateLimit?.requests_per_minute ?? DEFAULT_RATE_LIMIT.requests_per_minute,
+            burst: rateLimit?.burst ?? DEFAULT_RATE_LIMIT.burst
+        },
+        created_at: new Date().toISOString(),
+        rotated_at: null,
+        revoked_at: null,
+        usage: emptyUsage()
+    };
+    store.keys.push(key);
+    return { key, secret };
+}
+
+/**
+ * Generate the admin key and write its secret to ADMIN_KEY_FILE, readable
+ * by the owner only. The file is never overwritten; on read-only storage no
+ * key is generated and STELLAR_ADMIN_KEY has to be set instead.
+ * @returns {string|null} The secret, or null if it could not be written
+ */
+function bootstrapAdminSecret() {
+    const secret = generateSecret();
+    try {
+        fs.mkdirSync(STORAGE_DIR, { recursive: true });
+        fs.writeFileSync(ADMIN_KEY_FILE, `${secret}\n`, { flag: 'wx', mode: 0o600 });
+    } catch (error) {
+        console.warn(`⚠️  Could not write ${ADMIN_KEY_FILE} (${error.message}); set STELLAR_ADMIN_KEY to get an admin key`);
+        return null;
+    }
+    console.log(`🔐 Generated admin API key written to ${ADMIN_KEY_FILE}`);
+    return secret;
+}
+
+/**
+ * Load the store, seeding it on first run
+ */
+export function initKeyStore() {
+    if (store) return store;
+
+    store = readJSON(KEYS_FILE, null);
+    if (!store) {
+        store = { keys: [] };
+
+        const adminSecret = process.env.STELLAR_ADMIN_KEY || bootstrapAdminSecret();
+        if (adminSecret) addKey({ name: 'admin', scopes: ALL_SCOPES, secret: adminSecret });
+
+        if (process.env.STELLAR_API_KEY) {
+            addKey({
+                name: 'env:STELLAR_API_KEY',
+                scopes: ALL_SCOPES.filter(s => s !== SCOPES.KEYS_ADMIN),
+                secret: process.env.STELLAR_API_KEY
+            });
+        }
+
+        if (DEMO_KEY_ENABLED) {
+            addKey({ name: 'public-demo', scopes: [SCOPES.FORECAST_READ], rateLimit: DEMO_RATE_LIMIT, secret: DEMO_KEY });
+        }
+
+        persist();
+    }
+
+    indexKeys();
+    return store;
+}
+
+/**
+ * Public view of a key (never includes the hash)
+ */
+export function describeKey(key) {
+    const { hash: _hash, usage: _usage, ...rest } = key;
+    return rest;
+}
+
+export function listKeys() {
+    initKeyStore();
+    return store.keys.map(describeKey);
+}
+
+export function findKey(id) {
+    initKeyStore();
+    return store.keys.find(k => k.id === id) || null;
+}
+
+/**
+ * Create a key
+ * @returns {Object} { key: public view, secret: plaintext (only time it is returned) }
+ */
+export function createKey({ name, scopes, rateLimit }) {
+    initKeyStore();
+    if (!name || typeof name !== 'string') {
+        throw httpError(400, 'name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw httpError(400, `scopes must be a non-empty array of: ${ALL_SCOPES.join(', ')}`);
+    }
+    const invalid = scopes.filter(s => !ALL_SCOPES.includes(s));
+    if (invalid.length > 0) {
+        throw httpError(400, `Unknown scopes: ${invalid.join(', ')}. Valid: ${ALL_SCOPES.join(', ')}`);
+    }
+
+    const { requests_per_minute: rpm, burst } = rateLimit || {};
+    if ([rpm, burst].some(v => v !== undefined && !(Number.isFinite(v) && v > 0))) {
+        throw httpError(400, 'rate_limit.requests_per_minute and rate_limit.burst must be positive numbers');
+    }
+
+    const { key, secret } = addKey({ name, scopes, rateLimit });
+    indexKeys();
+    persist();
+    return { key: describeKey(key), secret };
+}
+
+/**
+ * Replace a key's secret; the old secret stops working immediately
+ */
+export function rotateKey(id) {
+    const key = findKey(id);
+    if (!key || key.revoked_at) return null;
+
+    const secret = generateSecret();
+    key.hash = hashKey(secret);
+    key.prefix = secret.slice(0, 14);
+    key.rotated_at = new Date().toISOString();
+    buckets.delete(id);
+    indexKeys();
+    persist();
+    return { key: describeKey(key), secret };
+}
+
+export function revokeKey(id) {
+    const key = findKey(id);
+    if (!key) return null;
+
+    if (!key.revoked_at) {
+        key.revoked_at = new Date().toISOString();
+        buckets.delete(id);
+        indexKeys();
+        persist();
+    }
+    return describeKey(key);
+}
+
+/**
+ * Take one token from the key's bucket
+ * @returns {Object} { allowed, remaining, retryAfter (seconds) }
+ */
+function consumeToken(key) {
+    const { requests_per_minute: rpm, burst } = key.rate_limit;
+    const now = Date.now();
+    const bucket = buckets.get(key.id) || { tokens: burst, updated: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 60000) * rpm);
+    bucket.updated = now;
+    buckets.set(key.id, bucket);
+
+    if (bucket.tokens < 1) {
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil(((1 - bucket.tokens) / rpm) * 60) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+}
+
+function recordUsage(key, endpoint, limited) {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const usage = key.usage;
+
+    usage.total_requests++;
+    if (limited) usage.rate_limited++;
+    usage.by_endpoint[endpoint] = (usage.by_endpoint[endpoint] || 0) + 1;
+    usage.by_day[day] = (usage.by_day[day] || 0) + 1;
+    usage.last_used_at = now.toISOString();
+    schedulePersist();
+}
+
+/**
+ * Authenticate, check scope, rate-limit and count one request
+ * @param {string} secret - Presented API key
+ * @param {string|null} scope - Scope the endpoint requires (null: any valid key)
+ * @param {string} endpoint - "METHOD /path" for usage accounting
+ * @returns {Object} { ok, status, body, headers, key }
+ */
+export function authorizeRequest(secret, scope, endpoint) {
+    initKeyStore();
+    const key = secret ? keysByHash.get(hashKey(secret)) : null;
+
+    if (!key) {
+        return {
+            ok: false,
+            status: 401,
+            body: {
+                error: 'Unauthorized',
+                message: 'Missing or invalid API key. Set X-API-Key header.',
+                docs: 'https://stellar-platform.dev/docs/auth'
+            }
+        };
+    }
+
+    if (scope && !key.scopes.includes(scope)) {
+        return {
+            ok: false,
+            status: 403,
+            body: { error: 'Forbidden', message: `API key ${key.id} lacks the "${scope}" scope`, scopes: key.scopes }
+        };
+    }
+
+    const bucket = consumeToken(key);
+    const headers = {
+        'X-RateLimit-Limit': String(key.rate_limit.requests_per_minute),
+        'X-RateLimit-Remaining': String(bucket.remaining)
+    };
+    recordUsage(key, endpoint, !bucket.allowed);
+
+    if (!bucket.allowed) {
+        return {
+            ok: false,
+            status: 429,
+            headers: { ...headers, 'Retry-After': String(bucket.retryAfter) },
+            body: { error: 'Too Many Requests', message: `Rate limit of ${key.rate_limit.requests_per_minute} requests/minute exceeded`, retry_after: bucket.retryAfter }
+        };
+    }
+
+    return { ok: true, headers, key };
+}
+
+/**
+ * Usage counters for one key
+ */
+export function keyUsage(key) {
+    return { key_id: key.id, name: key.name, rate_limit: key.rate_limit, ...key.usage };
+}
+
+export function allUsage() {
+    initKeyStore();
+    return store.keys.map(keyUsage);
+}
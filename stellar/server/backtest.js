@@ -0,0 +1,114 @@
+/**
+ * STELLAR walk-forward backtest CLI
+ *
+ * Scores a registered model on its held-out split (as GET
+ * /models/:satellite/:orbit/:version/backtest does), or retrains the network
+ * on an expanding window of a dataset every --refit-every origins, against
+ * the persistence, seasonal-naive, linear-drift and ARIMA baselines.
+ * Run: npm run backtest -- --satellite gsat-14 --orbit MEO [--version production] [--dataset MEO_Test2]
+ *      npm run backtest -- --dataset MEO_Train2 --retrain [--refit-every 48] [--epochs 20] [--stride 4]
+ *      [--baselines persistence,arima] [--classical holtWinters,sarima,harmonic,gaussianProcess,ensemble] [--out report.json]
+ */
+
+import fs from 'fs';
+import { retrainingForecaster, AI_CONFIG } from '../src/services/aiService.js';
+import { walkForward, baselineForecasters, serializeBacktest } from '../src/utils/backtest.js';
+import { statisticalForecaster } from '../src/utils/statisticalForecast.js';
+import { CHANNELS } from '../src/utils/telemetryIngest.js';
+import { regularizeSeries, hasTimestamps } from '../src/utils/resample.js';
+import { orbitalPeriodHours } from '../src/data/realSatelliteData.js';
+import { loadDataset } from './datasetStore.js';
+import { modelBacktest } from './modelEvaluation.js';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            args[argv[i].slice(2)] = true;
+        } else {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Walk-forward backtest with the network retrained on the rows up to each origin
+ * @param {Object} options - { dataset, refitEvery (origins), epochs, stride, baselines (ids), classical (statistical method ids) }
+ * @returns {Promise<Object>} Report in the API layout
+ */
+export async function retrainingBacktest({ dataset, refitEvery = 48, epochs = 20, stride = 1, baselines, classical = [] }) {
+    const loaded = loadDataset(dataset);
+    if (!loaded) throw new Error(`Unknown dataset "${dataset}"`);
+
+    const { meta } = loaded;
+    const { sequenceLength, predictionHorizons, stepMinutes } = AI_CONFIG;
+    // Origins, history and horizons are steps of the training grid
+    const rows = hasTimestamps(loaded.rows) ? regularizeSeries(loaded.rows, { stepMinutes, maxGapMinutes: Infinity }).rows : loaded.rows;
+    const periodHours = orbitalPeriodHours(meta.orbit);
+    const network = retrainingForecaster({ epochs }, { refitEvery: Math.max(1, Math.round(refitEvery / stride)) });
+    const periodMinutes = periodHours ? periodHours * 60 : null;
+
+    // The first fit needs a validation split past the longest horizon it trains
+    const report = await walkForward(rows, [
+        network,
+        ...classical.map(method => statisticalForecaster(method, { periodMinutes, refitEvery: Math.max(1, Math.round(24 / stride)) })),
+        ...baselineForecasters({ periodMinutes, ...(baselines && { include: baselines }) })
+    ], {
+        horizons: predictionHorizons,
+        minHistory: sequenceLength + Math.min(...predictionHorizons) + 8,
+        stride,
+        onProgress: ({ done, total }) => process.stdout.write(`\r   origin ${done}/${total}`)
+    });
+    network.dispose();
+    process.stdout.write('\n');
+
+    return { dataset, orbit: meta.orbit, refit_every: refitEvery, epochs, units: meta.units, ...serializeBacktest(report) };
+}
+
+function printReport(report) {
+    const fmt = (v, digits = 3) => (v === null || v === undefined ? '—' : v.toFixed(digits));
+    console.log(`\n📈 Walk-forward backtest: ${report.origins} origins, ${report.step_minutes ?? '?'} min median step, skill vs ${report.reference}`);
+
+    CHANNELS.forEach(channel => {
+        console.log(`\n   ${channel} (${report.units?.[channel] ?? ''})`);
+        console.log(`   ${'method'.padEnd(44)}${report.horizons.map(h => `+${h.horizon_steps}`.padStart(9)).join('')}    overall`);
+        report.methods.forEach(m => {
+            const cells = m.horizons.map(h => (h.samples > 0 ? fmt(h.channels[channel].skill, 2) : '—').padStart(9)).join('');
+            const { rmse, skill } = m.overall[channel];
+            console.log(`   ${m.label.slice(0, 43).padEnd(44)}${cells}    RMSE ${fmt(rmse)} skill ${fmt(skill, 2)} (n=${m.samples})`);
+        });
+    });
+}
+
+if (process.argv[1] && process.argv[1].endsWith('backtest.js')) {
+    const args = parseArgs(process.argv.slice(2));
+    const number = (key) => (args[key] !== undefined ? Number(args[key]) : undefined);
+    const baselines = typeof args.baselines === 'string' ? args.baselines.split(',') : undefined;
+    const classical = typeof args.classical === 'string' ? args.classical.split(',') : undefined;
+
+    const run = args.retrain
+        ? retrainingBacktest({ dataset: args.dataset, refitEvery: number('refit-every'), epochs: number('epochs'), stride: number('stride'), baselines, classical })
+        : modelBacktest(args.satellite, String(args.orbit || '').toUpperCase(), args.version || 'production', {
+            dataset: args.dataset,
+            stride: number('stride'),
+            baselines,
+            classical
+        }).then(report => {
+            if (!report) throw new Error(`No model ${args.satellite} ${args.orbit} ${args.version || 'production'}; pass --satellite and --orbit, or --dataset with --retrain`);
+            return report;
+        });
+
+    run.then(report => {
+        printReport(report);
+        if (typeof args.out === 'string') {
+            fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+            console.log(`\n   Report written to ${args.out}`);
+        }
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
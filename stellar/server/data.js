@@ -0,0 +1,29 @@
+/**
+ * STELLAR server data access
+ * Reads the ISRO CSV splits shipped in /data.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTelemetryCSV, summarizeErrors } from '../src/utils/telemetryIngest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Load and parse a telemetry CSV from /data
+ * @param {string} filename - e.g. "DATA_MEO_Train2.csv"
+ * @returns {Object} parseTelemetryCSV result; rows is empty if the file does not exist
+ */
+export function loadTelemetry(filename) {
+    const filepath = path.join(DATA_DIR, filename);
+    if (!fs.existsSync(filepath)) return parseTelemetryCSV('');
+
+    const parsed = parseTelemetryCSV(fs.readFileSync(filepath, 'utf-8'));
+    if (parsed.errors.length > 0) {
+        console.warn(`⚠️  ${filename}: ${parsed.errors.length} rows rejected — ${summarizeErrors(parsed.errors)}`);
+    }
+    return parsed;
+}
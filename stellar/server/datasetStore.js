@@ -0,0 +1,249 @@
+/**
+ * STELLAR Dataset Store
+ *
+ * Telemetry datasets that /train and /forecast can reference by ID:
+ *
+ *   built-in   the ISRO splits in /data, read-only, ID = split name ("MEO_Train2")
+ *   uploaded   storage/datasets/<id>/data.csv + dataset.json
+ *
+ * Uploads are checked with the same rules as the browser upload panel
+ * (validateCSVContent, then calculateStatistics for the quality assessment).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_DIR, writeJSON, readJSON } from './storage.js';
+import { DATA_DIR, loadTelemetry } from './data.js';
+import { SATELLITE_DATASETS } from './forecastEngine.js';
+import { ORBIT_TYPES, orbitForDataset } from './modelRegistry.js';
+import { parseTelemetryCSV, summarizeErrors, medianStepMinutes, CHANNELS, CHANNEL_UNITS } from '../src/utils/telemetryIngest.js';
+import { validateCSVContent, calculateStatistics } from '../src/utils/validation.js';
+
+const DATASETS_DIR = path.join(STORAGE_DIR, 'datasets');
+const BUILTIN_PATTERN = /^DATA_((GEO|MEO)_(Train|Test)\d*)\.csv$/;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_ROW_ERRORS = 50;
+
+const builtinCache = new Map();
+
+function httpError(status, message, details) {
+    return Object.assign(new Error(message), { status, details });
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Metadata shared by built-in and uploaded datasets
+ */
+function describeRows(parsed, text) {
+    const { rows } = parsed;
+    const stats = rows.length > 0 ? calculateStatistics(rows) : null;
+
+    return {
+        rows: rows.length,
+        rejected_rows: parsed.errors.length,
+        units: CHANNEL_UNITS,
+        columns: Object.fromEntries(Object.entries(parsed.columns).map(([channel, c]) => [channel, { column: c.column, source_unit: c.unit }])),
+        time_range: rows.length > 0
+            ? { start: new Date(rows[0].timestamp).toISOString(), end: new Date(rows.at(-1).timestamp).toISOString() }
+            : null,
+        median_step_minutes: medianStepMinutes(rows),
+        statistics: stats && Object.fromEntries(CHANNELS.map(c => [c, {
+            mean: stats[c].mean,
+            std: stats[c].std,
+            min: stats[c].min,
+            max: stats[c].max
+        }])),
+        quality: stats && {
+            level: stats.dataQuality.level,
+            score: stats.dataQuality.score,
+            outlier_rate: stats.dataQuality.outlierRate,
+            recommendations: stats.dataQuality.recommendations
+        },
+        sha256: sha256(text)
+    };
+}
+
+/**
+ * Satellite a built-in split belongs to (the one whose default dataset shares its orbit)
+ */
+function builtinSatellite(split) {
+    const orbit = orbitForDataset(split);
+    return Object.keys(SATELLITE_DATASETS).find(id => orbitForDataset(SATELLITE_DATASETS[id]) === orbit) || null;
+}
+
+function builtinMeta(filename) {
+    const filepath = path.join(DATA_DIR, filename);
+    const mtime = fs.statSync(filepath).mtimeMs;
+    const cached = builtinCache.get(filename);
+    if (cached && cached.mtime === mtime) return cached.meta;
+
+    const id = BUILTIN_PATTERN.exec(filename)[1];
+    const text = fs.readFileSync(filepath, 'utf-8');
+    const meta = {
+        id,
+        name: filename,
+        satellite: builtinSatellite(id),
+        orbit: orbitForDataset(id),
+        source: 'builtin',
+        read_only: true,
+        created_at: null,
+        ...describeRows(loadTelemetry(filename), text)
+    };
+    builtinCache.set(filename, { mtime, meta });
+    return meta;
+}
+
+function listBuiltins() {
+    if (!fs.existsSync(DATA_DIR)) return [];
+    return fs.readdirSync(DATA_DIR).filter(f => BUILTIN_PATTERN.test(f)).map(builtinMeta);
+}
+
+function uploadDir(id) {
+    if (!/^ds-[a-z0-9-]+$/.test(id)) return null;
+    return path.join(DATASETS_DIR, id);
+}
+
+function listUploads() {
+    if (!fs.existsSync(DATASETS_DIR)) return [];
+    return fs.readdirSync(DATASETS_DIR)
+        .map(id => readJSON(path.join(DATASETS_DIR, id, 'dataset.json')))
+        .filter(Boolean);
+}
+
+/**
+ * All datasets, optionally filtered by satellite and orbit
+ */
+export function listDatasets({ satellite, orbit } = {}) {
+    return [...listBuiltins(), ...listUploads()]
+        .filter(d => (!satellite || d.satellite === satellite) && (!orbit || d.orbit === orbit));
+}
+
+/**
+ * Dataset metadata without per-channel statistics and row errors, for listings
+ */
+export function datasetSummary(meta) {
+    const { statistics: _statistics, row_errors: _rowErrors, ...summary } = meta;
+    return summary;
+}
+
+/**
+ * Metadata for one dataset
+ * @returns {Object|null}
+ */
+export function getDataset(id) {
+    if (typeof id !== 'string') return null;
+
+    const builtinFile = `DATA_${id}.csv`;
+    if (BUILTIN_PATTERN.test(builtinFile) && fs.existsSync(path.join(DATA_DIR, builtinFile))) {
+        return builtinMeta(builtinFile);
+    }
+
+    const dir = uploadDir(id);
+    return dir ? readJSON(path.join(dir, 'dataset.json')) : null;
+}
+
+/**
+ * Metadata plus parsed telemetry rows
+ * @returns {Object|null} { meta, rows }
+ */
+export function loadDataset(id) {
+    const meta = getDataset(id);
+    if (!meta) return null;
+
+    if (meta.source === 'builtin') {
+        return { meta, rows: loadTelemetry(`DATA_${id}.csv`).rows };
+    }
+    const text = fs.readFileSync(path.join(uploadDir(id), 'data.csv'), 'utf-8');
+    return { meta, rows: parseTelemetryCSV(text).rows };
+}
+
+/**
+ * Held-out split for calibration checks: the matching built-in Test split
+ * ("MEO_Train2" → "MEO_Test2", else "MEO_Test"), or the orbit's Test split for uploads
+ * @returns {string|null} Dataset ID
+ */
+export function heldOutDataset(id) {
+    const meta = getDataset(id);
+    if (!meta) return null;
+
+    const candidates = meta.source === 'builtin'
+        ? [id.replace('_Train', '_Test'), `${meta.orbit}_Test`]
+        : [`${meta.orbit}_Test`];
+    return candidates.find(candidate => candidate !== id && getDataset(candidate)) || null;
+}
+
+/**
+ * Validate and store an uploaded CSV
+ * @param {Object} params - { csv, name, satellite, orbit }
+ * @returns {Object} Dataset metadata (with validation warnings)
+ */
+export function createDataset({ csv, name, satellite, orbit }) {
+    if (typeof csv !== 'string' || csv.trim() === '') {
+        throw httpError(400, 'CSV content is required (text/csv body or "csv" field)');
+    }
+    if (!satellite || !/^[a-z0-9-]+$/.test(satellite)) {
+        throw httpError(400, 'satellite is required and must match [a-z0-9-]+');
+    }
+    if (!ORBIT_TYPES.includes(orbit)) {
+        throw httpError(400, `orbit must be one of ${ORBIT_TYPES.join(', ')}`);
+    }
+    if (Buffer.byteLength(csv) > MAX_UPLOAD_BYTES) {
+        throw httpError(413, 'File size exceeds 50MB limit. Please split your data into smaller files.');
+    }
+
+    const validation = validateCSVContent(csv);
+    const parsed = parseTelemetryCSV(csv);
+    const rowErrors = parsed.errors.filter(e => e.row > 0).slice(0, MAX_ROW_ERRORS);
+
+    if (!validation.isValid || parsed.rows.length === 0) {
+        throw httpError(422, 'CSV failed validation', {
+            errors: validation.errors.length > 0 ? validation.errors : ['No valid data rows'],
+            warnings: validation.warnings,
+            row_errors: rowErrors
+        });
+    }
+
+    const warnings = [...validation.warnings];
+    if (parsed.errors.length > 0) {
+        warnings.push(`${parsed.errors.length} of ${parsed.totalRows} rows rejected — ${summarizeErrors(parsed.errors)}`);
+    }
+
+    const id = `ds-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    const meta = {
+        id,
+        name: name || `${satellite}-${orbit.toLowerCase()}.csv`,
+        satellite,
+        orbit,
+        source: 'upload',
+        read_only: false,
+        created_at: new Date().toISOString(),
+        ...describeRows(parsed, csv),
+        warnings,
+        row_errors: rowErrors
+    };
+
+    const dir = uploadDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'data.csv'), csv);
+    writeJSON(path.join(dir, 'dataset.json'), meta);
+    return meta;
+}
+
+/**
+ * Remove an uploaded dataset
+ * @returns {Object|null} The removed metadata, or null if it does not exist
+ */
+export function deleteDataset(id) {
+    const meta = getDataset(id);
+    if (!meta) return null;
+    if (meta.read_only) {
+        throw httpError(409, `${id} is a built-in dataset and cannot be deleted`);
+    }
+
+    fs.rmSync(uploadDir(id), { recursive: true, force: true });
+    return meta;
+}
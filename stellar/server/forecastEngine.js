@@ -0,0 +1,199 @@
+/**
+ * STELLAR Forecast Engine
+ *
+ * Runs the trained TF.js forecast model (or a statistical forecaster) in
+ * Node for the /forecast endpoint. Shared by the Express server and the
+ * Vercel serverless functions.
+ */
+
+import { forecastWithModel, generateStatisticalForecast, AI_CONFIG } from '../src/services/aiService.js';
+import { orbitalPeriodHours } from '../src/data/realSatelliteData.js';
+import { loadRegisteredModel } from './modelStore.js';
+import { resolveModel, PRODUCTION } from './modelRegistry.js';
+import { buildForecastGrid, interpolateHorizons, leadLabel } from './forecastGrid.js';
+
+// Default training/inference dataset per satellite
+export const SATELLITE_DATASETS = {
+    'gsat-14': 'MEO_Train2',
+    'gsat-30': 'GEO_Train'
+};
+
+const STEP_MINUTES = 15;
+const CHANNELS = ['radial', 'along', 'cross', 'clock'];
+
+/**
+ * Map a dataset name such as "MEO_Train2" to its CSV file, or null if the
+ * name is not one of the ISRO splits
+ */
+export function datasetFile(dataset) {
+    return /^(GEO|MEO)_(Train|Test)\d*$/.test(dataset) ? `DATA_${dataset}.csv` : null;
+}
+
+/**
+ * Forecast a satellite from its latest telemetry
+ *
+ * Without `horizon` and `step` the response holds every trained horizon.
+ * `horizon` (label or ISO-8601 duration) cuts the grid off at that lead time
+ * and `step` switches to a regular grid; points that are not trained
+ * horizons are interpolated (see forecastGrid.js).
+ * @param {string} satellite - Satellite id, e.g. "gsat-14"
+ * @param {Array} rows - Telemetry rows from parseTelemetryCSV (metres / ns), oldest first
+ * @param {Object} options - { orbit, modelVersion (defaults to the production alias), horizon, step, steps (max points) }
+ * @returns {Promise<Object|null>} Response body, or null if no matching model is registered
+ * @throws 503 when the registered model's files cannot be loaded
+ */
+export async function forecastSatellite(satellite, rows, { orbit, modelVersion = PRODUCTION, horizon, step, steps } = {}) {
+    const resolved = resolveModel(satellite, orbit, modelVersion);
+    if (!resolved) return null;
+
+    const { model, metadata } = await loadRegisteredModel(resolved.dir, `${satellite} ${resolved.version}`);
+    // Horizons are steps of the grid the model was trained on (15 min before resampling was recorded)
+    const stepMinutes = metadata.resampling?.stepMinutes ?? STEP_MINUTES;
+    const grid = buildForecastGrid({ horizon, step }, metadata.predictionHorizons, stepMinutes);
+    const horizons = await forecastWithModel(model, rows, metadata);
+    const baseTime = rows[rows.length - 1].timestamp;
+
+    const predictions = gridPredictions(horizons, rows, grid, steps, stepMinutes);
+
+    return {
+        satellite,
+        model: metadata.modelId,
+        model_version: metadata.version,
+        model_alias: modelVersion === PRODUCTION ? PRODUCTION : null,
+        horizon: leadLabel(grid.horizonMinutes),
+        predictions,
+        metadata: {
+            architecture: metadata.architecture ?? 'lstm',
+            input_window: metadata.sequenceLength,
+            input_end: new Date(baseTime).toISOString(),
+            step_minutes: stepMinutes,
+            gap_fill: metadata.resampling?.gapFill ?? null,
+            grid: {
+                horizon_minutes: grid.horizonMinutes,
+                step_minutes: grid.stepMinutes,
+                model_horizons: horizons.map(h => h.horizonLabel),
+                ...gridSources(predictions)
+            },
+            trained_on: metadata.dataset,
+            trained_at: metadata.trainedAt,
+            training_samples: metadata.trainingSamples,
+            uncertainty_source: metadata.uncertainty === 'gaussian' ? 'gaussian-nll' : metadata.metrics?.uncertaintySource,
+            calibration: calibrationSummary(metadata.calibration),
+            model_rmse: metadata.validationRMSE,
+            generated_at: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Forecast a satellite with a statistical method fitted on its telemetry
+ * (utils/statisticalForecast.js); no trained model is needed. The response
+ * matches forecastSatellite's, with the fitted model per channel in place of
+ * the registry metadata. Horizons are steps of the registered model's grid,
+ * so the two stay comparable (15 min without a model).
+ * @param {string} satellite - Satellite id
+ * @param {Array} rows - Telemetry rows, oldest first
+ * @param {Object} options - { method, orbit (sets the seasonal period), modelVersion (whose grid to use, defaults to
+ *                            the production alias), horizon, step, steps }
+ * @returns {Promise<Object>} Response body
+ */
+export async function forecastStatistical(satellite, rows, { method, orbit, modelVersion = PRODUCTION, horizon, step, steps } = {}) {
+    const { predictionHorizons } = AI_CONFIG;
+    const stepMinutes = resolveModel(satellite, orbit, modelVersion)?.metadata?.resampling?.stepMinutes ?? STEP_MINUTES;
+    const grid = buildForecastGrid({ horizon, step }, predictionHorizons, stepMinutes);
+    const periodHours = orbitalPeriodHours(orbit);
+    const result = await generateStatisticalForecast(rows, satellite, {
+        method,
+        horizons: predictionHorizons,
+        periodMinutes: periodHours ? periodHours * 60 : null,
+        stepMinutes
+    });
+    const horizons = result.forecasts.map(f => ({ horizon: f.horizon, horizonLabel: f.horizonLabel, ...f.channels }));
+    const predictions = gridPredictions(horizons, rows, grid, steps, stepMinutes);
+
+    return {
+        satellite,
+        model: result.method,
+        model_version: null,
+        model_alias: null,
+        horizon: leadLabel(grid.horizonMinutes),
+        predictions,
+        metadata: {
+            method: result.method,
+            method_label: result.methodLabel,
+            fitted_models: result.models,
+            input_window: rows.length,
+            input_end: new Date(rows[rows.length - 1].timestamp).toISOString(),
+            step_minutes: stepMinutes,
+            grid: {
+                horizon_minutes: grid.horizonMinutes,
+                step_minutes: grid.stepMinutes,
+                model_horizons: horizons.map(h => h.horizonLabel),
+                ...gridSources(predictions)
+            },
+            uncertainty_source: 'analytic',
+            generated_at: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Response points on the requested grid from per-horizon forecasts
+ */
+function gridPredictions(horizons, rows, grid, steps, stepMinutes = STEP_MINUTES) {
+    const baseTime = rows[rows.length - 1].timestamp;
+    const points = interpolateHorizons(horizons, rows[rows.length - 1], grid.leads, stepMinutes, CHANNELS);
+
+    return points.slice(0, steps || points.length).map(h => ({
+        horizon: h.label,
+        horizon_steps: h.horizon,
+        lead_minutes: h.leadMinutes,
+        source: h.source,
+        interpolated_from: h.interpolatedFrom,
+        timestamp: new Date(baseTime + h.leadMinutes * 60000).toISOString(),
+        radial_error_m: round(h.radial.mean, 6),
+        along_error_m: round(h.along.mean, 6),
+        cross_error_m: round(h.cross.mean, 6),
+        clock_bias_ns: round(h.clock.mean, 4),
+        bounds: {
+            radial_error_m: roundBounds(h.radial, 6),
+            along_error_m: roundBounds(h.along, 6),
+            cross_error_m: roundBounds(h.cross, 6),
+            clock_bias_ns: roundBounds(h.clock, 4)
+        }
+    }));
+}
+
+const gridSources = (predictions) => ({
+    direct: predictions.filter(p => p.source === 'model').map(p => p.horizon),
+    interpolated: predictions.filter(p => p.source === 'interpolated').map(p => p.horizon)
+});
+
+/**
+ * Held-out (else validation) coverage of the 68% / 95% bounds, if measured
+ */
+function calibrationSummary(calibration) {
+    const report = calibration?.heldOut || calibration?.validation;
+    if (!report) return null;
+    return {
+        split: report.dataset || 'validation',
+        windows: report.samples,
+        coverage68: round(report.overall.coverage68, 3),
+        coverage95: round(report.overall.coverage95, 3),
+        calibrated: report.overall.calibrated
+    };
+}
+
+function round(value, decimals) {
+    return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+function roundBounds(channel, decimals) {
+    return {
+        std: round(channel.std, decimals),
+        lower68: round(channel.lower68, decimals),
+        upper68: round(channel.upper68, decimals),
+        lower95: round(channel.lower95, decimals),
+        upper95: round(channel.upper95, decimals)
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * STELLAR Forecast Grid
+ *
+ * Maps the `horizon` / `step` request parameters onto the model's trained
+ * horizons (CONFIG.predictionHorizons, in model steps) and fills the points
+ * in between by linear interpolation. Every grid point says whether it is a
+ * direct model output or interpolated, and from which horizons.
+ */
+
+const MAX_GRID_POINTS = 288;
+
+const LABEL_UNITS = { m: 1, h: 60, d: 1440 };
+
+// What parseDuration accepts, as a JSON Schema pattern (no regex flags) for the request schema
+export const DURATION_PATTERN = '^(?:\\d+(?:\\.\\d+)?\\s*[mhdMHD]|[Pp](?=\\d|[Tt]\\d)(?:\\d+(?:\\.\\d+)?[Ww])?(?:\\d+(?:\\.\\d+)?[Dd])?'
+    + '(?:[Tt](?=\\d)(?:\\d+(?:\\.\\d+)?[Hh])?(?:\\d+(?:\\.\\d+)?[Mm])?(?:\\d+(?:\\.\\d+)?[Ss])?)?)$';
+
+function httpError(status, message, field) {
+    return Object.assign(new Error(message), { status, field });
+}
+
+/**
+ * Parse a horizon label ("15m", "6h", "24h", "1d") or an ISO-8601 duration
+ * ("PT6H", "PT90M", "P1D", "P1DT12H") into minutes
+ * @returns {number|null} Minutes, or null if the value is not a duration
+ */
+export function parseDuration(value) {
+    const str = String(value ?? '').trim();
+
+    const label = str.match(/^(\d+(?:\.\d+)?)\s*([mhd])$/i);
+    if (label) return Number(label[1]) * LABEL_UNITS[label[2].toLowerCase()];
+
+    // Years and months have no fixed length, so only W/D/H/M/S are accepted
+    const iso = str.match(/^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+    if (!iso || str.length === 1 || /T$/i.test(str)) return null;
+
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = iso.map(v => (v === undefined ? undefined : Number(v)));
+    return weeks * 10080 + days * 1440 + hours * 60 + minutes + seconds / 60;
+}
+
+/**
+ * Human-readable lead time in the style of the model's horizon labels
+ * ("15m", "6h", "1d"), with minutes appended off the hour ("1h20m")
+ */
+export function leadLabel(minutes) {
+    const m = parseFloat(minutes.toFixed(2));
+    if (m < 60) return `${m}m`;
+    if (m % 1440 === 0) return `${m / 1440}d`;
+
+    const hours = Math.floor(m / 60);
+    const rest = parseFloat((m - hours * 60).toFixed(2));
+    return rest === 0 ? `${hours}h` : `${hours}h${rest}m`;
+}
+
+/**
+ * Lead times to forecast
+ * @param {Object} request - { horizon, step } as sent to /forecast (either may be omitted)
+ * @param {Array<number>} modelHorizons - Trained horizons in model steps
+ * @param {number} stepMinutes - Minutes per model step
+ * @returns {Object} { horizonMinutes, stepMinutes (null for the native grid), leads: [minutes] }
+ */
+export function buildForecastGrid({ horizon, step } = {}, modelHorizons, stepMinutes) {
+    const native = modelHorizons.map(h => h * stepMinutes);
+    const longest = Math.max(...native);
+
+    const horizonMinutes = horizon === undefined ? longest : parseDuration(horizon);
+    if (!horizonMinutes) {
+        throw httpError(400, `Invalid horizon "${horizon}". Use a label such as "6h" or an ISO-8601 duration such as "PT6H".`, 'horizon');
+    }
+    if (horizonMinutes > longest + 1e-9) {
+        throw httpError(400, `Horizon ${leadLabel(horizonMinutes)} is beyond the longest trained horizon (${leadLabel(longest)})`, 'horizon');
+    }
+
+    if (step === undefined) {
+        const leads = native.filter(m => m < horizonMinutes - 1e-9);
+        return { horizonMinutes, stepMinutes: null, leads: [...leads, horizonMinutes] };
+    }
+
+    const gridStep = parseDuration(step);
+    if (!gridStep) {
+        throw httpError(400, `Invalid step "${step}". Use a label such as "15m" or an ISO-8601 duration such as "PT15M".`, 'step');
+    }
+    if (gridStep > horizonMinutes + 1e-9) {
+        throw httpError(400, `Step ${leadLabel(gridStep)} is longer than the horizon (${leadLabel(horizonMinutes)})`, 'step');
+    }
+    const count = Math.floor(horizonMinutes / gridStep + 1e-9);
+    if (count > MAX_GRID_POINTS) {
+        throw httpError(400, `A ${leadLabel(gridStep)} step over ${leadLabel(horizonMinutes)} gives ${count} points; the limit is ${MAX_GRID_POINTS}`, 'step');
+    }
+
+    return {
+        horizonMinutes,
+        stepMinutes: gridStep,
+        leads: Array.from({ length: count }, (_, i) => (i + 1) * gridStep)
+    };
+}
+
+/**
+ * Forecast values at arbitrary lead times from the model's direct horizons.
+ * Points before the first horizon are interpolated from the last observation
+ * (zero uncertainty at lead 0).
+ * @param {Array} horizons - forecastWithModel output
+ * @param {Object} lastObservation - Latest telemetry row
+ * @param {Array<number>} leads - Lead times in minutes
+ * @param {number} stepMinutes - Minutes per model step
+ * @param {Array<string>} channels - Channel keys present on each horizon entry
+ * @returns {Array} One entry per lead with the forecastWithModel channel shape plus
+ *                  { leadMinutes, label, source: 'model' | 'interpolated', interpolatedFrom }
+ */
+export function interpolateHorizons(horizons, lastObservation, leads, stepMinutes, channels) {
+    const anchors = [
+        {
+            leadMinutes: 0,
+            label: 'observed',
+            ...Object.fromEntries(channels.map(c => [c, { mean: lastObservation[c], std: 0 }]))
+        },
+        ...horizons.map(h => ({ ...h, leadMinutes: h.horizon * stepMinutes, label: h.horizonLabel }))
+    ];
+
+    return leads.map(lead => {
+        const exact = anchors.find(a => a.leadMinutes > 0 && Math.abs(a.leadMinutes - lead) < 1e-9);
+        if (exact) {
+            return { ...exact, source: 'model', interpolatedFrom: null };
+        }
+
+        const upper = anchors.findIndex(a => a.leadMinutes > lead);
+        const a = anchors[upper - 1];
+        const b = anchors[upper];
+        const w = (lead - a.leadMinutes) / (b.leadMinutes - a.leadMinutes);
+
+        const entry = {
+            horizon: lead / stepMinutes,
+            leadMinutes: lead,
+            label: leadLabel(lead),
+            source: 'interpolated',
+            interpolatedFrom: [a.label, b.label]
+        };
+        channels.forEach(c => {
+            const mean = a[c].mean + w * (b[c].mean - a[c].mean);
+            const std = a[c].std === null || b[c].std === null ? null : a[c].std + w * (b[c].std - a[c].std);
+            entry[c] = {
+                mean,
+                std,
+                lower68: std !== null ? mean - std : null,
+                upper68: std !== null ? mean + std : null,
+                lower95: std !== null ? mean - 1.96 * std : null,
+                upper95: std !== null ? mean + 1.96 * std : null
+            };
+        });
+        return entry;
+    });
+}
@@ -7,54 +7,54 @@
 
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { loadTelemetry } from './data.js';
+import { forecastSatellite, forecastStatistical, SATELLITE_DATASETS } from './forecastEngine.js';
+import { listDatasets, getDataset, loadDataset, createDataset, deleteDataset, datasetSummary } from './datasetStore.js';
+import { enqueueJob, getJob, listJobs, cancelJob, queuePosition, restoreJobs, jobEvents, jobSummary, FINISHED } from './trainingQueue.js';
+import { openEventStream } from './sse.js';
+import { registerModel, listModels, getSeries, resolveModel, promoteModel, rollbackModel, ORBIT_TYPES } from './modelRegistry.js';
+import { modelResiduals, modelBacktest } from './modelEvaluation.js';
+import { initKeyStore, authorizeRequest, createKey, listKeys, findKey, rotateKey, revokeKey, keyUsage, allUsage, SCOPES } from './apiKeys.js';
+import { OPERATIONS, expressRoutes, buildOpenAPISpec, describeOperation, validateBody, jsonParseErrors, invalidBody } from './openapi.js';
+import { startLiveStream, stopLiveStream } from '../src/services/liveDataService.js';
+import { defaultMaxGapMinutes } from '../src/utils/resample.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.STELLAR_PORT || 3000;
 
 app.use(cors());
+app.use('/api/v1/models', express.json({ limit: '50mb' })); // model uploads carry weights
+app.use('/api/v1/datasets', express.json({ limit: '50mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }));
 app.use(express.json());
+app.use(jsonParseErrors);
 
 // ─── Load CSV Data ─────────────────────────────────────────────────
 
-function loadCSV(filename) {
-    const filepath = path.join(__dirname, '..', 'data', filename);
-    if (!fs.existsSync(filepath)) return [];
-    const text = fs.readFileSync(filepath, 'utf-8');
-    const lines = text.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/\s*\([^)]*\)/g, ''));
-    return lines.slice(1).map(line => {
-        const vals = line.split(',');
-        const row = {};
-        headers.forEach((h, i) => { row[h] = isNaN(vals[i]) ? vals[i]?.trim() : parseFloat(vals[i]); });
-        return row;
-    });
-}
-
-const meoData = loadCSV('DATA_MEO_Train2.csv');
-const geoData = loadCSV('DATA_GEO_Train.csv');
+const meoTelemetry = loadTelemetry('DATA_MEO_Train2.csv');
+const geoTelemetry = loadTelemetry('DATA_GEO_Train.csv');
+const meoData = meoTelemetry.rows;
+const geoData = geoTelemetry.rows;
 
 // ─── API Key Middleware ────────────────────────────────────────────
 
-const API_KEYS = new Set([
-    'stellar-demo-key-2025',
-    process.env.STELLAR_API_KEY || 'sk-stellar-hackathon'
-]);
-
-function authMiddleware(req, res, next) {
-    const key = req.headers['x-api-key'] || req.query.api_key;
-    if (!key || !API_KEYS.has(key)) {
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Missing or invalid API key. Set X-API-Key header.',
-            docs: 'https://stellar-platform.dev/docs/auth'
-        });
-    }
-    req.apiKey = key;
-    next();
+/**
+ * Authenticate the X-API-Key header, check the scope, apply the key's rate
+ * limit and count the request
+ * @param {string|null} scope - Required scope, or null for any valid key
+ */
+function requireScope(scope) {
+    const middleware = (req, res, next) => {
+        const secret = req.headers['x-api-key'] || req.query.api_key;
+        const result = authorizeRequest(secret, scope, `${req.method} ${req.baseUrl}${req.route.path}`);
+
+        if (result.headers) res.set(result.headers);
+        if (!result.ok) return res.status(result.status).json(result.body);
+
+        req.apiKey = result.key;
+        next();
+    };
+    middleware.requiredScope = scope; // read by expressRoutes for the OpenAPI spec
+    return middleware;
 }
 
 // ─── Routes ────────────────────────────────────────────────────────
@@ -77,137 +77,460 @@ app.get('/api/v1/health', (req, res) => {
 
 // List available endpoints (no auth)
 app.get('/api/v1', (req, res) => {
+    const endpoints = expressRoutes(app)
+        .filter(r => r.path.startsWith('/api/v1/') && !OPERATIONS[`${r.method} ${r.path}`]?.aliasOf)
+        .map(r => ({
+            method: r.method,
+            path: r.path.replace('/api/v1', ''),
+            scope: r.authenticated ? (r.scope || 'any') : null,
+            description: describeOperation(r.method, r.path)
+        }));
+
     res.json({
         name: 'STELLAR Platform API',
         version: '2.0.0',
         base_url: `http://localhost:${PORT}/api/v1`,
-        endpoints: [
-            { method: 'GET', path: '/health', auth: false, description: 'System health check' },
-            { method: 'GET', path: '/satellites', auth: true, description: 'List available satellites' },
-            { method: 'POST', path: '/forecast', auth: true, description: 'GNSS error forecast' },
-            { method: 'POST', path: '/train', auth: true, description: 'Trigger model training' },
-            { method: 'GET', path: '/train/status', auth: true, description: 'Training job status' },
-            { method: 'POST', path: '/flood-risk', auth: true, description: 'Flood risk assessment' },
-            { method: 'GET', path: '/data/summary', auth: true, description: 'Dataset summary stats' },
-            { method: 'POST', path: '/whatsapp/webhook', auth: true, description: 'WhatsApp webhook handler' }
-        ],
-        auth: 'Pass API key via X-API-Key header',
-        demo_key: 'stellar-demo-key-2025'
+        openapi: `http://localhost:${PORT}/api/v1/openapi.json`,
+        endpoints,
+        auth: 'Pass API key via X-API-Key header. Each endpoint requires the listed scope.'
     });
 });
 
-// List satellites
-app.get('/api/v1/satellites', authMiddleware, (req, res) => {
+// OpenAPI document generated from the registered routes (no auth)
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json(buildOpenAPISpec(expressRoutes(app), { serverUrl: `${req.protocol}://${req.get('host')}/api/v1` }));
+});
+
+// List satellites: the known catalogue plus any satellite tagged on a dataset
+const SATELLITE_CATALOG = {
+    'gsat-14': { name: 'GSAT-14', orbit: 'MEO', agency: 'ISRO' },
+    'gsat-30': { name: 'GSAT-30', orbit: 'GEO', agency: 'ISRO' },
+    'navic-1a': { name: 'NavIC-1A (IRNSS-1A)', orbit: 'GEO', agency: 'ISRO' }
+};
+
+app.get('/api/v1/satellites', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    const datasets = listDatasets();
+    const ids = [...new Set([...Object.keys(SATELLITE_CATALOG), ...datasets.map(d => d.satellite).filter(Boolean)])];
+
+    const satellites = ids.map(id => {
+        const tagged = datasets.filter(d => d.satellite === id);
+        const info = SATELLITE_CATALOG[id] || { name: id.toUpperCase(), orbit: tagged[0].orbit, agency: null };
+        return {
+            id,
+            ...info,
+            status: 'active',
+            data_points: tagged.reduce((sum, d) => sum + d.rows, 0),
+            datasets: tagged.map(d => d.id),
+            default_dataset: SATELLITE_DATASETS[id] || tagged[0]?.id || null
+        };
+    });
+
     res.json({
-        satellites: [
-            { id: 'gsat-14', name: 'GSAT-14', orbit: 'MEO', agency: 'ISRO', status: 'active', data_points: meoData.length },
-            { id: 'gsat-30', name: 'GSAT-30', orbit: 'GEO', agency: 'ISRO', status: 'active', data_points: geoData.length },
-            { id: 'navic-1a', name: 'NavIC-1A (IRNSS-1A)', orbit: 'GEO', agency: 'ISRO', status: 'active', data_points: 0 },
-        ],
-        total: 3,
+        satellites,
+        total: satellites.length,
         timestamp: new Date().toISOString()
     });
 });
 
 // GNSS Forecast
-app.post('/api/v1/forecast', authMiddleware, (req, res) => {
-    const { satellite = 'gsat-14', horizon = '6h', steps = 6 } = req.body;
-    const data = satellite.includes('geo') ? geoData : meoData;
+app.post('/api/v1/forecast', requireScope(SCOPES.FORECAST_READ), validateBody, async (req, res) => {
+    const { horizon, step, steps, model_version = 'production', method = 'model' } = req.body;
+    const dataset = req.body.dataset || SATELLITE_DATASETS[req.body.satellite || 'gsat-14'];
+    const loaded = dataset && loadDataset(dataset);
+
+    if (!loaded) {
+        return res.status(400).json({ error: `Unknown dataset "${dataset}". Pass "dataset" as a built-in split (e.g. "MEO_Train2") or an uploaded dataset ID.` });
+    }
 
+    const { meta, rows: data } = loaded;
+    const satellite = req.body.satellite || meta.satellite;
     if (data.length === 0) {
         return res.status(404).json({ error: 'No data available for this satellite' });
     }
 
-    const last = data[data.length - 1];
-    const predictions = [];
-    const baseTime = new Date();
-
-    for (let i = 1; i <= Math.min(steps, 24); i++) {
-        const t = new Date(baseTime.getTime() + i * 3600000);
-        const noise = () => (Math.random() - 0.5) * 0.02;
-        predictions.push({
-            timestamp: t.toISOString(),
-            radial_error_m: parseFloat(((last.x_error || -0.08) + noise()).toFixed(6)),
-            along_error_m: parseFloat(((last.y_error || 0.04) + noise()).toFixed(6)),
-            cross_error_m: parseFloat(((last.z_error || 0.12) + noise()).toFixed(6)),
-            clock_bias_ns: parseFloat(((last.satclockerror || -0.01) * 1e9 + noise() * 1e9).toFixed(4)),
-            confidence: parseFloat((0.92 + Math.random() * 0.06).toFixed(3))
-        });
+    try {
+        if (method !== 'model') {
+            const forecast = await forecastStatistical(satellite, data, { method, orbit: meta.orbit, modelVersion: model_version, horizon, step, steps });
+            return res.json({ ...forecast, dataset });
+        }
+        const forecast = await forecastSatellite(satellite, data, { orbit: meta.orbit, modelVersion: model_version, horizon, step, steps });
+        if (!forecast) {
+            return res.status(503).json({
+                error: 'No trained model',
+                message: model_version === 'production'
+                    ? `No production model is registered for ${satellite} ${meta.orbit}. Run: npm run train -- --satellite ${satellite} --dataset ${dataset}`
+                    : `Model version ${model_version} is not registered for ${satellite} ${meta.orbit}`
+            });
+        }
+        res.json({ ...forecast, dataset });
+    } catch (error) {
+        // horizon/step values the grid cannot serve are request errors like the schema's
+        if (error.field) return res.status(400).json(invalidBody([{ field: error.field, message: error.message }], error.message));
+        res.status(error.status || 422).json({ error: 'Forecast failed', message: error.message });
+    }
+});
+
+// Train Model
+app.post('/api/v1/train', requireScope(SCOPES.TRAIN_WRITE), validateBody, (req, res) => {
+    const {
+        dataset = 'MEO_Train2', epochs = 50, batch_size = 32, learning_rate = 0.001, architecture = 'lstm',
+        step_minutes = 15, gap_fill = 'mask', max_gap_minutes, time_delta = false, promote = false
+    } = req.body;
+    const meta = getDataset(dataset);
+
+    if (!meta) {
+        return res.status(400).json({ error: `Unknown dataset "${dataset}"` });
     }
+    const satellite = req.body.satellite || meta.satellite;
 
-    res.json({
+    const job = enqueueJob({
         satellite,
-        model: 'stellar-gnss-v2',
-        horizon,
-        predictions,
-        metadata: {
-            training_samples: data.length,
-            model_rmse: { radial: 0.12, along: 0.09, cross: 0.15 },
-            generated_at: new Date().toISOString()
+        dataset,
+        config: {
+            epochs, batch_size, learning_rate, architecture, step_minutes, gap_fill,
+            max_gap_minutes: max_gap_minutes ?? defaultMaxGapMinutes(meta.orbit), time_delta, promote
         }
     });
+
+    res.status(202).json({
+        job_id: job.job_id,
+        status: job.status,
+        message: `Training queued on ${dataset} dataset for ${satellite}`,
+        config: job.config,
+        queue_position: queuePosition(job.job_id),
+        poll_url: `/api/v1/train/status?job_id=${job.job_id}`
+    });
 });
 
-// Train Model
-let trainingJob = null;
+// Training Status
+app.get('/api/v1/train/status', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    const { job_id } = req.query;
 
-app.post('/api/v1/train', authMiddleware, (req, res) => {
-    const { dataset = 'MEO_Train2', epochs = 50, batch_size = 32, learning_rate = 0.001 } = req.body;
+    if (!job_id) {
+        const [latest] = listJobs();
+        if (!latest) {
+            return res.json({ status: 'idle', message: 'No training jobs submitted' });
+        }
+        return res.json({ ...getJob(latest.job_id), queue_position: queuePosition(latest.job_id) });
+    }
 
-    const jobId = `train-${Date.now()}`;
-    trainingJob = {
-        job_id: jobId,
-        status: 'running',
-        dataset,
-        config: { epochs, batch_size, learning_rate },
-        progress: 0,
-        started_at: new Date().toISOString(),
-        completed_at: null,
-        metrics: null
+    const job = getJob(job_id);
+    if (!job) {
+        return res.status(404).json({ error: `Training job ${job_id} not found` });
+    }
+    res.json({ ...job, queue_position: queuePosition(job_id) });
+});
+
+// Training Jobs
+app.get('/api/v1/train/jobs', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    const jobs = listJobs();
+    res.json({ jobs, total: jobs.length, timestamp: new Date().toISOString() });
+});
+
+app.delete('/api/v1/train/jobs/:id', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Training job ${req.params.id} not found` });
+    }
+    if (job.status !== 'cancelled' && !job.cancel_requested) {
+        return res.status(409).json({ error: `Training job ${job.job_id} already ${job.status}` });
+    }
+    res.json({
+        job_id: job.job_id,
+        status: job.status,
+        message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops after the current epoch'
+    });
+});
+
+// Training progress stream (SSE). Replays the epochs already run, then
+// pushes each new epoch until the job finishes. Honours Last-Event-ID.
+app.get('/api/v1/train/jobs/:id/events', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Training job ${req.params.id} not found` });
+    }
+
+    const stream = openEventStream(req, res);
+    const lastEpoch = Number(req.headers['last-event-id']) || 0;
+
+    stream.send('status', jobSummary(job));
+    job.history.filter(entry => entry.epoch > lastEpoch).forEach(entry => stream.send('epoch', entry, entry.epoch));
+
+    if (FINISHED.has(job.status)) {
+        stream.send('end', { job_id: job.job_id, status: job.status });
+        return stream.close();
+    }
+
+    const listener = ({ type, data }) => {
+        stream.send(type, data, type === 'epoch' ? data.epoch : undefined);
+        if (type === 'status' && FINISHED.has(data.status)) {
+            stream.send('end', { job_id: data.job_id, status: data.status });
+            stream.close();
+        }
     };
+    jobEvents.on(job.job_id, listener);
+    stream.onClose(() => jobEvents.off(job.job_id, listener));
+});
+
+// Live telemetry stream (SSE). One simulated feed per satellite, shared by
+// every connected client and stopped when the last one disconnects.
+const telemetrySubscribers = new Map();
+
+app.get('/api/v1/satellites/:id/stream', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    const satelliteId = req.params.id;
+    if (!/^[A-Za-z0-9-]+$/.test(satelliteId)) {
+        return res.status(400).json({ error: 'Invalid satellite id' });
+    }
+
+    const stream = openEventStream(req, res);
+
+    if (!telemetrySubscribers.has(satelliteId)) {
+        const subscribers = new Set();
+        telemetrySubscribers.set(satelliteId, subscribers);
+        startLiveStream(satelliteId, (update) => {
+            subscribers.forEach(send => send('telemetry', update, update.unixTime));
+        }, 1000);
+    }
+
+    const subscribers = telemetrySubscribers.get(satelliteId);
+    const send = stream.send;
+    subscribers.add(send);
+
+    stream.onClose(() => {
+        subscribers.delete(send);
+        if (subscribers.size === 0) {
+            stopLiveStream(satelliteId);
+            telemetrySubscribers.delete(satelliteId);
+        }
+    });
+});
+
+// ─── Datasets ──────────────────────────────────────────────────────
+
+// Upload a CSV: text/csv body with ?satellite=&orbit=&name=, or JSON { csv, satellite, orbit, name }
+app.post('/api/v1/datasets', requireScope(SCOPES.TRAIN_WRITE), validateBody, (req, res) => {
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const satellite = body.satellite || req.query.satellite;
+    const orbit = (body.orbit || req.query.orbit || '').toUpperCase();
+    const name = body.name || req.query.name;
 
-    // Simulate training progress
-    let epoch = 0;
-    const interval = setInterval(() => {
-        epoch += 5;
-        if (trainingJob) trainingJob.progress = Math.min(epoch / epochs * 100, 100);
-
-        if (epoch >= epochs) {
-            clearInterval(interval);
-            if (trainingJob) {
-                trainingJob.status = 'completed';
-                trainingJob.completed_at = new Date().toISOString();
-                trainingJob.progress = 100;
-                trainingJob.metrics = {
-                    best_train_loss: 0.691,
-                    best_val_loss: 0.714,
-                    rmse: { radial: 0.12, along: 0.09, cross: 0.15, clock: 2.1 },
-                    isro_benchmark: 'PASS',
-                    duration_seconds: Math.round((epochs / 5) * 2)
-                };
+    try {
+        const dataset = createDataset({ csv: body.csv, name, satellite, orbit });
+        res.status(201).json(dataset);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: 'Dataset upload failed', message: error.message, ...error.details });
+    }
+});
+
+// List datasets (?satellite=&orbit=)
+app.get('/api/v1/datasets', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    const { satellite, orbit } = req.query;
+    const datasets = listDatasets({ satellite, orbit: orbit?.toUpperCase() }).map(datasetSummary);
+    res.json({ datasets, total: datasets.length });
+});
+
+app.get('/api/v1/datasets/:id', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    const dataset = getDataset(req.params.id);
+    if (!dataset) {
+        return res.status(404).json({ error: `Dataset ${req.params.id} not found` });
+    }
+    res.json(dataset);
+});
+
+app.delete('/api/v1/datasets/:id', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    try {
+        const dataset = deleteDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset ${req.params.id} not found` });
+        }
+        res.json({ deleted: true, id: dataset.id });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: 'Dataset deletion failed', message: error.message });
+    }
+});
+
+// ─── Model Registry ────────────────────────────────────────────────
+
+function registryError(res, error) {
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+// Upload TF.js artifacts as a new model version
+app.post('/api/v1/models', requireScope(SCOPES.TRAIN_WRITE), validateBody, async (req, res) => {
+    const { satellite, orbit, version, bump, promote = false, metadata, artifacts } = req.body;
+
+    if (!satellite || !orbit || !metadata || !artifacts) {
+        return res.status(400).json({ error: 'satellite, orbit, metadata and artifacts are required' });
+    }
+    if (!artifacts.modelTopology || typeof artifacts.weightData !== 'string') {
+        return res.status(400).json({ error: 'artifacts must contain modelTopology, weightSpecs (or weightsManifest) and base64 weightData' });
+    }
+
+    const weightBuffer = Buffer.from(artifacts.weightData, 'base64');
+    const weightSpecs = artifacts.weightSpecs || artifacts.weightsManifest?.flatMap(group => group.weights);
+
+    try {
+        const entry = await registerModel({
+            satellite,
+            orbit: String(orbit).toUpperCase(),
+            version,
+            bump,
+            promote,
+            metadata,
+            source: 'upload',
+            artifacts: {
+                modelTopology: artifacts.modelTopology,
+                weightSpecs,
+                weightData: weightBuffer.buffer.slice(weightBuffer.byteOffset, weightBuffer.byteOffset + weightBuffer.byteLength)
             }
+        });
+        res.status(201).json(entry);
+    } catch (error) {
+        registryError(res, error);
+    }
+});
+
+// List model versions (?satellite=&orbit=)
+app.get('/api/v1/models', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    const { satellite, orbit } = req.query;
+    const models = listModels({ satellite, orbit: orbit?.toUpperCase() });
+    res.json({ models, total: models.length, orbit_types: ORBIT_TYPES });
+});
+
+// Versions and aliases for one satellite/orbit
+app.get('/api/v1/models/:satellite/:orbit', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    try {
+        const series = getSeries(req.params.satellite, req.params.orbit.toUpperCase());
+        if (!series) {
+            return res.status(404).json({ error: `No models registered for ${req.params.satellite} ${req.params.orbit}` });
         }
-    }, 2000);
+        res.json(series);
+    } catch (error) {
+        registryError(res, error);
+    }
+});
 
-    res.json({
-        job_id: jobId,
-        status: 'started',
-        message: `Training initiated on ${dataset} dataset`,
-        config: { epochs, batch_size, learning_rate },
-        poll_url: `/api/v1/train/status?job_id=${jobId}`
-    });
+// One version (or "production") with its full metadata
+app.get('/api/v1/models/:satellite/:orbit/:version', requireScope(SCOPES.FORECAST_READ), (req, res) => {
+    try {
+        const resolved = resolveModel(req.params.satellite, req.params.orbit.toUpperCase(), req.params.version);
+        if (!resolved) {
+            return res.status(404).json({ error: `Model ${req.params.satellite} ${req.params.orbit} ${req.params.version} not found` });
+        }
+        res.json({ version: resolved.version, metadata: resolved.metadata });
+    } catch (error) {
+        registryError(res, error);
+    }
 });
 
-// Training Status
-app.get('/api/v1/train/status', authMiddleware, (req, res) => {
-    if (!trainingJob) {
-        return res.json({ status: 'idle', message: 'No training jobs running' });
+// Residuals of a version on a held-out split (?dataset=, default: the training set's Test split)
+app.get('/api/v1/models/:satellite/:orbit/:version/residuals', requireScope(SCOPES.FORECAST_READ), async (req, res) => {
+    try {
+        const result = await modelResiduals(req.params.satellite, req.params.orbit.toUpperCase(), req.params.version, {
+            dataset: req.query.dataset
+        });
+        if (!result) {
+            return res.status(404).json({ error: `Model ${req.params.satellite} ${req.params.orbit} ${req.params.version} not found` });
+        }
+        res.json(result);
+    } catch (error) {
+        registryError(res, error);
+    }
+});
+
+// Walk-forward backtest of a version against the baselines on a held-out split
+app.get('/api/v1/models/:satellite/:orbit/:version/backtest', requireScope(SCOPES.FORECAST_READ), async (req, res) => {
+    try {
+        const result = await modelBacktest(req.params.satellite, req.params.orbit.toUpperCase(), req.params.version, {
+            dataset: req.query.dataset,
+            stride: req.query.stride !== undefined ? Number(req.query.stride) : undefined,
+            baselines: req.query.baselines ? req.query.baselines.split(',') : undefined,
+            classical: req.query.classical ? req.query.classical.split(',') : undefined
+        });
+        if (!result) {
+            return res.status(404).json({ error: `Model ${req.params.satellite} ${req.params.orbit} ${req.params.version} not found` });
+        }
+        res.json(result);
+    } catch (error) {
+        registryError(res, error);
+    }
+});
+
+app.post('/api/v1/models/:satellite/:orbit/:version/promote', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    try {
+        const series = promoteModel(req.params.satellite, req.params.orbit.toUpperCase(), req.params.version);
+        res.json({ satellite: series.satellite, orbit: series.orbit, production: series.production });
+    } catch (error) {
+        registryError(res, error);
+    }
+});
+
+app.post('/api/v1/models/:satellite/:orbit/rollback', requireScope(SCOPES.TRAIN_WRITE), (req, res) => {
+    try {
+        const series = rollbackModel(req.params.satellite, req.params.orbit.toUpperCase());
+        res.json({ satellite: series.satellite, orbit: series.orbit, production: series.production, rolled_back: series.last_rollback });
+    } catch (error) {
+        registryError(res, error);
+    }
+});
+
+// ─── API Keys ──────────────────────────────────────────────────────
+
+// Create a key. The secret is only ever returned here and on rotation.
+app.post('/api/v1/keys', requireScope(SCOPES.KEYS_ADMIN), validateBody, (req, res) => {
+    const { name, scopes, rate_limit } = req.body || {};
+    try {
+        const { key, secret } = createKey({ name, scopes, rateLimit: rate_limit });
+        res.status(201).json({ ...key, key: secret });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: 'Key creation failed', message: error.message });
     }
-    res.json(trainingJob);
+});
+
+app.get('/api/v1/keys', requireScope(SCOPES.KEYS_ADMIN), (req, res) => {
+    const keys = listKeys();
+    res.json({ keys, total: keys.length, scopes: Object.values(SCOPES) });
+});
+
+app.post('/api/v1/keys/:id/rotate', requireScope(SCOPES.KEYS_ADMIN), (req, res) => {
+    const rotated = rotateKey(req.params.id);
+    if (!rotated) {
+        return res.status(404).json({ error: `Active key ${req.params.id} not found` });
+    }
+    res.json({ ...rotated.key, key: rotated.secret });
+});
+
+app.delete('/api/v1/keys/:id', requireScope(SCOPES.KEYS_ADMIN), (req, res) => {
+    const revoked = revokeKey(req.params.id);
+    if (!revoked) {
+        return res.status(404).json({ error: `Key ${req.params.id} not found` });
+    }
+    res.json(revoked);
+});
+
+// Usage counters for the calling key. Admin keys may pass ?key_id= or
+// ?all=true to read other keys.
+app.get('/api/v1/usage', requireScope(null), (req, res) => {
+    const isAdmin = req.apiKey.scopes.includes(SCOPES.KEYS_ADMIN);
+    const { key_id, all } = req.query;
+
+    if ((key_id && key_id !== req.apiKey.id) || all === 'true') {
+        if (!isAdmin) {
+            return res.status(403).json({ error: 'Forbidden', message: `Reading other keys' usage requires the "${SCOPES.KEYS_ADMIN}" scope` });
+        }
+        if (all === 'true') {
+            return res.json({ usage: allUsage(), timestamp: new Date().toISOString() });
+        }
+        const key = findKey(key_id);
+        if (!key) return res.status(404).json({ error: `Key ${key_id} not found` });
+        return res.json({ ...keyUsage(key), timestamp: new Date().toISOString() });
+    }
+
+    res.json({ ...keyUsage(req.apiKey), timestamp: new Date().toISOString() });
 });
 
 // Flood Risk
-app.post('/api/v1/flood-risk', authMiddleware, (req, res) => {
+app.post('/api/v1/flood-risk', requireScope(SCOPES.FORECAST_READ), validateBody, (req, res) => {
     const { latitude = 10.0, longitude = 76.3, region = 'Kerala' } = req.body;
 
     const risk = Math.random();
@@ -229,7 +552,7 @@ app.post('/api/v1/flood-risk', authMiddleware, (req, res) => {
 });
 
 // Dataset Summary
-app.get('/api/v1/data/summary', authMiddleware, (req, res) => {
+app.get('/api/v1/data/summary', requireScope(SCOPES.FORECAST_READ), (req, res) => {
     const computeStats = (data, key) => {
         const vals = data.map(d => d[key]).filter(v => !isNaN(v));
         if (vals.length === 0) return null;
@@ -242,29 +565,32 @@ app.get('/api/v1/data/summary', authMiddleware, (req, res) => {
         datasets: {
             meo_train2: {
                 samples: meoData.length,
+                rejected_rows: meoTelemetry.errors.length,
                 features: {
-                    x_error: computeStats(meoData, 'x_error'),
-                    y_error: computeStats(meoData, 'y_error'),
-                    z_error: computeStats(meoData, 'z_error'),
-                    satclockerror: computeStats(meoData, 'satclockerror')
+                    x_error: computeStats(meoData, 'radial'),
+                    y_error: computeStats(meoData, 'along'),
+                    z_error: computeStats(meoData, 'cross'),
+                    satclockerror: computeStats(meoData, 'clockMeters')
                 }
             },
             geo_train: {
                 samples: geoData.length,
+                rejected_rows: geoTelemetry.errors.length,
                 features: {
-                    x_error: computeStats(geoData, 'x_error'),
-                    y_error: computeStats(geoData, 'y_error'),
-                    z_error: computeStats(geoData, 'z_error'),
-                    satclockerror: computeStats(geoData, 'satclockerror')
+                    x_error: computeStats(geoData, 'radial'),
+                    y_error: computeStats(geoData, 'along'),
+                    z_error: computeStats(geoData, 'cross'),
+                    satclockerror: computeStats(geoData, 'clockMeters')
                 }
             }
         },
+        units: { x_error: 'm', y_error: 'm', z_error: 'm', satclockerror: 'm' },
         timestamp: new Date().toISOString()
     });
 });
 
 // WhatsApp Webhook
-app.post('/api/v1/whatsapp/webhook', authMiddleware, (req, res) => {
+app.post('/api/v1/whatsapp/webhook', requireScope(SCOPES.WEBHOOK), validateBody, (req, res) => {
     const { from, message } = req.body;
     const lower = (message || '').toLowerCase();
 
@@ -294,13 +620,13 @@ app.post('/api/v1/whatsapp/webhook', authMiddleware, (req, res) => {
 });
 
 // Alias routes (match Vercel serverless file paths)
-app.get('/api/v1/summary', authMiddleware, (req, res) => {
+app.get('/api/v1/summary', (req, res) => {
     // Redirect to the main handler
     req.url = '/api/v1/data/summary';
     app.handle(req, res);
 });
 
-app.post('/api/v1/webhook', authMiddleware, (req, res) => {
+app.post('/api/v1/webhook', (req, res) => {
     // Redirect to the main handler
     req.url = '/api/v1/whatsapp/webhook';
     app.handle(req, res);
@@ -308,10 +634,14 @@ app.post('/api/v1/webhook', authMiddleware, (req, res) => {
 
 // ─── Start Server ──────────────────────────────────────────────────
 
+const keyStore = initKeyStore();
+const restoredJobs = restoreJobs();
+
 app.listen(PORT, () => {
     console.log(`\n🛰️  STELLAR API Server running on http://localhost:${PORT}`);
     console.log(`📡 Endpoints: http://localhost:${PORT}/api/v1`);
-    console.log(`🔑 Demo API Key: stellar-demo-key-2025\n`);
+    console.log(`🔑 ${keyStore.keys.filter(k => !k.revoked_at).length} active API keys\n`);
     console.log(`📊 Loaded ${meoData.length} MEO samples, ${geoData.length} GEO samples`);
+    console.log(`🧠 Restored ${restoredJobs} training jobs`);
     console.log(`\nReady for OpenClaw agents and WhatsApp webhooks!\n`);
 });
@@ -0,0 +1,104 @@
+/**
+ * STELLAR GNSS product ingestion CLI
+ *
+ * Differences a RINEX 3/4 navigation file against an SP3 precise orbit (and
+ * optionally a RINEX clock file) and writes one broadcast-error series per
+ * satellite, as CSV files and/or registered datasets that `npm run train`
+ * and /forecast accept. Files ending in .gz are decompressed.
+ * Run: npm run ingest -- --nav BRDC00WRD_R_20240150000_01D_MN.rnx --sp3 IGS0OPSFIN_20240150000_01D_15M_ORB.SP3
+ *                        [--clk IGS0OPSFIN_20240150000_01D_30S_CLK.CLK] [--satellites G05,E11]
+ *                        [--out ./errors] [--register]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { broadcastErrorsFromFiles, errorsToCSV } from '../src/utils/broadcastErrors.js';
+import { createDataset } from './datasetStore.js';
+
+const MIN_ROWS = 2;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            args[argv[i].slice(2)] = true;
+        } else {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function readProduct(file) {
+    const buffer = fs.readFileSync(file);
+    return (file.endsWith('.gz') ? zlib.gunzipSync(buffer) : buffer).toString('utf-8');
+}
+
+/**
+ * Compute broadcast errors from product files on disk and export them
+ * @param {Object} options - { nav, sp3, clk, satellites (ids), out (directory), register }
+ * @returns {Object} { start, end, satellites: [{ id, orbit, rows, missing, file, dataset }] }
+ */
+export function ingestProducts({ nav, sp3, clk, satellites, out, register = false }) {
+    if (!nav || !sp3) throw new Error('--nav and --sp3 are required');
+
+    const result = broadcastErrorsFromFiles({
+        navigation: readProduct(nav),
+        sp3: readProduct(sp3),
+        clock: clk ? readProduct(clk) : null
+    }, { satellites });
+
+    if (out) fs.mkdirSync(out, { recursive: true });
+    const source = `${path.basename(nav)} − ${path.basename(sp3)}`;
+
+    return {
+        ...result,
+        satellites: result.satellites.map(series => {
+            const exported = { id: series.id, orbit: series.orbit, rows: series.rows.length, missing: series.missing, file: null, dataset: null };
+            if (series.rows.length < MIN_ROWS) return exported;
+
+            const csv = errorsToCSV(series.rows);
+            if (out) {
+                exported.file = path.join(out, `${series.id}_broadcast_errors.csv`);
+                fs.writeFileSync(exported.file, csv);
+            }
+            if (register) {
+                exported.dataset = createDataset({
+                    csv,
+                    name: `${series.id} broadcast errors (${source})`,
+                    satellite: series.id.toLowerCase(),
+                    orbit: series.orbit
+                }).id;
+            }
+            return exported;
+        })
+    };
+}
+
+if (process.argv[1] && process.argv[1].endsWith('ingestProducts.js')) {
+    const args = parseArgs(process.argv.slice(2));
+    try {
+        const result = ingestProducts({
+            nav: args.nav,
+            sp3: args.sp3,
+            clk: args.clk,
+            satellites: typeof args.satellites === 'string' ? args.satellites.split(',').map(s => s.trim().toUpperCase()) : undefined,
+            out: typeof args.out === 'string' ? args.out : undefined,
+            register: Boolean(args.register)
+        });
+
+        console.log(`\n📡 Broadcast − precise, ${result.start} → ${result.end}`);
+        result.satellites.forEach(s => {
+            const skipped = Object.entries(s.missing).filter(([, n]) => n > 0).map(([reason, n]) => `${n} no ${reason}`).join(', ');
+            const target = [s.file, s.dataset && `dataset ${s.dataset}`].filter(Boolean).join(', ');
+            console.log(`   ${s.id} ${(s.orbit || '—').padEnd(4)} ${String(s.rows).padStart(5)} epochs${skipped ? ` (${skipped})` : ''}${target ? ` → ${target}` : ''}`);
+        });
+        if (!args.out && !args.register) console.log('\n   Pass --out <dir> to write CSVs or --register to store them as datasets');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * STELLAR Model Evaluation
+ *
+ * Runs a registered model over a held-out split and returns its forecast
+ * residuals per horizon and channel, or a walk-forward backtest against the
+ * naive baselines, for the Residuals page and the
+ * /models/:satellite/:orbit/:version/residuals and /backtest endpoints.
+ */
+
+import { computeResiduals, backtestModel } from '../src/services/aiService.js';
+import { BASELINES, serializeBacktest } from '../src/utils/backtest.js';
+import { STATISTICAL_METHODS } from '../src/utils/statisticalForecast.js';
+import { medianStepMinutes } from '../src/utils/telemetryIngest.js';
+import { orbitalPeriodHours } from '../src/data/realSatelliteData.js';
+import { loadRegisteredModel } from './modelStore.js';
+import { resolveModel } from './modelRegistry.js';
+import { loadDataset, heldOutDataset } from './datasetStore.js';
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Input context for a held-out split: the training rows, but only if the
+ * split continues after them in time
+ * @returns {Array} Rows to pass as `context` to checkCalibration / computeResiduals
+ */
+export function heldOutContext(trainingRows, heldOutRows) {
+    if (!trainingRows?.length || !heldOutRows.length) return [];
+    return heldOutRows[0].timestamp > trainingRows[trainingRows.length - 1].timestamp ? trainingRows : [];
+}
+
+/**
+ * Held-out rows of a model with the training rows that precede them
+ * @returns {Object} { metadata, dir, datasetId, rows: held-out rows, context }, or null if the model does not exist
+ */
+function heldOutRows(satellite, orbit, version, dataset) {
+    const resolved = resolveModel(satellite, orbit, version);
+    if (!resolved) return null;
+
+    const { metadata } = resolved;
+    if (!metadata) {
+        throw httpError(503, `No model available: ${satellite} ${orbit} ${resolved.version} is registered but its files cannot be loaded from ${resolved.dir}`);
+    }
+    const datasetId = dataset || heldOutDataset(metadata.dataset);
+    if (!datasetId) {
+        throw httpError(400, `No held-out split for ${metadata.dataset}; pass ?dataset=`);
+    }
+    const loaded = loadDataset(datasetId);
+    if (!loaded) throw httpError(404, `Dataset ${datasetId} not found`);
+
+    const training = datasetId !== metadata.dataset ? loadDataset(metadata.dataset) : null;
+    return { metadata, dir: resolved.dir, datasetId, rows: loaded.rows, context: heldOutContext(training?.rows, loaded.rows) };
+}
+
+/**
+ * Residuals of a registered model on a dataset
+ * @param {string} satellite - Satellite id
+ * @param {string} orbit - Orbit type
+ * @param {string} version - Version or alias
+ * @param {Object} options - { dataset: dataset ID (defaults to the held-out split of the training dataset) }
+ * @returns {Promise<Object|null>} Response body, or null if the model does not exist
+ * @throws 503 when the model's files cannot be loaded
+ */
+export async function modelResiduals(satellite, orbit, version, { dataset } = {}) {
+    const heldOut = heldOutRows(satellite, orbit, version, dataset);
+    if (!heldOut) return null;
+
+    const { metadata, datasetId, rows, context } = heldOut;
+    const { model } = await loadRegisteredModel(heldOut.dir, metadata.modelId);
+    const report = await computeResiduals(model, rows, metadata, { context });
+    if (!report) {
+        throw httpError(422, `${datasetId} is too short to score any horizon of ${metadata.modelId}`);
+    }
+
+    return {
+        satellite,
+        orbit,
+        model: metadata.modelId,
+        model_version: metadata.version,
+        dataset: datasetId,
+        trained_on: metadata.dataset,
+        context_rows: Math.min(context.length, metadata.sequenceLength),
+        step_minutes: metadata.resampling?.stepMinutes ?? medianStepMinutes(rows),
+        windows: report.windows,
+        units: metadata.units,
+        horizons: report.horizons.map(h => ({
+            horizon: h.horizonLabel,
+            horizon_steps: h.horizon,
+            samples: h.samples,
+            timestamps: h.timestamps.map(t => new Date(t).toISOString()),
+            residuals: h.residuals
+        }))
+    };
+}
+
+/**
+ * Walk-forward backtest of a registered model on a held-out split. Every
+ * origin inside the split (plus the end of the training data when the split
+ * follows it) is forecast by the model and the baselines, and only targets
+ * inside the split are scored.
+ * @param {string} satellite - Satellite id
+ * @param {string} orbit - Orbit type
+ * @param {string} version - Version or alias
+ * @param {Object} options - { dataset (defaults to the held-out split of the training dataset), stride, baselines (ids),
+ *                            classical (statistical method ids, see utils/statisticalForecast.js) }
+ * @returns {Promise<Object|null>} Response body, or null if the model does not exist
+ * @throws 503 when the model's files cannot be loaded
+ */
+export async function modelBacktest(satellite, orbit, version, { dataset, stride = 1, baselines, classical } = {}) {
+    const unknown = (baselines || []).filter(id => !BASELINES[id]);
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown baseline ${unknown.join(', ')}; use ${Object.keys(BASELINES).join(', ')}`);
+    }
+    const unknownMethods = (classical || []).filter(id => !STATISTICAL_METHODS[id]);
+    if (unknownMethods.length > 0) {
+        throw httpError(400, `Unknown statistical method ${unknownMethods.join(', ')}; use ${Object.keys(STATISTICAL_METHODS).join(', ')}`);
+    }
+    if (!(Number.isInteger(stride) && stride >= 1)) throw httpError(400, 'stride must be a positive integer');
+
+    const heldOut = heldOutRows(satellite, orbit, version, dataset);
+    if (!heldOut) return null;
+
+    const { metadata, datasetId, rows, context } = heldOut;
+    const { model } = await loadRegisteredModel(heldOut.dir, metadata.modelId);
+    const periodHours = orbitalPeriodHours(orbit);
+    const report = await backtestModel(model, [...context, ...rows], metadata, {
+        scoreFrom: context.length,
+        stride,
+        periodMinutes: periodHours ? periodHours * 60 : null,
+        baselines,
+        classical,
+        label: metadata.modelId
+    });
+    if (report.methods[0].samples === 0) {
+        throw httpError(422, `${datasetId} is too short to backtest any horizon of ${metadata.modelId}`);
+    }
+
+    return {
+        satellite,
+        orbit,
+        model: metadata.modelId,
+        model_version: metadata.version,
+        dataset: datasetId,
+        trained_on: metadata.dataset,
+        context_rows: context.length,
+        units: metadata.units,
+        ...serializeBacktest(report)
+    };
+}
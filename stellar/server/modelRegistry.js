@@ -0,0 +1,246 @@
+/**
+ * STELLAR Model Registry
+ *
+ * Versioned forecast models per satellite and orbit type:
+ *
+ *   storage/registry/<satellite>/<orbit>/index.json     versions + aliases
+ *   storage/registry/<satellite>/<orbit>/<x.y.z>/        model.json, weights.bin, metadata.json
+ *
+ * Every registered model gets a semantic version. The "production" alias is
+ * what /forecast serves by default; promotions are kept as a stack so a
+ * rollback returns to the previously promoted version.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_DIR, writeJSON, readJSON } from './storage.js';
+import { saveArtifacts, artifactsToModel } from './modelStore.js';
+import { CHANNELS } from '../src/utils/telemetryIngest.js';
+
+const REGISTRY_DIR = path.join(STORAGE_DIR, 'registry');
+
+export const PRODUCTION = 'production';
+export const ORBIT_TYPES = ['GEO', 'MEO', 'IGSO', 'LEO'];
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function seriesDir(satellite, orbit) {
+    if (!/^[a-z0-9-]+$/.test(satellite)) {
+        throw httpError(400, `Invalid satellite id "${satellite}"`);
+    }
+    if (!ORBIT_TYPES.includes(orbit)) {
+        throw httpError(400, `Invalid orbit type "${orbit}". Expected one of ${ORBIT_TYPES.join(', ')}`);
+    }
+    return path.join(REGISTRY_DIR, satellite, orbit);
+}
+
+function readIndex(satellite, orbit) {
+    return readJSON(path.join(seriesDir(satellite, orbit), 'index.json'), {
+        satellite,
+        orbit,
+        versions: [],
+        production: null,
+        production_history: []
+    });
+}
+
+function writeIndex(index) {
+    const dir = seriesDir(index.satellite, index.orbit);
+    fs.mkdirSync(dir, { recursive: true });
+    writeJSON(path.join(dir, 'index.json'), index);
+}
+
+/**
+ * Orbit type of an ISRO dataset name, e.g. "MEO_Train2" → "MEO"
+ */
+export function orbitForDataset(dataset) {
+    return dataset.split('_')[0].toUpperCase();
+}
+
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+    return match ? match.slice(1).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    const [pa, pb] = [parseVersion(a), parseVersion(b)];
+    for (let i = 0; i < 3; i++) {
+        if (pa[i] !== pb[i]) return pa[i] - pb[i];
+    }
+    return 0;
+}
+
+function nextVersion(versions, bump) {
+    if (versions.length === 0) return '1.0.0';
+    const latest = versions.map(v => v.version).sort(compareVersions).at(-1);
+    const [major, minor, patch] = parseVersion(latest);
+    if (bump === 'major') return `${major + 1}.0.0`;
+    if (bump === 'patch') return `${major}.${minor}.${patch + 1}`;
+    return `${major}.${minor + 1}.0`;
+}
+
+/**
+ * Check that artifacts load and match the forecast input/output contract
+ */
+async function validateArtifacts(artifacts, metadata) {
+    for (const key of ['normalizationParams', 'sequenceLength', 'predictionHorizons']) {
+        if (metadata?.[key] === undefined) {
+            throw httpError(400, `metadata.${key} is required`);
+        }
+    }
+
+    let model;
+    try {
+        model = await artifactsToModel(artifacts);
+    } catch (error) {
+        throw httpError(400, `Model artifacts could not be loaded: ${error.message}`);
+    }
+
+    const [, steps, features] = model.inputs[0].shape;
+    const outputs = model.outputs[0].shape[1];
+    model.dispose();
+
+    // The four channels, plus the time-delta input if the model was trained with it
+    const inputs = CHANNELS.length + (metadata.resampling?.timeDelta ? 1 : 0);
+    if (steps !== metadata.sequenceLength || features !== inputs) {
+        throw httpError(400, `Model input shape [${steps}, ${features}] does not match [${metadata.sequenceLength}, ${inputs}]`);
+    }
+    // Gaussian heads carry a log-variance for every mean
+    const expected = CHANNELS.length * metadata.predictionHorizons.length * (metadata.uncertainty === 'gaussian' ? 2 : 1);
+    if (outputs !== expected) {
+        throw httpError(400, `Model outputs ${outputs} values, expected ${expected} for ${metadata.predictionHorizons.length} horizons${metadata.uncertainty === 'gaussian' ? ' (means and log-variances)' : ''}`);
+    }
+}
+
+/**
+ * Store a model as a new version
+ * @param {Object} params - { satellite, orbit, artifacts, metadata, version, bump, promote, source, jobId }
+ * @returns {Promise<Object>} The version entry
+ */
+export async function registerModel({ satellite, orbit, artifacts, metadata, version, bump = 'minor', promote = false, source = 'upload', jobId = null }) {
+    const index = readIndex(satellite, orbit);
+
+    if (version !== undefined && !parseVersion(version)) {
+        throw httpError(400, `Version "${version}" is not a semantic version (x.y.z)`);
+    }
+    if (!['major', 'minor', 'patch'].includes(bump)) {
+        throw httpError(400, `bump must be major, minor or patch`);
+    }
+    const assigned = version || nextVersion(index.versions, bump);
+    if (index.versions.some(v => v.version === assigned)) {
+        throw httpError(409, `${satellite} ${orbit} version ${assigned} already exists`);
+    }
+
+    await validateArtifacts(artifacts, metadata);
+
+    const modelId = `stellar-gnss-${satellite}-${orbit.toLowerCase()}@${assigned}`;
+    const createdAt = new Date().toISOString();
+
+    saveArtifacts(path.join(seriesDir(satellite, orbit), assigned), artifacts, {
+        ...metadata,
+        modelId,
+        satellite,
+        orbit,
+        version: assigned,
+        registeredAt: createdAt,
+        source
+    });
+
+    const entry = {
+        version: assigned,
+        model_id: modelId,
+        created_at: createdAt,
+        source,
+        job_id: jobId,
+        dataset: metadata.dataset || null,
+        validation_rmse: metadata.validationRMSE || null
+    };
+    index.versions.push(entry);
+
+    if (promote || !index.production) {
+        index.production = assigned;
+        index.production_history.push({ version: assigned, promoted_at: createdAt });
+    }
+    writeIndex(index);
+
+    return { ...entry, satellite, orbit, production: index.production === assigned };
+}
+
+/**
+ * All registered versions, optionally filtered
+ */
+export function listModels({ satellite, orbit } = {}) {
+    if (!fs.existsSync(REGISTRY_DIR)) return [];
+
+    const models = [];
+    for (const sat of fs.readdirSync(REGISTRY_DIR)) {
+        if (satellite && sat !== satellite) continue;
+        for (const orb of fs.readdirSync(path.join(REGISTRY_DIR, sat))) {
+            if (orbit && orb !== orbit) continue;
+            const index = readIndex(sat, orb);
+            index.versions.forEach(entry => models.push({
+                ...entry,
+                satellite: sat,
+                orbit: orb,
+                production: index.production === entry.version
+            }));
+        }
+    }
+    return models.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Aliases and versions for one satellite/orbit series
+ */
+export function getSeries(satellite, orbit) {
+    const index = readIndex(satellite, orbit);
+    if (index.versions.length === 0) return null;
+    return index;
+}
+
+/**
+ * Resolve a version or the "production" alias to a stored model
+ * @returns {Object|null} { version, dir, metadata }
+ */
+export function resolveModel(satellite, orbit, versionOrAlias = PRODUCTION) {
+    const index = readIndex(satellite, orbit);
+    const version = versionOrAlias === PRODUCTION ? index.production : versionOrAlias;
+    if (!version || !index.versions.some(v => v.version === version)) return null;
+
+    const dir = path.join(seriesDir(satellite, orbit), version);
+    return { version, dir, metadata: readJSON(path.join(dir, 'metadata.json')) };
+}
+
+/**
+ * Point the production alias at a version
+ */
+export function promoteModel(satellite, orbit, version) {
+    const index = readIndex(satellite, orbit);
+    if (!index.versions.some(v => v.version === version)) {
+        throw httpError(404, `${satellite} ${orbit} version ${version} not found`);
+    }
+    if (index.production === version) return index;
+
+    index.production = version;
+    index.production_history.push({ version, promoted_at: new Date().toISOString() });
+    writeIndex(index);
+    return index;
+}
+
+/**
+ * Return production to the previously promoted version
+ */
+export function rollbackModel(satellite, orbit) {
+    const index = readIndex(satellite, orbit);
+    if (index.production_history.length < 2) {
+        throw httpError(409, `${satellite} ${orbit} has no earlier production version to roll back to`);
+    }
+
+    const rolledBack = index.production_history.pop();
+    index.production = index.production_history.at(-1).version;
+    index.last_rollback = { from: rolledBack.version, to: index.production, at: new Date().toISOString() };
+    writeIndex(index);
+    return index;
+}
@@ -0,0 +1,97 @@
+/**
+ * STELLAR Model Store
+ *
+ * Reads and writes TF.js forecast model artifacts on disk for the API server
+ * and the Vercel functions. Artifacts use the standard TF.js layout
+ * (model.json + weights.bin) so the browser can load the same files with
+ * tf.loadLayersModel.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeJSON, readJSON } from './storage.js';
+import { modelToArtifacts, artifactsToModel } from '../src/services/aiService.js';
+
+const WEIGHTS_FILE = 'weights.bin';
+const modelCache = new Map();
+
+// Shared with the browser's training worker (the forecast architectures' custom layers are registered there)
+export { modelToArtifacts, artifactsToModel };
+
+/**
+ * Write model.json, weights.bin and metadata.json
+ * @param {string} dir - Target directory
+ * @param {Object} artifacts - From modelToArtifacts (weightData as ArrayBuffer)
+ * @param {Object} metadata - Normalization params, horizons, residual std, metrics...
+ */
+export function saveArtifacts(dir, artifacts, metadata) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const modelJson = {
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        modelTopology: artifacts.modelTopology,
+        weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }]
+    };
+    fs.writeFileSync(path.join(dir, WEIGHTS_FILE), Buffer.from(artifacts.weightData));
+    fs.writeFileSync(path.join(dir, 'model.json'), JSON.stringify(modelJson));
+    writeJSON(path.join(dir, 'metadata.json'), metadata);
+    modelCache.delete(dir);
+}
+
+/**
+ * Read the artifacts stored in a directory
+ * @returns {Object|null} { modelTopology, weightSpecs, weightData } or null if nothing is stored there
+ */
+export function readArtifacts(dir) {
+    const modelJson = readJSON(path.join(dir, 'model.json'));
+    if (!modelJson) return null;
+
+    const weightSpecs = modelJson.weightsManifest.flatMap(group => group.weights);
+    const weightBuffer = Buffer.concat(modelJson.weightsManifest.flatMap(group =>
+        group.paths.map(p => fs.readFileSync(path.join(dir, p)))
+    ));
+
+    return {
+        modelTopology: modelJson.modelTopology,
+        weightSpecs,
+        weightData: weightBuffer.buffer.slice(weightBuffer.byteOffset, weightBuffer.byteOffset + weightBuffer.byteLength)
+    };
+}
+
+/**
+ * Load a model and its metadata from disk, cached per directory
+ * @returns {Promise<Object|null>} { model, metadata } or null if nothing is stored there
+ */
+export async function loadForecastModel(dir) {
+    const modelPath = path.join(dir, 'model.json');
+    if (!fs.existsSync(modelPath)) return null;
+
+    const mtime = fs.statSync(modelPath).mtimeMs;
+    const cached = modelCache.get(dir);
+    if (cached && cached.mtime === mtime) return cached.entry;
+
+    const model = await artifactsToModel(readArtifacts(dir));
+    const metadata = readJSON(path.join(dir, 'metadata.json'));
+
+    const entry = { model, metadata };
+    if (cached) cached.entry.model.dispose();
+    modelCache.set(dir, { mtime, entry });
+    return entry;
+}
+
+/**
+ * loadForecastModel for a registered version, whose files must be on disk
+ * @param {string} dir - Version directory
+ * @param {string} label - Model named in the error, e.g. "gsat-14 MEO 1.2.0"
+ * @returns {Promise<Object>} { model, metadata }
+ * @throws 503 when model.json or metadata.json is missing
+ */
+export async function loadRegisteredModel(dir, label) {
+    const loaded = await loadForecastModel(dir);
+    if (!loaded?.metadata) {
+        throw Object.assign(new Error(`No model available: ${label} is registered but its files cannot be loaded from ${dir}`), { status: 503 });
+    }
+    return loaded;
+}
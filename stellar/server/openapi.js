@@ -0,0 +1,476 @@
+/**
+ * STELLAR OpenAPI
+ *
+ * The spec served at /api/v1/openapi.json is generated from the registered
+ * Express routes: paths, methods and required scopes come from the router,
+ * summaries and body schemas from OPERATIONS below. The same schemas
+ * validate incoming bodies (validateBody) so the documentation and the
+ * checks cannot drift apart.
+ */
+
+import { ORBIT_TYPES } from './modelRegistry.js';
+import { SCOPES } from './apiKeys.js';
+import { ARCHITECTURES } from '../src/services/modelArchitectures.js';
+import { STATISTICAL_METHODS } from '../src/utils/statisticalForecast.js';
+import { GAP_FILLS } from '../src/utils/resample.js';
+import { DURATION_PATTERN } from './forecastGrid.js';
+
+const API_VERSION = '2.0.0';
+
+const satelliteId = { type: 'string', pattern: '^[a-z0-9-]+$', example: 'gsat-14' };
+const datasetId = { type: 'string', minLength: 1, description: 'Built-in split (e.g. "MEO_Train2") or uploaded dataset ID', example: 'MEO_Train2' };
+const orbit = { type: 'string', enum: [...ORBIT_TYPES, ...ORBIT_TYPES.map(o => o.toLowerCase())], example: 'MEO' };
+const duration = { type: 'string', pattern: DURATION_PATTERN, 'x-pattern-message': 'must be a label such as "6h" or an ISO-8601 duration such as "PT6H"' };
+
+/**
+ * Documentation per route, keyed by "METHOD /express/path"
+ */
+export const OPERATIONS = {
+    'GET /api/v1/health': { summary: 'Health check', tags: ['System'], description: 'Check system status and service availability' },
+    'GET /api/v1': { summary: 'API index', tags: ['System'], description: 'Endpoints with their required scopes' },
+    'GET /api/v1/openapi.json': { summary: 'OpenAPI document', tags: ['System'], description: 'This specification' },
+    'GET /api/v1/satellites': { summary: 'List satellites', tags: ['Forecast'], description: 'Known satellites and the datasets tagged with them' },
+    'POST /api/v1/forecast': {
+        summary: 'GNSS forecast',
+        tags: ['Forecast'],
+        description: 'Predict radial/along/cross/clock errors with the production (or pinned) model, or with a statistical forecaster. Each point is marked as a direct model output or interpolated between trained horizons',
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                satellite: satelliteId,
+                dataset: datasetId,
+                horizon: { ...duration, description: 'Longest lead time: a label ("15m" … "24h") or an ISO-8601 duration ("PT6H"). Defaults to the longest trained horizon', example: '6h' },
+                step: { ...duration, description: 'Regular grid spacing, label or ISO-8601 duration ("PT30M"). Omit for the trained horizons only', example: '1h' },
+                steps: { type: 'integer', minimum: 1, maximum: 288, description: 'Maximum number of points returned' },
+                model_version: { type: 'string', pattern: '^(production|\\d+\\.\\d+\\.\\d+)$', example: 'production' },
+                method: {
+                    type: 'string',
+                    enum: ['model', ...Object.keys(STATISTICAL_METHODS)],
+                    description: 'Forecaster: the registered network ("model", default) or a statistical method fitted on the request dataset, which needs no trained model'
+                }
+            }
+        },
+        example: { satellite: 'gsat-14', horizon: '6h', step: '1h' }
+    },
+    'POST /api/v1/train': {
+        summary: 'Train model',
+        tags: ['Training'],
+        description: 'Queue a training job on a dataset',
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                dataset: datasetId,
+                satellite: satelliteId,
+                epochs: { type: 'integer', minimum: 1, maximum: 1000 },
+                batch_size: { type: 'integer', minimum: 1, maximum: 1024 },
+                learning_rate: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+                architecture: { type: 'string', enum: Object.keys(ARCHITECTURES), description: 'Forecast network topology (default "lstm")' },
+                step_minutes: { type: 'number', exclusiveMinimum: 0, maximum: 1440, description: 'Time grid the telemetry is resampled onto; horizons are steps of it (default 15)' },
+                gap_fill: { type: 'string', enum: Object.keys(GAP_FILLS), description: 'Whether imputed grid points are training targets ("interpolate") or inputs only ("mask", default)' },
+                max_gap_minutes: { type: 'number', exclusiveMinimum: 0, description: 'Longer gaps are masked rather than interpolated (default 240 for GEO, 2880 for MEO)' },
+                time_delta: { type: 'boolean', description: 'Feed the minutes since the last real observation as an extra input (default false)' },
+                promote: { type: 'boolean' }
+            }
+        },
+        example: { dataset: 'MEO_Train2', epochs: 50, batch_size: 32, learning_rate: 0.001 }
+    },
+    'GET /api/v1/train/status': {
+        summary: 'Training status',
+        tags: ['Training'],
+        description: 'Status of a job, or of the latest job when job_id is omitted',
+        query: [{ name: 'job_id', schema: { type: 'string' } }]
+    },
+    'GET /api/v1/train/jobs': { summary: 'List training jobs', tags: ['Training'] },
+    'DELETE /api/v1/train/jobs/:id': { summary: 'Cancel training job', tags: ['Training'] },
+    'GET /api/v1/train/jobs/:id/events': { summary: 'Training progress stream', tags: ['Training'], stream: true, description: 'Server-Sent Events: status, epoch, end' },
+    'GET /api/v1/satellites/:id/stream': { summary: 'Live telemetry stream', tags: ['Forecast'], stream: true, description: 'Server-Sent Events: one telemetry event per second' },
+    'POST /api/v1/datasets': {
+        summary: 'Upload dataset',
+        tags: ['Datasets'],
+        description: 'Upload a telemetry CSV; validated and tagged with satellite and orbit',
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['csv'],
+            properties: {
+                csv: { type: 'string', minLength: 1 },
+                satellite: satelliteId,
+                orbit,
+                name: { type: 'string' }
+            }
+        },
+        textBody: true,
+        query: [
+            { name: 'satellite', schema: satelliteId, description: 'For text/csv uploads' },
+            { name: 'orbit', schema: orbit, description: 'For text/csv uploads' },
+            { name: 'name', schema: { type: 'string' } }
+        ]
+    },
+    'GET /api/v1/datasets': {
+        summary: 'List datasets',
+        tags: ['Datasets'],
+        query: [{ name: 'satellite', schema: satelliteId }, { name: 'orbit', schema: orbit }]
+    },
+    'GET /api/v1/datasets/:id': { summary: 'Get dataset', tags: ['Datasets'], description: 'Metadata, statistics, quality and rejected rows' },
+    'DELETE /api/v1/datasets/:id': { summary: 'Delete dataset', tags: ['Datasets'] },
+    'POST /api/v1/models': {
+        summary: 'Upload model',
+        tags: ['Models'],
+        description: 'Register TF.js artifacts as a new model version',
+        body: {
+            type: 'object',
+            required: ['satellite', 'orbit', 'metadata', 'artifacts'],
+            properties: {
+                satellite: satelliteId,
+                orbit,
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                bump: { type: 'string', enum: ['major', 'minor', 'patch'] },
+                promote: { type: 'boolean' },
+                metadata: { type: 'object', required: ['normalizationParams', 'sequenceLength', 'predictionHorizons'] },
+                artifacts: {
+                    type: 'object',
+                    required: ['modelTopology', 'weightData'],
+                    properties: { modelTopology: { type: 'object' }, weightSpecs: { type: 'array' }, weightsManifest: { type: 'array' }, weightData: { type: 'string', description: 'base64' } }
+                }
+            }
+        }
+    },
+    'GET /api/v1/models': {
+        summary: 'List model versions',
+        tags: ['Models'],
+        query: [{ name: 'satellite', schema: satelliteId }, { name: 'orbit', schema: orbit }]
+    },
+    'GET /api/v1/models/:satellite/:orbit': { summary: 'Model series', tags: ['Models'], description: 'Versions, production alias and promotion history' },
+    'GET /api/v1/models/:satellite/:orbit/:version': { summary: 'Model version', tags: ['Models'], description: 'Metadata for a version or "production"' },
+    'GET /api/v1/models/:satellite/:orbit/:version/residuals': {
+        summary: 'Model residuals',
+        tags: ['Models'],
+        description: 'Forecast residuals (actual − predicted) per horizon and channel on a held-out split',
+        query: [{ name: 'dataset', schema: datasetId, description: 'Default: the held-out split of the training dataset' }]
+    },
+    'GET /api/v1/models/:satellite/:orbit/:version/backtest': {
+        summary: 'Model backtest',
+        tags: ['Models'],
+        description: 'Walk-forward (rolling-origin) RMSE, MAE, bias and skill against persistence per horizon and channel, for the model and the persistence, seasonal-naive, linear-drift and ARIMA baselines',
+        query: [
+            { name: 'dataset', schema: datasetId, description: 'Default: the held-out split of the training dataset' },
+            { name: 'stride', schema: { type: 'integer', minimum: 1 }, description: 'Rows between forecast origins (default 1)' },
+            { name: 'baselines', schema: { type: 'string', example: 'persistence,arima' }, description: 'Comma-separated baseline ids (default all)' },
+            { name: 'classical', schema: { type: 'string', example: 'holtWinters,ensemble' }, description: `Comma-separated statistical forecasters to score alongside the model: ${Object.keys(STATISTICAL_METHODS).join(', ')}` }
+        ]
+    },
+    'POST /api/v1/models/:satellite/:orbit/:version/promote': { summary: 'Promote model', tags: ['Models'] },
+    'POST /api/v1/models/:satellite/:orbit/rollback': { summary: 'Roll back model', tags: ['Models'] },
+    'POST /api/v1/keys': {
+        summary: 'Create API key',
+        tags: ['Keys'],
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['name', 'scopes'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.values(SCOPES) } },
+                rate_limit: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        requests_per_minute: { type: 'number', exclusiveMinimum: 0 },
+                        burst: { type: 'number', exclusiveMinimum: 0 }
+                    }
+                }
+            }
+        },
+        example: { name: 'ci', scopes: ['forecast:read'], rate_limit: { requests_per_minute: 60, burst: 20 } }
+    },
+    'GET /api/v1/keys': { summary: 'List API keys', tags: ['Keys'] },
+    'POST /api/v1/keys/:id/rotate': { summary: 'Rotate API key', tags: ['Keys'] },
+    'DELETE /api/v1/keys/:id': { summary: 'Revoke API key', tags: ['Keys'] },
+    'GET /api/v1/usage': {
+        summary: 'Key usage',
+        tags: ['Keys'],
+        description: 'Request counters for the calling key',
+        query: [{ name: 'key_id', schema: { type: 'string' } }, { name: 'all', schema: { type: 'string', enum: ['true', 'false'] } }]
+    },
+    'POST /api/v1/flood-risk': {
+        summary: 'Flood risk',
+        tags: ['Applications'],
+        description: 'Assess flood risk for a geographic region',
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', minimum: -180, maximum: 180 },
+                region: { type: 'string' }
+            }
+        },
+        example: { latitude: 10.0, longitude: 76.3, region: 'Kerala' }
+    },
+    'GET /api/v1/data/summary': { summary: 'Data summary', tags: ['Datasets'], description: 'Statistical summary of the training splits' },
+    'POST /api/v1/whatsapp/webhook': {
+        summary: 'WhatsApp webhook',
+        tags: ['Applications'],
+        description: 'WhatsApp message → agent action',
+        body: {
+            type: 'object',
+            properties: {
+                from: { type: 'string' },
+                message: { type: 'string' }
+            }
+        },
+        example: { from: '+91-9876543210', message: 'train model on MEO data' }
+    },
+    'GET /api/v1/summary': { aliasOf: 'GET /api/v1/data/summary' },
+    'POST /api/v1/webhook': { aliasOf: 'POST /api/v1/whatsapp/webhook' }
+};
+
+// ─── Schema Validation ─────────────────────────────────────────────
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the JSON Schema subset used in OPERATIONS
+ * (type, required, properties, additionalProperties, enum, pattern,
+ * minLength, minimum, maximum, exclusiveMinimum, items, minItems); a
+ * pattern may carry a readable x-pattern-message
+ * @returns {Array} [{ field, message }], empty when valid
+ */
+export function schemaErrors(schema, value, field = '') {
+    const errors = [];
+    const at = field || '(body)';
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+        if (!matches) return [{ field: at, message: `must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ field: at, message: `must not be empty` });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field: at, message: schema['x-pattern-message'] ?? `must match ${schema.pattern}` });
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field: at, message: `must be ≥ ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field: at, message: `must be ≤ ${schema.maximum}` });
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ field: at, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ field: at, message: `must have at least ${schema.minItems} item(s)` });
+        if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${field}[${i}]`)));
+    }
+
+    if (actual === 'object') {
+        const prefix = field ? `${field}.` : '';
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ field: `${prefix}${key}`, message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties?.[key];
+            if (childSchema) {
+                if (child !== undefined) errors.push(...schemaErrors(childSchema, child, `${prefix}${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: `${prefix}${key}`, message: 'is not a recognised field' });
+            }
+        });
+    }
+
+    return errors;
+}
+
+function resolveOperation(key) {
+    const doc = OPERATIONS[key];
+    return doc?.aliasOf ? { ...OPERATIONS[doc.aliasOf], aliasOf: doc.aliasOf } : doc;
+}
+
+/**
+ * One-line description of a route for the /api/v1 index
+ */
+export function describeOperation(method, path) {
+    const doc = resolveOperation(`${method} ${path}`);
+    return doc ? doc.description || doc.summary : null;
+}
+
+/**
+ * 400 response body (the InvalidBody response) for a list of problems
+ * @param {Array} details - [{ field, message }]
+ * @param {string} [message] - Summary; defaults to the details joined
+ */
+export function invalidBody(details, message = details.map(d => `${d.field} ${d.message}`).join('; ')) {
+    return {
+        error: 'Invalid request body',
+        message,
+        details
+    };
+}
+
+/**
+ * Validate a request body for an operation
+ * @param {string} key - "METHOD /express/path"
+ * @returns {Object|null} 400 response body, or null if the body is valid
+ */
+export function checkBody(key, body) {
+    const schema = resolveOperation(key)?.body;
+    if (!schema) return null;
+
+    const details = schemaErrors(schema, body ?? {});
+    return details.length === 0 ? null : invalidBody(details);
+}
+
+/**
+ * Express middleware: validate req.body against the route's schema
+ */
+export function validateBody(req, res, next) {
+    if (typeof req.body === 'string') return next(); // raw text/csv uploads
+    if (req.body === undefined) req.body = {};
+
+    const invalid = checkBody(`${req.method} ${req.baseUrl}${req.route.path}`, req.body);
+    if (invalid) return res.status(400).json(invalid);
+    next();
+}
+
+/**
+ * Express error middleware: answer a body that is not valid JSON with the
+ * InvalidBody response instead of Express's HTML error page
+ */
+export function jsonParseErrors(error, req, res, next) {
+    if (error.type !== 'entity.parse.failed') return next(error);
+    res.status(400).json(invalidBody([{ field: '(body)', message: `is not valid JSON: ${error.message}` }]));
+}
+
+// ─── Spec Generation ───────────────────────────────────────────────
+
+/**
+ * Routes registered on an Express app
+ * @returns {Array} [{ method, path, scope, authenticated }]
+ */
+export function expressRoutes(app) {
+    return app.router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => {
+            const auth = layer.route.stack.find(s => 'requiredScope' in s.handle);
+            return Object.keys(layer.route.methods).map(method => ({
+                method: method.toUpperCase(),
+                path: layer.route.path,
+                scope: auth ? auth.handle.requiredScope : null,
+                authenticated: Boolean(auth)
+            }));
+        });
+}
+
+function toOpenAPIPath(path) {
+    return path.replace(/:([A-Za-z_]+)/g, '{$1}');
+}
+
+function operationId(method, path) {
+    const words = path.replace(/^\/api\/v1\/?/, '').split(/[/.-]/).filter(w => w && !w.startsWith(':'));
+    return method.toLowerCase() + (words.length ? words.map(w => w[0].toUpperCase() + w.slice(1)).join('') : 'Index');
+}
+
+/**
+ * Build the OpenAPI 3.1 document
+ * @param {Array} routes - From expressRoutes (or an equivalent list)
+ * @param {Object} options - { serverUrl }
+ */
+export function buildOpenAPISpec(routes, { serverUrl = '/api/v1' } = {}) {
+    const paths = {};
+
+    routes.forEach(({ method, path, scope, authenticated }) => {
+        const key = `${method} ${path}`;
+        const doc = resolveOperation(key) || { summary: path };
+        // Aliases carry their scope check on the target route
+        const target = doc.aliasOf && routes.find(r => `${r.method} ${r.path}` === doc.aliasOf);
+        const requires = target ? { scope: target.scope, authenticated: target.authenticated } : { scope, authenticated };
+
+        const pathParams = [...path.matchAll(/:([A-Za-z_]+)/g)].map(m => ({
+            name: m[1], in: 'path', required: true, schema: { type: 'string' }
+        }));
+        const queryParams = (doc.query || []).map(q => ({ name: q.name, in: 'query', required: false, schema: q.schema, description: q.description }));
+
+        const operation = {
+            operationId: operationId(method, path),
+            summary: doc.summary,
+            description: doc.description,
+            tags: doc.tags,
+            ...(doc.aliasOf && { deprecated: true, 'x-alias-of': doc.aliasOf.split(' ')[1] }),
+            parameters: [...pathParams, ...queryParams],
+            ...(requires.authenticated && {
+                security: [{ ApiKeyAuth: requires.scope ? [requires.scope] : [] }],
+                'x-required-scope': requires.scope
+            }),
+            responses: {
+                200: doc.stream
+                    ? { description: 'Server-Sent Events', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+                    : { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+                ...(doc.body && { 400: { $ref: '#/components/responses/InvalidBody' } }),
+                ...(requires.authenticated && {
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' },
+                    429: { $ref: '#/components/responses/RateLimited' }
+                })
+            }
+        };
+
+        if (doc.body) {
+            operation.requestBody = {
+                required: Boolean(doc.body.required?.length),
+                content: {
+                    'application/json': { schema: doc.body, ...(doc.example && { example: doc.example }) },
+                    ...(doc.textBody && { 'text/csv': { schema: { type: 'string' } } })
+                }
+            };
+        }
+
+        const openapiPath = toOpenAPIPath(path);
+        paths[openapiPath] = { ...paths[openapiPath], [method.toLowerCase()]: operation };
+    });
+
+    const errorBody = { type: 'object', properties: { error: { type: 'string' }, message: { type: 'string' } } };
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'STELLAR Platform API',
+            version: API_VERSION,
+            description: 'GNSS error forecasting, training and model management for ISRO satellites.'
+        },
+        servers: [{ url: serverUrl }],
+        paths: Object.fromEntries(Object.entries(paths).map(([p, ops]) => [p.replace(/^\/api\/v1/, '') || '/', ops])),
+        components: {
+            securitySchemes: {
+                ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: `Scopes: ${Object.values(SCOPES).join(', ')}` }
+            },
+            responses: {
+                InvalidBody: {
+                    description: 'Request body failed schema validation',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                ...errorBody,
+                                properties: {
+                                    ...errorBody.properties,
+                                    details: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } }
+                                }
+                            }
+                        }
+                    }
+                },
+                Unauthorized: { description: 'Missing or invalid API key', content: { 'application/json': { schema: errorBody } } },
+                Forbidden: { description: 'API key lacks the required scope', content: { 'application/json': { schema: errorBody } } },
+                RateLimited: { description: 'Per-key rate limit exceeded (see Retry-After)', content: { 'application/json': { schema: errorBody } } }
+            }
+        }
+    };
+}
@@ -0,0 +1,48 @@
+/**
+ * Server-Sent Events helper
+ * Opens a text/event-stream response with keep-alive pings.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Start an SSE response
+ * @returns {Object} { send(event, data, id), close(), onClose(fn) }
+ */
+export function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const closeHandlers = [];
+    let closed = false;
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        closeHandlers.forEach(fn => fn());
+    };
+    req.on('close', cleanup);
+
+    return {
+        send(event, data, id) {
+            if (closed) return;
+            if (id !== undefined) res.write(`id: ${id}\n`);
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            cleanup();
+            res.end();
+        },
+        onClose(fn) {
+            closeHandlers.push(fn);
+        }
+    };
+}
@@ -0,0 +1,36 @@
+/**
+ * STELLAR server storage layout
+ * Everything the API server writes (models, jobs, uploads) lives under one
+ * directory so a deployment only has to persist a single volume.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STORAGE_DIR = process.env.STELLAR_STORAGE_DIR || path.join(__dirname, '..', 'storage');
+
+/**
+ * Resolve (and create) a subdirectory of the storage root
+ */
+export function storageDir(...parts) {
+    const dir = path.join(STORAGE_DIR, ...parts);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Write JSON atomically so a crash never leaves a half-written file behind
+ */
+export function writeJSON(filepath, value) {
+    const tmp = `${filepath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, filepath);
+}
+
+export function readJSON(filepath, fallback = null) {
+    if (!fs.existsSync(filepath)) return fallback;
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+}
@@ -0,0 +1,175 @@
+/**
+ * STELLAR model training CLI
+ *
+ * Trains the forecast network in Node and registers it as a new version in
+ * the model registry (promoted to production if it is the first one, or
+ * with --promote).
+ * Run: npm run train -- --satellite gsat-14 [--dataset MEO_Train2 | ds-...] [--epochs 50]
+ *      [--architecture lstm|gru|tcn|transformer|nbeats] [--step-minutes 15] [--gap-fill interpolate|mask]
+ *      [--max-gap-minutes 240 (GEO) | 2880 (MEO)] [--time-delta] [--promote]
+ */
+
+import { buildForecastModel, fitForecastModel, checkCalibration, AI_CONFIG } from '../src/services/aiService.js';
+import { loadDataset, heldOutDataset } from './datasetStore.js';
+import { heldOutContext } from './modelEvaluation.js';
+import { CHANNEL_UNITS } from '../src/utils/telemetryIngest.js';
+import { regularizeSeries, resamplingOf, hasTimestamps } from '../src/utils/resample.js';
+import { SATELLITE_DATASETS } from './forecastEngine.js';
+import { modelToArtifacts } from './modelStore.js';
+import { registerModel } from './modelRegistry.js';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            args[argv[i].slice(2)] = true;
+        } else {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Coverage of the forecast bounds on the held-out split for a training dataset
+ * @returns {Promise<Object|null>} { dataset, ...checkCalibration report }, or null if there is no usable split
+ */
+async function heldOutCalibration(model, dataset, rows, modelInfo) {
+    const heldOut = heldOutDataset(dataset);
+    const loaded = heldOut && loadDataset(heldOut);
+    if (!loaded || loaded.rows.length === 0) return null;
+
+    const report = await checkCalibration(model, loaded.rows, modelInfo, { context: heldOutContext(rows, loaded.rows) });
+    return report && { dataset: heldOut, ...report };
+}
+
+/**
+ * Train a forecast model for one satellite
+ * @param {Object} options - { satellite (defaults to the dataset's tag), dataset (built-in split or uploaded ID), epochs, batchSize, learningRate, sequenceLength, architecture,
+ *                            stepMinutes, gapFill, maxGapMinutes, timeDelta (time grid, see utils/resample.js) }
+ * @param {Object} callbacks - Forwarded to fitForecastModel
+ * @returns {Promise<Object|null>} { artifacts, metadata }, or null if training was cancelled
+ */
+export async function trainSatelliteModel(options, callbacks = {}) {
+    const {
+        satellite: requestedSatellite,
+        dataset = SATELLITE_DATASETS[requestedSatellite || 'gsat-14'],
+        epochs = 50,
+        batchSize = 32,
+        learningRate = 0.001,
+        sequenceLength = AI_CONFIG.sequenceLength,
+        architecture = AI_CONFIG.architecture
+    } = options;
+
+    const loaded = dataset && loadDataset(dataset);
+    if (!loaded) throw new Error(`Unknown dataset "${dataset}"`);
+
+    const { meta, rows } = loaded;
+    const satellite = requestedSatellite || meta.satellite;
+    const resampling = resamplingOf(options, meta.orbit);
+
+    // Keep only the horizons the dataset's time grid is long enough to supervise
+    const gridLength = hasTimestamps(rows) ? regularizeSeries(rows, resampling).rows.length : rows.length;
+    const predictionHorizons = AI_CONFIG.predictionHorizons.filter(h => h <= gridLength - sequenceLength);
+    if (predictionHorizons.length === 0) {
+        throw new Error(`Need at least ${sequenceLength + 1} steps of ${resampling.stepMinutes} min, have ${gridLength}`);
+    }
+
+    const model = buildForecastModel({ sequenceLength, predictionHorizons, learningRate, architecture, features: AI_CONFIG.features + (resampling.timeDelta ? 1 : 0) });
+    const result = await fitForecastModel(model, rows, {
+        epochs,
+        batchSize,
+        learningRate,
+        sequenceLength,
+        predictionHorizons,
+        ...resampling
+    }, callbacks);
+
+    if (result.metrics.cancelled) {
+        model.dispose();
+        return null;
+    }
+
+    const channels = ['radial', 'along', 'cross', 'clock'];
+    const validationRMSE = Object.fromEntries(channels.map(channel => [
+        channel,
+        Math.sqrt(result.residualStd.reduce((sum, h) => sum + h[channel] ** 2, 0) / result.residualStd.length)
+    ]));
+
+    const calibration = {
+        validation: result.calibration,
+        heldOut: await heldOutCalibration(model, dataset, rows, {
+            sequenceLength,
+            predictionHorizons,
+            normalizationParams: result.normalizationParams,
+            stdScale: result.stdScale,
+            residualStd: result.residualStd,
+            resampling: result.resampling
+        })
+    };
+
+    const metadata = {
+        satellite,
+        orbit: meta.orbit,
+        dataset,
+        datasetSha256: meta.sha256,
+        trainedAt: new Date().toISOString(),
+        trainingSamples: rows.length,
+        sequenceLength,
+        predictionHorizons,
+        architecture,
+        featureOrder: ['clock', 'radial', 'along', 'cross'],
+        units: { radial: CHANNEL_UNITS.radial, along: CHANNEL_UNITS.along, cross: CHANNEL_UNITS.cross, clock: CHANNEL_UNITS.clock },
+        config: { epochs, batchSize, learningRate },
+        resampling: result.resampling,
+        normalizationParams: result.normalizationParams,
+        uncertainty: result.metrics.uncertainty,
+        stdScale: result.stdScale,
+        residualStd: result.residualStd,
+        calibration,
+        validationRMSE,
+        metrics: result.metrics
+    };
+
+    const artifacts = await modelToArtifacts(model);
+    model.dispose();
+    return { artifacts, metadata };
+}
+
+if (process.argv[1] && process.argv[1].endsWith('trainModel.js')) {
+    const args = parseArgs(process.argv.slice(2));
+    trainSatelliteModel({
+        satellite: args.satellite,
+        dataset: args.dataset,
+        epochs: args.epochs ? Number(args.epochs) : undefined,
+        batchSize: args['batch-size'] ? Number(args['batch-size']) : undefined,
+        learningRate: args['learning-rate'] ? Number(args['learning-rate']) : undefined,
+        sequenceLength: args['sequence-length'] ? Number(args['sequence-length']) : undefined,
+        architecture: typeof args.architecture === 'string' ? args.architecture : undefined,
+        stepMinutes: args['step-minutes'] ? Number(args['step-minutes']) : undefined,
+        gapFill: typeof args['gap-fill'] === 'string' ? args['gap-fill'] : undefined,
+        maxGapMinutes: args['max-gap-minutes'] ? Number(args['max-gap-minutes']) : undefined,
+        timeDelta: args['time-delta'] === true || args['time-delta'] === 'true'
+    }).then(({ artifacts, metadata }) => registerModel({
+        satellite: metadata.satellite,
+        orbit: metadata.orbit,
+        artifacts,
+        metadata,
+        promote: Boolean(args.promote),
+        source: 'cli'
+    }).then(entry => {
+        console.log(`\n✅ Registered ${entry.model_id}${entry.production ? ' (production)' : ''}`);
+        console.log(`   Architecture: ${metadata.architecture}`);
+        console.log(`   Horizons: ${metadata.predictionHorizons.join(', ')} steps${metadata.resampling ? ` of ${metadata.resampling.stepMinutes} min (${metadata.resampling.gapFill})` : ''}`);
+        console.log(`   Validation RMSE: ${JSON.stringify(metadata.validationRMSE)}`);
+        Object.entries(metadata.calibration).filter(([, report]) => report).forEach(([split, report]) => {
+            const { coverage68, coverage95, calibrated } = report.overall;
+            console.log(`   Coverage (${report.dataset || split}, ${report.samples} windows): 68% → ${(coverage68 * 100).toFixed(1)}%, 95% → ${(coverage95 * 100).toFixed(1)}%${calibrated ? '' : ' ⚠️ miscalibrated'}`);
+        });
+    })).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
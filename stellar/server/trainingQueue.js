@@ -0,0 +1,274 @@
+/**
+ * STELLAR Training Queue
+ *
+ * Every POST /train enqueues its own job. Jobs run one at a time in a worker
+ * thread, their state (including per-epoch history) is written to
+ * storage/jobs/<job_id>.json, and queued or interrupted jobs are picked up
+ * again when the server restarts. Progress is also published on jobEvents
+ * (one event name per job_id) for the SSE endpoint.
+ */
+
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { storageDir, writeJSON, readJSON } from './storage.js';
+import { registerModel } from './modelRegistry.js';
+
+const JOBS_DIR = storageDir('jobs');
+const WORKER_PATH = new URL('./trainingWorker.js', import.meta.url);
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+export const FINISHED = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+// Emits (job_id, { type: 'epoch' | 'status', data })
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobs = new Map();
+const queue = [];
+let activeJob = null;
+
+function jobPath(jobId) {
+    return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+function persist(job) {
+    writeJSON(jobPath(job.job_id), job);
+}
+
+/**
+ * Job fields without the epoch history
+ */
+export function jobSummary(job) {
+    const { history, ...summary } = job;
+    return { ...summary, epochs_completed: history.length };
+}
+
+function publishStatus(job) {
+    jobEvents.emit(job.job_id, { type: 'status', data: jobSummary(job) });
+}
+
+/**
+ * Load persisted jobs and resume anything that had not finished
+ */
+export function restoreJobs() {
+    const files = fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json'));
+
+    for (const file of files) {
+        const job = readJSON(path.join(JOBS_DIR, file));
+        if (!job) continue;
+
+        if (job.status === JOB_STATUS.RUNNING && job.cancel_requested) {
+            // Interrupted while stopping: nothing left to resume
+            finish(job, JOB_STATUS.CANCELLED);
+        } else if (job.status === JOB_STATUS.RUNNING) {
+            // Interrupted by a restart: start it again from scratch
+            job.status = JOB_STATUS.QUEUED;
+            job.progress = 0;
+            job.history = [];
+            job.started_at = null;
+            job.restarts = (job.restarts || 0) + 1;
+            persist(job);
+        }
+        jobs.set(job.job_id, job);
+    }
+
+    const pending = [...jobs.values()]
+        .filter(job => job.status === JOB_STATUS.QUEUED)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    queue.push(...pending.map(job => job.job_id));
+
+    runNext();
+    return jobs.size;
+}
+
+/**
+ * Add a training job to the queue
+ * @param {Object} params - { satellite, dataset, config: { epochs, batch_size, learning_rate, architecture } }
+ * @returns {Object} The queued job
+ */
+export function enqueueJob({ satellite, dataset, config }) {
+    const job = {
+        job_id: `train-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        status: JOB_STATUS.QUEUED,
+        satellite,
+        dataset,
+        config,
+        progress: 0,
+        history: [],
+        created_at: new Date().toISOString(),
+        started_at: null,
+        completed_at: null,
+        metrics: null,
+        model: null,
+        error: null
+    };
+
+    jobs.set(job.job_id, job);
+    queue.push(job.job_id);
+    persist(job);
+    runNext();
+    return job;
+}
+
+export function getJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+/**
+ * All jobs, newest first, without their epoch history
+ */
+export function listJobs() {
+    return [...jobs.values()]
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(jobSummary);
+}
+
+/**
+ * Position of a queued job (1 = next to run), or null if it is not waiting
+ */
+export function queuePosition(jobId) {
+    const index = queue.indexOf(jobId);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Cancel a queued or running job
+ * @returns {Object|null} The job, or null if it does not exist
+ */
+export function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || FINISHED.has(job.status)) return job || null;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+        queue.splice(queue.indexOf(jobId), 1);
+        finish(job, JOB_STATUS.CANCELLED);
+    } else if (activeJob?.job.job_id === jobId) {
+        // The worker stops at the next epoch boundary and reports back
+        job.cancel_requested = true;
+        persist(job);
+        publishStatus(job);
+        activeJob.worker.postMessage({ type: 'cancel' });
+    }
+    return job;
+}
+
+function finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+        status,
+        completed_at: new Date().toISOString()
+    });
+    persist(job);
+    publishStatus(job);
+}
+
+async function completeJob(job, artifacts, metadata) {
+    const best = (key) => {
+        const values = job.history.map(h => h[key]).filter(v => v !== null);
+        return values.length > 0 ? Math.min(...values) : null;
+    };
+
+    try {
+        const entry = await registerModel({
+            satellite: metadata.satellite,
+            orbit: metadata.orbit,
+            artifacts,
+            metadata,
+            promote: Boolean(job.config.promote),
+            source: 'training',
+            jobId: job.job_id
+        });
+
+        finish(job, JOB_STATUS.COMPLETED, {
+            progress: 100,
+            metrics: {
+                best_train_loss: best('train_loss'),
+                best_val_loss: best('val_loss'),
+                rmse: metadata.validationRMSE,
+                coverage: (metadata.calibration?.heldOut || metadata.calibration?.validation)?.overall ?? null,
+                stopped_early: job.history.at(-1)?.stopped_early ?? false,
+                duration_seconds: Math.round(metadata.metrics.trainingDuration / 1000)
+            },
+            model: {
+                id: entry.model_id,
+                satellite: entry.satellite,
+                orbit: entry.orbit,
+                version: entry.version,
+                production: entry.production,
+                horizons: metadata.predictionHorizons
+            }
+        });
+    } catch (error) {
+        finish(job, JOB_STATUS.FAILED, { error: `Model registration failed: ${error.message}` });
+    }
+}
+
+function runNext() {
+    if (activeJob || queue.length === 0) return;
+
+    const job = jobs.get(queue.shift());
+    job.status = JOB_STATUS.RUNNING;
+    job.started_at = new Date().toISOString();
+    persist(job);
+    publishStatus(job);
+
+    const worker = new Worker(WORKER_PATH, {
+        workerData: { satellite: job.satellite, dataset: job.dataset, config: job.config }
+    });
+    activeJob = { job, worker };
+    let settled = false;
+
+    // Free the slot once the job has a final status; the worker may still be
+    // winding down, but the next job does not have to wait for its exit
+    const release = () => {
+        if (activeJob?.worker !== worker) return;
+        activeJob = null;
+        runNext();
+    };
+    const settle = (status, fields) => {
+        settled = true;
+        finish(job, status, fields);
+        release();
+    };
+
+    worker.on('message', (message) => {
+        switch (message.type) {
+            case 'epoch': {
+                const { type: _type, ...entry } = message;
+                job.history.push(entry);
+                job.progress = Math.min((message.epoch / job.config.epochs) * 100, 100);
+                persist(job);
+                jobEvents.emit(job.job_id, { type: 'epoch', data: { ...entry, progress: job.progress } });
+                break;
+            }
+            case 'completed':
+                settled = true;
+                completeJob(job, message.artifacts, message.metadata).finally(release);
+                break;
+            case 'cancelled':
+                settle(JOB_STATUS.CANCELLED);
+                break;
+            case 'failed':
+                settle(JOB_STATUS.FAILED, { error: message.error });
+                break;
+        }
+    });
+
+    worker.on('error', (error) => {
+        if (!settled) settle(JOB_STATUS.FAILED, { error: error.message });
+    });
+
+    worker.on('exit', (code) => {
+        if (!settled) settle(JOB_STATUS.FAILED, { error: `Training worker exited with code ${code}` });
+        release();
+    });
+}
@@ -0,0 +1,61 @@
+/**
+ * STELLAR training worker
+ *
+ * Runs one training job off the API server's event loop. Receives the job in
+ * workerData, reports every epoch to the parent and stops at the next epoch
+ * boundary when the parent posts { type: 'cancel' }. The port is closed after
+ * the final message so the thread exits.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { trainSatelliteModel } from './trainModel.js';
+
+let cancelRequested = false;
+
+parentPort.on('message', (message) => {
+    if (message.type === 'cancel') cancelRequested = true;
+});
+
+const { satellite, dataset, config } = workerData;
+
+try {
+    const result = await trainSatelliteModel({
+        satellite,
+        dataset,
+        epochs: config.epochs,
+        batchSize: config.batch_size,
+        learningRate: config.learning_rate,
+        architecture: config.architecture,
+        stepMinutes: config.step_minutes,
+        gapFill: config.gap_fill,
+        maxGapMinutes: config.max_gap_minutes,
+        timeDelta: config.time_delta
+    }, {
+        shouldStop: () => cancelRequested,
+        onEpochEnd: (epoch, logs, metrics) => {
+            parentPort.postMessage({
+                type: 'epoch',
+                epoch,
+                train_loss: logs.loss,
+                val_loss: logs.val_loss ?? null,
+                train_rmse: metrics.trainRMSE,
+                val_rmse: metrics.valRMSE,
+                stopped_early: metrics.stoppedEarly,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    if (result) {
+        // Hand the serialized weights to the parent, which owns the registry
+        const { artifacts, metadata } = result;
+        parentPort.postMessage({ type: 'completed', artifacts, metadata }, [artifacts.weightData]);
+    } else {
+        parentPort.postMessage({ type: 'cancelled' });
+    }
+} catch (error) {
+    parentPort.postMessage({ type: 'failed', error: error.message });
+} finally {
+    // The cancel listener would otherwise keep the thread alive
+    parentPort.close();
+}
@@ -76,7 +76,7 @@ const AIAssistant = ({ context = {} }) => {
                         messages: [
                             {
                                 role: 'system',
-                                content: `You are STELLAR-AI, the intelligent agent for STELLAR — an autonomous Geo-AI platform for satellite monitoring, flood prediction, crop health, and GNSS forecasting. You are powered by MiniMax M2.5 and integrated with Openclaw agentic skills. Be professional, concise, technical, and insightful. The platform monitors satellites across GPS, Galileo, GLONASS, BeiDou, NavIC, and QZSS using a Transformer-LSTM hybrid architecture with 57% error reduction over baseline.`
+                                content: `You are STELLAR-AI, the intelligent agent for STELLAR — an autonomous Geo-AI platform for satellite monitoring, flood prediction, crop health, and GNSS forecasting. You are powered by MiniMax M2.5 and integrated with Openclaw agentic skills. Be professional, concise, technical, and insightful. The platform monitors satellites across GPS, Galileo, GLONASS, BeiDou, NavIC, and QZSS with a forecast network selectable per training run (LSTM, GRU, TCN, Transformer encoder or N-BEATS). Forecast skill is measured by walk-forward backtest against persistence, seasonal-naive, drift and ARIMA baselines; do not quote a fixed improvement figure.`
                             },
                             ...messages.slice(-6).map(m => ({ role: m.role, content: m.content })),
                             { role: 'user', content: userMessage }
@@ -308,13 +308,12 @@ function getAIResponse(message, context) {
     const lower = message.toLowerCase();
 
     if (lower.includes('performance') || lower.includes('accuracy')) {
-        return `📊 **STELLAR-v1k Performance Metrics:**
+        return `📊 **STELLAR-v1k Performance:**
 
-• **15-minute horizon**: 98.2% accuracy (RMSE: 0.18ns)
-• **1-hour horizon**: 96.8% accuracy (RMSE: 0.31ns)
-• **24-hour horizon**: 94.6% accuracy (RMSE: 0.89ns)
+Skill is measured per model by walk-forward backtest: origins roll through held-out rows, and each horizon is scored against persistence, seasonal-naive, linear-drift and ARIMA forecasts of the same targets.
 
-Our Transformer-LSTM hybrid achieves **57% error reduction** vs persistence baseline across all horizons. Inference time is consistently under 50ms.`;
+• **Skill** = 1 − RMSE / persistence RMSE (above 0 beats "no change")
+• **Where**: Residuals page → Walk-Forward Skill, or the evidence strip once a backtest has run`;
     }
 
     if (lower.includes('satellite') || lower.includes('status') || lower.includes('fleet')) {
@@ -352,19 +351,16 @@ Uncertainty grows naturally with forecast horizon due to error accumulation.`;
     if (lower.includes('model') || lower.includes('architecture') || lower.includes('how')) {
         return `🧠 **STELLAR-v1k AI Architecture:**
 
-**Transformer-LSTM Hybrid:**
-1. Input: 7-day error sequences (672 points)
-2. Temporal Embedding Layer
-3. 6-head Transformer Encoder
-4. Bidirectional LSTM Bridge
-5. Multi-Horizon Decoder (8 horizons)
-6. Gaussian Mixture Output
-
-**Key Specs:**
-• Parameters: 12.4M
-• Training: 4.2 hours on A100
-• Inference: <50ms
-• Memory: 2.1 GB`;
+**Selectable Forecast Network:**
+1. Input: 48-step error windows (4 channels)
+2. Sequence encoder: LSTM stack, GRU, TCN, Transformer encoder or N-BEATS
+3. Multi-Horizon Head (8 horizons)
+4. Gaussian Output (mean + log-variance)
+
+**Choosing one:**
+• Configure step of the Scientist Workflow
+• Hyperparameter search compares them on the validation split
+• \`--architecture\` flag on the training CLI`;
     }
 
     if (lower.includes('forecast') || lower.includes('predict') || lower.includes('run')) {
@@ -10,14 +10,19 @@ import {
     ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { useAppStore } from '../store/appStore';
-import { initializeAI, generateForecast, getAIStatus } from '../services/aiService';
+import { initializeAI, generateForecast, generateStatisticalForecast, getAIStatus } from '../services/aiService';
 import { generateHistoricalData } from '../services/liveDataService';
+import { STATISTICAL_METHODS } from '../utils/statisticalForecast';
+import { orbitalPeriodHours } from '../data/mockData';
+
+const METHODS = { network: 'Neural network', ...STATISTICAL_METHODS };
 
 const AIInferencePanel = ({ satellite, onForecastComplete }) => {
     const [isLoading, setIsLoading] = useState(false);
     const [forecast, setForecast] = useState(null);
     const [aiStatus, setAiStatus] = useState(null);
     const [error, setError] = useState(null);
+    const [method, setMethod] = useState('network');
 
     const setActiveForecast = useAppStore(state => state.setActiveForecast);
     const addNotification = useAppStore(state => state.addNotification);
@@ -42,7 +47,13 @@ const AIInferencePanel = ({ satellite, onForecastComplete }) => {
 
         try {
             const historicalData = generateHistoricalData(satellite.id, 7, 15);
-            const result = await generateForecast(historicalData, satellite.id);
+            const periodHours = orbitalPeriodHours(satellite.orbit);
+            const result = method === 'network'
+                ? await generateForecast(historicalData, satellite.id)
+                : await generateStatisticalForecast(historicalData, satellite.id, {
+                    method,
+                    periodMinutes: periodHours ? periodHours * 60 : null
+                });
 
             setForecast(result);
             setActiveForecast(result);
@@ -50,7 +61,7 @@ const AIInferencePanel = ({ satellite, onForecastComplete }) => {
             addNotification({
                 type: 'success',
                 title: 'AI_FORECAST_COMPLETE',
-                message: `Generated predictions for ${satellite.id} in ${result.inferenceTimeMs.toFixed(0)}ms`
+                message: `Generated ${METHODS[method]} predictions for ${satellite.id} in ${result.inferenceTimeMs.toFixed(0)}ms`
             });
 
             if (onForecastComplete) onForecastComplete(result);
@@ -83,23 +94,35 @@ const AIInferencePanel = ({ satellite, onForecastComplete }) => {
                     </div>
                 </div>
 
-                <button
-                    onClick={runInference}
-                    disabled={!satellite || isLoading}
-                    className={`
-                        flex items-center gap-3 px-6 py-4 font-semibold text-xs uppercase tracking-wider border-2 transition-all
-                        ${!satellite || isLoading
-                            ? 'bg-slate-800 border-slate-700 text-slate-500 cursor-not-allowed'
-                            : 'bg-indigo-500 border-indigo-500/30 text-black hover:bg-indigo-400 hover:shadow-lg shadow-indigo-500/10'}
-                    `}
-                >
-                    {isLoading ? (
-                        <ArrowPathIcon className="w-4 h-4 animate-spin" />
-                    ) : (
-                        <BoltIcon className="w-4 h-4" />
-                    )}
-                    {isLoading ? 'RUNNING_INFERENCE...' : 'RUN_AI_FORECAST'}
-                </button>
+                <div className="flex items-center gap-3">
+                    <select
+                        value={method}
+                        onChange={(e) => setMethod(e.target.value)}
+                        disabled={isLoading}
+                        className="px-3 py-4 bg-[#020617] border-2 border-slate-800 text-[11px] font-semibold text-slate-300 uppercase tracking-wider focus:outline-none focus:border-indigo-500/50"
+                    >
+                        {Object.entries(METHODS).map(([id, label]) => (
+                            <option key={id} value={id}>{label}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={runInference}
+                        disabled={!satellite || isLoading}
+                        className={`
+                            flex items-center gap-3 px-6 py-4 font-semibold text-xs uppercase tracking-wider border-2 transition-all
+                            ${!satellite || isLoading
+                                ? 'bg-slate-800 border-slate-700 text-slate-500 cursor-not-allowed'
+                                : 'bg-indigo-500 border-indigo-500/30 text-black hover:bg-indigo-400 hover:shadow-lg shadow-indigo-500/10'}
+                        `}
+                    >
+                        {isLoading ? (
+                            <ArrowPathIcon className="w-4 h-4 animate-spin" />
+                        ) : (
+                            <BoltIcon className="w-4 h-4" />
+                        )}
+                        {isLoading ? 'RUNNING_INFERENCE...' : method === 'network' ? 'RUN_AI_FORECAST' : 'RUN_STAT_FORECAST'}
+                    </button>
+                </div>
             </div>
 
             {forecast ? (
@@ -117,6 +140,12 @@ const AIInferencePanel = ({ satellite, onForecastComplete }) => {
                         ))}
                     </div>
 
+                    {forecast.models && (
+                        <div className="text-[10px] font-mono text-slate-500 uppercase">
+                            {forecast.methodLabel} // clock: {[forecast.models.clock].flat().map(m => m.label).join(' + ')}
+                        </div>
+                    )}
+
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                         {forecast.forecasts.map((pred, i) => (
                             <div
@@ -1,54 +1,66 @@
 import { motion } from 'framer-motion';
+import { useMemo } from 'react';
 import { CpuChipIcon, ClockIcon, CubeTransparentIcon, ChartBarIcon, BoltIcon, CircleStackIcon } from '@heroicons/react/24/outline';
+import { AI_CONFIG } from '../services/aiService';
+import { ARCHITECTURES, buildArchitecture } from '../services/modelArchitectures';
+
+const LAYER_ICONS = [ClockIcon, CubeTransparentIcon, BoltIcon];
+const LAYER_COLORS = ['from-cyan-500 to-teal-500', 'from-teal-500 to-emerald-500', 'from-emerald-500 to-green-500'];
+
+const DIAGRAM_OPTIONS = {
+    sequenceLength: AI_CONFIG.sequenceLength,
+    features: AI_CONFIG.features,
+    outputUnits: AI_CONFIG.predictionHorizons.length * AI_CONFIG.features * 2,
+    units: AI_CONFIG.forecastLstmUnits,
+    headUnits: AI_CONFIG.forecastDenseUnits,
+    projectionUnits: AI_CONFIG.hiddenUnits
+};
+
+/**
+ * Layer-by-layer view of a forecast architecture from the registry, with the
+ * parameter count of the network it builds
+ */
+const ArchitectureDiagram = ({ architecture = AI_CONFIG.architecture }) => {
+    const options = DIAGRAM_OPTIONS;
+    const { sequenceLength, features, outputUnits } = options;
+    const horizons = AI_CONFIG.predictionHorizons.length;
+
+    const parameters = useMemo(() => {
+        const model = buildArchitecture(architecture, DIAGRAM_OPTIONS);
+        const count = model.countParams();
+        model.dispose();
+        return count;
+    }, [architecture]);
 
-const ArchitectureDiagram = () => {
     const layers = [
         {
             id: 'input',
-            name: 'Input Layer',
+            name: 'Input Window',
             icon: CircleStackIcon,
-            description: '7-day error time series',
-            detail: '672 points × N satellites',
+            description: 'Normalized error time series',
+            detail: `${sequenceLength} steps × ${features} channels`,
             color: 'from-blue-500 to-cyan-500'
         },
-        {
-            id: 'embed',
-            name: 'Temporal Embedding',
-            icon: ClockIcon,
-            description: 'Position + time encoding',
-            detail: '256-dim vectors',
-            color: 'from-cyan-500 to-teal-500'
-        },
-        {
-            id: 'transformer',
-            name: 'Transformer Encoder',
-            icon: CubeTransparentIcon,
-            description: 'Self-attention layers',
-            detail: '6 heads × 4 layers',
-            color: 'from-teal-500 to-emerald-500'
-        },
-        {
-            id: 'lstm',
-            name: 'LSTM Bridge',
-            icon: BoltIcon,
-            description: 'Sequence memory',
-            detail: 'Bidirectional × 2 layers',
-            color: 'from-emerald-500 to-green-500'
-        },
+        ...ARCHITECTURES[architecture].layers(options).map((layer, i) => ({
+            id: `body-${i}`,
+            ...layer,
+            icon: LAYER_ICONS[i % LAYER_ICONS.length],
+            color: LAYER_COLORS[i % LAYER_COLORS.length]
+        })),
         {
             id: 'horizon',
             name: 'Multi-Horizon Head',
             icon: ChartBarIcon,
-            description: 'Parallel decoders',
-            detail: '8 horizons (15m → 24h)',
+            description: 'Dense layers to every horizon',
+            detail: `${horizons} horizons × ${features} channels`,
             color: 'from-violet-500 to-purple-500'
         },
         {
             id: 'output',
             name: 'Uncertainty Estimation',
             icon: CpuChipIcon,
-            description: 'Gaussian mixture output',
-            detail: 'Mean + Variance',
+            description: 'Gaussian output, trained on negative log-likelihood',
+            detail: `Mean + log-variance (${outputUnits})`,
             color: 'from-purple-500 to-pink-500'
         }
     ];
@@ -105,10 +117,10 @@ const ArchitectureDiagram = () => {
                 className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-8"
             >
                 {[
-                    { label: 'Parameters', value: '12.4M' },
-                    { label: 'Training Time', value: '4.2h (A100)' },
-                    { label: 'Inference', value: '< 50ms' },
-                    { label: 'GPU Memory', value: '2.1 GB' }
+                    { label: 'Parameters', value: parameters.toLocaleString() },
+                    { label: 'Window', value: `${sequenceLength} steps` },
+                    { label: 'Horizons', value: horizons },
+                    { label: 'Backend', value: 'TensorFlow.js' }
                 ].map((spec) => (
                     <div key={spec.label} className="text-center p-4 rounded-lg bg-space-800/50 border border-console-border">
                         <div className="text-xl font-display font-bold text-stellar-cyan">{spec.value}</div>
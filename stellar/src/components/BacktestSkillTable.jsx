@@ -0,0 +1,66 @@
+const skillColor = (skill) => {
+    if (skill === null || skill === undefined) return 'text-slate-600';
+    if (skill > 0.05) return 'text-emerald-400';
+    if (skill < -0.05) return 'text-rose-400';
+    return 'text-slate-300';
+};
+
+const fmt = (value, digits = 3) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+/**
+ * Skill score (1 − RMSE / persistence RMSE) of every backtested method at
+ * every horizon, for one channel of a serialized walk-forward backtest
+ */
+const BacktestSkillTable = ({ backtest, channel = 'clock' }) => {
+    if (!backtest) return null;
+    const unit = backtest.units?.[channel] ?? '';
+    const leadLabel = (h) => (h.lead_minutes ? `${h.lead_minutes.toFixed(0)} min` : '');
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+                <thead>
+                    <tr className="border-b border-console-border text-slate-400">
+                        <th className="text-left py-2 pr-4 font-semibold uppercase">Method</th>
+                        {backtest.horizons.map(h => (
+                            <th key={h.horizon_steps} className="text-right py-2 px-2 font-semibold" title={`${h.targets} scored targets`}>
+                                +{h.horizon_steps}
+                                <div className="text-[10px] font-normal text-slate-600">{leadLabel(h)}</div>
+                            </th>
+                        ))}
+                        <th className="text-right py-2 pl-4 font-semibold uppercase">RMSE{unit && ` (${unit})`}</th>
+                        <th className="text-right py-2 pl-4 font-semibold uppercase">Skill</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {backtest.methods.map(m => {
+                        const overall = m.overall[channel];
+                        return (
+                            <tr
+                                key={m.id}
+                                className={`border-b border-console-border/50 ${m.kind === 'model' ? 'bg-indigo-500/5' : ''}`}
+                            >
+                                <td className="py-2 pr-4 text-slate-200">
+                                    {m.label}
+                                    {m.id === backtest.reference && <span className="ml-2 text-[10px] text-slate-500">reference</span>}
+                                </td>
+                                {m.horizons.map(h => (
+                                    <td key={h.horizon_steps} className={`text-right py-2 px-2 ${skillColor(h.channels[channel].skill)}`}>
+                                        {h.samples > 0 && m.id !== backtest.reference ? fmt(h.channels[channel].skill, 2) : '—'}
+                                    </td>
+                                ))}
+                                <td className="text-right py-2 pl-4 text-slate-300">{fmt(overall.rmse)}</td>
+                                <td className={`text-right py-2 pl-4 font-bold ${skillColor(overall.skill)}`}>
+                                    {m.id === backtest.reference ? '0' : fmt(overall.skill, 2)}
+                                    <span className="ml-1 text-[10px] font-normal text-slate-600">n={m.samples}</span>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default BacktestSkillTable;
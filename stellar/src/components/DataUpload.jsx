@@ -9,9 +9,33 @@ import {
     ChartBarIcon,
     ClockIcon,
     BeakerIcon,
-    FolderIcon
+    FolderIcon,
+    GlobeAltIcon
 } from '@heroicons/react/24/outline';
 import { validateCSV, parseCSVData, calculateStatistics, generateDataPreview } from '../utils/validation';
+import { summarizeErrors } from '../utils/telemetryIngest';
+import { broadcastErrors } from '../utils/broadcastErrors';
+import { parseRinexNav } from '../utils/rinexNav';
+import { parseSP3, parseRinexClock } from '../utils/gnssFormats';
+import { setBroadcastEphemerides } from '../services/orbitService';
+
+const PRODUCT_INPUTS = [
+    // Short RINEX names end in .24n/.24p/..., so the navigation picker accepts any file
+    { key: 'navigation', label: 'RINEX nav', accept: undefined, required: true },
+    { key: 'sp3', label: 'SP3 orbit', accept: '.sp3,.gz', required: true },
+    { key: 'clock', label: 'Clock (opt.)', accept: '.clk,.gz', required: false }
+];
+
+/**
+ * File text, gunzipped when the name ends in .gz
+ */
+async function readProductFile(file) {
+    if (!file.name.endsWith('.gz')) return file.text();
+    return new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+const rejectedRowsWarning = (parseResult) =>
+    `${parseResult.parseErrors.length} of ${parseResult.totalRows} rows rejected — ${summarizeErrors(parseResult.parseErrors.map(e => ({ row: e.row, message: e.error })))}`;
 
 const DataUpload = ({ onDataLoaded }) => {
     const [file, setFile] = useState(null);
@@ -20,6 +44,9 @@ const DataUpload = ({ onDataLoaded }) => {
     const [statistics, setStatistics] = useState(null);
     const [isProcessing, setIsProcessing] = useState(false);
     const [dragActive, setDragActive] = useState(false);
+    const [productFiles, setProductFiles] = useState({ navigation: null, sp3: null, clock: null });
+    const [productSeries, setProductSeries] = useState(null);
+    const [productError, setProductError] = useState(null);
     const inputRef = useRef(null);
 
     const handleDrag = useCallback((e) => {
@@ -64,6 +91,13 @@ const DataUpload = ({ onDataLoaded }) => {
                 const text = await uploadedFile.text();
                 const parseResult = parseCSVData(text);
 
+                if (parseResult.parseErrors.length > 0) {
+                    setValidation({
+                        ...validationResult,
+                        warnings: [...validationResult.warnings, rejectedRowsWarning(parseResult)]
+                    });
+                }
+
                 if (parseResult.data.length > 0) {
                     setParsedData(parseResult);
                     const stats = calculateStatistics(parseResult.data);
@@ -126,7 +160,7 @@ const DataUpload = ({ onDataLoaded }) => {
                 setValidation({
                     isValid: true,
                     errors: [],
-                    warnings: [],
+                    warnings: parseResult.parseErrors.length > 0 ? [rejectedRowsWarning(parseResult)] : [],
                     rowCount: parseResult.data.length
                 });
 
@@ -150,6 +184,64 @@ const DataUpload = ({ onDataLoaded }) => {
         }
     };
 
+    // Broadcast − precise errors from RINEX navigation and SP3 (+ clock) files
+    const computeProductErrors = async () => {
+        setIsProcessing(true);
+        setProductError(null);
+        setProductSeries(null);
+
+        try {
+            const [navigation, sp3, clock] = await Promise.all(PRODUCT_INPUTS.map(({ key }) =>
+                productFiles[key] ? readProductFile(productFiles[key]) : null
+            ));
+            const broadcast = parseRinexNav(navigation);
+            const result = broadcastErrors({
+                navigation: broadcast,
+                precise: parseSP3(sp3),
+                clocks: clock ? parseRinexClock(clock) : null
+            });
+            // The map, orbit view and bulletin products propagate from these ephemerides from now on
+            setBroadcastEphemerides(broadcast, productFiles.navigation.name);
+            const usable = result.satellites.filter(s => s.rows.length > 0);
+            if (usable.length === 0) {
+                throw new Error('No satellite has both a valid broadcast ephemeris and a precise orbit in these files');
+            }
+            setProductSeries({ ...result, satellites: usable });
+        } catch (error) {
+            setProductError(error.message);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const loadProductSeries = (series) => {
+        const name = `${series.id} broadcast − precise (${productFiles.navigation.name}, ${productFiles.sp3.name})`;
+        const stats = calculateStatistics(series.rows);
+        const missed = Object.entries(series.missing).filter(([, n]) => n > 0);
+
+        setFile({ name, size: productFiles.navigation.size + productFiles.sp3.size });
+        setParsedData({ data: series.rows, parseErrors: [], validRows: series.rows.length, totalRows: series.rows.length, errorRate: 0 });
+        setStatistics(stats);
+        setValidation({
+            isValid: true,
+            errors: [],
+            warnings: [
+                ...(missed.length > 0 ? [`Epochs skipped: ${missed.map(([reason, n]) => `${n} without ${reason}`).join(', ')}`] : []),
+                ...(series.rows.length < 100 ? ['Dataset has fewer than 100 rows. Model training may not be effective.'] : [])
+            ],
+            rowCount: series.rows.length
+        });
+
+        if (onDataLoaded) {
+            onDataLoaded({
+                data: series.rows,
+                statistics: stats,
+                fileName: name,
+                fileSize: productFiles.navigation.size + productFiles.sp3.size
+            });
+        }
+    };
+
     const formatBytes = (bytes) => {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -290,6 +382,75 @@ const DataUpload = ({ onDataLoaded }) => {
                     </div>
                 )}
 
+                {/* Broadcast errors from GNSS products */}
+                {!file && !isProcessing && (
+                    <div className="mt-6 pt-6 border-t border-slate-800">
+                        <div className="flex items-center gap-3 mb-4">
+                            <GlobeAltIcon className="w-5 h-5 text-cyan-500" />
+                            <span className="text-xs font-semibold text-slate-400 tracking-wide">
+                                Or derive broadcast errors from GNSS products (RINEX 3/4 nav − SP3)
+                            </span>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                            {PRODUCT_INPUTS.map(({ key, label, accept }) => (
+                                <label
+                                    key={key}
+                                    className={`p-4 bg-[#020617] border rounded-xl cursor-pointer transition-all
+                                        ${productFiles[key] ? 'border-emerald-500/40' : 'border-white/[0.06] hover:border-cyan-500/40'}`}
+                                >
+                                    <div className="text-xs font-semibold text-cyan-400">{label}</div>
+                                    <div className="text-[10px] font-mono text-slate-500 mt-1 truncate">
+                                        {productFiles[key]?.name || 'Choose file'}
+                                    </div>
+                                    <input
+                                        type="file"
+                                        className="hidden"
+                                        accept={accept}
+                                        onChange={(e) => {
+                                            const chosen = e.target.files?.[0] || null;
+                                            setProductFiles(prev => ({ ...prev, [key]: chosen }));
+                                            setProductSeries(null);
+                                        }}
+                                    />
+                                </label>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={computeProductErrors}
+                                disabled={PRODUCT_INPUTS.some(({ key, required }) => required && !productFiles[key])}
+                                className="p-4 bg-cyan-500/10 border border-cyan-500/30 rounded-xl text-xs font-semibold text-cyan-300 hover:bg-cyan-500/20 transition-all disabled:opacity-40 disabled:cursor-not-allowed cursor-pointer"
+                            >
+                                Compute errors
+                            </button>
+                        </div>
+
+                        {productError && (
+                            <div className="mt-3 text-[11px] font-medium text-rose-400">{productError}</div>
+                        )}
+
+                        {productSeries && (
+                            <div className="mt-4">
+                                <div className="text-[10px] text-slate-500 mb-2">
+                                    {productSeries.start} → {productSeries.end} · pick a satellite to load its series
+                                </div>
+                                <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+                                    {productSeries.satellites.map(series => (
+                                        <button
+                                            key={series.id}
+                                            type="button"
+                                            onClick={() => loadProductSeries(series)}
+                                            className="p-2 bg-[#020617] border border-white/[0.06] rounded-lg hover:border-cyan-500/40 transition-all cursor-pointer text-left"
+                                        >
+                                            <div className="text-xs font-mono font-semibold text-white">{series.id}</div>
+                                            <div className="text-[10px] font-mono text-slate-500">{series.orbit} · {series.rows.length}</div>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Validation Results */}
                 <AnimatePresence>
                     {validation && (
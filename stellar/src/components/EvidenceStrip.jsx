@@ -1,42 +1,63 @@
 import { motion } from 'framer-motion';
+import { useAppStore } from '../store/appStore';
+import { skillSummary } from '../utils/backtest';
 
+/**
+ * Clock RMSE of the latest walk-forward backtest against persistence, and
+ * the skill score. Explicit props override the measured values.
+ */
 const EvidenceStrip = ({
-    validationWindow = 'EPOCH_7 → EPOCH_8',
-    baselineRMSE = '0.428 ns',
-    stellarRMSE = '0.182 ns',
-    improvement = '57.41%'
+    validationWindow,
+    baselineRMSE,
+    stellarRMSE,
+    improvement
 }) => {
+    const backtest = useAppStore(state => state.lastBacktest);
+    const summary = skillSummary(backtest);
+    const unit = backtest?.units?.clock ?? 'ns';
+
+    const measured = summary
+        ? {
+            window: `${backtest.dataset} · ${backtest.origins} origins`,
+            baseline: `${summary.referenceRmse.toFixed(3)} ${unit}`,
+            model: `${summary.rmse.toFixed(3)} ${unit}`,
+            gain: `${summary.skill >= 0 ? '+' : ''}${(summary.skill * 100).toFixed(1)}%`
+        }
+        : { window: 'NOT_BACKTESTED', baseline: '—', model: '—', gain: '—' };
+    const negative = summary && summary.skill < 0 && improvement === undefined;
+
     return (
         <motion.div
             className="flex flex-wrap items-center justify-between gap-6 px-4 py-3 bg-slate-900/50 border border-white/[0.06] font-mono shadow-lg shadow-indigo-500/10"
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.5 }}
+            title={summary ? `Walk-forward backtest of ${summary.method}, clock channel, ${summary.samples} forecasts` : 'Run a backtest on the Residuals page or in the Scientist Workflow'}
         >
             <div className="flex items-center gap-3">
                 <div className="w-2 h-2 rounded-full bg-indigo-400 animate-pulse shadow-[0_0_8px_#f59e0b]" />
-                <span className="text-[11px] font-bold text-slate-100 uppercase tracking-wider italic">MISSION_EVIDENCE // PKT_SYNC</span>
+                <span className="text-[11px] font-bold text-slate-100 uppercase tracking-wider italic">MISSION_EVIDENCE // WALK_FORWARD</span>
             </div>
 
             <div className="flex items-center gap-8">
                 <div className="flex items-center gap-3 border-l-2 border-slate-800 pl-6">
                     <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">WIN:</span>
-                    <span className="text-[11px] font-bold text-slate-200">{validationWindow}</span>
+                    <span className="text-[11px] font-bold text-slate-200">{validationWindow ?? measured.window}</span>
                 </div>
 
                 <div className="flex items-center gap-3 border-l-2 border-slate-800 pl-6">
-                    <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">BASELINE:</span>
-                    <span className="text-[11px] font-bold text-indigo-400">{baselineRMSE}</span>
+                    <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">PERSISTENCE:</span>
+                    <span className="text-[11px] font-bold text-indigo-400">{baselineRMSE ?? measured.baseline}</span>
                 </div>
 
                 <div className="flex items-center gap-3 border-l-2 border-slate-800 pl-6">
                     <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">STELLAR_V1:</span>
-                    <span className="text-[11px] font-bold text-emerald-500">{stellarRMSE}</span>
+                    <span className="text-[11px] font-bold text-emerald-500">{stellarRMSE ?? measured.model}</span>
                 </div>
 
                 <div className="flex items-center gap-3 border-l-2 border-slate-800 pl-6">
-                    <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">GAIN:</span>
-                    <span className="text-[12px] font-bold text-white bg-emerald-600 px-2 shadow-sm">{improvement}</span>
+                    <span className="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">SKILL:</span>
+                    <span className={`text-[12px] font-bold text-white px-2 shadow-sm ${negative ? 'bg-rose-600' : 'bg-emerald-600'}`}>{improvement ?? measured.gain}</span>
                 </div>
             </div>
         </motion.div>
@@ -0,0 +1,293 @@
+import { useState, useRef, useMemo } from 'react';
+import {
+    AdjustmentsHorizontalIcon,
+    PlayIcon,
+    StopIcon,
+    TrashIcon,
+    ChevronUpIcon,
+    ChevronDownIcon
+} from '@heroicons/react/24/outline';
+import { searchInBackground } from '../services/trainingClient';
+import { SEARCH_STRATEGIES, DEFAULT_SEARCH_SPACE, gridSize } from '../utils/hyperparameterSearch';
+
+const STORAGE_KEY = 'stellar_hparam_searches';
+const MAX_STORED_SEARCHES = 5;
+
+const loadSearches = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+const COLUMNS = [
+    { id: 'rank', label: '#', value: t => t.rank },
+    { id: 'score', label: 'Val score', value: t => t.score ?? Infinity },
+    { id: 'clock', label: 'Clock RMSE', value: t => t.validationRmse?.clock ?? Infinity },
+    { id: 'architecture', label: 'Model', value: t => t.config.architecture ?? '' },
+    { id: 'learningRate', label: 'LR', value: t => t.config.learningRate },
+    { id: 'batchSize', label: 'Batch', value: t => t.config.batchSize },
+    { id: 'sequenceLength', label: 'Window', value: t => t.config.sequenceLength },
+    { id: 'predictionHorizons', label: 'Horizons', value: t => t.config.predictionHorizons?.length ?? 0 },
+    { id: 'lstmUnits', label: 'Seq units', value: t => t.config.lstmUnits },
+    { id: 'denseUnits', label: 'Head units', value: t => t.config.denseUnits },
+    { id: 'epochs', label: 'Epochs', value: t => t.config.epochs },
+    { id: 'rung', label: 'Rung', value: t => t.rung },
+    { id: 'durationMs', label: 'Time', value: t => t.durationMs }
+];
+
+const formatCell = (trial, column) => {
+    const { config } = trial;
+    switch (column) {
+        case 'rank': return trial.rank ?? '—';
+        case 'score': return trial.score?.toFixed(4) ?? trial.status;
+        case 'clock': return trial.validationRmse?.clock.toFixed(3) ?? '—';
+        case 'predictionHorizons': return config.predictionHorizons ? `≤${Math.max(...config.predictionHorizons)} (${config.predictionHorizons.length})` : '—';
+        case 'epochs': return trial.epochsRun !== undefined ? `${trial.epochsRun}/${config.epochs}` : config.epochs;
+        case 'durationMs': return `${(trial.durationMs / 1000).toFixed(0)}s`;
+        default: return config[column] ?? trial[column] ?? '—';
+    }
+};
+
+/**
+ * Random, grid or successive-halving search over the training configuration,
+ * with a sortable leaderboard of the stored searches
+ */
+const HyperparameterSearch = ({ data, validationSplit = 0.2, epochs = 25, onApply }) => {
+    const [strategy, setStrategy] = useState('random');
+    const [trials, setTrials] = useState(8);
+    const [searches, setSearches] = useState(loadSearches);
+    const [running, setRunning] = useState(null);
+    const [error, setError] = useState(null);
+    const [sort, setSort] = useState({ column: 'score', ascending: true });
+    const jobRef = useRef(null);
+
+    const space = useMemo(() => ({ ...DEFAULT_SEARCH_SPACE, epochs: [epochs] }), [epochs]);
+    const trialCount = strategy === 'grid' ? gridSize(space) : trials;
+    const latest = searches[0] || null;
+
+    const saveSearches = (next) => {
+        setSearches(next);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+        } catch (e) {
+            console.warn('Could not store search results:', e);
+        }
+    };
+
+    const startSearch = async () => {
+        setError(null);
+        setRunning({ trials: [], current: null, epoch: 0 });
+
+        try {
+            // Trials train in the training worker; Stop cancels the running trial at its next epoch
+            jobRef.current = searchInBackground(data, {
+                space,
+                validationSplit,
+                strategy,
+                trials,
+                seed: Date.now() % 100000,
+                maxEpochs: Math.max(epochs, 5)
+            }, {
+                onTrialStart: trial => setRunning(prev => ({ ...prev, current: trial, epoch: 0 })),
+                onTrialEnd: trial => setRunning(prev => ({ ...prev, trials: [...prev.trials, trial], current: null })),
+                onEpochEnd: epoch => setRunning(prev => ({ ...prev, epoch }))
+            });
+            const result = await jobRef.current.result;
+
+            saveSearches([{
+                id: Date.now(),
+                createdAt: new Date().toISOString(),
+                samples: data.length,
+                ...result
+            }, ...searches].slice(0, MAX_STORED_SEARCHES));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            jobRef.current = null;
+            setRunning(null);
+        }
+    };
+
+    const shownTrials = running ? running.trials : latest?.trials;
+    const rows = useMemo(() => {
+        if (!shownTrials) return [];
+        const ranked = [...shownTrials]
+            .sort((a, b) => (b.rung - a.rung) || ((a.score ?? Infinity) - (b.score ?? Infinity)))
+            .map((t, i) => ({ ...t, rank: t.status === 'complete' ? i + 1 : null }));
+        const column = COLUMNS.find(c => c.id === sort.column);
+        return ranked.sort((a, b) => {
+            const [va, vb] = [column.value(a), column.value(b)];
+            const diff = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return sort.ascending ? diff : -diff;
+        });
+    }, [shownTrials, sort]);
+
+    const toggleSort = (column) => setSort(prev => ({
+        column,
+        ascending: prev.column === column ? !prev.ascending : true
+    }));
+
+    return (
+        <div className="bg-[#0f172a]/80 backdrop-blur-xl border border-white/[0.06] rounded-2xl p-8 shadow-lg">
+            <h3 className="text-sm font-semibold text-white tracking-wide mb-2 flex items-center gap-3">
+                <AdjustmentsHorizontalIcon className="w-5 h-5 text-indigo-400" />
+                Hyperparameter Search
+            </h3>
+            <p className="text-xs text-slate-500 mb-6">
+                Each trial trains a separate network on the training split and is scored on the last {(validationSplit * 100).toFixed(0)}%:
+                point-forecast RMSE in units of each channel's standard deviation, pooled over channels and the
+                horizons every trial predicts (lower is better).
+            </p>
+
+            <div className="flex flex-wrap items-end gap-4 mb-6">
+                <div>
+                    <label className="text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2 block">Strategy</label>
+                    <select
+                        value={strategy}
+                        onChange={(e) => setStrategy(e.target.value)}
+                        disabled={Boolean(running)}
+                        className="px-4 py-2.5 bg-[#020617] border border-white/[0.08] text-white text-sm rounded-xl focus:border-indigo-500/50 focus:outline-none"
+                    >
+                        {Object.entries(SEARCH_STRATEGIES).map(([id, label]) => (
+                            <option key={id} value={id}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                {strategy !== 'grid' && (
+                    <div>
+                        <label className="text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2 block">
+                            {strategy === 'halving' ? 'Configurations' : 'Trials'}
+                        </label>
+                        <input
+                            type="number"
+                            min={2}
+                            max={gridSize(space)}
+                            value={trials}
+                            onChange={(e) => setTrials(Math.max(2, parseInt(e.target.value) || 2))}
+                            disabled={Boolean(running)}
+                            className="w-24 px-4 py-2.5 bg-[#020617] border border-white/[0.08] text-white text-sm rounded-xl focus:border-indigo-500/50 focus:outline-none"
+                        />
+                    </div>
+                )}
+                <div className="text-[11px] font-mono text-slate-500 pb-3">
+                    {strategy === 'halving'
+                        ? `${trialCount} configs from 5 epochs, top third kept ×3 epochs up to ${Math.max(epochs, 5)}`
+                        : `${trialCount} trials × ≤${epochs} epochs`}
+                </div>
+
+                <div className="ml-auto flex gap-2">
+                    {searches.length > 0 && !running && (
+                        <button
+                            onClick={() => saveSearches([])}
+                            className="px-3 py-2.5 text-xs text-slate-400 border border-white/[0.08] rounded-xl hover:text-white flex items-center gap-2"
+                        >
+                            <TrashIcon className="w-4 h-4" />
+                            Clear
+                        </button>
+                    )}
+                    {running ? (
+                        <button
+                            onClick={() => jobRef.current?.cancel()}
+                            className="px-5 py-2.5 bg-rose-600 text-white text-xs font-semibold uppercase rounded-xl hover:bg-rose-500 flex items-center gap-2"
+                        >
+                            <StopIcon className="w-4 h-4" />
+                            Stop
+                        </button>
+                    ) : (
+                        <button
+                            onClick={startSearch}
+                            disabled={!data}
+                            className="px-5 py-2.5 bg-indigo-500 text-white text-xs font-semibold uppercase rounded-xl hover:bg-indigo-400 disabled:opacity-40 flex items-center gap-2"
+                        >
+                            <PlayIcon className="w-4 h-4" />
+                            Run Search
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {/* Search space */}
+            <div className="flex flex-wrap gap-2 mb-6">
+                {Object.entries(space).map(([key, values]) => (
+                    <span key={key} className="px-2 py-1 text-[10px] font-mono text-slate-400 bg-white/[0.03] border border-white/[0.06] rounded">
+                        {key}: {values.map(v => (Array.isArray(v) ? `[…${Math.max(...v)}]` : v)).join(' | ')}
+                    </span>
+                ))}
+            </div>
+
+            {error && <div className="mb-4 text-xs text-rose-400">{error}</div>}
+
+            {running && (
+                <div className="mb-4 text-xs font-mono text-indigo-300">
+                    {running.current
+                        ? `Trial ${running.current.id}${running.current.rung ? ` (rung ${running.current.rung})` : ''}: epoch ${running.epoch}/${running.current.config.epochs}`
+                        : 'Starting…'}
+                    {' · '}{running.trials.length} finished
+                </div>
+            )}
+
+            {rows.length > 0 ? (
+                <div className="overflow-x-auto">
+                    {latest && !running && (
+                        <div className="text-[11px] font-mono text-slate-500 mb-2">
+                            {SEARCH_STRATEGIES[latest.strategy]} · {new Date(latest.createdAt).toLocaleString()} · {latest.samples} samples
+                            · scored on horizons {latest.scoreHorizons.join(', ')}{latest.cancelled && ' · stopped'}
+                        </div>
+                    )}
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="border-b border-white/[0.08] text-slate-400">
+                                {COLUMNS.map(c => (
+                                    <th
+                                        key={c.id}
+                                        onClick={() => toggleSort(c.id)}
+                                        className="text-right py-2 px-2 font-semibold uppercase cursor-pointer select-none hover:text-white"
+                                    >
+                                        <span className="inline-flex items-center gap-1">
+                                            {c.label}
+                                            {sort.column === c.id && (sort.ascending
+                                                ? <ChevronUpIcon className="w-3 h-3" />
+                                                : <ChevronDownIcon className="w-3 h-3" />)}
+                                        </span>
+                                    </th>
+                                ))}
+                                {onApply && <th />}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(trial => (
+                                <tr
+                                    key={trial.id}
+                                    className={`border-b border-white/[0.04] ${trial.rank === 1 ? 'bg-emerald-500/5 text-emerald-300' : 'text-slate-300'}`}
+                                    title={trial.error || ''}
+                                >
+                                    {COLUMNS.map(c => (
+                                        <td key={c.id} className="text-right py-2 px-2">{formatCell(trial, c.id)}</td>
+                                    ))}
+                                    {onApply && (
+                                        <td className="text-right py-2 pl-2">
+                                            {trial.status === 'complete' && !running && (
+                                                <button
+                                                    onClick={() => onApply(trial)}
+                                                    className="px-2 py-0.5 text-[10px] uppercase text-indigo-300 border border-indigo-500/30 rounded hover:bg-indigo-500/10"
+                                                >
+                                                    Use
+                                                </button>
+                                            )}
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-xs text-slate-500">No searches yet. Results are kept in this browser.</p>
+            )}
+        </div>
+    );
+};
+
+export default HyperparameterSearch;
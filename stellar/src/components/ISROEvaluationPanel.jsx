@@ -3,8 +3,10 @@
  * 
  * Displays all evaluation metrics required by ISRO:
  * - Priority 1: Shapiro-Wilk W statistic, p-value, hypothesis
+ *   (plus Anderson-Darling, Jarque-Bera, D'Agostino K² and Lilliefors)
  * - Priority 2: Mean and standard deviation of residuals
  * - Priority 3: Q-Q Plot visualization
+ * - Residual autocorrelation: ACF/PACF, Ljung-Box, Durbin-Watson
  */
 
 import { useState, useMemo } from 'react';
@@ -18,16 +20,34 @@ import {
     ArrowDownTrayIcon,
     DocumentTextIcon
 } from '@heroicons/react/24/outline';
-import { shapiroWilkTest, calculateResidualStats, generateQQPlotData } from '../utils/statisticalTests';
+import { shapiroWilkTest, normalityTestBattery, calculateResidualStats, residualAutocorrelation } from '../utils/statisticalTests';
+import { orbitalPeriodHours } from '../data/realSatelliteData';
 import QQPlot from './QQPlot';
+import ResidualACFPlot from './ResidualACFPlot';
+
+const PARAMETERS = ['x', 'y', 'z', 'clock'];
+
+const NORMALITY_TESTS = {
+    shapiroWilk: 'Shapiro-Wilk',
+    andersonDarling: 'Anderson-Darling',
+    jarqueBera: 'Jarque-Bera',
+    dagostinoK2: "D'Agostino K²",
+    lilliefors: 'Lilliefors'
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? value.toFixed(4) : 'n/a');
 
 const ISROEvaluationPanel = ({ 
     predictions, 
     actuals, 
     isLoading = false,
+    orbitType = null,
+    stepMinutes = 15,
     onEvaluate 
 }) => {
     const [selectedParameter, setSelectedParameter] = useState('all');
+    const [acfParameter, setAcfParameter] = useState('clock');
+    const periodHours = orbitalPeriodHours(orbitType);
     
     // Calculate evaluation metrics
     const evaluation = useMemo(() => {
@@ -59,6 +79,8 @@ const ISROEvaluationPanel = ({
             
             byParameter[param] = {
                 shapiroWilk: sw,
+                normality: normalityTestBattery(residuals[param]),
+                autocorrelation: residualAutocorrelation(residuals[param], { stepMinutes, orbitalPeriodHours: periodHours }),
                 statistics: stats,
                 residuals: residuals[param]
             };
@@ -86,6 +108,7 @@ const ISROEvaluationPanel = ({
             byParameter,
             overall: {
                 shapiroWilk: overallSW,
+                normality: normalityTestBattery(allResiduals),
                 statistics: overallStats,
                 averageW: avgW,
                 averagePValue: avgPValue
@@ -93,7 +116,7 @@ const ISROEvaluationPanel = ({
             allResiduals,
             residuals
         };
-    }, [predictions, actuals]);
+    }, [predictions, actuals, stepMinutes, periodHours]);
     
     // ISRO Benchmark values
     const BENCHMARK = {
@@ -119,6 +142,27 @@ const ISROEvaluationPanel = ({
         }
         csv += `AVERAGE,${evaluation.overall.averageW.toFixed(6)},${evaluation.overall.averagePValue.toFixed(6)},,\n\n`;
         
+        // Normality test battery
+        csv += 'NORMALITY TEST BATTERY\n';
+        csv += 'Parameter,Test,Statistic,p-Value,Reject Null\n';
+        for (const param of [...PARAMETERS, 'overall']) {
+            const { tests } = param === 'overall' ? evaluation.overall.normality : evaluation.byParameter[param].normality;
+            for (const key of Object.keys(NORMALITY_TESTS)) {
+                const t = tests[key];
+                csv += `${param === 'overall' ? 'OVERALL' : `${param}_error`},${t.name},${formatValue(t.statistic)},${formatValue(t.pValue)},${t.rejectNull}\n`;
+            }
+        }
+        csv += '\n';
+        
+        // Autocorrelation
+        csv += 'RESIDUAL AUTOCORRELATION\n';
+        csv += 'Parameter,Ljung-Box Q,Lag,p-Value,Durbin-Watson,Orbit-Periodic Lags\n';
+        for (const param of PARAMETERS) {
+            const { ljungBox, durbinWatson, flagged } = evaluation.byParameter[param].autocorrelation;
+            csv += `${param}_error,${formatValue(ljungBox.statistic)},${ljungBox.lag ?? ''},${formatValue(ljungBox.pValue)},${formatValue(durbinWatson.statistic)},${flagged.map(l => l.lag).join(' ')}\n`;
+        }
+        csv += '\n';
+        
         // Residual Statistics
         csv += 'PRIORITY 2: RESIDUAL STATISTICS\n';
         csv += 'Parameter,Mean,Std Dev,Min,Max,Count\n';
@@ -184,6 +228,18 @@ const ISROEvaluationPanel = ({
                     averageW: evaluation.overall.averageW,
                     averagePValue: evaluation.overall.averagePValue
                 },
+                normality: {
+                    byParameter: Object.fromEntries(
+                        Object.entries(evaluation.byParameter).map(([k, v]) => [k, v.normality])
+                    ),
+                    overall: evaluation.overall.normality
+                },
+                autocorrelation: Object.fromEntries(
+                    Object.entries(evaluation.byParameter).map(([k, v]) => {
+                        const { ljungBox, durbinWatson, flagged, white } = v.autocorrelation;
+                        return [k, { ljungBox, durbinWatson, orbitPeriodicLags: flagged.map(l => l.lag), white }];
+                    })
+                ),
                 statistics: {
                     byParameter: Object.fromEntries(
                         Object.entries(evaluation.byParameter).map(([k, v]) => [k, v.statistics])
@@ -371,6 +427,61 @@ const ISROEvaluationPanel = ({
                         </div>
                     </div>
                 </div>
+                
+                {/* Normality test battery */}
+                <div className="mt-6 overflow-x-auto">
+                    <div className="text-[10px] font-semibold text-slate-400 uppercase tracking-wider mb-2">
+                        Normality Test Battery (p-Value, α = 0.05)
+                    </div>
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="border-b border-slate-800">
+                                <th className="p-2 text-[10px] font-semibold text-slate-400 uppercase">Test</th>
+                                {PARAMETERS.map((param) => (
+                                    <th key={param} className="p-2 text-[10px] font-semibold text-slate-400 uppercase">
+                                        {param === 'clock' ? 'Clock' : param.toUpperCase()}_Error
+                                    </th>
+                                ))}
+                                <th className="p-2 text-[10px] font-semibold text-emerald-400 uppercase">Overall</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(NORMALITY_TESTS).map(([key, label]) => (
+                                <tr key={key} className="border-b border-slate-800/50">
+                                    <td className="p-2 text-xs font-semibold text-white">{label}</td>
+                                    {[...PARAMETERS.map(param => evaluation.byParameter[param].normality), evaluation.overall.normality].map((battery, i) => {
+                                        const t = battery.tests[key];
+                                        return (
+                                            <td
+                                                key={i}
+                                                title={t.error || t.warning || `statistic ${formatValue(t.statistic)}`}
+                                                className={`p-2 text-xs font-mono ${
+                                                    !Number.isFinite(t.pValue) ? 'text-slate-600' : t.rejectNull ? 'text-rose-400' : 'text-emerald-400'
+                                                }`}
+                                            >
+                                                {Number.isFinite(t.pValue) ? formatValue(t.pValue) : 'n/a'}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                            <tr className="bg-[#020617]">
+                                <td className="p-2 text-[10px] font-semibold text-slate-400 uppercase">Verdict</td>
+                                {[...PARAMETERS.map(param => evaluation.byParameter[param].normality), evaluation.overall.normality].map((battery, i) => (
+                                    <td
+                                        key={i}
+                                        title={battery.rejectedBy.length > 0 ? `Rejected by ${battery.rejectedBy.join(', ')}` : 'No test rejects normality'}
+                                        className={`p-2 text-[10px] font-semibold uppercase ${
+                                            battery.verdict === 'normal' ? 'text-emerald-400' : battery.verdict === 'non-normal' ? 'text-rose-400' : 'text-amber-400'
+                                        }`}
+                                    >
+                                        {battery.verdict}
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
             </div>
             
             {/* Priority 2: Mean and Standard Deviation */}
@@ -509,6 +620,67 @@ const ISROEvaluationPanel = ({
                 </div>
             </div>
             
+            {/* Residual Autocorrelation */}
+            <div className="neo-panel bg-[#0f172a]/80 border border-white/[0.06] p-6">
+                <div className="flex items-center gap-3 mb-6">
+                    <div className="w-8 h-8 bg-emerald-500/20 flex items-center justify-center border border-emerald-500/50 text-emerald-500 font-semibold text-sm">
+                        AC
+                    </div>
+                    <div>
+                        <h3 className="text-sm font-semibold text-white uppercase tracking-wider">
+                            RESIDUAL AUTOCORRELATION (WHITENESS)
+                        </h3>
+                        <p className="text-[10px] font-mono text-slate-500">ACF/PACF, Ljung-Box and Durbin-Watson per parameter</p>
+                    </div>
+                </div>
+                
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                    {PARAMETERS.map((param) => {
+                        const { ljungBox, durbinWatson, flagged, white } = evaluation.byParameter[param].autocorrelation;
+                        return (
+                            <button
+                                key={param}
+                                onClick={() => setAcfParameter(param)}
+                                className={`p-4 border text-left ${
+                                    white ? 'border-emerald-800 bg-emerald-950/20' : 'border-amber-800 bg-amber-950/20'
+                                } ${acfParameter === param ? 'ring-1 ring-indigo-400' : ''}`}
+                            >
+                                <div className="text-[10px] font-semibold text-slate-400 uppercase mb-2">
+                                    {param === 'clock' ? 'Clock Error' : `${param.toUpperCase()}_Error`}
+                                </div>
+                                <div className="space-y-1">
+                                    <div className="flex justify-between">
+                                        <span className="text-[10px] font-mono text-slate-500">Ljung-Box p:</span>
+                                        <span className={`text-xs font-semibold ${ljungBox.rejectNull ? 'text-rose-400' : 'text-emerald-400'}`}>
+                                            {formatValue(ljungBox.pValue)}
+                                        </span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-[10px] font-mono text-slate-500">Durbin-Watson:</span>
+                                        <span className="text-xs font-semibold text-white">{formatValue(durbinWatson.statistic)}</span>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <span className="text-[10px] font-mono text-slate-500">Orbit-periodic:</span>
+                                        <span className={`text-xs font-semibold ${flagged.length > 0 ? 'text-amber-400' : 'text-slate-400'}`}>
+                                            {flagged.length > 0 ? flagged.map(l => l.lag).join(', ') : 'none'}
+                                        </span>
+                                    </div>
+                                </div>
+                            </button>
+                        );
+                    })}
+                </div>
+                
+                <div className="bg-[#020617] border border-slate-800 p-4">
+                    <ResidualACFPlot
+                        residuals={evaluation.residuals[acfParameter]}
+                        stepMinutes={stepMinutes}
+                        orbitalPeriodHours={periodHours}
+                        height={300}
+                    />
+                </div>
+            </div>
+            
             {/* Benchmark Comparison */}
             <div className="neo-panel bg-[#020617] border border-white/[0.06] p-6">
                 <h3 className="text-sm font-semibold text-slate-400 uppercase tracking-wider mb-4">
@@ -3,9 +3,12 @@
  * Shows real-time satellite positions on an interactive globe
  * 
  * Uses Cesium-style WebGL globe or 2D map fallback
+ * Positions come from the shared orbit service (services/orbitService.js);
+ * TLE / OMM files loaded here are propagated with SGP4 and kept in
+ * localStorage, as is the ground station, so the map works offline
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import {
     GlobeAltIcon,
@@ -14,6 +17,16 @@ import {
     PauseIcon,
     ArrowsPointingOutIcon
 } from '@heroicons/react/24/outline';
+import {
+    satelliteState,
+    satellitePasses,
+    loadElementSets,
+    clearElementSets,
+    getCatalog,
+    getGroundStation,
+    setGroundStation,
+    DEFAULT_GROUND_STATION
+} from '../services/orbitService';
 
 // Real orbital parameters for accurate ground track simulation
 const CONSTELLATION_PARAMS = {
@@ -23,42 +36,67 @@ const CONSTELLATION_PARAMS = {
     BeiDou: { altitude: 21528, period: 12.87 * 60, inclination: 55, color: '#F59E0B' },
     NavIC: { altitude: 35786, period: 23.93 * 60, inclination: 29, color: '#10B981' }, // GSO/GEO
 };
+// Catalog objects outside the fleet (loaded from TLE / OMM)
+const CATALOG_COLOR = '#94A3B8';
 
-// Generate satellite position based on orbital mechanics
-const calculatePosition = (satellite, time) => {
-    const params = CONSTELLATION_PARAMS[satellite.constellation] || CONSTELLATION_PARAMS.GPS;
-    const periodMs = params.period * 60 * 1000;
-
-    // Each satellite has a unique phase offset
-    const phaseOffset = (parseInt(satellite.id.slice(1)) || 0) * 0.3;
-    const phase = ((time % periodMs) / periodMs + phaseOffset) % 1;
+const ELEMENT_SETS_STORAGE = 'stellar_element_sets';
+const GROUND_STATION_STORAGE = 'stellar_ground_station';
+const ELEMENT_SET_FILES = '.tle,.txt,.3le,.2le,.omm,.kvn,.xml,.json';
 
-    // Ground track calculation
-    const earthRotationPerOrbit = params.period / 1436.07; // Sidereal day in minutes
-    const longitudeDrift = earthRotationPerOrbit * 360;
-
-    // Inclined orbit ground track
-    const longitude = ((phase * 360 - 180 + longitudeDrift * (time / periodMs)) % 360) - 180;
-    const latitude = params.inclination * Math.sin(phase * 2 * Math.PI);
+// Sub-satellite point from the shared orbit propagator (broadcast ephemeris when loaded)
+const calculatePosition = (satellite, time) => {
+    const state = satelliteState(satellite, time);
+    if (!state) return null;
 
     return {
-        lat: latitude,
-        lon: longitude,
-        alt: params.altitude,
-        phase: phase * 360
+        lat: state.geodetic.lat,
+        lon: state.geodetic.lon,
+        alt: Math.round(state.geodetic.alt / 1000),
+        phase: (state.argumentOfLatitude * 180) / Math.PI,
+        source: state.source,
+        look: state.look
     };
 };
 
+/**
+ * Restore the ground station and element sets saved by earlier sessions into orbitService
+ * @returns {Object} { catalogStatus }
+ */
+function restoreSavedSession() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GROUND_STATION_STORAGE) || 'null');
+        if (saved) setGroundStation(saved);
+        const files = JSON.parse(localStorage.getItem(ELEMENT_SETS_STORAGE) || '[]');
+        files.forEach(file => loadElementSets(file.text, file.name));
+        return { catalogStatus: files.length > 0 ? `${files.map(f => f.name).join(', ')} (saved)` : null };
+    } catch (error) {
+        console.warn('Saved element sets could not be restored:', error.message);
+        return { catalogStatus: null };
+    }
+}
+
+const formatTime = (time) => new Date(time).toISOString().slice(5, 16).replace('T', ' ');
+
 const LiveSatelliteMap = ({ satellites = [] }) => {
     const canvasRef = useRef(null);
     const [isAnimating, setIsAnimating] = useState(true);
     const [hoveredSat, setHoveredSat] = useState(null);
+    const [selectedSat, setSelectedSat] = useState(null);
     const [positions, setPositions] = useState({});
-    const [mapCenter, setMapCenter] = useState({ lat: 20, lon: 78 }); // Centered on India
-
-    const animationRef = useRef();
-
-    // Update satellite positions
+    const [restored] = useState(restoreSavedSession);
+    const [catalog, setCatalog] = useState(getCatalog);
+    const [catalogStatus, setCatalogStatus] = useState(restored.catalogStatus);
+    const [station, setStation] = useState(getGroundStation);
+    const [stationDraft, setStationDraft] = useState(getGroundStation);
+    const [stationError, setStationError] = useState(null);
+
+    // Fleet satellites plus catalog objects that match none of them
+    const tracked = useMemo(() => [
+        ...satellites,
+        ...catalog.filter(entry => !entry.fleetId).map(entry => ({ id: entry.id, name: entry.name, constellation: null }))
+    ], [satellites, catalog]);
+
+    // Update satellite positions once a second
     useEffect(() => {
         if (!isAnimating) return;
 
@@ -66,22 +104,75 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
             const now = Date.now();
             const newPositions = {};
 
-            satellites.forEach(sat => {
-                newPositions[sat.id] = calculatePosition(sat, now);
+            tracked.forEach(sat => {
+                const position = calculatePosition(sat, now);
+                if (position) newPositions[sat.id] = position;
             });
 
             setPositions(newPositions);
-            animationRef.current = requestAnimationFrame(updatePositions);
         };
 
         updatePositions();
-
-        return () => {
-            if (animationRef.current) {
-                cancelAnimationFrame(animationRef.current);
+        const timer = setInterval(updatePositions, 1000);
+        return () => clearInterval(timer);
+    }, [tracked, isAnimating, station]);
+
+    const handleElementSets = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const result = loadElementSets(text, file.name);
+            const saved = JSON.parse(localStorage.getItem(ELEMENT_SETS_STORAGE) || '[]').filter(f => f.name !== file.name);
+            try {
+                localStorage.setItem(ELEMENT_SETS_STORAGE, JSON.stringify([...saved, { name: file.name, text }]));
+            } catch {
+                console.warn('Element sets are too large to keep in localStorage; they last until reload');
             }
-        };
-    }, [satellites, isAnimating]);
+            setCatalog(getCatalog());
+            setCatalogStatus(`${file.name}: ${result.loaded} ${result.format} sets, ${result.matched} fleet matches` +
+                (result.errors.length ? `, ${result.errors.length} not propagable` : ''));
+        } catch (error) {
+            setCatalogStatus(`${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleClearCatalog = () => {
+        clearElementSets();
+        localStorage.removeItem(ELEMENT_SETS_STORAGE);
+        setCatalog([]);
+        setCatalogStatus(null);
+    };
+
+    const handleStationSave = () => {
+        try {
+            const next = setGroundStation({
+                name: stationDraft.name,
+                lat: Number(stationDraft.lat),
+                lon: Number(stationDraft.lon),
+                alt: Number(stationDraft.alt),
+                elevationMask: Number(stationDraft.elevationMask)
+            });
+            localStorage.setItem(GROUND_STATION_STORAGE, JSON.stringify(next));
+            setStation(next);
+            setStationError(null);
+        } catch (error) {
+            setStationError(error.message);
+        }
+    };
+
+    // Satellites above the elevation mask, highest first
+    const visible = Object.entries(positions)
+        .filter(([, pos]) => pos.look.elevation >= station.elevationMask)
+        .sort(([, a], [, b]) => b.look.elevation - a.look.elevation);
+
+    // Next 24 h of passes for the selected satellite; loading or clearing element sets changes `tracked`
+    const passes = useMemo(
+        () => (tracked.some(sat => sat.id === selectedSat) ? satellitePasses(selectedSat, { station }) : []),
+        [selectedSat, station, tracked]
+    );
 
     // Draw map on canvas
     useEffect(() => {
@@ -171,12 +262,25 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
         ctx.font = '10px monospace';
         ctx.fillText('NavIC Coverage', coverageX1 + 5, coverageY1 + 15);
 
+        // Ground station
+        const stationX = ((station.lon + 180) / 360) * width;
+        const stationY = ((90 - station.lat) / 180) * height;
+        ctx.fillStyle = '#F8FAFC';
+        ctx.beginPath();
+        ctx.moveTo(stationX, stationY - 6);
+        ctx.lineTo(stationX + 5, stationY + 4);
+        ctx.lineTo(stationX - 5, stationY + 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.font = '10px monospace';
+        ctx.fillText(station.name, stationX + 8, stationY + 4);
+
         // Draw satellite positions
         Object.entries(positions).forEach(([satId, pos]) => {
-            const sat = satellites.find(s => s.id === satId);
+            const sat = tracked.find(s => s.id === satId);
             if (!sat) return;
 
-            const params = CONSTELLATION_PARAMS[sat.constellation] || CONSTELLATION_PARAMS.GPS;
+            const params = CONSTELLATION_PARAMS[sat.constellation] || { color: CATALOG_COLOR };
             const x = ((pos.lon + 180) / 360) * width;
             const y = ((90 - pos.lat) / 180) * height;
 
@@ -200,15 +304,15 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
             ctx.lineWidth = 1;
             ctx.stroke();
 
-            // Label on hover or for NavIC
-            if (hoveredSat === satId || sat.constellation === 'NavIC') {
+            // Label on hover, selection or for NavIC
+            if (hoveredSat === satId || selectedSat === satId || sat.constellation === 'NavIC') {
                 ctx.fillStyle = '#fff';
                 ctx.font = '10px monospace';
                 ctx.fillText(satId, x + 8, y + 4);
             }
         });
 
-    }, [positions, satellites, hoveredSat]);
+    }, [positions, tracked, hoveredSat, selectedSat, station]);
 
     // Get constellation counts
     const constellationCounts = satellites.reduce((acc, sat) => {
@@ -233,6 +337,18 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
                 </div>
 
                 <div className="flex items-center gap-2">
+                    <label className="px-3 py-2 rounded-lg bg-space-700 text-xs font-mono text-slate-300 hover:text-white cursor-pointer transition-colors">
+                        Load TLE / OMM
+                        <input type="file" className="hidden" accept={ELEMENT_SET_FILES} onChange={handleElementSets} />
+                    </label>
+                    {catalog.length > 0 && (
+                        <button
+                            onClick={handleClearCatalog}
+                            className="px-3 py-2 rounded-lg bg-space-700 text-xs font-mono text-slate-400 hover:text-white transition-colors"
+                        >
+                            Clear {catalog.length}
+                        </button>
+                    )}
                     <button
                         onClick={() => setIsAnimating(!isAnimating)}
                         className={`p-2 rounded-lg transition-colors ${isAnimating ? 'bg-stellar-primary text-white' : 'bg-space-700 text-slate-400'
@@ -243,6 +359,10 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
                 </div>
             </div>
 
+            {catalogStatus && (
+                <div className="mb-3 text-xs font-mono text-slate-400">{catalogStatus}</div>
+            )}
+
             {/* Legend */}
             <div className="flex flex-wrap items-center gap-4 mb-4">
                 {Object.entries(CONSTELLATION_PARAMS).map(([name, params]) => (
@@ -287,6 +407,7 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
                         setHoveredSat(nearest);
                     }}
                     onMouseLeave={() => setHoveredSat(null)}
+                    onClick={() => hoveredSat && setSelectedSat(hoveredSat)}
                 />
 
                 {/* Hovered satellite info */}
@@ -298,7 +419,10 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
                             Lon: {positions[hoveredSat].lon.toFixed(2)}°
                         </div>
                         <div className="text-xs text-slate-500 mt-1">
-                            Alt: {positions[hoveredSat].alt.toLocaleString()} km
+                            Alt: {positions[hoveredSat].alt.toLocaleString()} km · {positions[hoveredSat].source}
+                        </div>
+                        <div className="text-xs text-slate-500 mt-1">
+                            Az {positions[hoveredSat].look.azimuth.toFixed(1)}° · El {positions[hoveredSat].look.elevation.toFixed(1)}° from {station.name}
                         </div>
                     </div>
                 )}
@@ -332,6 +456,88 @@ const LiveSatelliteMap = ({ satellites = [] }) => {
                     </div>
                 ))}
             </div>
+
+            {/* Ground station, visibility and passes */}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mt-4">
+                <div className="p-4 rounded-lg bg-space-800/50 border border-console-border">
+                    <div className="flex items-center gap-2 mb-3">
+                        <MapPinIcon className="w-4 h-4 text-stellar-primary" />
+                        <span className="text-xs font-medium text-white">Ground station</span>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        {[
+                            ['name', 'Name'],
+                            ['lat', 'Lat (°)'],
+                            ['lon', 'Lon (°)'],
+                            ['alt', 'Alt (m)'],
+                            ['elevationMask', 'Mask (°)']
+                        ].map(([key, label]) => (
+                            <label key={key} className={`text-[10px] font-mono text-slate-500 ${key === 'name' ? 'col-span-2' : ''}`}>
+                                {label}
+                                <input
+                                    value={stationDraft[key]}
+                                    onChange={(e) => setStationDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                                    className="mt-1 w-full px-2 py-1 rounded bg-space-900 border border-console-border text-xs text-white"
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    {stationError && <div className="mt-2 text-xs text-red-400">{stationError}</div>}
+                    <div className="flex gap-2 mt-3">
+                        <button
+                            onClick={handleStationSave}
+                            className="flex-1 py-1.5 rounded bg-stellar-primary text-xs font-medium text-white"
+                        >
+                            Apply
+                        </button>
+                        <button
+                            onClick={() => setStationDraft(DEFAULT_GROUND_STATION)}
+                            className="px-3 py-1.5 rounded bg-space-700 text-xs text-slate-400"
+                        >
+                            Default
+                        </button>
+                    </div>
+                </div>
+
+                <div className="p-4 rounded-lg bg-space-800/50 border border-console-border">
+                    <div className="text-xs font-medium text-white mb-3">
+                        Visible now ({visible.length} above {station.elevationMask}°)
+                    </div>
+                    <div className="max-h-56 overflow-y-auto space-y-1">
+                        {visible.map(([satId, pos]) => (
+                            <button
+                                key={satId}
+                                onClick={() => setSelectedSat(satId)}
+                                className={`w-full grid grid-cols-4 gap-2 px-2 py-1 rounded text-left text-xs font-mono ${selectedSat === satId ? 'bg-stellar-primary/20 text-white' : 'text-slate-400 hover:bg-space-700'}`}
+                            >
+                                <span className="truncate">{satId}</span>
+                                <span>El {pos.look.elevation.toFixed(1)}°</span>
+                                <span>Az {pos.look.azimuth.toFixed(0)}°</span>
+                                <span className="text-slate-500">{pos.source}</span>
+                            </button>
+                        ))}
+                        {visible.length === 0 && <div className="text-xs text-slate-500">No satellite above the mask</div>}
+                    </div>
+                </div>
+
+                <div className="p-4 rounded-lg bg-space-800/50 border border-console-border">
+                    <div className="text-xs font-medium text-white mb-3">
+                        {selectedSat ? `Passes of ${selectedSat}, next 24 h (UTC)` : 'Select a satellite for its passes'}
+                    </div>
+                    <div className="max-h-56 overflow-y-auto space-y-1">
+                        {passes.map(pass => (
+                            <div key={pass.culmination.time} className="grid grid-cols-3 gap-2 text-xs font-mono text-slate-400">
+                                <span>{pass.rise === null ? 'up now' : formatTime(pass.rise)}</span>
+                                <span>{pass.set === null ? 'stays up' : formatTime(pass.set)}</span>
+                                <span>max {pass.culmination.elevation.toFixed(1)}°</span>
+                            </div>
+                        ))}
+                        {selectedSat && passes.length === 0 && (
+                            <div className="text-xs text-slate-500">No pass above {station.elevationMask}° in the next 24 h</div>
+                        )}
+                    </div>
+                </div>
+            </div>
         </motion.div>
     );
 };
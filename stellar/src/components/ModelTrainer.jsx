@@ -11,8 +11,10 @@ import {
     ExclamationTriangleIcon,
     BeakerIcon
 } from '@heroicons/react/24/outline';
-import { trainModel, getAIStatus, predictFuture, AI_CONFIG } from '../services/aiService';
+import { getAIStatus, predictFuture, AI_CONFIG } from '../services/aiService';
+import { trainInBackground } from '../services/trainingClient';
 import { loadISROData } from '../services/isroDataLoader';
+import { medianStepMinutes } from '../utils/telemetryIngest';
 
 const ModelTrainer = ({ orbitType = 'GEO', onEvaluationReady }) => {
     const [isTraining, setIsTraining] = useState(false);
@@ -50,20 +52,25 @@ const ModelTrainer = ({ orbitType = 'GEO', onEvaluationReady }) => {
             console.log(`📊 Training with ${data.length} samples from ${orbitType}_${dataFile}`);
 
             setStatus('TRAINING_ACTIVE');
-            await trainModel(data, (epoch, trainLoss, valLoss) => {
-                setCurrentEpoch(epoch + 1);
-                setProgress(prev => [...prev, { epoch: epoch + 1, loss: trainLoss }]);
-                if (valLoss) {
-                    setValProgress(prev => [...prev, { epoch: epoch + 1, loss: valLoss }]);
+            // Same run as trainModel, in the training worker; the loss curve is the point-forecast MSE
+            const result = await trainInBackground(data, { epochs: 50, batchSize: 32, earlyStopping: false }, {
+                onEpochEnd: (epoch, logs) => {
+                    setCurrentEpoch(epoch);
+                    setProgress(prev => [...prev, { epoch, loss: logs.pointMSE ?? logs.loss }]);
+                    const valLoss = logs.val_pointMSE ?? logs.val_loss;
+                    if (valLoss) {
+                        setValProgress(prev => [...prev, { epoch, loss: valLoss }]);
+                    }
                 }
-            });
+            }).result;
 
             setStatus('TRAINING_COMPLETE');
             
             // Calculate final metrics
-            if (progress.length > 0 && valProgress.length > 0) {
-                const finalTrainLoss = progress[progress.length - 1].loss;
-                const finalValLoss = valProgress[valProgress.length - 1].loss;
+            const { trainRMSE, valRMSE } = result.history;
+            if (trainRMSE.length > 0 && valRMSE.at(-1) !== null) {
+                const finalTrainLoss = trainRMSE.at(-1) ** 2;
+                const finalValLoss = valRMSE.at(-1) ** 2;
                 const improvement = ((1 - Math.sqrt(finalValLoss)/0.42) * 100).toFixed(1); // vs baseline
                 
                 setFinalMetrics({
@@ -72,7 +79,7 @@ const ModelTrainer = ({ orbitType = 'GEO', onEvaluationReady }) => {
                     trainRMSE: Math.sqrt(finalTrainLoss),
                     valRMSE: Math.sqrt(finalValLoss),
                     improvement: improvement,
-                    epochs: progress.length
+                    epochs: trainRMSE.length
                 });
             }
             
@@ -120,7 +127,7 @@ const ModelTrainer = ({ orbitType = 'GEO', onEvaluationReady }) => {
                     }
                     
                     if (predictions.length > 0) {
-                        onEvaluationReady({ predictions, actuals });
+                        onEvaluationReady({ predictions, actuals, orbitType, stepMinutes: medianStepMinutes(data) });
                         console.log(`✅ ISRO evaluation ready with ${predictions.length} samples`);
                     } else {
                         console.warn('⚠️ No predictions generated for evaluation');
@@ -1,5 +1,14 @@
 import { useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
+import { satelliteState } from '../services/orbitService';
+import { ORBITAL_PARAMETERS } from '../data/realSatelliteData';
+
+// Equatorial view from above the north pole, inertial frame: 110 px ↔ GEO radius
+const GEO_RADIUS_KM = 42164;
+const EARTH_RADIUS_KM = 6378;
+const PX_PER_KM = 110 / GEO_RADIUS_KM;
+// Simulated seconds per real second (a GPS orbit in about 72 s)
+const TIME_WARP = 600;
 
 const OrbitVisualizer = ({ satellites, selectedId }) => {
     const canvasRef = useRef(null);
@@ -10,13 +19,15 @@ const OrbitVisualizer = ({ satellites, selectedId }) => {
         const ctx = canvas.getContext('2d');
         const centerX = canvas.width / 2;
         const centerY = canvas.height / 2;
-        let angle = 0;
+        const start = Date.now();
 
         const draw = () => {
             ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+            const time = start + (Date.now() - start) * TIME_WARP;
+
             // Draw Earth
-            const earthRadius = 25;
+            const earthRadius = EARTH_RADIUS_KM * PX_PER_KM;
             const earthGradient = ctx.createRadialGradient(
                 centerX - 5, centerY - 5, 0,
                 centerX, centerY, earthRadius
@@ -39,9 +50,8 @@ const OrbitVisualizer = ({ satellites, selectedId }) => {
 
             // Orbit paths
             const orbits = [
-                { radius: 60, type: 'MEO', color: 'rgba(6, 182, 212, 0.3)' },
-                { radius: 90, type: 'GSO', color: 'rgba(139, 92, 246, 0.3)' },
-                { radius: 110, type: 'GEO', color: 'rgba(245, 158, 11, 0.3)' }
+                { radius: ORBITAL_PARAMETERS.GPS.semiMajorAxis * PX_PER_KM, type: 'MEO', color: 'rgba(6, 182, 212, 0.3)' },
+                { radius: GEO_RADIUS_KM * PX_PER_KM, type: 'GEO', color: 'rgba(245, 158, 11, 0.3)' }
             ];
 
             orbits.forEach(orbit => {
@@ -55,13 +65,13 @@ const OrbitVisualizer = ({ satellites, selectedId }) => {
             });
 
             // Draw satellites
-            satellites.forEach((sat, i) => {
-                const orbitRadius = sat.orbit === 'GEO' ? 110 : sat.orbit === 'GSO' ? 90 : 60;
-                const speed = sat.orbit === 'GEO' ? 0.3 : sat.orbit === 'GSO' ? 0.5 : 0.8;
-                const phase = (i / satellites.length) * Math.PI * 2;
+            satellites.forEach(sat => {
+                const state = satelliteState(sat, time);
+                if (!state) return;
 
-                const x = centerX + Math.cos(angle * speed + phase) * orbitRadius;
-                const y = centerY + Math.sin(angle * speed + phase) * orbitRadius;
+                // Inclined orbits (GSO, MEO) project inside their ring
+                const x = centerX + (state.eci.position[0] / 1000) * PX_PER_KM;
+                const y = centerY - (state.eci.position[1] / 1000) * PX_PER_KM;
 
                 const isSelected = sat.id === selectedId;
                 const satRadius = isSelected ? 6 : 4;
@@ -100,7 +110,6 @@ const OrbitVisualizer = ({ satellites, selectedId }) => {
                 }
             });
 
-            angle += 0.005;
             animationRef.current = requestAnimationFrame(draw);
         };
 
@@ -133,10 +142,6 @@ const OrbitVisualizer = ({ satellites, selectedId }) => {
                     <span className="w-2 h-2 rounded-full bg-stellar-cyan/50" />
                     <span className="text-slate-400">MEO</span>
                 </div>
-                <div className="flex items-center gap-2 text-[10px] font-mono">
-                    <span className="w-2 h-2 rounded-full bg-stellar-accent/50" />
-                    <span className="text-slate-400">GSO</span>
-                </div>
                 <div className="flex items-center gap-2 text-[10px] font-mono">
                     <span className="w-2 h-2 rounded-full bg-stellar-amber/50" />
                     <span className="text-slate-400">GEO</span>
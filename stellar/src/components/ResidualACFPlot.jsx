@@ -0,0 +1,191 @@
+import { useState, useMemo } from 'react';
+import {
+    ComposedChart,
+    Bar,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    ResponsiveContainer,
+    ReferenceLine,
+    Cell
+} from 'recharts';
+import { residualAutocorrelation } from '../utils/statisticalTests';
+
+const formatLead = (minutes) => {
+    if (minutes === null) return '';
+    return minutes < 60 ? `${minutes}m` : `${parseFloat((minutes / 60).toFixed(2))}h`;
+};
+
+const CustomTooltip = ({ active, payload, mode }) => {
+    if (!active || !payload || !payload.length) return null;
+    const data = payload[0].payload;
+
+    return (
+        <div className="stellar-tooltip">
+            <div className="text-xs text-slate-400 mb-1">
+                Lag {data.lag}{data.leadMinutes !== null && ` (${formatLead(data.leadMinutes)})`}
+            </div>
+            <div className="flex justify-between gap-4">
+                <span className="text-slate-400">{mode.toUpperCase()}:</span>
+                <span className="text-stellar-cyan font-mono">{data.value.toFixed(3)}</span>
+            </div>
+            <div className="flex justify-between gap-4">
+                <span className="text-slate-400">95% band:</span>
+                <span className="text-slate-300 font-mono">±{data.upper.toFixed(3)}</span>
+            </div>
+            {data.periodic && (
+                <div className={`text-xs mt-1 ${data.flagged ? 'text-amber-400' : 'text-slate-500'}`}>
+                    {data.periodic}{data.flagged && ' — orbit-periodic structure'}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * ACF / PACF of residuals with 95% bands, Ljung-Box and Durbin-Watson.
+ * Significant lags at multiples of half the orbital period are highlighted,
+ * since they point to orbit-periodic error the model has not captured.
+ */
+const ResidualACFPlot = ({ residuals, stepMinutes = 15, orbitalPeriodHours = null, maxLag, height = 300 }) => {
+    const [mode, setMode] = useState('acf');
+
+    const diagnostics = useMemo(() => {
+        if (!residuals || residuals.filter(Number.isFinite).length < 4) return null;
+        return residualAutocorrelation(residuals, { maxLag, stepMinutes, orbitalPeriodHours });
+    }, [residuals, stepMinutes, orbitalPeriodHours, maxLag]);
+
+    const chartData = useMemo(() => {
+        if (!diagnostics) return [];
+        return diagnostics.lags.map(l => ({
+            ...l,
+            value: mode === 'acf' ? l.acf : l.pacf,
+            flagged: mode === 'acf' ? l.significant : l.pacfSignificant,
+            upper: mode === 'acf' ? l.bartlett : diagnostics.band,
+            lower: mode === 'acf' ? -l.bartlett : -diagnostics.band
+        }));
+    }, [diagnostics, mode]);
+
+    if (!diagnostics) {
+        return (
+            <div className="flex items-center justify-center text-xs text-slate-500" style={{ height }}>
+                Not enough residuals for autocorrelation analysis
+            </div>
+        );
+    }
+
+    const { ljungBox, durbinWatson, flagged } = diagnostics;
+
+    return (
+        <div className="w-full">
+            <div className="flex items-center justify-between mb-2">
+                <div className="flex gap-2">
+                    {['acf', 'pacf'].map(m => (
+                        <button
+                            key={m}
+                            onClick={() => setMode(m)}
+                            className={`px-3 py-1 text-[10px] font-semibold uppercase ${
+                                mode === m ? 'bg-indigo-400 text-black' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                            }`}
+                        >
+                            {m}
+                        </button>
+                    ))}
+                </div>
+                <div className="text-[10px] font-mono text-slate-500">
+                    {orbitalPeriodHours ? `Orbital period ${orbitalPeriodHours}h` : 'Orbital period unknown'}
+                </div>
+            </div>
+
+            <ResponsiveContainer width="100%" height={height}>
+                <ComposedChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                    <CartesianGrid
+                        strokeDasharray="3 3"
+                        stroke="rgba(71, 85, 105, 0.3)"
+                        vertical={false}
+                    />
+
+                    <XAxis
+                        dataKey="lag"
+                        stroke="#64748b"
+                        tick={{ fill: '#64748b', fontSize: 10 }}
+                        axisLine={{ stroke: '#334155' }}
+                        label={{
+                            value: stepMinutes ? `Lag (× ${formatLead(stepMinutes)})` : 'Lag',
+                            position: 'bottom',
+                            offset: 0,
+                            style: { fill: '#64748b', fontSize: 11 }
+                        }}
+                    />
+
+                    <YAxis
+                        domain={[-1, 1]}
+                        stroke="#64748b"
+                        tick={{ fill: '#64748b', fontSize: 10 }}
+                        axisLine={{ stroke: '#334155' }}
+                        label={{
+                            value: mode.toUpperCase(),
+                            angle: -90,
+                            position: 'insideLeft',
+                            style: { fill: '#64748b', fontSize: 11 }
+                        }}
+                    />
+
+                    <Tooltip content={<CustomTooltip mode={mode} />} />
+
+                    <ReferenceLine y={0} stroke="#475569" />
+
+                    {diagnostics.periodicLags.map(p => (
+                        <ReferenceLine
+                            key={p.lag}
+                            x={Math.round(p.lag)}
+                            stroke="#f59e0b"
+                            strokeDasharray="2 4"
+                            label={{ value: p.label, position: 'top', fill: '#f59e0b', fontSize: 9 }}
+                        />
+                    ))}
+
+                    <Bar dataKey="value" barSize={4}>
+                        {chartData.map((entry, index) => (
+                            <Cell
+                                key={`cell-${index}`}
+                                fill={entry.flagged ? (entry.periodic ? '#f59e0b' : '#f43f5e') : '#3b82f6'}
+                                fillOpacity={0.85}
+                            />
+                        ))}
+                    </Bar>
+
+                    <Line type="stepAfter" dataKey="upper" stroke="#10b981" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                    <Line type="stepAfter" dataKey="lower" stroke="#10b981" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                </ComposedChart>
+            </ResponsiveContainer>
+
+            <div className="grid grid-cols-3 gap-4 mt-4 pt-4 border-t border-console-border text-center">
+                <div title={`Q(${ljungBox.lag ?? '–'}) with ${ljungBox.df ?? '–'} degrees of freedom`}>
+                    <div className={`text-sm font-mono ${ljungBox.rejectNull ? 'text-rose-400' : 'text-emerald-400'}`}>
+                        {Number.isFinite(ljungBox.pValue) ? `p = ${ljungBox.pValue.toFixed(4)}` : 'n/a'}
+                    </div>
+                    <div className="text-[10px] text-slate-500 uppercase">Ljung-Box (lag {ljungBox.lag ?? '–'})</div>
+                </div>
+                <div title={durbinWatson.interpretation}>
+                    <div className={`text-sm font-mono ${
+                        durbinWatson.statistic < 1.5 || durbinWatson.statistic > 2.5 ? 'text-amber-400' : 'text-emerald-400'
+                    }`}>
+                        {Number.isFinite(durbinWatson.statistic) ? durbinWatson.statistic.toFixed(3) : 'n/a'}
+                    </div>
+                    <div className="text-[10px] text-slate-500 uppercase">Durbin-Watson</div>
+                </div>
+                <div title={flagged.map(l => `lag ${l.lag}: ${l.periodic}`).join('\n')}>
+                    <div className={`text-sm font-mono ${flagged.length > 0 ? 'text-amber-400' : 'text-emerald-400'}`}>
+                        {flagged.length > 0 ? `${flagged.length} lag${flagged.length > 1 ? 's' : ''}` : 'none'}
+                    </div>
+                    <div className="text-[10px] text-slate-500 uppercase">Orbit-Periodic Structure</div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResidualACFPlot;
@@ -21,7 +21,8 @@ import {
     ResponsiveContainer,
     Legend
 } from 'recharts';
-import { trainWithConfig, getAIStatus } from '../services/aiService';
+import { getAIStatus } from '../services/aiService';
+import { trainInBackground } from '../services/trainingClient';
 
 const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
     const [isTraining, setIsTraining] = useState(false);
@@ -30,7 +31,7 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
     const [currentEpoch, setCurrentEpoch] = useState(0);
     const [progress, setProgress] = useState(0);
     const [trainingTime, setTrainingTime] = useState(0);
-    const [shouldStop, setShouldStop] = useState(false);
+    const jobRef = useRef(null);
     const logsEndRef = useRef(null);
 
     const {
@@ -81,16 +82,23 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
         setCurrentEpoch(0);
         setProgress(0);
         setTrainingTime(0);
-        setShouldStop(false);
 
         addLog('Initializing training session...', 'info');
         addLog(`Dataset: ${data.length} samples | Epochs: ${epochs} | Batch: ${batchSize} | LR: ${learningRate}`, 'config');
+        if (config.architecture) addLog(`Architecture: ${config.architecture}`, 'config');
+        if (config.sequenceLength) {
+            addLog(`Window: ${config.sequenceLength} | Horizons: ${config.predictionHorizons.join(',')} | Sequence units: ${config.lstmUnits} | Head units: ${config.denseUnits}`, 'config');
+        }
+        if (config.stepMinutes) {
+            addLog(`Grid: ${config.stepMinutes} min | Gaps: ${config.gapFill ?? 'mask'}, masked beyond ${config.maxGapMinutes ?? 240} min | Time-delta input: ${config.timeDelta ? 'on' : 'off'}`, 'config');
+        }
 
         try {
             let completedMetrics = null;
             let completedHistory = null;
 
-            const result = await trainWithConfig(data, config, {
+            // Trains in the training worker; the weights come back when it finishes
+            jobRef.current = trainInBackground(data, config, {
                 onEpochEnd: (epoch, logs, metrics) => {
                     setHistory(prev => ({
                         epoch: [...prev.epoch, epoch],
@@ -103,10 +111,6 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
                     setProgress((epoch / epochs) * 100);
 
                     addLog(`Epoch ${epoch}/${epochs} - Loss: ${logs.loss.toFixed(6)}${logs.val_loss ? ` | Val Loss: ${logs.val_loss.toFixed(6)}` : ''}`, 'epoch');
-
-                    if (shouldStop) {
-                        throw new Error('Training stopped by user');
-                    }
                 },
                 onProgress: (progressData) => {
                     setProgress(progressData.progress);
@@ -115,14 +119,25 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
                     completedMetrics = metrics;
                     completedHistory = fullHistory;
                     addLog('Training completed successfully!', 'success');
+                    if (metrics.imputedRows !== undefined) {
+                        addLog(`Grid rows: ${metrics.gridRows} (${metrics.imputedRows} imputed, ${metrics.maskedRows} masked)`, 'info');
+                    }
                     addLog(`Best Training Loss: ${metrics.bestTrainLoss.toFixed(6)}`, 'info');
                     addLog(`Best Validation Loss: ${metrics.bestValLoss?.toFixed(6) || 'N/A'}`, 'info');
                     addLog(`Training Duration: ${metrics.trainingDurationFormatted}`, 'info');
                 }
             });
+            const result = await jobRef.current.result;
+            jobRef.current = null;
 
             setIsTraining(false);
 
+            if (!result) {
+                addLog('Training cancelled; the previous model is kept', 'warning');
+                if (onTrainingComplete) onTrainingComplete({ success: false, error: 'Training cancelled' });
+                return;
+            }
+
             // Now `result` is available — call onTrainingComplete with normalization params
             if (onTrainingComplete && completedMetrics) {
                 onTrainingComplete({
@@ -134,6 +149,7 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
             }
 
         } catch (error) {
+            jobRef.current = null;
             addLog(`Training error: ${error.message}`, 'error');
             setIsTraining(false);
 
@@ -147,8 +163,8 @@ const TrainingDashboard = ({ data, config, onTrainingComplete }) => {
     };
 
     const stopTraining = () => {
-        setShouldStop(true);
-        addLog('Stopping training...', 'warning');
+        jobRef.current?.cancel();
+        addLog('Stopping training at the end of this epoch...', 'warning');
     };
 
     const clearLogs = () => {
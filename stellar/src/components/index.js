@@ -10,6 +10,8 @@ export { default as HorizonSelector } from './HorizonSelector';
 export { default as ForecastChart } from './ForecastChart';
 export { default as ResidualHistogram } from './ResidualHistogram';
 export { default as QQPlot } from './QQPlot';
+export { default as ResidualACFPlot } from './ResidualACFPlot';
+export { default as BacktestSkillTable } from './BacktestSkillTable';
 export { default as SatelliteList } from './SatelliteList';
 export { default as OrbitVisualizer } from './OrbitVisualizer';
 export { default as ArchitectureDiagram } from './ArchitectureDiagram';
@@ -36,5 +38,6 @@ export { default as ISROEvaluationPanel } from './ISROEvaluationPanel';
 // Scientist Workflow Components
 export { default as DataUpload } from './DataUpload';
 export { default as TrainingDashboard } from './TrainingDashboard';
+export { default as HyperparameterSearch } from './HyperparameterSearch';
 export { default as ModelEvaluation } from './ModelEvaluation';
 export { default as ModelExporter } from './ModelExporter';
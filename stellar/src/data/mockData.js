@@ -23,8 +23,7 @@ import {
     IGS_ERROR_CHARACTERISTICS,
     ORBITAL_PARAMETERS,
     DATA_SOURCES,
-    getRealisticClockError,
-    getRealisticOrbitError,
+    orbitalPeriodHours,
 } from './realSatelliteData';
 
 // ===========================
@@ -265,31 +264,7 @@ export const modelComparison = {
 
 // ===========================
 // RESIDUAL ANALYSIS
-// Realistic residual distribution
 // ===========================
-export const generateResidualData = (n = 500) => {
-    const residuals = [];
-
-    // Generate approximately normal residuals with realistic characteristics
-    // Well-trained models have near-Gaussian residuals with possible light tails
-    for (let i = 0; i < n; i++) {
-        const u1 = Math.random();
-        const u2 = Math.random();
-        // Box-Muller transform for Gaussian
-        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-
-        // Scale to typical prediction residual range (based on model RMSE)
-        const scaled = z * 0.25;
-
-        // Add slight heavy tails (realistic for GNSS data)
-        const heavyTail = Math.random() < 0.02 ? (Math.random() - 0.5) * 0.8 : 0;
-
-        residuals.push(scaled + heavyTail);
-    }
-
-    return residuals;
-};
-
 // Histogram bins for visualization
 export const createHistogram = (data, numBins = 30) => {
     const min = Math.min(...data);
@@ -397,44 +372,5 @@ export const architectureData = {
     }
 };
 
-// ===========================
-// EXPORT BULLETIN DATA
-// ===========================
-export const generateBulletinData = () => {
-    const now = new Date();
-    return satellites.map(sat => {
-        const constellation = sat.constellation;
-        const errorChars = IGS_ERROR_CHARACTERISTICS[constellation] || IGS_ERROR_CHARACTERISTICS.GPS;
-        const baseClockRMS = errorChars.broadcastClockRMS;
-
-        return {
-            satelliteId: sat.id,
-            satelliteName: sat.name,
-            constellation: sat.constellation,
-            orbit: sat.orbit,
-            clockType: sat.clockType,
-            status: sat.status,
-            forecasts: horizonLabels.map((label, i) => {
-                // Realistic error growth with horizon
-                const horizonHours = horizonMinutes[i] / 60;
-                const baseError = getRealisticClockError(constellation, sat.clockType);
-                const uncertainty = (baseClockRMS * 0.2) + horizonHours * 0.12;
-
-                return {
-                    horizon: label,
-                    predictedMean: baseError.toFixed(4),
-                    uncertainty: uncertainty.toFixed(4),
-                    confidence95Lower: (baseError - uncertainty * 1.96).toFixed(4),
-                    confidence95Upper: (baseError + uncertainty * 1.96).toFixed(4),
-                    riskLevel: uncertainty > 0.8 ? 'HIGH' : uncertainty > 0.4 ? 'MEDIUM' : 'LOW'
-                };
-            }),
-            generatedAt: now.toISOString(),
-            validUntil: new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString(), // 4-hour validity
-            dataSource: 'STELLAR-v1k AI Forecast Engine'
-        };
-    });
-};
-
 // Re-export data sources for transparency
-export { DATA_SOURCES, IGS_ERROR_CHARACTERISTICS, ORBITAL_PARAMETERS };
+export { DATA_SOURCES, IGS_ERROR_CHARACTERISTICS, ORBITAL_PARAMETERS, orbitalPeriodHours };
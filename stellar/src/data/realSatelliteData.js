@@ -489,6 +489,16 @@ export const ORBITAL_PARAMETERS = {
     }
 };
 
+/**
+ * Orbital period (hours) for the orbit classes of the ISRO datasets.
+ * MEO uses the GPS period; GEO/GSO are one sidereal day.
+ */
+export function orbitalPeriodHours(orbitType) {
+    if (orbitType === 'GEO' || orbitType === 'GSO') return ORBITAL_PARAMETERS.NavIC.GEO.orbitalPeriod;
+    if (orbitType === 'MEO') return ORBITAL_PARAMETERS.GPS.orbitalPeriod;
+    return null;
+}
+
 // ===========================
 // COMBINED FLEET FOR UI
 // ===========================
@@ -25,6 +25,7 @@ import { useAppStore } from '../store/appStore';
 // Lazy load heavy components to improve initial load
 const ISRODataPanel = lazy(() => import('../components/ISRODataPanel'));
 const ManeuverRecommendation = lazy(() => import('../components/ManeuverRecommendation'));
+const LiveSatelliteMap = lazy(() => import('../components/LiveSatelliteMap'));
 
 const CommandDeck = () => {
     const navigate = useNavigate();
@@ -189,6 +190,26 @@ const CommandDeck = () => {
                         )}
                     </section>
 
+                    <section>
+                        <div className="flex items-center gap-6 mb-8">
+                            <h2 className="text-2xl font-semibold uppercase tracking-[0.3em] text-white">
+                                <span className="text-indigo-400 mr-2">&gt;&gt;</span> FLEET_GROUND_TRACK
+                            </h2>
+                            <div className="flex-1 h-[2px] bg-slate-800" />
+                        </div>
+
+                        {showHeavyComponents && (
+                            <Suspense fallback={
+                                <div className="bg-[#0f172a]/80 backdrop-blur-xl border border-white/10 rounded-2xl p-20 flex flex-col items-center justify-center gap-4">
+                                    <div className="w-12 h-12 rounded-full border-4 border-slate-800 border-t-amber-500 animate-spin" />
+                                    <span className="font-mono font-semibold uppercase tracking-wider text-slate-400 text-xs">Propagating_Orbits...</span>
+                                </div>
+                            }>
+                                <LiveSatelliteMap satellites={satellites} />
+                            </Suspense>
+                        )}
+                    </section>
+
                     {/* Mission Evidence & Controls */}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
                         <div className="bg-[#0f172a]/80 backdrop-blur-xl rounded-2xl p-8 border border-white/10 shadow-lg">
@@ -254,12 +275,7 @@ const CommandDeck = () => {
 
                 {/* Global Evidence Strip */}
                 <div className="bg-black/40 backdrop-blur-md border border-white/5 rounded-2xl p-3 opacity-80 hover:opacity-100 transition-opacity">
-                    <EvidenceStrip
-                        validationWindow="EPOCH_7 → EPOCH_8"
-                        baselineRMSE="0.428 ns"
-                        stellarRMSE="0.182 ns"
-                        improvement="57.41%"
-                    />
+                    <EvidenceStrip />
                 </div>
             </div>
         </div>
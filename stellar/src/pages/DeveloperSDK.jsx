@@ -20,118 +20,108 @@ import {
     ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import { Header } from '../components';
-
-// Auto-detect API: local Express server or Vercel serverless
-const IS_LOCAL = window.location.hostname === 'localhost';
-const API_BASE = IS_LOCAL ? 'http://localhost:3000/api/v1' : '/api/v1';
-const DEMO_KEY = 'stellar-demo-key-2025';
+import { API_BASE, DEMO_KEY, KEY_STORAGE } from '../services/stellarApi';
 
 // ─── Endpoint Definitions ──────────────────────────────────────────
+// Endpoints, scopes, descriptions and example bodies come from the server's
+// OpenAPI document; only the console's shortcuts and colours live here.
 
-const endpoints = [
-    {
-        id: 'health',
-        method: 'GET',
-        path: '/health',
-        label: 'Health Check',
-        shortcut: 'H',
-        color: 'text-emerald-400',
-        bg: 'bg-emerald-500',
-        auth: false,
-        body: null,
-        description: 'Check system status and service availability'
-    },
-    {
-        id: 'satellites',
-        method: 'GET',
-        path: '/satellites',
-        label: 'List Satellites',
-        shortcut: 'S',
-        color: 'text-blue-400',
-        bg: 'bg-blue-500',
-        auth: true,
-        body: null,
-        description: 'List all available ISRO satellites with data'
-    },
-    {
-        id: 'forecast',
-        method: 'POST',
-        path: '/forecast',
-        label: 'GNSS Forecast',
-        shortcut: 'F',
-        color: 'text-indigo-400',
-        bg: 'bg-indigo-500',
-        auth: true,
-        body: { satellite: 'gsat-14', horizon: '6h', steps: 6 },
-        description: 'Predict satellite position errors for next N hours'
-    },
-    {
-        id: 'train',
-        method: 'POST',
-        path: '/train',
-        label: 'Train Model',
-        shortcut: 'T',
-        color: 'text-amber-400',
-        bg: 'bg-amber-500',
-        auth: true,
-        body: { dataset: 'MEO_Train2', epochs: 50, batch_size: 32, learning_rate: 0.001 },
-        description: 'Trigger ML training pipeline on satellite data'
-    },
-    {
-        id: 'flood',
-        method: 'POST',
-        path: '/flood-risk',
-        label: 'Flood Risk',
-        shortcut: 'R',
-        color: 'text-rose-400',
-        bg: 'bg-rose-500',
-        auth: true,
-        body: { latitude: 10.0, longitude: 76.3, region: 'Kerala' },
-        description: 'Assess flood risk for a geographic region'
-    },
-    {
-        id: 'data',
-        method: 'GET',
-        path: '/summary',
-        label: 'Data Summary',
-        shortcut: 'D',
-        color: 'text-cyan-400',
-        bg: 'bg-cyan-500',
-        auth: true,
-        body: null,
-        description: 'Statistical summary of all loaded datasets'
-    },
-    {
-        id: 'webhook',
-        method: 'POST',
-        path: '/webhook',
-        label: 'WhatsApp Hook',
-        shortcut: 'W',
-        color: 'text-green-400',
-        bg: 'bg-green-500',
-        auth: true,
-        body: { from: '+91-9876543210', message: 'train model on MEO data' },
-        description: 'Simulate WhatsApp message → agent action'
-    }
-];
+const ENDPOINT_STYLES = {
+    getHealth: { shortcut: 'H', color: 'text-emerald-400', bg: 'bg-emerald-500' },
+    getSatellites: { shortcut: 'S', color: 'text-blue-400', bg: 'bg-blue-500' },
+    postForecast: { shortcut: 'F', color: 'text-indigo-400', bg: 'bg-indigo-500' },
+    postTrain: { shortcut: 'T', color: 'text-amber-400', bg: 'bg-amber-500' },
+    postFloodRisk: { shortcut: 'R', color: 'text-rose-400', bg: 'bg-rose-500' },
+    getDataSummary: { shortcut: 'D', color: 'text-cyan-400', bg: 'bg-cyan-500' },
+    postWhatsappWebhook: { shortcut: 'W', color: 'text-green-400', bg: 'bg-green-500' }
+};
+const DEFAULT_STYLE = { shortcut: null, color: 'text-slate-400', bg: 'bg-slate-500' };
+
+/**
+ * Example request body: the documented example, else the schema's property examples
+ */
+function exampleBody(requestBody) {
+    const json = requestBody?.content?.['application/json'];
+    if (!json) return null;
+    if (json.example) return json.example;
+
+    const examples = Object.entries(json.schema?.properties || {}).filter(([, prop]) => prop.example !== undefined);
+    return examples.length > 0 ? Object.fromEntries(examples.map(([name, prop]) => [name, prop.example])) : {};
+}
+
+/**
+ * Console endpoint list from an OpenAPI document (aliases omitted)
+ */
+function endpointsFromSpec(spec) {
+    return Object.entries(spec.paths).flatMap(([path, operations]) =>
+        Object.entries(operations)
+            .filter(([, op]) => !op.deprecated)
+            .map(([method, op]) => ({
+                id: op.operationId,
+                method: method.toUpperCase(),
+                path,
+                label: op.summary,
+                description: op.description || op.summary,
+                scope: op.security ? (op['x-required-scope'] || 'any key') : null,
+                body: exampleBody(op.requestBody),
+                stream: Boolean(op.responses?.[200]?.content?.['text/event-stream']),
+                pathParams: op.parameters.filter(p => p.in === 'path').map(p => p.name),
+                queryParams: op.parameters.filter(p => p.in === 'query'),
+                ...(ENDPOINT_STYLES[op.operationId] || DEFAULT_STYLE)
+            }))
+    );
+}
+
+function resolvePath(ep, params) {
+    return ep.path.replace(/\{(\w+)\}/g, (match, name) => (params[name] ? encodeURIComponent(params[name]) : match));
+}
 
 // ─── Component ─────────────────────────────────────────────────────
 
 const DeveloperSDK = () => {
-    const [selectedEndpoint, setSelectedEndpoint] = useState(endpoints[0]);
+    const [endpoints, setEndpoints] = useState([]);
+    const [specError, setSpecError] = useState(null);
+    const [selectedId, setSelectedId] = useState('getHealth');
+    const [pathParams, setPathParams] = useState({});
     const [response, setResponse] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [latency, setLatency] = useState(null);
     const [history, setHistory] = useState([]);
     const [copied, setCopied] = useState(false);
     const [serverOnline, setServerOnline] = useState(null);
+    const [apiKey, setApiKey] = useState(() => localStorage.getItem(KEY_STORAGE) || DEMO_KEY);
     const responseRef = useRef(null);
+    const apiKeyRef = useRef(apiKey);
+    const endpointsRef = useRef(endpoints);
+    const pathParamsRef = useRef(pathParams);
+
+    const selectedEndpoint = endpoints.find(ep => ep.id === selectedId) || endpoints[0];
+
+    useEffect(() => {
+        endpointsRef.current = endpoints;
+        pathParamsRef.current = pathParams;
+    }, [endpoints, pathParams]);
 
-    // Check server status
+    // The keyboard shortcut handler is bound once, so it reads the key from a ref
+    useEffect(() => {
+        apiKeyRef.current = apiKey;
+        if (apiKey && apiKey !== DEMO_KEY) localStorage.setItem(KEY_STORAGE, apiKey);
+        else localStorage.removeItem(KEY_STORAGE);
+    }, [apiKey]);
+
+    // Check server status and load the endpoint list from its OpenAPI document
     useEffect(() => {
         fetch(`${API_BASE}/health`)
             .then(r => r.ok ? setServerOnline(true) : setServerOnline(false))
             .catch(() => setServerOnline(false));
+
+        fetch(`${API_BASE}/openapi.json`)
+            .then(r => {
+                if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                return r.json();
+            })
+            .then(spec => setEndpoints(endpointsFromSpec(spec)))
+            .catch(err => setSpecError(err.message));
     }, []);
 
     // Keyboard shortcuts
@@ -140,10 +130,10 @@ const DeveloperSDK = () => {
             // Only trigger with Alt key held
             if (!e.altKey) return;
             const key = e.key.toUpperCase();
-            const ep = endpoints.find(ep => ep.shortcut === key);
+            const ep = endpointsRef.current.find(ep => ep.shortcut === key);
             if (ep) {
                 e.preventDefault();
-                setSelectedEndpoint(ep);
+                setSelectedId(ep.id);
                 executeRequest(ep);
             }
         };
@@ -152,6 +142,7 @@ const DeveloperSDK = () => {
     }, []);
 
     const executeRequest = useCallback(async (ep = selectedEndpoint) => {
+        if (!ep || ep.stream) return;
         setIsLoading(true);
         setResponse(null);
         setLatency(null);
@@ -163,12 +154,12 @@ const DeveloperSDK = () => {
                 method: ep.method,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...(ep.auth ? { 'X-API-Key': DEMO_KEY } : {})
+                    ...(ep.scope ? { 'X-API-Key': apiKeyRef.current } : {})
                 },
                 ...(ep.body ? { body: JSON.stringify(ep.body) } : {})
             };
 
-            const res = await fetch(`${API_BASE}${ep.path}`, options);
+            const res = await fetch(`${API_BASE}${resolvePath(ep, pathParamsRef.current)}`, options);
             const data = await res.json();
             const elapsed = Math.round(performance.now() - start);
 
@@ -204,6 +195,25 @@ const DeveloperSDK = () => {
         );
     };
 
+    if (!selectedEndpoint) {
+        return (
+            <div className="min-h-screen bg-[#020617]">
+                <Header title="Developer SDK" subtitle="Live API Console & OpenClaw Integration" />
+                <div className="flex flex-col items-center justify-center py-32 text-slate-600">
+                    <CodeBracketIcon className="w-8 h-8 mb-3" />
+                    {specError ? (
+                        <>
+                            <span className="text-sm font-medium text-rose-400/80">Could not load {API_BASE}/openapi.json ({specError})</span>
+                            <span className="text-[11px] mt-1">Start the API server: npm run api</span>
+                        </>
+                    ) : (
+                        <span className="text-sm font-medium">Loading endpoints from the OpenAPI spec...</span>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen bg-[#020617]">
             <Header title="Developer SDK" subtitle="Live API Console & OpenClaw Integration" />
@@ -239,7 +249,7 @@ const DeveloperSDK = () => {
                         {endpoints.map(ep => (
                             <button
                                 key={ep.id}
-                                onClick={() => setSelectedEndpoint(ep)}
+                                onClick={() => setSelectedId(ep.id)}
                                 className={`w-full text-left p-3 rounded-xl border transition-all group ${selectedEndpoint.id === ep.id
                                     ? 'bg-white/[0.04] border-indigo-500/20'
                                     : 'bg-transparent border-transparent hover:bg-white/[0.02] hover:border-white/[0.04]'
@@ -250,9 +260,11 @@ const DeveloperSDK = () => {
                                         {getMethodBadge(ep.method)}
                                         <span className="text-[12px] font-semibold text-white">{ep.label}</span>
                                     </div>
-                                    <kbd className="px-1.5 py-0.5 bg-white/[0.04] border border-white/[0.06] rounded text-[9px] font-mono text-slate-500 opacity-0 group-hover:opacity-100 transition-opacity">
-                                        Alt+{ep.shortcut}
-                                    </kbd>
+                                    {ep.shortcut && (
+                                        <kbd className="px-1.5 py-0.5 bg-white/[0.04] border border-white/[0.06] rounded text-[9px] font-mono text-slate-500 opacity-0 group-hover:opacity-100 transition-opacity">
+                                            Alt+{ep.shortcut}
+                                        </kbd>
+                                    )}
                                 </div>
                                 <div className="text-[10px] text-slate-500 font-mono">{ep.path}</div>
                             </button>
@@ -290,7 +302,7 @@ const DeveloperSDK = () => {
                                 </div>
                                 <button
                                     onClick={() => executeRequest()}
-                                    disabled={isLoading}
+                                    disabled={isLoading || selectedEndpoint.stream}
                                     className="flex items-center gap-2 px-4 py-2 bg-indigo-500/10 hover:bg-indigo-500 text-indigo-400 hover:text-white border border-indigo-500/20 rounded-lg text-xs font-semibold transition-all disabled:opacity-50"
                                 >
                                     {isLoading ? <ArrowPathIcon className="w-3.5 h-3.5 animate-spin" /> : <PlayIcon className="w-3.5 h-3.5" />}
@@ -303,22 +315,58 @@ const DeveloperSDK = () => {
                                 <div className="flex items-center gap-2 bg-[#020617] border border-white/[0.04] rounded-lg p-2.5">
                                     {getMethodBadge(selectedEndpoint.method)}
                                     <code className="text-[12px] text-slate-300 font-mono flex-1">
-                                        {API_BASE}{selectedEndpoint.path}
+                                        {API_BASE}{resolvePath(selectedEndpoint, pathParams)}
                                     </code>
-                                    {selectedEndpoint.auth && (
+                                    {selectedEndpoint.scope && (
                                         <span className="flex items-center gap-1 text-[9px] text-amber-400 bg-amber-500/10 px-2 py-0.5 rounded">
-                                            <KeyIcon className="w-3 h-3" /> Auth
+                                            <KeyIcon className="w-3 h-3" /> {selectedEndpoint.scope}
                                         </span>
                                     )}
                                 </div>
 
+                                {/* Path Parameters */}
+                                {selectedEndpoint.pathParams.length > 0 && (
+                                    <div className="flex flex-wrap gap-2">
+                                        {selectedEndpoint.pathParams.map(name => (
+                                            <label key={name} className="flex items-center gap-2 bg-[#020617] border border-white/[0.04] rounded-lg px-2.5 py-1.5 font-mono text-[11px]">
+                                                <span className="text-indigo-400">{name}</span>
+                                                <input
+                                                    value={pathParams[name] || ''}
+                                                    onChange={(e) => setPathParams(prev => ({ ...prev, [name]: e.target.value.trim() }))}
+                                                    spellCheck={false}
+                                                    className="w-28 bg-transparent text-slate-300 outline-none"
+                                                />
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
+
+                                {selectedEndpoint.stream && (
+                                    <div className="text-[10px] text-amber-400/80">
+                                        Server-Sent Events stream — follow it with the cURL command, or EventSource with ?api_key=
+                                    </div>
+                                )}
+
                                 {/* Headers */}
                                 <div>
                                     <div className="text-[10px] text-slate-500 uppercase tracking-wider mb-1.5">Headers</div>
                                     <div className="bg-[#020617] border border-white/[0.04] rounded-lg p-3 font-mono text-[11px] space-y-1">
                                         <div><span className="text-indigo-400">Content-Type</span>: <span className="text-slate-300">application/json</span></div>
-                                        {selectedEndpoint.auth && (
-                                            <div><span className="text-amber-400">X-API-Key</span>: <span className="text-slate-400">{DEMO_KEY}</span></div>
+                                        {selectedEndpoint.scope && (
+                                            <div className="flex items-center">
+                                                <span className="text-amber-400">X-API-Key</span>:&nbsp;
+                                                <input
+                                                    value={apiKey}
+                                                    onChange={(e) => setApiKey(e.target.value.trim())}
+                                                    spellCheck={false}
+                                                    className="flex-1 bg-transparent text-slate-400 outline-none focus:text-slate-200"
+                                                />
+                                            </div>
+                                        )}
+                                        {selectedEndpoint.scope && apiKey === DEMO_KEY && selectedEndpoint.scope !== 'forecast:read' && (
+                                            <div className="text-[10px] text-rose-400/80 font-sans pt-1">
+                                                The demo key only has forecast:read. Paste a key with {selectedEndpoint.scope}.
+                                            </div>
                                         )}
                                     </div>
                                 </div>
@@ -371,7 +419,9 @@ const DeveloperSDK = () => {
                                 ) : (
                                     <div className="flex flex-col items-center justify-center py-12 text-slate-600">
                                         <BoltIcon className="w-8 h-8 mb-3" />
-                                        <span className="text-sm font-medium">Hit Execute or press <kbd className="px-1.5 py-0.5 bg-white/[0.04] border border-white/[0.06] rounded text-[10px] font-mono">Alt+{selectedEndpoint.shortcut}</kbd></span>
+                                        <span className="text-sm font-medium">
+                                            Hit Execute{selectedEndpoint.shortcut && <> or press <kbd className="px-1.5 py-0.5 bg-white/[0.04] border border-white/[0.06] rounded text-[10px] font-mono">Alt+{selectedEndpoint.shortcut}</kbd></>}
+                                        </span>
                                     </div>
                                 )}
                             </div>
@@ -387,6 +437,16 @@ const DeveloperSDK = () => {
                             </div>
                             <h3 className="text-sm font-semibold text-white mb-1">{selectedEndpoint.label}</h3>
                             <p className="text-[12px] text-slate-400 leading-relaxed">{selectedEndpoint.description}</p>
+                            {selectedEndpoint.queryParams.length > 0 && (
+                                <div className="mt-3 space-y-1">
+                                    {selectedEndpoint.queryParams.map(q => (
+                                        <div key={q.name} className="text-[10px] font-mono text-slate-500">
+                                            ?<span className="text-indigo-400/80">{q.name}</span>
+                                            {q.schema?.enum && <span> = {q.schema.enum.join(' | ')}</span>}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
 
                         {/* cURL Example */}
@@ -398,8 +458,8 @@ const DeveloperSDK = () => {
                                 <span className="text-[10px] text-slate-600 ml-2 font-mono">cURL</span>
                             </div>
                             <pre className="text-[10px] font-mono text-slate-400 leading-relaxed whitespace-pre-wrap break-all">
-                                {`curl ${selectedEndpoint.method === 'GET' ? '' : `-X ${selectedEndpoint.method} `}\\
-  ${API_BASE}${selectedEndpoint.path} \\${selectedEndpoint.auth ? `\n  -H "X-API-Key: ${DEMO_KEY}" \\` : ''
+                                {`curl ${selectedEndpoint.stream ? '-N ' : ''}${selectedEndpoint.method === 'GET' ? '' : `-X ${selectedEndpoint.method} `}\\
+  ${API_BASE}${resolvePath(selectedEndpoint, pathParams)} \\${selectedEndpoint.scope ? `\n  -H "X-API-Key: ${apiKey}" \\` : ''
                                     }${selectedEndpoint.body ? `\n  -H "Content-Type: application/json" \\
   -d '${JSON.stringify(selectedEndpoint.body)}'` : ''
                                     }`}
@@ -420,9 +480,8 @@ skills:
   - stellar-geo-ai
 triggers:
   - whatsapp: "${selectedEndpoint.label.toLowerCase()}"
-  - keybind: "Alt+${selectedEndpoint.shortcut}"
-instructions: |
-  Call ${API_BASE}${selectedEndpoint.path}
+${selectedEndpoint.shortcut ? `  - keybind: "Alt+${selectedEndpoint.shortcut}"\n` : ''}instructions: |
+  Call ${selectedEndpoint.method} ${API_BASE}${selectedEndpoint.path}
   Parse response and format for user`}
                             </pre>
                         </div>
@@ -433,7 +492,7 @@ instructions: |
                                 Keyboard Shortcuts
                             </h3>
                             <div className="space-y-2">
-                                {endpoints.map(ep => (
+                                {endpoints.filter(ep => ep.shortcut).map(ep => (
                                     <div key={ep.id} className="flex items-center justify-between">
                                         <span className="text-[11px] text-slate-400">{ep.label}</span>
                                         <kbd className="px-2 py-0.5 bg-white/[0.04] border border-white/[0.06] rounded text-[9px] font-mono text-slate-500">
@@ -2,78 +2,160 @@ import { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     DocumentArrowDownIcon,
-    DocumentTextIcon,
     TableCellsIcon,
     CheckCircleIcon,
     ClockIcon,
     SignalIcon,
-    ExclamationTriangleIcon
+    ExclamationTriangleIcon,
+    GlobeAltIcon,
+    ShieldCheckIcon,
+    CodeBracketIcon
 } from '@heroicons/react/24/outline';
 import { Header, EvidenceStrip, StatusBadge } from '../components';
-import { satellites, generateBulletinData, horizonLabels } from '../data/mockData';
-import { exportToCSV } from '../utils/helpers';
+import { satellites, horizonLabels, horizonMinutes } from '../data/mockData';
+import { exportToCSV, downloadText } from '../utils/helpers';
+import { verifyDocument } from '../utils/provenance';
+import { buildBulletin, bulletinToSP3, bulletinToRinexClock } from '../services/bulletinService';
+import { loadAllISROData } from '../services/isroDataLoader';
+
+const EXPORT_FORMATS = [
+    { id: 'json', label: 'JSON', icon: CodeBracketIcon, desc: 'Sealed bulletin' },
+    { id: 'csv', label: 'CSV', icon: TableCellsIcon, desc: 'Spreadsheet compatible' },
+    { id: 'sp3', label: 'SP3-d', icon: GlobeAltIcon, desc: 'Precise orbit + clock' },
+    { id: 'clk', label: 'RINEX CLK', icon: ClockIcon, desc: 'RINEX 3.00 clock' }
+];
+
+// ISRO telemetry a fleet orbit is forecast from: the geosynchronous orbits share the GEO files
+const ISRO_ORBIT = { MEO: 'MEO', GEO: 'GEO', GSO: 'GEO', IGSO: 'GEO' };
+
+const INPUT_SOURCES = [
+    { id: 'isro', label: 'ISRO telemetry', desc: 'Train + Test files of the orbit' },
+    { id: 'simulated', label: 'Simulated', desc: 'Unsigned preview only' }
+];
+
+/**
+ * Telemetry history of each selected satellite from the ISRO files of its orbit
+ * @returns {Promise<Object>} { history, input } for buildBulletin
+ */
+async function isroHistory(selected) {
+    const missing = selected.filter(sat => !ISRO_ORBIT[sat.orbit]);
+    if (missing.length > 0) {
+        throw new Error(`No ISRO telemetry for ${missing.map(s => `${s.id} (${s.orbit})`).join(', ')}; deselect them or use simulated input`);
+    }
+
+    const orbits = [...new Set(selected.map(sat => ISRO_ORBIT[sat.orbit]))];
+    const rows = Object.fromEntries(await Promise.all(orbits.map(async orbit => [orbit, await loadAllISROData(orbit)])));
+    const empty = orbits.filter(orbit => rows[orbit].length === 0);
+    if (empty.length > 0) throw new Error(`The ISRO ${empty.join(' and ')} telemetry could not be loaded`);
+
+    const orbitOf = Object.fromEntries(selected.map(sat => [sat.id, ISRO_ORBIT[sat.orbit]]));
+    return {
+        history: (id) => rows[orbitOf[id]],
+        input: {
+            source: 'isro',
+            datasets: Object.fromEntries(orbits.map(orbit => [orbit, [`${orbit}_Train`, `${orbit}_Test`]])),
+            satellites: orbitOf
+        }
+    };
+}
+
+const shortHash = (hex) => (hex ? `${hex.slice(0, 16)}…` : '—');
+const formatValue = (value) => (value === null ? '—' : value.toFixed(4));
 
 const ExportBulletin = () => {
     const [isGenerating, setIsGenerating] = useState(false);
-    const [bulletinGenerated, setBulletinGenerated] = useState(false);
-    const [bulletinData, setBulletinData] = useState(null);
-    const [selectedFormat, setSelectedFormat] = useState('csv');
+    const [bulletin, setBulletin] = useState(null);
+    const [selectedFormat, setSelectedFormat] = useState('json');
     const [selectedSatellites, setSelectedSatellites] = useState(satellites.map(s => s.id));
     const [selectedHorizons, setSelectedHorizons] = useState(['15m', '1h', '6h', '24h']);
+    const [inputSource, setInputSource] = useState('isro');
+    const [signingKey, setSigningKey] = useState('');
+    const [signingKeyId, setSigningKeyId] = useState('');
+    const [error, setError] = useState(null);
+    const [verification, setVerification] = useState(null);
 
-    const handleGenerateBulletin = () => {
+    const handleGenerateBulletin = async () => {
         setIsGenerating(true);
-        setBulletinGenerated(false);
-
-        // Simulate generation
-        setTimeout(() => {
-            const data = generateBulletinData();
-            setBulletinData(data);
+        setBulletin(null);
+        setError(null);
+
+        try {
+            const horizons = horizonLabels
+                .map((label, i) => ({ label, minutes: horizonMinutes[i] }))
+                .filter(h => selectedHorizons.includes(h.label));
+            const selected = satellites.filter(s => selectedSatellites.includes(s.id));
+            const document = inputSource === 'isro'
+                ? await buildBulletin(selected, horizons, {
+                    ...(await isroHistory(selected)),
+                    secret: signingKey || undefined,
+                    keyId: signingKeyId || null
+                })
+                : await buildBulletin(selected, horizons);
+            setBulletin(document);
+        } catch (err) {
+            setError(err.message);
+        } finally {
             setIsGenerating(false);
-            setBulletinGenerated(true);
-        }, 2000);
+        }
     };
 
     const handleDownload = () => {
-        if (!bulletinData) return;
-
-        const exportData = [];
-
-        bulletinData
-            .filter(sat => selectedSatellites.includes(sat.satelliteId))
-            .forEach(sat => {
-                sat.forecasts
-                    .filter(f => selectedHorizons.includes(f.horizon))
-                    .forEach(forecast => {
-                        exportData.push({
-                            satellite_id: sat.satelliteId,
-                            satellite_name: sat.satelliteName,
-                            constellation: sat.constellation,
-                            orbit_type: sat.orbit,
-                            status: sat.status,
-                            horizon: forecast.horizon,
-                            predicted_mean_ns: forecast.predictedMean,
-                            uncertainty_ns: forecast.uncertainty,
-                            ci_95_lower: forecast.confidence95Lower,
-                            ci_95_upper: forecast.confidence95Upper,
-                            risk_level: forecast.riskLevel,
-                            generated_at: sat.generatedAt
-                        });
-                    });
-            });
-
-        const timestamp = new Date().toISOString().split('T')[0];
-        exportToCSV(exportData, `stellar_v1k_bulletin_${timestamp}.csv`);
+        if (!bulletin) return;
+        setError(null);
+
+        try {
+            if (selectedFormat === 'json') {
+                downloadText(JSON.stringify(bulletin, null, 2), `${bulletin.bulletinId}.json`, 'application/json');
+            } else if (selectedFormat === 'sp3' || selectedFormat === 'clk') {
+                const product = selectedFormat === 'sp3' ? bulletinToSP3(bulletin) : bulletinToRinexClock(bulletin);
+                downloadText(product.text, product.filename);
+            } else {
+                const exportData = bulletin.satellites.flatMap(sat => sat.forecasts.map(forecast => ({
+                    bulletin_id: bulletin.bulletinId,
+                    satellite_id: sat.satelliteId,
+                    satellite_name: sat.satelliteName,
+                    constellation: sat.constellation,
+                    orbit_type: sat.orbit,
+                    status: sat.status,
+                    horizon: forecast.horizon,
+                    valid_at: forecast.validAt,
+                    predicted_mean_ns: forecast.clock.mean,
+                    uncertainty_ns: forecast.clock.std,
+                    ci_95_lower: forecast.clock.lower95,
+                    ci_95_upper: forecast.clock.upper95,
+                    radial_error_m: forecast.radial.mean,
+                    along_error_m: forecast.along.mean,
+                    cross_error_m: forecast.cross.mean,
+                    risk_level: forecast.riskLevel,
+                    model_version: bulletin.provenance.model.version,
+                    bulletin_sha256: bulletin.integrity.digest.value,
+                    generated_at: bulletin.issuedAt
+                })));
+                exportToCSV(exportData, `${bulletin.bulletinId}.csv`);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
     };
 
-    const summary = useMemo(() => {
-        if (!bulletinData) return null;
+    const handleVerify = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const document = JSON.parse(await file.text());
+            const result = await verifyDocument(document, { secret: signingKey || undefined });
+            setVerification({ name: file.name, bulletinId: document.bulletinId, ...result });
+        } catch (err) {
+            setVerification({ name: file.name, error: err.message });
+        }
+    };
 
-        const filteredData = bulletinData.filter(sat => selectedSatellites.includes(sat.satelliteId));
-        const allForecasts = filteredData.flatMap(sat =>
-            sat.forecasts.filter(f => selectedHorizons.includes(f.horizon))
-        );
+    const summary = useMemo(() => {
+        if (!bulletin) return null;
 
+        const allForecasts = bulletin.satellites.flatMap(sat => sat.forecasts);
         const highRisk = allForecasts.filter(f => f.riskLevel === 'HIGH').length;
         const mediumRisk = allForecasts.filter(f => f.riskLevel === 'MEDIUM').length;
         const lowRisk = allForecasts.filter(f => f.riskLevel === 'LOW').length;
@@ -83,18 +165,21 @@ const ExportBulletin = () => {
             highRisk,
             mediumRisk,
             lowRisk,
-            satellites: filteredData.length,
-            horizons: selectedHorizons.length
+            satellites: bulletin.satellites.length,
+            horizons: bulletin.provenance.parameters.horizons.length
         };
-    }, [bulletinData, selectedSatellites, selectedHorizons]);
+    }, [bulletin]);
 
+    // A sealed bulletin covers exactly the selection it was generated for
     const toggleSatellite = (id) => {
+        setBulletin(null);
         setSelectedSatellites(prev =>
             prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]
         );
     };
 
     const toggleHorizon = (h) => {
+        setBulletin(null);
         setSelectedHorizons(prev =>
             prev.includes(h) ? prev.filter(x => x !== h) : [...prev, h]
         );
@@ -123,10 +208,7 @@ const ExportBulletin = () => {
                             </div>
 
                             <div className="grid grid-cols-2 gap-3">
-                                {[
-                                    { id: 'csv', label: 'CSV', icon: TableCellsIcon, desc: 'Spreadsheet compatible' },
-                                    { id: 'pdf', label: 'PDF', icon: DocumentTextIcon, desc: 'Printable report' }
-                                ].map((format) => (
+                                {EXPORT_FORMATS.map((format) => (
                                     <button
                                         key={format.id}
                                         onClick={() => setSelectedFormat(format.id)}
@@ -158,9 +240,12 @@ const ExportBulletin = () => {
                             <div className="flex items-center justify-between mb-3">
                                 <span className="text-xs text-slate-400">{selectedSatellites.length} of {satellites.length} selected</span>
                                 <button
-                                    onClick={() => setSelectedSatellites(
-                                        selectedSatellites.length === satellites.length ? [] : satellites.map(s => s.id)
-                                    )}
+                                    onClick={() => {
+                                        setBulletin(null);
+                                        setSelectedSatellites(
+                                            selectedSatellites.length === satellites.length ? [] : satellites.map(s => s.id)
+                                        );
+                                    }}
                                     className="text-xs text-stellar-primary hover:text-stellar-cyan"
                                 >
                                     {selectedSatellites.length === satellites.length ? 'Deselect All' : 'Select All'}
@@ -227,6 +312,101 @@ const ExportBulletin = () => {
                                 ))}
                             </div>
                         </div>
+
+                        {/* Input Telemetry */}
+                        <div className="console-panel p-6">
+                            <div className="section-header">
+                                <h2>Input Telemetry</h2>
+                                <div className="divider" />
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-3">
+                                {INPUT_SOURCES.map((source) => (
+                                    <button
+                                        key={source.id}
+                                        onClick={() => { setInputSource(source.id); setBulletin(null); }}
+                                        className={`
+                      p-3 rounded-lg border text-left transition-all duration-200
+                      ${inputSource === source.id
+                                                ? 'border-stellar-primary bg-stellar-primary/10'
+                                                : 'border-console-border hover:border-stellar-primary/50'
+                                            }
+                    `}
+                                    >
+                                        <div className={`text-sm font-semibold ${inputSource === source.id ? 'text-white' : 'text-slate-300'}`}>
+                                            {source.label}
+                                        </div>
+                                        <div className="text-xs text-slate-500">{source.desc}</div>
+                                    </button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-slate-500 mt-3">
+                                MEO satellites are forecast from the ISRO MEO files, geosynchronous ones (GEO, IGSO) from the GEO files.
+                            </p>
+                        </div>
+
+                        {/* Signing */}
+                        <div className="console-panel p-6">
+                            <div className="section-header">
+                                <h2>Signing</h2>
+                                <div className="divider" />
+                            </div>
+
+                            <div className="space-y-3">
+                                <input
+                                    type="password"
+                                    disabled={inputSource === 'simulated'}
+                                    value={signingKey}
+                                    onChange={(e) => { setSigningKey(e.target.value); setBulletin(null); }}
+                                    placeholder="HMAC shared secret (optional)"
+                                    autoComplete="off"
+                                    className="w-full bg-space-800 border border-console-border rounded px-3 py-2 text-sm text-slate-200 font-mono"
+                                />
+                                <input
+                                    type="text"
+                                    disabled={inputSource === 'simulated'}
+                                    value={signingKeyId}
+                                    onChange={(e) => { setSigningKeyId(e.target.value); setBulletin(null); }}
+                                    placeholder="Key ID (optional)"
+                                    className="w-full bg-space-800 border border-console-border rounded px-3 py-2 text-sm text-slate-200 font-mono"
+                                />
+                                <p className="text-xs text-slate-500">
+                                    Every bulletin carries a SHA-256 digest; with a secret it is also signed with HMAC-SHA256.
+                                    The secret never leaves the browser.
+                                    {inputSource === 'simulated' && ' Bulletins from simulated telemetry are never signed.'}
+                                </p>
+
+                                <label className="flex items-center justify-center gap-2 px-3 py-2 rounded-lg border border-console-border text-sm text-slate-300 hover:border-stellar-primary cursor-pointer">
+                                    <ShieldCheckIcon className="w-4 h-4" />
+                                    Verify a bulletin (.json)
+                                    <input type="file" accept=".json,application/json" className="hidden" onChange={handleVerify} />
+                                </label>
+
+                                {verification && (
+                                    <div className="p-3 rounded-lg bg-space-800/50 border border-console-border text-xs font-mono space-y-1">
+                                        <div className="text-slate-300 truncate">{verification.bulletinId || verification.name}</div>
+                                        {verification.error ? (
+                                            <div className="text-stellar-rose">{verification.error}</div>
+                                        ) : (
+                                            <>
+                                                <div className={verification.digestValid ? 'text-stellar-emerald' : 'text-stellar-rose'}>
+                                                    SHA-256 digest {verification.digestValid ? 'matches' : 'does NOT match'}
+                                                </div>
+                                                <div className={
+                                                    verification.signatureValid === null ? 'text-slate-500'
+                                                        : verification.signatureValid ? 'text-stellar-emerald' : 'text-stellar-rose'
+                                                }>
+                                                    {!verification.signed && 'Unsigned'}
+                                                    {verification.signed && verification.signatureValid === null && 'Signed; enter the secret to check the signature'}
+                                                    {verification.signatureValid === true && 'HMAC signature valid'}
+                                                    {verification.signatureValid === false && 'HMAC signature INVALID'}
+                                                </div>
+                                            </>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        </div>
                     </motion.div>
 
                     {/* Preview & Generate Panel */}
@@ -267,11 +447,17 @@ const ExportBulletin = () => {
                             <p className="text-xs text-slate-500 mt-4">
                                 {selectedSatellites.length} satellites × {selectedHorizons.length} horizons = {selectedSatellites.length * selectedHorizons.length} predictions
                             </p>
+
+                            {error && (
+                                <div className="mt-4 p-3 rounded-lg bg-stellar-rose/10 border border-stellar-rose/30 text-sm text-stellar-rose">
+                                    {error}
+                                </div>
+                            )}
                         </div>
 
                         {/* Generated Bulletin Preview */}
                         <AnimatePresence>
-                            {bulletinGenerated && bulletinData && summary && (
+                            {bulletin && summary && (
                                 <motion.div
                                     className="console-panel p-6"
                                     initial={{ opacity: 0, y: 20 }}
@@ -289,10 +475,53 @@ const ExportBulletin = () => {
                                             className="flex items-center gap-2 px-4 py-2 rounded-lg bg-stellar-emerald/20 text-stellar-emerald border border-stellar-emerald/30 hover:bg-stellar-emerald/30 transition-colors"
                                         >
                                             <DocumentArrowDownIcon className="w-4 h-4" />
-                                            Download {selectedFormat.toUpperCase()}
+                                            Download {EXPORT_FORMATS.find(f => f.id === selectedFormat).label}
                                         </button>
                                     </div>
 
+                                    {/* Provenance */}
+                                    <div className="mb-6 p-4 rounded-lg bg-space-800/50 border border-console-border grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-xs font-mono">
+                                        <div className="text-slate-500">Bulletin</div>
+                                        <div className="text-slate-300 truncate">{bulletin.bulletinId}</div>
+                                        <div className="text-slate-500">Model version</div>
+                                        <div className="text-slate-300">{bulletin.provenance.model.version}</div>
+                                        <div className="text-slate-500">Training data SHA-256</div>
+                                        <div className="text-slate-300" title={bulletin.provenance.model.trainingDataSha256 || ''}>
+                                            {bulletin.provenance.model.trained
+                                                ? `${shortHash(bulletin.provenance.model.trainingDataSha256)} (${bulletin.provenance.model.trainingSamples} rows)`
+                                                : 'untrained model'}
+                                        </div>
+                                        <div className="text-slate-500">Input telemetry</div>
+                                        <div className="text-slate-300">
+                                            {bulletin.provenance.input.datasets
+                                                ? Object.values(bulletin.provenance.input.datasets).flat().join(', ')
+                                                : bulletin.provenance.input.source}
+                                        </div>
+                                        <div className="text-slate-500">Bulletin SHA-256</div>
+                                        <div className="text-slate-300" title={bulletin.integrity.digest.value}>{shortHash(bulletin.integrity.digest.value)}</div>
+                                        <div className="text-slate-500">Signature</div>
+                                        <div className={bulletin.integrity.signature ? 'text-stellar-emerald' : 'text-slate-500'}>
+                                            {bulletin.integrity.signature
+                                                ? `HMAC-SHA256${bulletin.integrity.signature.keyId ? ` (${bulletin.integrity.signature.keyId})` : ''}`
+                                                : 'unsigned'}
+                                        </div>
+                                    </div>
+
+                                    {bulletin.provenance.input.source === 'simulated' && (
+                                        <div className="mb-6 flex items-start gap-2 p-3 rounded-lg bg-stellar-amber/10 border border-stellar-amber/30 text-xs text-stellar-amber">
+                                            <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+                                            These forecasts are from simulated telemetry, not from the satellites' data. Preview only: the bulletin is unsigned.
+                                        </div>
+                                    )}
+
+                                    {!bulletin.provenance.model.trained && (
+                                        <div className="mb-6 flex items-start gap-2 p-3 rounded-lg bg-stellar-amber/10 border border-stellar-amber/30 text-xs text-stellar-amber">
+                                            <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+                                            The forecast model has not been trained in this session, so these numbers come from initial weights.
+                                            Train it in the Scientist Workflow before issuing bulletins.
+                                        </div>
+                                    )}
+
                                     {/* Summary Cards */}
                                     <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
                                         <div className="p-4 rounded-lg bg-space-800/50 border border-console-border text-center">
@@ -331,12 +560,10 @@ const ExportBulletin = () => {
                                                 </tr>
                                             </thead>
                                             <tbody>
-                                                {bulletinData
-                                                    .filter(sat => selectedSatellites.includes(sat.satelliteId))
+                                                {bulletin.satellites
                                                     .slice(0, 5)
                                                     .flatMap(sat =>
                                                         sat.forecasts
-                                                            .filter(f => selectedHorizons.includes(f.horizon))
                                                             .slice(0, 2)
                                                             .map((forecast, fi) => (
                                                                 <tr key={`${sat.satelliteId}-${forecast.horizon}`} className="border-b border-console-border/50 hover:bg-white/5">
@@ -344,10 +571,10 @@ const ExportBulletin = () => {
                                                                         {fi === 0 && <span className="font-mono text-white">{sat.satelliteId}</span>}
                                                                     </td>
                                                                     <td className="py-3 px-4 text-slate-400 font-mono">{forecast.horizon}</td>
-                                                                    <td className="py-3 px-4 text-stellar-cyan font-mono">{forecast.predictedMean}</td>
-                                                                    <td className="py-3 px-4 text-slate-400 font-mono">±{forecast.uncertainty}</td>
+                                                                    <td className="py-3 px-4 text-stellar-cyan font-mono">{formatValue(forecast.clock.mean)}</td>
+                                                                    <td className="py-3 px-4 text-slate-400 font-mono">±{formatValue(forecast.clock.std)}</td>
                                                                     <td className="py-3 px-4 text-slate-500 font-mono text-xs">
-                                                                        [{forecast.confidence95Lower}, {forecast.confidence95Upper}]
+                                                                        [{formatValue(forecast.clock.lower95)}, {formatValue(forecast.clock.upper95)}]
                                                                     </td>
                                                                     <td className="py-3 px-4">
                                                                         <span className={`
@@ -373,7 +600,7 @@ const ExportBulletin = () => {
                         </AnimatePresence>
 
                         {/* Bulletin Information */}
-                        {!bulletinGenerated && (
+                        {!bulletin && (
                             <motion.div
                                 className="console-panel p-6"
                                 initial={{ opacity: 0 }}
@@ -393,6 +620,8 @@ const ExportBulletin = () => {
                                         { field: '95% Confidence Interval', desc: 'Lower and upper bounds' },
                                         { field: 'Risk Level', desc: 'LOW / MEDIUM / HIGH classification' },
                                         { field: 'Generation Timestamp', desc: 'ISO 8601 format timestamp' },
+                                        { field: 'Provenance', desc: 'Model weights digest, training data digest, generation parameters' },
+                                        { field: 'Integrity', desc: 'SHA-256 digest, optional HMAC-SHA256 signature' },
                                     ].map((item, i) => (
                                         <motion.div
                                             key={item.field}
@@ -415,12 +644,7 @@ const ExportBulletin = () => {
                 </div>
 
                 {/* Evidence Strip */}
-                <EvidenceStrip
-                    validationWindow="Day 7 → Day 8"
-                    baselineRMSE="0.42 ns"
-                    stellarRMSE="0.18 ns"
-                    improvement="57%"
-                />
+                <EvidenceStrip />
             </div>
         </div>
     );
@@ -11,6 +11,8 @@ import {
 import { Header, EvidenceStrip, ArchitectureDiagram, HorizonSelector, ModelTrainer } from '../components';
 import ISROEvaluationPanel from '../components/ISROEvaluationPanel';
 import { horizonLabels } from '../data/mockData';
+import { AI_CONFIG } from '../services/aiService';
+import { ARCHITECTURES } from '../services/modelArchitectures';
 import {
     BarChart,
     Bar,
@@ -28,6 +30,7 @@ const ForecastLab = () => {
     const [selectedHorizon, setSelectedHorizon] = useState('2h');
     const [selectedOrbit, setSelectedOrbit] = useState('MEO'); // Default to MEO (has more data)
     const [evaluationData, setEvaluationData] = useState(null); // For ISRO evaluation
+    const [architecture, setArchitecture] = useState(AI_CONFIG.architecture);
 
     const tabs = [
         { id: 'architecture', label: 'ARCHITECTURE_NODE', icon: CpuChipIcon },
@@ -108,11 +111,23 @@ const ForecastLab = () => {
                             {/* Architecture Diagram */}
                             <div className="neo-panel bg-[#0f172a]/80">
                                 <div className="flex items-center gap-4 mb-8">
-                                    <h2 className="text-xl font-semibold uppercase tracking-wider text-white italic">TRANSFORMER_ENCODER_LSTM</h2>
+                                    <h2 className="text-xl font-semibold uppercase tracking-wider text-white italic">
+                                        {ARCHITECTURES[architecture].label.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}
+                                    </h2>
                                     <div className="flex-1 h-[1px] bg-slate-800" />
+                                    <select
+                                        value={architecture}
+                                        onChange={(e) => setArchitecture(e.target.value)}
+                                        className="px-3 py-2 bg-slate-950 border border-slate-800 text-xs font-mono text-slate-300 focus:outline-none focus:border-indigo-500/50"
+                                    >
+                                        {Object.entries(ARCHITECTURES).map(([id, a]) => (
+                                            <option key={id} value={id}>{a.label}</option>
+                                        ))}
+                                    </select>
                                 </div>
+                                <p className="text-xs text-slate-500 mb-4">{ARCHITECTURES[architecture].summary}</p>
                                 <div className="bg-slate-950/50 border border-slate-800 p-8">
-                                    <ArchitectureDiagram />
+                                    <ArchitectureDiagram architecture={architecture} />
                                 </div>
                             </div>
 
@@ -120,14 +135,14 @@ const ForecastLab = () => {
                             <div className="space-y-4">
                                 {[
                                     {
-                                        title: 'Self-Attention Layer',
-                                        description: 'Captures long-range multi-decadal temporal dependencies in orbital perturbations.',
+                                        title: 'Selectable Sequence Encoder',
+                                        description: `${Object.values(ARCHITECTURES).map(x => x.label).join(', ')}; chosen per training run.`,
                                         icon: CubeTransparentIcon,
                                         tag: 'ENC_01'
                                     },
                                     {
-                                        title: 'Bi-LSTM Recurrence',
-                                        description: 'Maintains stateful memory of sequential epoch residuals across the 7-day window.',
+                                        title: 'Shared Training Pipeline',
+                                        description: 'Every architecture uses the same windows, normalization, Gaussian loss and walk-forward backtest.',
                                         icon: AdjustmentsHorizontalIcon,
                                         tag: 'REC_02'
                                     },
@@ -269,6 +284,8 @@ const ForecastLab = () => {
                                 <ISROEvaluationPanel 
                                     predictions={evaluationData.predictions}
                                     actuals={evaluationData.actuals}
+                                    orbitType={evaluationData.orbitType}
+                                    stepMinutes={evaluationData.stepMinutes}
                                 />
                             ) : (
                                 <div className="neo-panel bg-[#0f172a]/80 border border-white/[0.06] p-12 text-center">
@@ -379,12 +396,7 @@ const ForecastLab = () => {
 
                 {/* Evidence Strip */}
                 <div className="neo-panel bg-[#020617] border-slate-800 p-2 text-white">
-                    <EvidenceStrip
-                        validationWindow="EPOCH_7 → EPOCH_8"
-                        baselineRMSE="0.428 ns"
-                        stellarRMSE="0.182 ns"
-                        improvement="57.41%"
-                    />
+                    <EvidenceStrip />
                 </div>
             </div>
         </div>
@@ -257,8 +257,8 @@ const Landing = () => {
                             className="hidden sm:flex gap-6 md:gap-10 mt-12 md:mt-20 pt-6 md:pt-8 border-t border-white/[0.06]"
                         >
                             {[
-                                { value: '98.2%', label: 'Accuracy' },
-                                { value: '57%', label: 'Error Reduction' },
+                                { value: '8', label: 'Horizons' },
+                                { value: '4', label: 'Backtest Baselines' },
                                 { value: '<50ms', label: 'Inference' },
                             ].map((stat, i) => (
                                 <div key={stat.label} className="text-left">
@@ -339,8 +339,8 @@ const Landing = () => {
                         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-5">
                             <FeatureCard
                                 icon={CpuChipIcon}
-                                title="Transformer-LSTM Hybrid"
-                                description="Neural architecture combining attention with sequential memory for superior forecasting."
+                                title="Pluggable Architectures"
+                                description="LSTM, GRU, TCN, Transformer encoder and N-BEATS forecasters behind one training pipeline."
                                 delay={0}
                                 gradient="from-amber-500 to-orange-600"
                             />
@@ -1,60 +1,148 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import {
     ChartBarIcon,
     ArrowPathIcon,
-    InformationCircleIcon
+    InformationCircleIcon,
+    ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
-import { Header, EvidenceStrip, ResidualHistogram, QQPlot, HorizonSelector, KPICard } from '../components';
-import { generateResidualData, horizonLabels } from '../data/mockData';
+import { Header, EvidenceStrip, ResidualHistogram, QQPlot, ResidualACFPlot, HorizonSelector, KPICard, BacktestSkillTable } from '../components';
+import { orbitalPeriodHours } from '../data/mockData';
+import { useAppStore } from '../store/appStore';
+import { apiGet } from '../services/stellarApi';
+import { shapiroWilkTest, calculateResidualStats } from '../utils/statisticalTests';
+import { STATISTICAL_METHODS } from '../utils/statisticalForecast';
+
+const CHANNELS = [
+    { id: 'clock', label: 'Clock' },
+    { id: 'radial', label: 'Radial' },
+    { id: 'along', label: 'Along-Track' },
+    { id: 'cross', label: 'Cross-Track' }
+];
+
+const modelKey = (m) => `${m.satellite}/${m.orbit}/${m.version}`;
 
 const Residuals = () => {
-    const [selectedHorizon, setSelectedHorizon] = useState('2h');
-    const [residuals, setResiduals] = useState(() => generateResidualData(500));
+    const lastEvaluation = useAppStore(state => state.lastEvaluation);
+    const lastBacktest = useAppStore(state => state.lastBacktest);
+    const setLastBacktest = useAppStore(state => state.setLastBacktest);
 
-    const refreshResiduals = () => {
-        setResiduals(generateResidualData(500));
-    };
+    const [source, setSource] = useState(lastEvaluation ? 'evaluation' : 'registry');
+    const [models, setModels] = useState([]);
+    const [selectedModel, setSelectedModel] = useState('');
+    const [datasets, setDatasets] = useState([]);
+    const [selectedDataset, setSelectedDataset] = useState('');
+    const [registryReport, setRegistryReport] = useState(null);
+    const [registryBacktest, setRegistryBacktest] = useState(null);
+    const [backtesting, setBacktesting] = useState(false);
+    const [withClassical, setWithClassical] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
 
-    const stats = useMemo(() => {
-        const mean = residuals.reduce((a, b) => a + b, 0) / residuals.length;
-        const variance = residuals.reduce((a, b) => a + (b - mean) ** 2, 0) / residuals.length;
-        const std = Math.sqrt(variance);
-        const skewness = residuals.reduce((a, b) => a + ((b - mean) / std) ** 3, 0) / residuals.length;
-        const kurtosis = residuals.reduce((a, b) => a + ((b - mean) / std) ** 4, 0) / residuals.length - 3;
+    const [channel, setChannel] = useState('clock');
+    const [selectedHorizon, setSelectedHorizon] = useState(null);
+
+    // Registry models, production versions first
+    useEffect(() => {
+        apiGet('/models')
+            .then(({ models: list }) => {
+                const sorted = [...list].sort((a, b) => Number(b.production) - Number(a.production));
+                setModels(sorted);
+                if (sorted.length > 0) setSelectedModel(current => current || modelKey(sorted[0]));
+            })
+            .catch(err => setError(`Model registry unavailable: ${err.message}`));
+    }, []);
+
+    const model = models.find(m => modelKey(m) === selectedModel);
+
+    // Held-out splits for the selected model's orbit
+    useEffect(() => {
+        if (!model) return;
+        apiGet(`/datasets?orbit=${model.orbit}`)
+            .then(({ datasets: list }) => setDatasets(list.filter(d => d.source !== 'builtin' || d.id.includes('_Test'))))
+            .catch(() => setDatasets([]));
+    }, [model]);
+
+    const loadRegistryResiduals = useCallback(async () => {
+        if (!model) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const query = selectedDataset ? `?dataset=${encodeURIComponent(selectedDataset)}` : '';
+            setRegistryReport(await apiGet(`/models/${model.satellite}/${model.orbit}/${model.version}/residuals${query}`));
+        } catch (err) {
+            setRegistryReport(null);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [model, selectedDataset]);
+
+    useEffect(() => {
+        if (source === 'registry') loadRegistryResiduals();
+    }, [source, loadRegistryResiduals]);
 
-        // Simplified normality score (higher is better)
-        const normalityScore = Math.max(0, 1 - Math.abs(skewness) * 0.2 - Math.abs(kurtosis) * 0.1);
+    // Walk-forward backtests refit ARIMA at every origin, so they run on request only
+    const runRegistryBacktest = useCallback(async () => {
+        if (!model) return;
+        setBacktesting(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({
+                ...(selectedDataset && { dataset: selectedDataset }),
+                ...(withClassical && { classical: Object.keys(STATISTICAL_METHODS).join(',') })
+            });
+            const query = params.toString() ? `?${params}` : '';
+            const result = await apiGet(`/models/${model.satellite}/${model.orbit}/${model.version}/backtest${query}`);
+            setRegistryBacktest({ key: `${selectedModel}|${selectedDataset}`, result });
+            setLastBacktest(result);
+        } catch (err) {
+            setError(`Backtest failed: ${err.message}`);
+        } finally {
+            setBacktesting(false);
+        }
+    }, [model, selectedModel, selectedDataset, withClassical, setLastBacktest]);
 
+
+    const report = source === 'evaluation' ? lastEvaluation : registryReport;
+    const backtest = source === 'evaluation'
+        ? lastBacktest
+        : (registryBacktest?.key === `${selectedModel}|${selectedDataset}` ? registryBacktest.result : null);
+    const availableHorizons = useMemo(
+        () => (report ? report.horizons.filter(h => h.samples >= 3) : []),
+        [report]
+    );
+    const horizon = availableHorizons.find(h => h.horizon === selectedHorizon) || availableHorizons[0] || null;
+    const residuals = useMemo(() => (horizon ? horizon.residuals[channel] : []), [horizon, channel]);
+    const unit = report?.units?.[channel] || '';
+    const orbit = source === 'registry' ? model?.orbit : null;
+
+    const stats = useMemo(() => {
+        if (residuals.length < 3) return null;
+        const s = calculateResidualStats(residuals);
+        const sw = shapiroWilkTest(residuals);
         return {
-            mean: mean.toFixed(4),
-            std: std.toFixed(4),
-            skewness: skewness.toFixed(4),
-            kurtosis: kurtosis.toFixed(4),
-            normalityScore: normalityScore.toFixed(2),
+            mean: s.mean.toFixed(4),
+            std: s.std.toFixed(4),
+            skewness: s.skewness.toFixed(4),
+            kurtosis: s.kurtosis.toFixed(4),
+            W: sw.W.toFixed(4),
+            pValue: sw.pValue,
+            rejectNull: sw.rejectNull,
             count: residuals.length
         };
     }, [residuals]);
 
-    const horizonNormality = useMemo(() => {
-        // Simulated normality scores by horizon (lower horizons = better normality)
-        const baseScore = 0.95;
-        const horizonMultiplier = {
-            '15m': 0.02,
-            '30m': 0.04,
-            '1h': 0.06,
-            '2h': 0.08,
-            '4h': 0.10,
-            '6h': 0.12,
-            '12h': 0.16,
-            '24h': 0.20
-        };
+    // Shapiro-Wilk W of the selected channel at every horizon
+    const horizonNormality = useMemo(() => availableHorizons.map(h => {
+        const sw = shapiroWilkTest(h.residuals[channel]);
+        return { horizon: h.horizon, samples: h.samples, W: sw.W, pValue: sw.pValue, rejectNull: sw.rejectNull };
+    }), [availableHorizons, channel]);
+    const selectedNormality = horizonNormality.find(h => h.horizon === horizon?.horizon);
 
-        return horizonLabels.map(h => ({
-            horizon: h,
-            score: (baseScore - (horizonMultiplier[h] || 0)).toFixed(2)
-        }));
-    }, []);
+    const sourceLabel = report
+        ? `${report.model}${report.dataset ? ` on ${report.dataset}` : ''}`
+        : 'No residuals loaded';
 
     return (
         <div className="min-h-screen">
@@ -64,213 +152,380 @@ const Residuals = () => {
             />
 
             <div className="p-6 space-y-6">
-                {/* Controls */}
+                {/* Source */}
+                <motion.div
+                    className="console-panel p-4 flex flex-wrap items-center gap-4"
+                    initial={{ opacity: 0, y: -20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => setSource('evaluation')}
+                            disabled={!lastEvaluation}
+                            title={lastEvaluation ? '' : 'Run an evaluation in the Scientist Workflow first'}
+                            className={`px-3 py-1.5 text-xs font-semibold uppercase rounded ${
+                                source === 'evaluation' ? 'bg-indigo-400 text-black' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                            } disabled:opacity-40 disabled:cursor-not-allowed`}
+                        >
+                            Latest Evaluation
+                        </button>
+                        <button
+                            onClick={() => setSource('registry')}
+                            className={`px-3 py-1.5 text-xs font-semibold uppercase rounded ${
+                                source === 'registry' ? 'bg-indigo-400 text-black' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                            }`}
+                        >
+                            Registry Model
+                        </button>
+                    </div>
+
+                    {source === 'registry' && (
+                        <>
+                            <select
+                                value={selectedModel}
+                                onChange={(e) => setSelectedModel(e.target.value)}
+                                className="bg-space-800 border border-console-border rounded px-3 py-1.5 text-sm text-slate-200"
+                            >
+                                {models.length === 0 && <option value="">No registered models</option>}
+                                {models.map(m => (
+                                    <option key={modelKey(m)} value={modelKey(m)}>
+                                        {m.satellite} · {m.orbit} · v{m.version}{m.production ? ' (production)' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            <select
+                                value={selectedDataset}
+                                onChange={(e) => setSelectedDataset(e.target.value)}
+                                className="bg-space-800 border border-console-border rounded px-3 py-1.5 text-sm text-slate-200"
+                            >
+                                <option value="">Held-out split (auto)</option>
+                                {datasets.map(d => (
+                                    <option key={d.id} value={d.id}>{d.id} ({d.rows} rows)</option>
+                                ))}
+                            </select>
+                            <motion.button
+                                onClick={loadRegistryResiduals}
+                                disabled={!model || loading}
+                                className="flex items-center gap-2 px-4 py-1.5 rounded-lg bg-space-800 border border-console-border text-slate-300 hover:text-white hover:border-stellar-primary transition-all disabled:opacity-40"
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                <ArrowPathIcon className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                                <span className="text-sm">Refresh Analysis</span>
+                            </motion.button>
+                        </>
+                    )}
+
+                    <div className="ml-auto text-xs font-mono text-slate-500">
+                        {sourceLabel}
+                        {report?.windows !== undefined && ` · ${report.windows} windows`}
+                    </div>
+                </motion.div>
+
+                {error && (
+                    <div className="flex items-center gap-3 p-4 rounded-lg border border-rose-800 bg-rose-950/20 text-sm text-rose-300">
+                        <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                        {error}
+                    </div>
+                )}
+
+                {/* Channel and horizon */}
                 <motion.div
-                    className="flex items-center justify-between"
+                    className="flex flex-wrap items-center justify-between gap-4"
                     initial={{ opacity: 0, y: -20 }}
                     animate={{ opacity: 1, y: 0 }}
                 >
-                    <HorizonSelector
-                        horizons={horizonLabels}
-                        selectedHorizon={selectedHorizon}
-                        onSelect={setSelectedHorizon}
-                    />
-
-                    <motion.button
-                        onClick={refreshResiduals}
-                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-space-800 border border-console-border text-slate-300 hover:text-white hover:border-stellar-primary transition-all"
-                        whileHover={{ scale: 1.02 }}
-                        whileTap={{ scale: 0.98 }}
-                    >
-                        <ArrowPathIcon className="w-4 h-4" />
-                        <span className="text-sm">Refresh Analysis</span>
-                    </motion.button>
+                    <div className="flex items-center gap-2 p-1 bg-space-800/50 rounded-lg border border-console-border">
+                        {CHANNELS.map(c => (
+                            <button
+                                key={c.id}
+                                onClick={() => setChannel(c.id)}
+                                className={`px-4 py-2 rounded-md text-sm font-mono font-medium transition-colors ${
+                                    channel === c.id ? 'bg-stellar-primary text-white' : 'text-slate-400 hover:text-white hover:bg-white/5'
+                                }`}
+                            >
+                                {c.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {availableHorizons.length > 0 && (
+                        <HorizonSelector
+                            horizons={availableHorizons.map(h => h.horizon)}
+                            selectedHorizon={horizon?.horizon}
+                            onSelect={setSelectedHorizon}
+                        />
+                    )}
                 </motion.div>
 
-                {/* KPI Cards */}
-                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
-                    <KPICard
-                        label="Normality Score"
-                        value={stats.normalityScore}
-                        color="emerald"
-                        trend={parseFloat(stats.normalityScore) > 0.8 ? 'up' : 'down'}
-                        icon={ChartBarIcon}
-                        delay={0.1}
-                    />
-                    <KPICard
-                        label="Mean (μ)"
-                        value={stats.mean}
-                        color="cyan"
-                        icon={InformationCircleIcon}
-                        delay={0.2}
-                    />
-                    <KPICard
-                        label="Std Dev (σ)"
-                        value={stats.std}
-                        color="blue"
-                        delay={0.3}
-                    />
-                    <KPICard
-                        label="Skewness"
-                        value={stats.skewness}
-                        color={Math.abs(parseFloat(stats.skewness)) < 0.5 ? 'emerald' : 'amber'}
-                        delay={0.4}
-                    />
-                    <KPICard
-                        label="Kurtosis"
-                        value={stats.kurtosis}
-                        color={Math.abs(parseFloat(stats.kurtosis)) < 1 ? 'emerald' : 'amber'}
-                        delay={0.5}
-                    />
-                </div>
-
-                {/* Main Charts */}
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                    {/* Histogram */}
-                    <motion.div
-                        className="console-panel p-6"
-                        initial={{ opacity: 0, x: -20 }}
-                        animate={{ opacity: 1, x: 0 }}
-                        transition={{ delay: 0.2 }}
-                    >
-                        <div className="section-header">
-                            <h2>Residual Distribution</h2>
-                            <div className="divider" />
-                        </div>
-                        <p className="text-sm text-slate-400 mb-4">
-                            Histogram of prediction residuals for horizon +{selectedHorizon}
+                {!stats ? (
+                    <div className="console-panel p-12 text-center">
+                        <ChartBarIcon className="w-12 h-12 mx-auto mb-4 text-slate-600" />
+                        <p className="text-sm text-slate-400">
+                            {loading ? 'Computing residuals…' : 'No residuals to analyse yet'}
                         </p>
-                        <ResidualHistogram residuals={residuals} height={320} />
-
-                        {/* Normal overlay legend */}
-                        <div className="flex items-center justify-center gap-4 mt-4 pt-4 border-t border-console-border">
-                            <div className="flex items-center gap-2">
-                                <span className="w-3 h-3 rounded bg-stellar-primary/60" />
-                                <span className="text-xs text-slate-400">Observed Distribution</span>
-                            </div>
-                            <div className="flex items-center gap-2">
-                                <span className="w-8 h-0.5 border-t-2 border-stellar-amber border-dashed" />
-                                <span className="text-xs text-slate-400">Mean</span>
-                            </div>
+                        <p className="text-xs text-slate-500 mt-2">
+                            Evaluate a model in the Scientist Workflow, or pick a registry model whose held-out split covers at least one horizon.
+                        </p>
+                    </div>
+                ) : (
+                    <>
+                        {/* KPI Cards */}
+                        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                            <KPICard
+                                label="Shapiro-Wilk W"
+                                value={stats.W}
+                                subtitle={`p = ${stats.pValue.toFixed(4)}, n = ${stats.count}`}
+                                color={stats.rejectNull ? 'amber' : 'emerald'}
+                                trend={stats.rejectNull ? 'down' : 'up'}
+                                icon={ChartBarIcon}
+                                delay={0.1}
+                            />
+                            <KPICard
+                                label="Mean (μ)"
+                                value={stats.mean}
+                                unit={unit}
+                                color="cyan"
+                                icon={InformationCircleIcon}
+                                delay={0.2}
+                            />
+                            <KPICard
+                                label="Std Dev (σ)"
+                                value={stats.std}
+                                unit={unit}
+                                color="blue"
+                                delay={0.3}
+                            />
+                            <KPICard
+                                label="Skewness"
+                                value={stats.skewness}
+                                color={Math.abs(parseFloat(stats.skewness)) < 0.5 ? 'emerald' : 'amber'}
+                                delay={0.4}
+                            />
+                            <KPICard
+                                label="Kurtosis"
+                                value={stats.kurtosis}
+                                color={Math.abs(parseFloat(stats.kurtosis)) < 1 ? 'emerald' : 'amber'}
+                                delay={0.5}
+                            />
                         </div>
-                    </motion.div>
-
-                    {/* Q-Q Plot */}
-                    <motion.div
-                        className="console-panel p-6"
-                        initial={{ opacity: 0, x: 20 }}
-                        animate={{ opacity: 1, x: 0 }}
-                        transition={{ delay: 0.3 }}
-                    >
-                        <div className="section-header">
-                            <h2>Q-Q Plot (Normality Check)</h2>
-                            <div className="divider" />
+
+                        {/* Main Charts */}
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            {/* Histogram */}
+                            <motion.div
+                                className="console-panel p-6"
+                                initial={{ opacity: 0, x: -20 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: 0.2 }}
+                            >
+                                <div className="section-header">
+                                    <h2>Residual Distribution</h2>
+                                    <div className="divider" />
+                                </div>
+                                <p className="text-sm text-slate-400 mb-4">
+                                    {CHANNELS.find(c => c.id === channel).label} residuals (actual − predicted{unit && `, ${unit}`}) at +{horizon.horizon}
+                                </p>
+                                <ResidualHistogram residuals={residuals} height={320} />
+
+                                {/* Normal overlay legend */}
+                                <div className="flex items-center justify-center gap-4 mt-4 pt-4 border-t border-console-border">
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-3 h-3 rounded bg-stellar-primary/60" />
+                                        <span className="text-xs text-slate-400">Observed Distribution</span>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-8 h-0.5 border-t-2 border-stellar-amber border-dashed" />
+                                        <span className="text-xs text-slate-400">Mean</span>
+                                    </div>
+                                </div>
+                            </motion.div>
+
+                            {/* Q-Q Plot */}
+                            <motion.div
+                                className="console-panel p-6"
+                                initial={{ opacity: 0, x: 20 }}
+                                animate={{ opacity: 1, x: 0 }}
+                                transition={{ delay: 0.3 }}
+                            >
+                                <div className="section-header">
+                                    <h2>Q-Q Plot (Normality Check)</h2>
+                                    <div className="divider" />
+                                </div>
+                                <p className="text-sm text-slate-400 mb-4">
+                                    Quantile-quantile comparison against standard normal distribution
+                                </p>
+                                <QQPlot residuals={residuals} height={320} />
+
+                                {/* Interpretation */}
+                                <div className="flex items-center justify-center gap-4 mt-4 pt-4 border-t border-console-border">
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-8 h-0.5 bg-stellar-emerald" style={{ borderTop: '2px dashed #10b981' }} />
+                                        <span className="text-xs text-slate-400">Reference Line (y = x)</span>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-3 h-3 rounded-full bg-stellar-primary/60" />
+                                        <span className="text-xs text-slate-400">Sample Quantiles</span>
+                                    </div>
+                                </div>
+                            </motion.div>
                         </div>
-                        <p className="text-sm text-slate-400 mb-4">
-                            Quantile-quantile comparison against standard normal distribution
-                        </p>
-                        <QQPlot residuals={residuals} height={320} />
 
-                        {/* Interpretation */}
-                        <div className="flex items-center justify-center gap-4 mt-4 pt-4 border-t border-console-border">
-                            <div className="flex items-center gap-2">
-                                <span className="w-8 h-0.5 bg-stellar-emerald" style={{ borderTop: '2px dashed #10b981' }} />
-                                <span className="text-xs text-slate-400">Reference Line (y = x)</span>
+                        {/* Autocorrelation */}
+                        <motion.div
+                            className="console-panel p-6"
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.35 }}
+                        >
+                            <div className="section-header">
+                                <h2>Residual Autocorrelation (Whiteness Check)</h2>
+                                <div className="divider" />
                             </div>
-                            <div className="flex items-center gap-2">
-                                <span className="w-3 h-3 rounded-full bg-stellar-primary/60" />
-                                <span className="text-xs text-slate-400">Sample Quantiles</span>
+                            <p className="text-sm text-slate-400 mb-4">
+                                ACF/PACF with 95% bands; significant lags at multiples of half the orbital period indicate
+                                orbit-periodic error the model has not removed
+                            </p>
+                            <ResidualACFPlot
+                                residuals={residuals}
+                                stepMinutes={report.step_minutes}
+                                orbitalPeriodHours={orbitalPeriodHours(orbit)}
+                                height={280}
+                            />
+                        </motion.div>
+
+                        {/* Normality by Horizon */}
+                        <motion.div
+                            className="console-panel p-6"
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.4 }}
+                        >
+                            <div className="section-header">
+                                <h2>Normality by Horizon</h2>
+                                <div className="divider" />
                             </div>
-                        </div>
-                    </motion.div>
-                </div>
+                            <p className="text-sm text-slate-400 mb-6">
+                                Shapiro-Wilk W of the {CHANNELS.find(c => c.id === channel).label.toLowerCase()} residuals at each horizon with at least 3 scored windows
+                            </p>
+
+                            <div className="flex items-end justify-between gap-4 h-48">
+                                {horizonNormality.map((item, i) => {
+                                    const isSelected = item.horizon === horizon.horizon;
+                                    return (
+                                        <motion.div
+                                            key={item.horizon}
+                                            className="flex-1 text-center"
+                                            initial={{ opacity: 0, y: 20 }}
+                                            animate={{ opacity: 1, y: 0 }}
+                                            transition={{ delay: 0.5 + i * 0.05 }}
+                                        >
+                                            <div className="relative h-40 flex items-end justify-center mb-2">
+                                                <motion.div
+                                                    className={`
+                        w-full max-w-12 rounded-t-lg
+                        ${isSelected
+                                                            ? 'bg-gradient-to-t from-stellar-primary to-stellar-cyan'
+                                                            : item.rejectNull ? 'bg-gradient-to-t from-amber-800 to-amber-600' : 'bg-gradient-to-t from-slate-700 to-slate-600'
+                                                        }
+                        ${isSelected ? 'shadow-glow' : ''}
+                      `}
+                                                    initial={{ height: 0 }}
+                                                    animate={{ height: `${item.W * 100}%` }}
+                                                    transition={{ delay: 0.6 + i * 0.05, duration: 0.5 }}
+                                                />
+                                            </div>
+                                            <div className={`text-xs font-mono ${isSelected ? 'text-stellar-cyan' : 'text-slate-400'}`}>
+                                                {item.horizon}
+                                            </div>
+                                            <div className={`text-sm font-bold ${isSelected ? 'text-white' : 'text-slate-500'}`}>
+                                                {item.W.toFixed(3)}
+                                            </div>
+                                            <div className="text-[10px] font-mono text-slate-600">n={item.samples}</div>
+                                        </motion.div>
+                                    );
+                                })}
+                            </div>
+
+                            {/* Interpretation */}
+                            {selectedNormality && (
+                                <div className="mt-6 p-4 rounded-lg bg-space-800/50 border border-console-border">
+                                    <div className="flex items-start gap-3">
+                                        <InformationCircleIcon className="w-5 h-5 text-stellar-cyan flex-shrink-0 mt-0.5" />
+                                        <div>
+                                            <div className="text-white font-medium mb-1">Interpretation</div>
+                                            <p className="text-sm text-slate-400">
+                                                At +{selectedNormality.horizon} the Shapiro-Wilk test gives W ={' '}
+                                                <span className="text-stellar-cyan font-mono">{selectedNormality.W.toFixed(4)}</span>
+                                                {' '}(p = {selectedNormality.pValue.toFixed(4)}, n = {selectedNormality.samples}):{' '}
+                                                {selectedNormality.rejectNull
+                                                    ? 'the residuals are not normally distributed at α = 0.05, so systematic error remains.'
+                                                    : 'normality is not rejected at α = 0.05.'}
+                                                {selectedNormality.samples < 20 && ' With fewer than 20 windows the test has little power.'}
+                                            </p>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </motion.div>
+                    </>
+                )}
 
-                {/* Normality by Horizon */}
+                {/* Walk-forward skill */}
                 <motion.div
                     className="console-panel p-6"
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: 0.4 }}
+                    transition={{ delay: 0.45 }}
                 >
                     <div className="section-header">
-                        <h2>Normality Score by Horizon</h2>
+                        <h2>Walk-Forward Skill vs Baselines</h2>
                         <div className="divider" />
+                        {source === 'registry' && (
+                            <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer" title="Holt–Winters, SARIMA, harmonic regression, their ensemble and a Gaussian process">
+                                <input
+                                    type="checkbox"
+                                    checked={withClassical}
+                                    onChange={(e) => setWithClassical(e.target.checked)}
+                                    className="accent-indigo-500"
+                                />
+                                Statistical forecasters
+                            </label>
+                        )}
+                        {source === 'registry' && (
+                            <button
+                                onClick={runRegistryBacktest}
+                                disabled={!model || backtesting}
+                                className="flex items-center gap-2 px-3 py-1 rounded bg-space-800 border border-console-border text-xs text-slate-300 hover:text-white hover:border-stellar-primary disabled:opacity-40"
+                            >
+                                <ArrowPathIcon className={`w-3.5 h-3.5 ${backtesting ? 'animate-spin' : ''}`} />
+                                {backtesting ? 'Backtesting…' : 'Run Backtest'}
+                            </button>
+                        )}
                     </div>
-                    <p className="text-sm text-slate-400 mb-6">
-                        How residual normality changes across different prediction horizons
+                    <p className="text-sm text-slate-400 mb-4">
+                        Skill = 1 − RMSE / {backtest?.reference ?? 'persistence'} RMSE on the same forecast targets, from origins
+                        rolled one row at a time through the held-out rows; horizons count rows
+                        {backtest?.step_minutes ? ` (median step ${backtest.step_minutes.toFixed(1)} min)` : ''}
                     </p>
-
-                    <div className="flex items-end justify-between gap-4 h-48">
-                        {horizonNormality.map((item, i) => {
-                            const height = parseFloat(item.score) * 100;
-                            const isSelected = item.horizon === selectedHorizon;
-                            return (
-                                <motion.div
-                                    key={item.horizon}
-                                    className="flex-1 text-center"
-                                    initial={{ opacity: 0, y: 20 }}
-                                    animate={{ opacity: 1, y: 0 }}
-                                    transition={{ delay: 0.5 + i * 0.05 }}
-                                >
-                                    <div className="relative h-40 flex items-end justify-center mb-2">
-                                        <motion.div
-                                            className={`
-                        w-full max-w-12 rounded-t-lg
-                        ${isSelected
-                                                    ? 'bg-gradient-to-t from-stellar-primary to-stellar-cyan'
-                                                    : 'bg-gradient-to-t from-slate-700 to-slate-600'
-                                                }
-                        ${isSelected ? 'shadow-glow' : ''}
-                      `}
-                                            initial={{ height: 0 }}
-                                            animate={{ height: `${height}%` }}
-                                            transition={{ delay: 0.6 + i * 0.05, duration: 0.5 }}
-                                        />
-                                    </div>
-                                    <div className={`text-xs font-mono ${isSelected ? 'text-stellar-cyan' : 'text-slate-400'}`}>
-                                        {item.horizon}
-                                    </div>
-                                    <div className={`text-sm font-bold ${isSelected ? 'text-white' : 'text-slate-500'}`}>
-                                        {item.score}
-                                    </div>
-                                </motion.div>
-                            );
-                        })}
-                    </div>
-
-                    {/* Interpretation */}
-                    <div className="mt-6 p-4 rounded-lg bg-space-800/50 border border-console-border">
-                        <div className="flex items-start gap-3">
-                            <InformationCircleIcon className="w-5 h-5 text-stellar-cyan flex-shrink-0 mt-0.5" />
-                            <div>
-                                <div className="text-white font-medium mb-1">Interpretation</div>
-                                <p className="text-sm text-slate-400">
-                                    Normality scores closer to 1.0 indicate residuals follow a normal distribution closely.
-                                    As forecast horizon increases, uncertainty grows and residuals may deviate from normality.
-                                    For the selected horizon (+{selectedHorizon}), the normality score of{' '}
-                                    <span className="text-stellar-cyan font-mono">
-                                        {horizonNormality.find(h => h.horizon === selectedHorizon)?.score}
-                                    </span>
-                                    {' '}indicates{' '}
-                                    {parseFloat(horizonNormality.find(h => h.horizon === selectedHorizon)?.score || '0') > 0.85
-                                        ? 'excellent'
-                                        : parseFloat(horizonNormality.find(h => h.horizon === selectedHorizon)?.score || '0') > 0.7
-                                            ? 'good'
-                                            : 'moderate'
-                                    } calibration.
-                                </p>
+                    {backtest ? (
+                        <>
+                            <div className="text-xs font-mono text-slate-500 mb-2">
+                                {backtest.model} on {backtest.dataset} · {backtest.origins} origins{backtest.cancelled && ' (cancelled)'}
                             </div>
-                        </div>
-                    </div>
+                            <BacktestSkillTable backtest={backtest} channel={channel} />
+                        </>
+                    ) : (
+                        <p className="text-xs text-slate-500">
+                            {source === 'registry'
+                                ? 'Run a backtest to score the selected model against persistence, seasonal-naive, linear-drift and ARIMA forecasts.'
+                                : 'Evaluate a model in the Scientist Workflow to backtest it.'}
+                        </p>
+                    )}
                 </motion.div>
 
                 {/* Evidence Strip */}
-                <EvidenceStrip
-                    validationWindow="Day 7 → Day 8"
-                    baselineRMSE="0.42 ns"
-                    stellarRMSE="0.18 ns"
-                    improvement="57%"
-                />
+                <EvidenceStrip />
             </div>
         </div>
     );
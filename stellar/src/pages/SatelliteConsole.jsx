@@ -429,12 +429,7 @@ const SatelliteConsole = () => {
 
 
                             {/* Evidence Strip */}
-                            <EvidenceStrip
-                                validationWindow="Day 7 → Day 8"
-                                baselineRMSE="0.42 ns"
-                                stellarRMSE="0.18 ns"
-                                improvement="57%"
-                            />
+                            <EvidenceStrip />
                         </>
                     )}
                 </div>
@@ -17,13 +17,44 @@ import TrainingDashboard from '../components/TrainingDashboard';
 import ModelEvaluation from '../components/ModelEvaluation';
 import ModelExporter from '../components/ModelExporter';
 import ISROEvaluationPanel from '../components/ISROEvaluationPanel';
+import HyperparameterSearch from '../components/HyperparameterSearch';
 import { prepareTrainingSequences, normalizeData } from '../utils/validation';
-import { evaluateModel, predictFuture, AI_CONFIG } from '../services/aiService';
+import { medianStepMinutes } from '../utils/telemetryIngest';
+import { predictFuture, AI_CONFIG } from '../services/aiService';
+import { evaluateInBackground, backtestInBackground } from '../services/trainingClient';
+import { ARCHITECTURES } from '../services/modelArchitectures';
 import { downloadPredictions, downloadTrainingHistory } from '../services/modelManager';
+import { useAppStore } from '../store/appStore';
+import { CHANNEL_UNITS } from '../utils/telemetryIngest';
+import { serializeBacktest } from '../utils/backtest';
+import { GAP_FILLS, DEFAULT_RESAMPLING, resamplingOf, defaultMaxGapMinutes } from '../utils/resample';
+import { orbitalPeriodHours } from '../data/mockData';
+
+const ConfigOption = ({ label, value, options, onChange }) => (
+    <div>
+        <label className="text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2 block">
+            {label}
+        </label>
+        <select
+            value={value}
+            onChange={onChange}
+            className="w-full px-4 py-3 bg-[#020617] border border-white/[0.08] text-white text-sm font-medium rounded-xl focus:border-indigo-500/50 focus:outline-none focus:ring-1 focus:ring-indigo-500/20 transition-all appearance-none cursor-pointer"
+        >
+            {options.some(opt => opt.value === value) || (
+                <option value={value}>{value} (FROM SEARCH)</option>
+            )}
+            {options.map(opt => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+        </select>
+    </div>
+);
 
 const ScientistWorkflow = () => {
     const [currentStep, setCurrentStep] = useState(0);
     const [isroEvalData, setIsroEvalData] = useState(null);
+    const setLastEvaluation = useAppStore(state => state.setLastEvaluation);
+    const setLastBacktest = useAppStore(state => state.setLastBacktest);
     const [workflowData, setWorkflowData] = useState({
         data: null,
         statistics: null,
@@ -32,9 +63,11 @@ const ScientistWorkflow = () => {
             epochs: 50,
             batchSize: 32,
             learningRate: 0.001,
-            validationSplit: 0.2
+            validationSplit: 0.2,
+            ...DEFAULT_RESAMPLING
         },
         trainingResult: null,
+        searchTrial: null,
         evaluationResults: null,
         model: null
     });
@@ -48,15 +81,42 @@ const ScientistWorkflow = () => {
     ];
 
     const handleDataLoaded = (dataInfo) => {
+        // The gap limit follows the orbit of the loaded file (MEO's daily gaps are bridged)
+        const orbit = dataInfo.fileName?.match(/GEO|MEO/i)?.[0].toUpperCase();
         setWorkflowData(prev => ({
             ...prev,
             data: dataInfo.data,
             statistics: dataInfo.statistics,
-            fileName: dataInfo.fileName
+            fileName: dataInfo.fileName,
+            config: { ...prev.config, maxGapMinutes: defaultMaxGapMinutes(orbit) }
         }));
         setCurrentStep(1);
     };
 
+    // Train with a leaderboard configuration (architecture included); the trial's epoch budget is kept,
+    // the time grid is not part of the search
+    const handleApplyTrial = (trial) => {
+        setWorkflowData(prev => ({
+            ...prev,
+            searchTrial: trial,
+            config: { ...trial.config, validationSplit: prev.config.validationSplit, ...resamplingOf(prev.config) }
+        }));
+    };
+
+    const handleResetConfig = () => {
+        setWorkflowData(prev => ({
+            ...prev,
+            searchTrial: null,
+            config: {
+                epochs: prev.config.epochs,
+                batchSize: prev.config.batchSize,
+                learningRate: prev.config.learningRate,
+                validationSplit: prev.config.validationSplit,
+                ...resamplingOf(prev.config)
+            }
+        }));
+    };
+
     const handleTrainingComplete = (result) => {
         if (result.success) {
             setWorkflowData(prev => ({
@@ -72,11 +132,46 @@ const ScientistWorkflow = () => {
         if (!workflowData.data || !workflowData.trainingResult) return;
 
         try {
-            const result = await evaluateModel(
+            // Batch evaluation and the backtest run in the training worker
+            const result = await evaluateInBackground(
                 workflowData.data,
                 workflowData.trainingResult.normalizationParams
             );
 
+            // Residuals for the Residuals page
+            setLastEvaluation({
+                model: 'Browser model (Scientist Workflow)',
+                dataset: workflowData.fileName,
+                step_minutes: result.stepMinutes ?? medianStepMinutes(workflowData.data),
+                units: CHANNEL_UNITS,
+                generated_at: new Date().toISOString(),
+                horizons: result.horizons.map(h => ({
+                    horizon: h.horizonLabel,
+                    horizon_steps: h.horizon,
+                    samples: h.samples,
+                    residuals: h.residuals
+                }))
+            });
+
+            // Walk-forward skill against the baselines on the validation tail
+            try {
+                const data = workflowData.data;
+                const periodHours = orbitalPeriodHours(workflowData.fileName?.match(/GEO|MEO/i)?.[0].toUpperCase());
+                const backtest = await backtestInBackground(data, {
+                    scoreFrom: Math.floor(data.length * (1 - workflowData.config.validationSplit)),
+                    periodMinutes: periodHours ? periodHours * 60 : null
+                });
+                setLastBacktest({
+                    model: 'Browser model (Scientist Workflow)',
+                    dataset: workflowData.fileName,
+                    units: CHANNEL_UNITS,
+                    generated_at: new Date().toISOString(),
+                    ...serializeBacktest(backtest)
+                });
+            } catch (e) {
+                console.warn('Walk-forward backtest failed:', e);
+            }
+
             // Generate ISRO evaluation data
             const data = workflowData.data;
             const seqLen = AI_CONFIG?.sequenceLength || 48;
@@ -115,7 +210,7 @@ const ScientistWorkflow = () => {
                 }
 
                 if (predictions.length > 0) {
-                    setIsroEvalData({ predictions, actuals });
+                    setIsroEvalData({ predictions, actuals, stepMinutes: medianStepMinutes(data) });
                     console.log(`✅ ISRO evaluation ready with ${predictions.length} samples`);
                 }
             }
@@ -159,23 +254,6 @@ const ScientistWorkflow = () => {
         }
     };
 
-    const ConfigOption = ({ label, value, options, onChange }) => (
-        <div>
-            <label className="text-[11px] font-semibold text-slate-400 uppercase tracking-wider mb-2 block">
-                {label}
-            </label>
-            <select
-                value={value}
-                onChange={onChange}
-                className="w-full px-4 py-3 bg-[#020617] border border-white/[0.08] text-white text-sm font-medium rounded-xl focus:border-indigo-500/50 focus:outline-none focus:ring-1 focus:ring-indigo-500/20 transition-all appearance-none cursor-pointer"
-            >
-                {options.map(opt => (
-                    <option key={opt.value} value={opt.value}>{opt.label}</option>
-                ))}
-            </select>
-        </div>
-    );
-
     return (
         <div className="min-h-screen bg-[#020617]">
             <Header
@@ -301,8 +379,88 @@ const ScientistWorkflow = () => {
                                             config: { ...prev.config, validationSplit: parseFloat(e.target.value) }
                                         }))}
                                     />
+
+                                    <ConfigOption
+                                        label="ARCHITECTURE"
+                                        value={workflowData.config.architecture ?? AI_CONFIG.architecture}
+                                        options={Object.entries(ARCHITECTURES).map(([id, a]) => ({
+                                            value: id,
+                                            label: `${a.label.toUpperCase()} — ${a.summary}`
+                                        }))}
+                                        onChange={(e) => setWorkflowData(prev => ({
+                                            ...prev,
+                                            config: { ...prev.config, architecture: e.target.value }
+                                        }))}
+                                    />
+
+                                    <ConfigOption
+                                        label="GRID_STEP"
+                                        value={workflowData.config.stepMinutes}
+                                        options={[
+                                            { value: 5, label: '5 MIN' },
+                                            { value: 10, label: '10 MIN (MEO CADENCE)' },
+                                            { value: 15, label: '15 MIN (RECOMMENDED)' },
+                                            { value: 30, label: '30 MIN' },
+                                            { value: 60, label: '60 MIN' },
+                                            { value: 120, label: '120 MIN (GEO CADENCE)' }
+                                        ]}
+                                        onChange={(e) => setWorkflowData(prev => ({
+                                            ...prev,
+                                            config: { ...prev.config, stepMinutes: parseInt(e.target.value) }
+                                        }))}
+                                    />
+
+                                    <ConfigOption
+                                        label="GAP_HANDLING"
+                                        value={workflowData.config.gapFill}
+                                        options={Object.entries(GAP_FILLS).map(([id, label]) => ({ value: id, label: label.toUpperCase() }))}
+                                        onChange={(e) => setWorkflowData(prev => ({
+                                            ...prev,
+                                            config: { ...prev.config, gapFill: e.target.value }
+                                        }))}
+                                    />
+
+                                    <ConfigOption
+                                        label="MAX_GAP"
+                                        value={workflowData.config.maxGapMinutes}
+                                        options={[
+                                            { value: 240, label: '4 H (MASK LONGER OUTAGES)' },
+                                            { value: 720, label: '12 H' },
+                                            { value: 2880, label: '48 H (BRIDGE MEO DAILY GAPS)' }
+                                        ]}
+                                        onChange={(e) => setWorkflowData(prev => ({
+                                            ...prev,
+                                            config: { ...prev.config, maxGapMinutes: parseInt(e.target.value) }
+                                        }))}
+                                    />
+
+                                    <ConfigOption
+                                        label="TIME_DELTA_INPUT"
+                                        value={String(workflowData.config.timeDelta)}
+                                        options={[
+                                            { value: 'false', label: 'OFF (ERRORS ONLY)' },
+                                            { value: 'true', label: 'ON (MINUTES SINCE LAST OBSERVATION)' }
+                                        ]}
+                                        onChange={(e) => setWorkflowData(prev => ({
+                                            ...prev,
+                                            config: { ...prev.config, timeDelta: e.target.value === 'true' }
+                                        }))}
+                                    />
                                 </div>
 
+                                {workflowData.searchTrial && (
+                                    <div className="flex flex-wrap items-center gap-3 mb-8 px-4 py-3 bg-indigo-500/5 border border-indigo-500/20 rounded-xl text-xs font-mono text-indigo-200">
+                                        <span>
+                                            From search trial #{workflowData.searchTrial.id}: {workflowData.config.architecture}, window {workflowData.config.sequenceLength},
+                                            horizons {workflowData.config.predictionHorizons.join('/')}, LSTM {workflowData.config.lstmUnits},
+                                            dense {workflowData.config.denseUnits} (score {workflowData.searchTrial.score.toFixed(4)})
+                                        </span>
+                                        <button onClick={handleResetConfig} className="ml-auto text-slate-400 hover:text-white uppercase">
+                                            Default architecture
+                                        </button>
+                                    </div>
+                                )}
+
                                 {/* Data Summary */}
                                 {workflowData.statistics && (
                                     <div className="bg-white/[0.03] border border-white/[0.06] p-6 rounded-xl">
@@ -334,6 +492,13 @@ const ScientistWorkflow = () => {
                                     </div>
                                 )}
                             </div>
+
+                            <HyperparameterSearch
+                                data={workflowData.data}
+                                validationSplit={workflowData.config.validationSplit}
+                                epochs={workflowData.config.epochs}
+                                onApply={handleApplyTrial}
+                            />
                         </motion.div>
                     )}
 
@@ -438,6 +603,7 @@ const ScientistWorkflow = () => {
                                     <ISROEvaluationPanel
                                         predictions={isroEvalData.predictions}
                                         actuals={isroEvalData.actuals}
+                                        stepMinutes={isroEvalData.stepMinutes}
                                     />
                                 </div>
                             )}
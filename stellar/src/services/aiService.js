@@ -10,22 +10,42 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { sha256Hex, telemetryDigest } from '../utils/provenance.js';
+import { walkForward, baselineForecasters } from '../utils/backtest.js';
+import { statisticalForecast, statisticalForecaster } from '../utils/statisticalForecast.js';
+import { runSearch, commonHorizons, DEFAULT_SEARCH_SPACE } from '../utils/hyperparameterSearch.js';
+import { regularizeSeries, resamplingOf, hasTimestamps, horizonLabel, TIME_DELTA_FEATURE, DEFAULT_RESAMPLING } from '../utils/resample.js';
+import { buildArchitecture, ARCHITECTURES } from './modelArchitectures.js';
 
 // Initialize TensorFlow.js
 let isModelReady = false;
 let forecastModel = null;
 let anomalyModel = null;
 let isTraining = false;
+let forecastModelInfo = null; // normalization, std calibration and training provenance once forecastModel has been trained
+let forecastArchitecture = null; // buildForecastModel options forecastModel was built with
 
 // Model configuration
 const CONFIG = {
     sequenceLength: 48, // Reduced from 96 to work with limited data (12 hours at 15-min intervals)
     predictionHorizons: [1, 2, 4, 8, 16, 24, 48, 96], // 15m to 24h
+    stepMinutes: DEFAULT_RESAMPLING.stepMinutes, // time grid rows are resampled onto before windowing (utils/resample.js)
     features: 4, // clock, radial, along-track, cross-track
     hiddenUnits: 64,
-    lstmUnits: 32
+    lstmUnits: 32,
+    architecture: 'lstm', // forecast network topology, a key of ARCHITECTURES
+    forecastLstmUnits: 64, // forecast network: first LSTM layers (the last one is half as wide)
+    forecastDenseUnits: 128, // forecast network: first dense layer of the head (the next one is half as wide)
+    uncertainty: 'gaussian' // 'gaussian': mean + log-variance head trained with NLL; 'residual': point head
 };
 
+// Validation windows needed for each of the variance-scale and coverage slices
+const MIN_CALIBRATION_WINDOWS = 10;
+
+// Predicted log-variances are clipped to this range (normalized units) for numerical stability
+const MIN_LOG_VAR = -12;
+const MAX_LOG_VAR = 6;
+
 /**
  * Initialize the AI models
  */
@@ -51,74 +71,176 @@ export async function initializeAI() {
 }
 
 /**
- * Create a Transformer-LSTM hybrid forecasting model
- * Enhanced architecture with dropout and better capacity
+ * Order of the four channels inside every model input step and every
+ * per-horizon output block: [clock_h1, radial_h1, along_h1, cross_h1, clock_h2, ...]
  */
-function createForecastModel() {
-    const model = tf.sequential();
+const FEATURE_ORDER = ['clock', 'radial', 'along', 'cross'];
 
-    // Input layer - expects [batch, sequence, features]
-    model.add(tf.layers.lstm({
-        units: 64,  // Increased from 32
-        inputShape: [CONFIG.sequenceLength, CONFIG.features],
-        returnSequences: true,
-        kernelInitializer: 'glorotUniform',
-        recurrentInitializer: 'glorotUniform',
-        dropout: 0.2,  // Add dropout for regularization
-        recurrentDropout: 0.2
-    }));
+/**
+ * Create the browser forecasting model for a training configuration
+ */
+function createForecastModel(options = {}) {
+    forecastArchitecture = architectureOf(options);
+    return buildForecastModel({ ...forecastArchitecture, learningRate: options.learningRate });
+}
 
-    // Attention-like mechanism via dense layers
-    model.add(tf.layers.timeDistributed({
-        layer: tf.layers.dense({ units: CONFIG.hiddenUnits, activation: 'relu' })
-    }));
+/**
+ * Replace forecastModel with a fresh network when a training configuration
+ * changes its shape (architecture, sequence length, horizons, layer widths or
+ * uncertainty head)
+ */
+function rebuildForecastModelFor(config) {
+    if (JSON.stringify(architectureOf(config)) === JSON.stringify(forecastArchitecture)) return;
+    forecastModel.dispose();
+    forecastModel = createForecastModel(config);
+    forecastModelInfo = null;
+}
 
-    // Add dropout after attention
-    model.add(tf.layers.dropout({ rate: 0.3 }));
+/**
+ * Architecture of forecastModel as currently built
+ */
+const activeArchitecture = () => forecastArchitecture ?? architectureOf({});
 
-    // Second LSTM layer for deeper temporal patterns
-    model.add(tf.layers.lstm({
-        units: 64,  // Increased from 32
-        returnSequences: true,
-        recurrentInitializer: 'glorotUniform',
-        dropout: 0.2,
-        recurrentDropout: 0.2
-    }));
+/**
+ * Shape-determining buildForecastModel options of a training configuration, with defaults
+ */
+function architectureOf(config) {
+    return {
+        architecture: config.architecture ?? CONFIG.architecture,
+        sequenceLength: config.sequenceLength ?? CONFIG.sequenceLength,
+        predictionHorizons: config.predictionHorizons ?? CONFIG.predictionHorizons,
+        features: FEATURE_ORDER.length + (config.timeDelta ? 1 : 0),
+        lstmUnits: config.lstmUnits ?? CONFIG.forecastLstmUnits,
+        denseUnits: config.denseUnits ?? CONFIG.forecastDenseUnits,
+        uncertainty: config.uncertainty ?? CONFIG.uncertainty
+    };
+}
 
-    // Final LSTM layer
-    model.add(tf.layers.lstm({
-        units: 32,
-        returnSequences: false,
-        recurrentInitializer: 'glorotUniform'
-    }));
+/**
+ * Build the forecasting network for a given input window and horizon set.
+ * Shared by the browser engine and the Node API server so that weights
+ * trained in one place load in the other.
+ *
+ * With uncertainty 'gaussian' the output holds the per-horizon means followed
+ * by one log-variance per mean, and the model is trained with gaussianNLL.
+ * The topology comes from the ARCHITECTURES registry (modelArchitectures.js);
+ * lstmUnits is the width of its sequence layers and denseUnits of its head.
+ * `features` is the input width: the four channels, or five with the
+ * time-delta input (see inputFeatures); the output always has the four.
+ * @param {Object} options - { sequenceLength, features, predictionHorizons, learningRate, uncertainty, architecture, lstmUnits, denseUnits }
+ * @returns {tf.LayersModel} Compiled model
+ */
+export function buildForecastModel(options = {}) {
+    const {
+        sequenceLength = CONFIG.sequenceLength,
+        features = CONFIG.features,
+        predictionHorizons = CONFIG.predictionHorizons,
+        learningRate = 0.001,
+        uncertainty = CONFIG.uncertainty,
+        architecture = CONFIG.architecture,
+        lstmUnits = CONFIG.forecastLstmUnits,
+        denseUnits = CONFIG.forecastDenseUnits
+    } = options;
+    const gaussian = uncertainty === 'gaussian';
+
+    // Output: predictions for ALL channels across ALL horizons
+    // [clock_h1, radial_h1, along_h1, cross_h1, clock_h2, ...] for 8 horizons = 32 outputs,
+    // followed by the matching 32 log-variances for the gaussian head
+    const model = buildArchitecture(architecture, {
+        sequenceLength,
+        features,
+        outputUnits: FEATURE_ORDER.length * predictionHorizons.length * (gaussian ? 2 : 1),
+        units: lstmUnits,
+        headUnits: denseUnits,
+        projectionUnits: CONFIG.hiddenUnits
+    });
 
-    // Multi-horizon prediction head with more capacity
-    model.add(tf.layers.dense({
-        units: 128,  // Increased from 64
-        activation: 'relu'
-    }));
-    
-    model.add(tf.layers.dropout({ rate: 0.3 }));
+    model.compile({
+        optimizer: tf.train.adam(learningRate),
+        loss: gaussian ? gaussianNLL : 'meanSquaredError',
+        metrics: gaussian ? [pointMSE] : ['mae']
+    });
 
-    model.add(tf.layers.dense({
-        units: 64,
-        activation: 'relu'
-    }));
+    return model;
+}
 
-    // Output: predictions for ALL features across ALL horizons
-    // [radial_h1, along_h1, cross_h1, clock_h1, radial_h2, ...] for 8 horizons = 32 outputs
-    model.add(tf.layers.dense({
-        units: CONFIG.features * CONFIG.predictionHorizons.length,
-        activation: 'linear'
-    }));
+/**
+ * True if the model's output carries a log-variance for every mean
+ */
+function hasGaussianHead(model, predictionHorizons) {
+    return model.outputs[0].shape[1] === 2 * FEATURE_ORDER.length * predictionHorizons.length;
+}
 
-    model.compile({
-        optimizer: tf.train.adam(0.001),
-        loss: 'meanSquaredError',
-        metrics: ['mae']
+/**
+ * Gaussian negative log-likelihood (up to a constant) for the mean/log-variance
+ * head. yPred is [means | logVariances]; yTrue is [targets | weights], the
+ * weight being 0 for a masked target (see utils/resample.js) and 1 otherwise.
+ */
+function gaussianNLL(yTrue, yPred) {
+    return tf.tidy(() => {
+        const n = yPred.shape[1] / 2;
+        const mean = yPred.slice([0, 0], [-1, n]);
+        const logVar = yPred.slice([0, n], [-1, n]).clipByValue(MIN_LOG_VAR, MAX_LOG_VAR);
+        const target = yTrue.slice([0, 0], [-1, n]);
+        const weight = yTrue.slice([0, n], [-1, n]);
+        const nll = logVar.add(target.sub(mean).square().div(logVar.exp())).mul(0.5);
+        return nll.mul(weight).sum(-1).div(weight.sum(-1).maximum(1));
     });
+}
 
-    return model;
+/**
+ * Mean squared error of the mean half of a gaussian head's output, over the
+ * unmasked targets
+ */
+function pointMSE(yTrue, yPred) {
+    return tf.tidy(() => {
+        const n = yPred.shape[1] / 2;
+        const weight = yTrue.slice([0, n], [-1, n]);
+        const squared = yTrue.slice([0, 0], [-1, n]).sub(yPred.slice([0, 0], [-1, n])).square();
+        return squared.mul(weight).sum(-1).div(weight.sum(-1).maximum(1));
+    });
+}
+
+/**
+ * Decode one row of model output into physical units
+ * @param {Array<number>} raw - Model output for one window
+ * @param {Array<number>} predictionHorizons - Horizons the model was trained on
+ * @param {Object} normalizationParams - { means, stds } used to normalize the input
+ * @param {Object} uncertainty - { stdScale } for gaussian heads, { residualStd } for point heads
+ * @returns {Array} One { horizon, clock: { mean, std }, radial, along, cross } entry per horizon
+ */
+function decodeForecast(raw, predictionHorizons, normalizationParams, { stdScale, residualStd } = {}) {
+    const { means, stds } = normalizationParams;
+    const n = predictionHorizons.length * FEATURE_ORDER.length;
+    const gaussian = raw.length === 2 * n;
+
+    return predictionHorizons.map((horizon, h) => {
+        const entry = { horizon };
+        FEATURE_ORDER.forEach((feature, f) => {
+            const idx = h * FEATURE_ORDER.length + f;
+            let std = residualStd?.[h]?.[feature] ?? null;
+            if (gaussian) {
+                const logVar = Math.min(MAX_LOG_VAR, Math.max(MIN_LOG_VAR, raw[n + idx]));
+                std = Math.exp(logVar / 2) * stds[feature] * (stdScale?.[h]?.[feature] ?? 1);
+            }
+            entry[feature] = { mean: raw[idx] * stds[feature] + means[feature], std };
+        });
+        return entry;
+    });
+}
+
+/**
+ * Mean and std plus the 68% / 95% Gaussian bounds
+ */
+function withBounds({ mean, std }) {
+    return {
+        mean,
+        std,
+        lower68: std !== null ? mean - std : null,
+        upper68: std !== null ? mean + std : null,
+        lower95: std !== null ? mean - 1.96 * std : null,
+        upper95: std !== null ? mean + 1.96 * std : null
+    };
 }
 
 /**
@@ -213,6 +335,49 @@ export async function generateForecast(historicalData, satelliteId) {
     };
 }
 
+/**
+ * Forecast with a classical statistical method (utils/statisticalForecast.js)
+ * instead of the network, in the generateForecast result shape. Needs no
+ * training, so it suits datasets too short for the network.
+ * @param {Array} historicalData - Array of {timestamp, clock, radial, along, cross} objects
+ * @param {string} satelliteId - Satellite identifier
+ * @param {Object} options - { method ('holtWinters' | 'sarima' | 'harmonic' | 'gaussianProcess' | 'ensemble'), periodMinutes (orbital period),
+ *                            horizons, stepMinutes (default: median row spacing) }
+ * @returns {Object} Forecast results with predictions and analytic prediction intervals
+ */
+export async function generateStatisticalForecast(historicalData, satelliteId, options = {}) {
+    const { method = 'ensemble', periodMinutes = null, horizons = CONFIG.predictionHorizons, stepMinutes = null } = options;
+    const startTime = performance.now();
+
+    const forecast = statisticalForecast(historicalData, { method, horizons, periodMinutes, stepMinutes });
+    const results = {
+        forecasts: forecast.horizons.map(entry => {
+            const channels = Object.fromEntries(FEATURE_ORDER.map(f => [f, withBounds(entry[f])]));
+            return {
+                horizon: entry.horizon,
+                horizonLabel: horizonLabel(entry.horizon, forecast.stepMinutes),
+                ...channels.clock,
+                channels,
+                riskLevel: channels.clock.std > 0.3 ? 'HIGH' : channels.clock.std > 0.15 ? 'MEDIUM' : 'LOW'
+            };
+        }),
+        baseValue: historicalData[historicalData.length - 1]?.clock || 0,
+        modelTrained: true
+    };
+
+    const inferenceTime = performance.now() - startTime;
+    return {
+        ...results,
+        satelliteId,
+        method: forecast.method,
+        methodLabel: forecast.label,
+        models: forecast.models,
+        inferenceTimeMs: inferenceTime,
+        modelConfidence: calculateModelConfidence(results),
+        timestamp: new Date().toISOString()
+    };
+}
+
 /**
  * Train the model on provided ISRO data
  * @param {Array} data - Array of {clock, radial, along, cross} objects
@@ -222,103 +387,32 @@ export async function trainModel(data, onEpochEnd) {
     if (!isModelReady) await initializeAI();
     if (isTraining) return false;
 
-    isTraining = true;
-    console.log(`🧠 Starting training on ${data.length} data points...`);
-
-    // Prepare training tensors
-    const sequences = [];
-    const targets = [];
-
-    // Adapt to available data - use shorter horizons if needed
-    const availableSteps = data.length - CONFIG.sequenceLength;
-    const usableHorizons = CONFIG.predictionHorizons.filter(h => h <= availableSteps);
-    
-    if (usableHorizons.length === 0) {
-        console.error(`❌ Need at least ${CONFIG.sequenceLength + 1} data points, have ${data.length}`);
-        isTraining = false;
+    // The browser model always predicts every configured horizon
+    const needed = CONFIG.sequenceLength + Math.max(...CONFIG.predictionHorizons);
+    if (data.length < needed) {
+        console.error(`❌ Need at least ${needed} data points, have ${data.length}`);
         return false;
     }
 
-    console.log(`📉 Using ${usableHorizons.length}/${CONFIG.predictionHorizons.length} horizons based on data availability`);
-
-    // Create sliding window sequences with PROPER multi-horizon targets
-    for (let i = 0; i <= data.length - CONFIG.sequenceLength - 1; i++) {
-        const seq = data.slice(i, i + CONFIG.sequenceLength).map(d => [
-            d.clock, d.radial, d.along, d.cross
-        ]);
-
-        sequences.push(seq);
-
-        // FIXED: Create proper multi-horizon targets for ALL features
-        const targetVector = [];
-        
-        for (const horizon of usableHorizons) {
-            const futureIdx = i + CONFIG.sequenceLength + horizon - 1;
-            
-            if (futureIdx < data.length) {
-                const futurePoint = data[futureIdx];
-                // Add all 4 features for this horizon: [radial, along, cross, clock]
-                targetVector.push(
-                    futurePoint.radial,
-                    futurePoint.along,
-                    futurePoint.cross,
-                    futurePoint.clock
-                );
-            } else {
-                // If we don't have data for this horizon, use last known values
-                const lastPoint = data[data.length - 1];
-                targetVector.push(
-                    lastPoint.radial,
-                    lastPoint.along,
-                    lastPoint.cross,
-                    lastPoint.clock
-                );
-            }
-        }
-        
-        // Pad with zeros if we're using fewer horizons than the model expects
-        while (targetVector.length < CONFIG.features * CONFIG.predictionHorizons.length) {
-            targetVector.push(0);
-        }
-        
-        targets.push(targetVector);
-    }
-
-    if (sequences.length === 0) {
-        console.error('❌ Not enough data for training sequences');
-        console.error(`   Need: ${CONFIG.sequenceLength + 1}+ points`);
-        console.error(`   Have: ${data.length} points`);
-        isTraining = false;
-        return false;
-    }
-
-    console.log(`📊 Created ${sequences.length} training sequences`);
-    console.log(`🎯 Predicting ${usableHorizons.length} horizons: ${usableHorizons.join(', ')} steps ahead`);
-
-    const xs = tf.tensor3d(sequences);
-    const ys = tf.tensor2d(targets);
+    isTraining = true;
+    console.log(`🧠 Starting training on ${data.length} data points...`);
 
     try {
-        await forecastModel.fit(xs, ys, {
-            epochs: 50, // Increased from 5 to 50 epochs
-            batchSize: 32,
-            shuffle: true,
-            validationSplit: 0.2, // 20% validation split
-            callbacks: {
-                onEpochEnd: (epoch, logs) => {
-                    if (onEpochEnd) {
-                        onEpochEnd(epoch, logs.loss, logs.val_loss);
-                    }
-                    console.log(`Epoch ${epoch + 1}/50: loss=${logs.loss.toFixed(4)}, val_loss=${logs.val_loss?.toFixed(4) || 'N/A'}`);
-                }
+        rebuildForecastModelFor({});
+        // Reports the point-forecast MSE so the loss curve keeps its meaning with the gaussian head
+        const result = await fitForecastModel(forecastModel, data, { epochs: 50, batchSize: 32, earlyStopping: false }, {
+            onEpochEnd: (epoch, logs) => {
+                const loss = logs.pointMSE ?? logs.loss;
+                const valLoss = logs.val_pointMSE ?? logs.val_loss;
+                if (onEpochEnd) onEpochEnd(epoch - 1, loss, valLoss);
+                console.log(`Epoch ${epoch}/50: loss=${loss.toFixed(4)}, val_loss=${valLoss?.toFixed(4) || 'N/A'}`);
             }
         });
+        forecastModelInfo = await trainedModelInfo(result, data, { epochs: 50, batchSize: 32 });
         console.log('✅ Training completed successfully');
     } catch (err) {
         console.error('❌ Training error:', err);
     } finally {
-        xs.dispose();
-        ys.dispose();
         isTraining = false;
     }
 
@@ -340,6 +434,131 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
 
     isTraining = true;
 
+    try {
+        rebuildForecastModelFor(config);
+        const result = await fitForecastModel(forecastModel, data, config, callbacks);
+        forecastModelInfo = await trainedModelInfo(result, data, config);
+        return result;
+    } catch (error) {
+        console.error('Training error:', error);
+        throw error;
+    } finally {
+        isTraining = false;
+    }
+}
+
+/**
+ * Normalization, std calibration and training provenance of the browser model
+ */
+async function trainedModelInfo(result, data, config) {
+    return {
+        sequenceLength: config.sequenceLength ?? CONFIG.sequenceLength,
+        predictionHorizons: config.predictionHorizons ?? CONFIG.predictionHorizons,
+        normalizationParams: result.normalizationParams,
+        stdScale: result.stdScale,
+        residualStd: result.residualStd,
+        resampling: result.resampling,
+        trainedAt: new Date().toISOString(),
+        trainingSamples: data.length,
+        trainingDataSha256: await telemetryDigest(data),
+        trainingConfig: {
+            epochs: config.epochs ?? 100,
+            batchSize: config.batchSize ?? 32,
+            learningRate: config.learningRate ?? 0.001,
+            validationSplit: config.validationSplit ?? 0.2,
+            architecture: config.architecture ?? CONFIG.architecture,
+            lstmUnits: config.lstmUnits ?? CONFIG.forecastLstmUnits,
+            denseUnits: config.denseUnits ?? CONFIG.forecastDenseUnits,
+            epochsRun: result.history.epoch.length
+        }
+    };
+}
+
+// ─── Model transfer ──────────────────────────────────────────────────
+
+/**
+ * Serialize a model into in-memory artifacts (weightData is a single
+ * ArrayBuffer, so it can be transferred to or from a worker)
+ * @param {tf.LayersModel} model - Trained model
+ * @returns {Promise<Object>} { modelTopology, weightSpecs, weightData, format, generatedBy, convertedBy }
+ */
+export async function modelToArtifacts(model) {
+    let captured = null;
+    await model.save(tf.io.withSaveHandler(async (artifacts) => {
+        captured = {
+            ...artifacts,
+            weightData: tf.io.CompositeArrayBuffer.join(artifacts.weightData)
+        };
+        return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    }));
+    return captured;
+}
+
+/**
+ * Build a model from in-memory artifacts
+ */
+export function artifactsToModel(artifacts) {
+    return tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs,
+        weightData: artifacts.weightData
+    }));
+}
+
+/**
+ * Make a network trained elsewhere (the training worker) the browser model,
+ * as if trainWithConfig had trained it
+ * @param {Object} artifacts - From modelToArtifacts
+ * @param {Object} result - fitForecastModel result of the run (without the model)
+ * @param {Array} data - Training data, for the provenance digest
+ * @param {Object} config - Training configuration of the run
+ */
+export async function installForecastModel(artifacts, result, data, config = {}) {
+    if (!isModelReady) await initializeAI();
+
+    const model = await artifactsToModel(artifacts);
+    forecastModel.dispose();
+    forecastModel = model;
+    forecastArchitecture = architectureOf(config);
+    forecastModelInfo = await trainedModelInfo(result, data, config);
+}
+
+/**
+ * The browser model as artifacts plus the modelInfo that backtestModel and
+ * evaluateForecastModel take, for evaluating it in the training worker
+ * @returns {Promise<Object>} { artifacts, modelInfo }
+ */
+export async function forecastModelSnapshot() {
+    if (!isModelReady) await initializeAI();
+
+    return {
+        artifacts: await modelToArtifacts(forecastModel),
+        modelInfo: { ...activeArchitecture(), ...forecastModelInfo }
+    };
+}
+
+/**
+ * Fit a forecasting model built by buildForecastModel on raw telemetry.
+ * Timestamped rows are first resampled onto a stepMinutes grid
+ * (utils/resample.js), so horizons are wall-clock lead times. Normalizes
+ * the data, builds multi-horizon windows, trains with early stopping and
+ * measures per-horizon residual spread on the validation split. Windows
+ * whose input crosses a masked gap are dropped; masked targets get zero
+ * weight in the gaussian head's loss, and windows with one are dropped for
+ * a point head. Gaussian heads are trained with gaussianNLL, and their
+ * predicted std is rescaled per horizon and channel so that it matches the
+ * errors on the earlier half of the validation windows; coverage of the
+ * rescaled bounds is measured on the later half.
+ * @param {tf.LayersModel} model - Model whose output matches the horizon set (and input the features)
+ * @param {Array} data - Array of {timestamp, clock, radial, along, cross} objects
+ * @param {Object} config - Training configuration (see trainWithConfig), including the
+ *                          resampling settings { stepMinutes, gapFill, maxGapMinutes, timeDelta }
+ * @param {Object} callbacks - { onEpochEnd, onBatchEnd, onProgress, onComplete, shouldStop }
+ * @returns {Object} { success, history, metrics, normalizationParams, residualStd, stdScale,
+ *                     calibration (coverage on the later validation windows, null when unavailable),
+ *                     resampling (settings and grid counts, null for rows without timestamps), model }
+ */
+export async function fitForecastModel(model, data, config = {}, callbacks = {}) {
     const {
         epochs = 100,  // Increased default from 50 to 100
         batchSize = 32,
@@ -355,7 +574,8 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
         onEpochEnd = () => {},
         onBatchEnd = () => {},
         onProgress = () => {},
-        onComplete = () => {}
+        onComplete = () => {},
+        shouldStop = () => false
     } = callbacks;
 
     const startTime = Date.now();
@@ -366,63 +586,73 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
     console.log(`   📚 Validation Split: ${(validationSplit * 100).toFixed(0)}%`);
     console.log(`   🎓 Learning Rate: ${learningRate}`);
 
-    try {
-        // Normalize data
-        const { normalized: normData, normalizationParams } = normalizeDataForTraining(data);
-
-        // Prepare sequences and targets
-        const sequences = [];
-        const targets = [];
-        
-        // Use max horizon to ensure we don't go out of bounds
-        const maxHorizon = Math.max(...predictionHorizons);
-
-        for (let i = 0; i <= normData.length - sequenceLength - maxHorizon; i++) {
-            const seq = normData.slice(i, i + sequenceLength).map(d => [
-                d.clock, d.radial, d.along, d.cross
-            ]);
-
-            // Multi-horizon target: predict all features for each horizon
-            const targetVector = [];
-            predictionHorizons.forEach(horizon => {
-                const targetPoint = normData[i + sequenceLength + horizon - 1];
-                if (!targetPoint) return; // Safety check
-                targetVector.push(
-                    targetPoint.clock,
-                    targetPoint.radial,
-                    targetPoint.along,
-                    targetPoint.cross
-                );
-            });
-            
-            if (targetVector.length === predictionHorizons.length * 4) {
-                sequences.push(seq);
-                targets.push(targetVector);
-            }
+    // Resample onto the time grid, then normalize
+    const resampling = hasTimestamps(data) ? resamplingOf(config) : null;
+    const grid = resampling ? gridSeries(data, resampling) : { rows: data };
+    const features = inputFeatures(resampling);
+    const { normalized: normData, normalizationParams } = normalizeDataForTraining(grid.rows, features);
+    if (resampling) {
+        console.log(`   🕒 Grid: ${grid.rows.length} × ${resampling.stepMinutes} min from ${grid.observations} observations (${grid.imputed} imputed, ${grid.masked} masked)`);
+        if (grid.imputed - grid.masked > grid.rows.length / 2) {
+            console.warn(`   ⚠️ ${Math.round(((grid.imputed - grid.masked) / grid.rows.length) * 100)}% of the grid is interpolated; a coarser stepMinutes or lower maxGapMinutes keeps it closer to the observations`);
         }
+    }
+
+    // Prepare sequences and targets
+    const gaussian = hasGaussianHead(model, predictionHorizons);
+    const isTarget = point => Number.isFinite(point.clock) && !(point.imputed && resampling?.gapFill === 'mask');
+    const sequences = [];
+    const targets = [];
+
+    // Use max horizon to ensure we don't go out of bounds
+    const maxHorizon = Math.max(...predictionHorizons);
+
+    for (let i = 0; i <= normData.length - sequenceLength - maxHorizon; i++) {
+        const window = normData.slice(i, i + sequenceLength);
+        if (window.some(d => !Number.isFinite(d.clock))) continue;
 
-        if (sequences.length === 0) {
-            throw new Error('Not enough data to create training sequences');
+        // Multi-horizon target: all channels for each horizon, NaN where masked
+        const targetVector = predictionHorizons.flatMap(horizon => {
+            const targetPoint = normData[i + sequenceLength + horizon - 1];
+            return isTarget(targetPoint) ? FEATURE_ORDER.map(f => targetPoint[f]) : FEATURE_ORDER.map(() => NaN);
+        });
+        if (targetVector.every(Number.isNaN) || (!gaussian && targetVector.some(Number.isNaN))) continue;
+
+        sequences.push(window.map(d => features.map(f => d[f])));
+        targets.push(targetVector);
+    }
+
+    if (sequences.length === 0) {
+        if (grid.masked > 0) {
+            throw new Error(`Not enough data to create training sequences: no ${sequenceLength}-step window avoids the ${grid.masked} grid points masked in gaps longer than ${resampling.maxGapMinutes} min. Raise maxGapMinutes to bridge them`);
         }
+        throw new Error('Not enough data to create training sequences');
+    }
+
+    // The gaussian head's targets are padded to the output width with their weights (0 where masked)
+    const padTargets = rows => (gaussian
+        ? rows.map(t => [...t.map(v => (Number.isFinite(v) ? v : 0)), ...t.map(v => (Number.isFinite(v) ? 1 : 0))])
+        : rows);
 
-        // Split into train and validation
-        const splitIndex = Math.floor(sequences.length * (1 - validationSplit));
-        const trainSequences = sequences.slice(0, splitIndex);
-        const trainTargets = targets.slice(0, splitIndex);
-        const valSequences = sequences.slice(splitIndex);
-        const valTargets = targets.slice(splitIndex);
+    // Split into train and validation
+    const splitIndex = Math.floor(sequences.length * (1 - validationSplit));
+    const trainSequences = sequences.slice(0, splitIndex);
+    const trainTargets = targets.slice(0, splitIndex);
+    const valSequences = sequences.slice(splitIndex);
+    const valTargets = targets.slice(splitIndex);
 
-        const xsTrain = tf.tensor3d(trainSequences);
-        const ysTrain = tf.tensor2d(trainTargets);
-        const xsVal = valSequences.length > 0 ? tf.tensor3d(valSequences) : null;
-        const ysVal = valTargets.length > 0 ? tf.tensor2d(valTargets) : null;
+    const xsTrain = tf.tensor3d(trainSequences);
+    const ysTrain = tf.tensor2d(padTargets(trainTargets));
+    const xsVal = valSequences.length > 0 ? tf.tensor3d(valSequences) : null;
+    const ysVal = valTargets.length > 0 ? tf.tensor2d(padTargets(valTargets)) : null;
 
+    try {
         // Reconfigure model with custom optimizer
         const optimizer = tf.train.adam(learningRate);
-        forecastModel.compile({
+        model.compile({
             optimizer,
-            loss: 'meanSquaredError',
-            metrics: ['mse']
+            loss: gaussian ? gaussianNLL : 'meanSquaredError',
+            metrics: gaussian ? [pointMSE] : ['mse']
         });
 
         const history = {
@@ -438,16 +668,20 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
         let bestValLoss = Infinity;
         let epochsWithoutImprovement = 0;
         let stoppedEarly = false;
+        let cancelled = false;
 
-        await forecastModel.fit(xsTrain, ysTrain, {
+        await model.fit(xsTrain, ysTrain, {
             epochs,
             batchSize,
             validationData: xsVal ? [xsVal, ysVal] : null,
             shuffle: true,
             callbacks: {
                 onEpochEnd: async (epoch, logs) => {
-                    const trainRMSEValue = Math.sqrt(logs.loss);
-                    const valRMSEValue = logs.val_loss ? Math.sqrt(logs.val_loss) : null;
+                    // RMSE of the point forecast (normalized units); with a gaussian head the loss is the NLL
+                    const trainMSE = gaussian ? logs.pointMSE : logs.loss;
+                    const valMSE = gaussian ? logs.val_pointMSE : logs.val_loss;
+                    const trainRMSEValue = Math.sqrt(trainMSE);
+                    const valRMSEValue = valMSE !== undefined ? Math.sqrt(valMSE) : null;
 
                     history.epoch.push(epoch + 1);
                     history.trainLoss.push(logs.loss);
@@ -466,11 +700,18 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
                             if (epochsWithoutImprovement >= patience) {
                                 console.log(`⏸️  Early stopping at epoch ${epoch + 1}: no improvement for ${patience} epochs`);
                                 stoppedEarly = true;
-                                forecastModel.stopTraining = true;
+                                model.stopTraining = true;
                             }
                         }
                     }
 
+                    // Yield once per epoch so that queued events (a cancel request, UI updates) are handled first
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (shouldStop()) {
+                        cancelled = true;
+                        model.stopTraining = true;
+                    }
+
                     onEpochEnd(epoch + 1, logs, {
                         trainRMSE: trainRMSEValue,
                         valRMSE: valRMSEValue,
@@ -486,11 +727,6 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
                         valLoss: logs.val_loss,
                         stoppedEarly
                     });
-
-                    // Memory cleanup
-                    if (epoch % 10 === 0) {
-                        await tf.nextFrame();
-                    }
                 },
                 onBatchEnd: (batch, logs) => {
                     onBatchEnd(batch, logs);
@@ -498,6 +734,44 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
             }
         });
 
+        // Residual spread per horizon and channel, in physical units. Measured on
+        // the held-out split so forecast bounds reflect out-of-sample error.
+        const residualStd = await measureResidualStd(
+            model,
+            xsVal || xsTrain,
+            xsVal ? valTargets : trainTargets,
+            predictionHorizons,
+            normalizationParams
+        );
+
+        // The variance scale is fitted on the earlier half of the validation windows and coverage
+        // measured on the later half, so the reported coverage is out of sample. With too few
+        // windows for two slices, calibration is unavailable (never measured on training windows).
+        let stdScale = null;
+        let calibration = null;
+        if (gaussian && xsVal) {
+            const half = Math.floor(valSequences.length / 2);
+            if (half >= MIN_CALIBRATION_WINDOWS) {
+                const xsScale = xsVal.slice(0, half);
+                const xsCoverage = xsVal.slice(half);
+                try {
+                    stdScale = await fitStdScale(model, xsScale, valTargets.slice(0, half), predictionHorizons, normalizationParams);
+                    calibration = {
+                        ...await measureCoverage(model, xsCoverage, valTargets.slice(half), { predictionHorizons, normalizationParams, stdScale }),
+                        scaleWindows: half
+                    };
+                } finally {
+                    xsScale.dispose();
+                    xsCoverage.dispose();
+                }
+            } else {
+                stdScale = await fitStdScale(model, xsVal, valTargets, predictionHorizons, normalizationParams);
+                console.warn(`   ⚠️ ${valSequences.length} validation windows are too few to fit the variance scale and check coverage on separate slices (${2 * MIN_CALIBRATION_WINDOWS} needed); calibration is unavailable`);
+            }
+        } else if (gaussian) {
+            console.warn('   ⚠️ No validation windows: forecast bounds are the raw network variance and calibration is unavailable');
+        }
+
         const trainingDuration = Date.now() - startTime;
 
         // Calculate final metrics
@@ -507,6 +781,14 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
             bestValLoss: history.valLoss.length > 0 ? Math.min(...history.valLoss.filter(v => v !== null)) : null,
             finalTrainLoss: history.trainLoss[history.trainLoss.length - 1],
             finalValLoss: history.valLoss.length > 0 ? history.valLoss[history.valLoss.length - 1] : null,
+            trainingSequences: trainSequences.length,
+            validationSequences: valSequences.length,
+            gridRows: grid.rows.length,
+            imputedRows: grid.imputed ?? 0,
+            maskedRows: grid.masked ?? 0,
+            uncertainty: gaussian ? 'gaussian' : 'residual',
+            uncertaintySource: xsVal ? 'validation' : 'training',
+            cancelled,
             trainingDuration,
             trainingDurationFormatted: formatDuration(trainingDuration)
         };
@@ -518,28 +800,480 @@ export async function trainWithConfig(data, config = {}, callbacks = {}) {
             history,
             metrics: finalMetrics,
             normalizationParams,
-            model: forecastModel
+            residualStd,
+            stdScale,
+            calibration,
+            resampling,
+            model
         };
+    } finally {
+        xsTrain.dispose();
+        ysTrain.dispose();
+        if (xsVal) xsVal.dispose();
+        if (ysVal) ysVal.dispose();
+    }
+}
 
-    } catch (error) {
-        console.error('Training error:', error);
-        isTraining = false;
-        throw error;
+/**
+ * Root-mean-square prediction error for every horizon and channel
+ * @returns {Array} One {clock, radial, along, cross} entry per horizon
+ */
+async function measureResidualStd(model, xs, targets, predictionHorizons, normalizationParams) {
+    const { stds } = normalizationParams;
+    const output = model.predict(xs);
+    const predictions = await output.array();
+    output.dispose();
+
+    return predictionHorizons.map((horizon, h) => {
+        const entry = {};
+        FEATURE_ORDER.forEach((feature, f) => {
+            const idx = h * FEATURE_ORDER.length + f;
+            const errors = predictions
+                .map((pred, i) => (pred[idx] - targets[i][idx]) * stds[feature])
+                .filter(Number.isFinite);
+            entry[feature] = errors.length > 0 ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length) : null;
+        });
+        return entry;
+    });
+}
+
+/**
+ * Targets of normalized windows in physical units, laid out like decodeForecast output
+ */
+function denormalizeTargets(targets, predictionHorizons, normalizationParams) {
+    const { means, stds } = normalizationParams;
+    return targets.map(t => predictionHorizons.map((horizon, h) => Object.fromEntries(
+        FEATURE_ORDER.map((feature, f) => [feature, t[h * FEATURE_ORDER.length + f] * stds[feature] + means[feature]])
+    )));
+}
+
+/**
+ * Variance recalibration for a gaussian head: the factor per horizon and
+ * channel that makes the held-out standardized errors unit-variance
+ * @returns {Array} One {clock, radial, along, cross} entry per horizon
+ */
+async function fitStdScale(model, xs, targets, predictionHorizons, normalizationParams) {
+    const output = model.predict(xs);
+    const raw = await output.array();
+    output.dispose();
+
+    const actual = denormalizeTargets(targets, predictionHorizons, normalizationParams);
+    const decoded = raw.map(r => decodeForecast(r, predictionHorizons, normalizationParams));
+
+    return predictionHorizons.map((horizon, h) => Object.fromEntries(FEATURE_ORDER.map(feature => {
+        const z = decoded
+            .map((d, i) => (actual[i][h][feature] - d[h][feature].mean) / d[h][feature].std)
+            .filter(Number.isFinite);
+        const meanZ2 = z.reduce((sum, v) => sum + v * v, 0) / z.length;
+        return [feature, Number.isFinite(meanZ2) && meanZ2 > 0 ? Math.sqrt(meanZ2) : 1];
+    })));
+}
+
+/**
+ * Empirical coverage of the 68% / 95% bounds on normalized windows.
+ * Targets that are not finite (horizon not observed) are skipped.
+ * @param {Object} modelInfo - { predictionHorizons, normalizationParams, stdScale, residualStd }
+ * @returns {Object} { samples, overall: { coverage68, coverage95, calibrated }, horizons: [...] }
+ */
+async function measureCoverage(model, xs, targets, modelInfo) {
+    const { predictionHorizons, normalizationParams } = modelInfo;
+    const output = model.predict(xs);
+    const raw = await output.array();
+    output.dispose();
+
+    const actual = denormalizeTargets(targets, predictionHorizons, normalizationParams);
+    const decoded = raw.map(r => decodeForecast(r, predictionHorizons, normalizationParams, modelInfo));
+
+    const horizons = predictionHorizons.map((horizon, h) => {
+        const observed = decoded.map((d, i) => i).filter(i => Number.isFinite(actual[i][h].clock));
+        const channels = Object.fromEntries(FEATURE_ORDER.map(feature => {
+            if (observed.length === 0) return [feature, { coverage68: null, coverage95: null }];
+            const z = observed.map(i => Math.abs(actual[i][h][feature] - decoded[i][h][feature].mean) / decoded[i][h][feature].std);
+            return [feature, {
+                coverage68: z.filter(v => v <= 1).length / z.length,
+                coverage95: z.filter(v => v <= 1.96).length / z.length
+            }];
+        }));
+        return { horizon, horizonLabel: horizonLabel(horizon, stepOf(modelInfo)), samples: observed.length, channels };
+    });
+
+    const scored = horizons.filter(h => h.samples > 0);
+    const total = scored.reduce((sum, h) => sum + h.samples * FEATURE_ORDER.length, 0);
+    const weighted = key => scored.reduce((sum, h) => sum + h.samples * FEATURE_ORDER.reduce((s, f) => s + h.channels[f][key], 0), 0) / total;
+    const coverage68 = total > 0 ? weighted('coverage68') : null;
+    const coverage95 = total > 0 ? weighted('coverage95') : null;
+
+    return {
+        samples: raw.length,
+        overall: {
+            coverage68,
+            coverage95,
+            // Loose tolerances: held-out splits only have tens to hundreds of windows
+            calibrated: total > 0 && Math.abs(coverage68 - 0.6827) <= 0.1 && Math.abs(coverage95 - 0.95) <= 0.05
+        },
+        horizons
+    };
+}
+
+/**
+ * Input windows over a held-out split. Held-out splits can be shorter than
+ * the input window, so the end of the training data may be passed as
+ * `context`: it is only ever used as model input, and targets outside the
+ * held-out split are NaN. For a model trained on a time grid the context
+ * and split are resampled together, and imputed or masked grid points are
+ * never targets.
+ * @returns {Object} { sequences, targets (normalized, NaN if not scored), series (the rows windowed),
+ *                     origins (index of the last input row in `series`) }
+ */
+function heldOutWindows(data, modelInfo, context) {
+    const { sequenceLength, predictionHorizons, normalizationParams } = modelInfo;
+    const { means, stds } = normalizationParams;
+    const features = inputFeatures(modelInfo.resampling);
+    const gridded = Boolean(modelInfo.resampling) && hasTimestamps([...context, ...data]);
+
+    let series;
+    let heldOutStart;
+    if (gridded) {
+        // One input window of context before its last row, however long the gap to the split
+        const from = data[0].timestamp;
+        const before = context.filter(r => r.timestamp < from);
+        const cutoff = Math.min(from, ...before.slice(-1).map(r => r.timestamp)) - (sequenceLength + 1) * stepOf(modelInfo) * 60000;
+        series = onModelGrid([...before.filter(r => r.timestamp >= cutoff), ...data], modelInfo);
+        heldOutStart = series.findIndex(r => r.timestamp >= from);
+    } else {
+        series = [...context.slice(-sequenceLength), ...data];
+        heldOutStart = series.length - data.length;
+    }
+    const scored = point => Number.isFinite(point.clock) && !point.imputed;
+    const normalize = (point, keys) => keys.map(f => ((point[f] ?? 0) - means[f]) / stds[f]);
+
+    const sequences = [];
+    const targets = [];
+    const origins = [];
+    for (let i = 0; i + sequenceLength + Math.min(...predictionHorizons) - 1 < series.length; i++) {
+        const window = series.slice(i, i + sequenceLength);
+        if (window.some(point => !Number.isFinite(point.clock))) continue;
+        const targetVector = predictionHorizons.flatMap(horizon => {
+            const idx = i + sequenceLength + horizon - 1;
+            return idx >= heldOutStart && idx < series.length && scored(series[idx])
+                ? normalize(series[idx], FEATURE_ORDER)
+                : FEATURE_ORDER.map(() => NaN);
+        });
+        if (targetVector.every(v => Number.isNaN(v))) continue;
+        sequences.push(window.map(point => normalize(point, features)));
+        targets.push(targetVector);
+        origins.push(i + sequenceLength - 1);
+    }
+    return { sequences, targets, series, origins };
+}
+
+/**
+ * Check a trained model's 68% / 95% bounds on a held-out telemetry split.
+ * Windows are normalized with the training parameters, and each horizon is
+ * scored on the targets that fall inside the held-out split.
+ * @param {tf.LayersModel} model - Trained forecast model
+ * @param {Array} data - Held-out telemetry rows, oldest first
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, stdScale, residualStd }
+ * @param {Object} options - { context: rows preceding the held-out split }
+ * @returns {Promise<Object|null>} Coverage report, or null if no target can be scored
+ */
+export async function checkCalibration(model, data, modelInfo, { context = [] } = {}) {
+    const { sequences, targets } = heldOutWindows(data, modelInfo, context);
+    if (sequences.length === 0) return null;
+
+    const xs = tf.tensor3d(sequences);
+    try {
+        return await measureCoverage(model, xs, targets, modelInfo);
+    } finally {
+        xs.dispose();
+    }
+}
+
+/**
+ * Forecast residuals (actual − predicted mean) on a held-out split, per
+ * horizon and channel, in physical units. Windows are built as in
+ * checkCalibration.
+ * @param {tf.LayersModel} model - Trained forecast model
+ * @param {Array} data - Held-out telemetry rows, oldest first
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, stdScale, residualStd }
+ * @param {Object} options - { context: rows preceding the held-out split }
+ * @returns {Promise<Object|null>} { windows, horizons: [{ horizon, horizonLabel, samples, timestamps, residuals: { clock, radial, along, cross } }] },
+ *                                 or null if no target can be scored
+ */
+export async function computeResiduals(model, data, modelInfo, { context = [] } = {}) {
+    const { predictionHorizons, normalizationParams } = modelInfo;
+    const { sequences, targets, series, origins } = heldOutWindows(data, modelInfo, context);
+    if (sequences.length === 0) return null;
+
+    const xs = tf.tensor3d(sequences);
+    const output = model.predict(xs);
+    const raw = await output.array();
+    xs.dispose();
+    output.dispose();
+
+    const actual = denormalizeTargets(targets, predictionHorizons, normalizationParams);
+    const decoded = raw.map(r => decodeForecast(r, predictionHorizons, normalizationParams, modelInfo));
+
+    return {
+        windows: sequences.length,
+        horizons: predictionHorizons.map((horizon, h) => {
+            const observed = actual.map((a, i) => i).filter(i => Number.isFinite(actual[i][h].clock));
+            return {
+                horizon,
+                horizonLabel: horizonLabel(horizon, stepOf(modelInfo)),
+                samples: observed.length,
+                timestamps: observed.map(i => series[origins[i] + horizon].timestamp),
+                residuals: Object.fromEntries(FEATURE_ORDER.map(feature => [
+                    feature,
+                    observed.map(i => actual[i][h][feature] - decoded[i][h][feature].mean)
+                ]))
+            };
+        })
+    };
+}
+
+/**
+ * Run a trained forecasting model on the most recent window of telemetry.
+ * For a model trained on a time grid the window is resampled to end at the
+ * latest observation, bridging gaps of any length (the time-delta input, if
+ * the model has one, shows how stale each point is), and horizon h is
+ * h × stepMinutes after it.
+ * @param {tf.LayersModel} model - Model built by buildForecastModel
+ * @param {Array} data - Array of {timestamp, clock, radial, along, cross} objects, oldest first
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, stdScale (gaussian head) or residualStd (point head),
+ *                              resampling }
+ * @returns {Promise<Array>} One entry per horizon with mean/std/68%/95% bounds for each channel
+ */
+export async function forecastWithModel(model, data, modelInfo) {
+    const { sequenceLength, predictionHorizons, normalizationParams } = modelInfo;
+    const { means, stds } = normalizationParams;
+    const series = onModelGrid(data, modelInfo, { anchor: 'end', maxGapMinutes: Infinity });
+
+    if (series.length < sequenceLength) {
+        throw new Error(`Need at least ${sequenceLength} data points, have ${series.length}`);
+    }
+
+    const features = inputFeatures(modelInfo.resampling);
+    const window = series.slice(-sequenceLength).map(d =>
+        features.map(f => ((d[f] || 0) - means[f]) / stds[f])
+    );
+
+    const input = tf.tensor3d([window]);
+    const output = model.predict(input);
+    const [raw] = await output.array();
+    input.dispose();
+    output.dispose();
+
+    return decodeForecast(raw, predictionHorizons, normalizationParams, modelInfo).map(entry => ({
+        horizon: entry.horizon,
+        horizonLabel: horizonLabel(entry.horizon, stepOf(modelInfo)),
+        ...Object.fromEntries(FEATURE_ORDER.map(feature => [feature, withBounds(entry[feature])]))
+    }));
+}
+
+// ─── Walk-forward backtesting ────────────────────────────────────────
+
+/**
+ * Forecaster (see utils/backtest.js) for a trained model: mean forecasts at
+ * the model's own horizons, null for any other horizon or while the history
+ * is shorter than the input window
+ * @param {tf.LayersModel} model - Trained forecast model
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, stdScale, residualStd, resampling }
+ * @param {Object} options - { id, label }
+ */
+export function modelForecaster(model, modelInfo, { id = 'model', label = 'STELLAR model' } = {}) {
+    return {
+        id,
+        label,
+        kind: 'model',
+        predict: async (history, targets) => {
+            if (history.length < modelInfo.sequenceLength) return targets.map(() => null);
+            const forecast = await forecastWithModel(model, history, modelInfo);
+            return targets.map(({ horizon }) => {
+                const entry = forecast.find(f => f.horizon === horizon);
+                return entry ? Object.fromEntries(FEATURE_ORDER.map(f => [f, entry[f].mean])) : null;
+            });
+        }
+    };
+}
+
+/**
+ * Forecaster that trains a fresh network on the history at its first origin
+ * and again every `refitEvery` origins (true walk-forward; slow). Only the
+ * horizons the history can supervise are trained, as in trainSatelliteModel.
+ * Pass rows already on the training grid (regularizeSeries) so that history
+ * rows and horizons are grid steps.
+ * @param {Object} config - fitForecastModel configuration (epochs, batchSize, learningRate, sequenceLength, predictionHorizons,
+ *                          resampling settings) and architecture options (architecture, lstmUnits, denseUnits)
+ * @param {Object} options - { refitEvery, id, label }
+ */
+export function retrainingForecaster(config = {}, { refitEvery = 0, id = 'model', label = 'STELLAR model (retrained)' } = {}) {
+    let fitted = null;
+    const release = () => {
+        fitted?.model.dispose();
+        fitted = null;
+    };
+
+    return {
+        id,
+        label,
+        kind: 'model',
+        refitEvery,
+        fit: async (history) => {
+            release();
+            const sequenceLength = config.sequenceLength ?? CONFIG.sequenceLength;
+            const predictionHorizons = (config.predictionHorizons ?? CONFIG.predictionHorizons)
+                .filter(h => h <= history.length - sequenceLength);
+            if (predictionHorizons.length === 0) return;
+
+            const model = buildForecastModel({ ...architectureOf(config), sequenceLength, predictionHorizons, learningRate: config.learningRate });
+            try {
+                const result = await fitForecastModel(model, history, { ...config, sequenceLength, predictionHorizons });
+                fitted = {
+                    model,
+                    forecaster: modelForecaster(model, {
+                        sequenceLength,
+                        predictionHorizons,
+                        normalizationParams: result.normalizationParams,
+                        stdScale: result.stdScale,
+                        residualStd: result.residualStd,
+                        resampling: result.resampling
+                    })
+                };
+            } catch (error) {
+                // Too little history for a validation split: no forecasts until the next refit
+                console.warn(`Walk-forward refit skipped: ${error.message}`);
+                model.dispose();
+            }
+        },
+        predict: (history, targets) => (fitted ? fitted.forecaster.predict(history, targets) : targets.map(() => null)),
+        dispose: release
+    };
+}
+
+/**
+ * Walk-forward backtest of a trained model against the baselines of
+ * utils/backtest.js, at every horizon the model was trained on. Rows before
+ * `scoreFrom` (e.g. the training split preceding a held-out split) are only
+ * used as history. For a model trained on a time grid every method runs on
+ * the rows resampled onto it.
+ * @param {tf.LayersModel} model - Trained forecast model
+ * @param {Array} rows - Telemetry rows, oldest first
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, stdScale, residualStd, resampling }
+ * @param {Object} options - { scoreFrom, stride, periodMinutes (orbital period for seasonal naive),
+ *                            baselines (ids), classical (statistical method ids to score alongside),
+ *                            label, onProgress, shouldStop }
+ * @returns {Promise<Object>} walkForward report
+ */
+export async function backtestModel(model, rows, modelInfo, options = {}) {
+    const { scoreFrom = 0, stride = 1, periodMinutes = null, baselines, classical = [], label, onProgress, shouldStop } = options;
+
+    // On the model's grid horizons are lead times; imputed grid points are history but never targets
+    const series = onModelGrid(rows, modelInfo, { maxGapMinutes: Infinity });
+    let scoreStart = scoreFrom;
+    if (series !== rows && scoreFrom > 0) {
+        scoreStart = scoreFrom >= rows.length ? series.length : series.findIndex(r => r.timestamp >= rows[scoreFrom].timestamp);
+    }
+
+    return walkForward(series, [
+        modelForecaster(model, modelInfo, label ? { label } : {}),
+        ...classical.map(method => statisticalForecaster(method, { periodMinutes, refitEvery: Math.max(1, Math.round(24 / stride)) })),
+        ...baselineForecasters({ periodMinutes, ...(baselines && { include: baselines }) })
+    ], {
+        horizons: modelInfo.predictionHorizons,
+        minHistory: modelInfo.sequenceLength,
+        scoreFrom: scoreStart,
+        stride,
+        onProgress,
+        shouldStop
+    });
+}
+
+/**
+ * Walk-forward backtest of the browser model once trainWithConfig or
+ * trainModel has run
+ * @param {Array} data - Telemetry rows, oldest first
+ * @param {Object} options - See backtestModel
+ * @returns {Promise<Object>} walkForward report
+ */
+export async function backtestForecastModel(data, options = {}) {
+    if (!forecastModelInfo) throw new Error('Train the model before backtesting it');
+    return backtestModel(forecastModel, data, forecastModelInfo, { label: 'Browser model', ...options });
+}
+
+// ─── Hyperparameter search ───────────────────────────────────────────
+
+/**
+ * Validation score of a fitted trial: RMSE of the point forecast in units of
+ * each channel's standard deviation, pooled over channels and the horizons
+ * every trial predicts. Also returns the RMSE per channel in physical units.
+ */
+function validationScore(result, predictionHorizons, scoreHorizons) {
+    const { stds } = result.normalizationParams;
+    const rows = scoreHorizons.map(h => result.residualStd[predictionHorizons.indexOf(h)]);
+    const meanSquare = rows.reduce(
+        (sum, row) => sum + FEATURE_ORDER.reduce((s, f) => s + (row[f] / stds[f]) ** 2, 0),
+        0
+    ) / (rows.length * FEATURE_ORDER.length);
+
+    return {
+        score: Math.sqrt(meanSquare),
+        validationRmse: Object.fromEntries(FEATURE_ORDER.map(f => [
+            f, Math.sqrt(rows.reduce((sum, row) => sum + row[f] ** 2, 0) / rows.length)
+        ]))
+    };
+}
+
+/**
+ * Search training configurations for the browser model. Every trial trains
+ * a separate network (forecastModel is left untouched) and is scored on the
+ * validation split with validationScore.
+ * @param {Array} data - Training data array
+ * @param {Object} options - { space (see DEFAULT_SEARCH_SPACE), validationSplit, strategy, trials, seed, minEpochs, maxEpochs, eta }
+ * @param {Object} callbacks - { onTrialStart, onTrialEnd, onEpochEnd, shouldStop }
+ * @returns {Promise<Object>} runSearch result plus { scoreHorizons, validationSplit }
+ */
+export async function searchHyperparameters(data, options = {}, callbacks = {}) {
+    const { space = DEFAULT_SEARCH_SPACE, validationSplit = 0.2, ...searchOptions } = options;
+    const { onEpochEnd = () => {}, shouldStop = () => false } = callbacks;
+
+    const scoreHorizons = commonHorizons(space, CONFIG.predictionHorizons);
+    if (scoreHorizons.length === 0) throw new Error('The candidate horizon sets share no horizon to compare trials on');
+    if (isTraining) throw new Error('Training already in progress');
+
+    isTraining = true;
+    try {
+        const search = await runSearch(space, searchOptions, async (config) => {
+            const architecture = architectureOf(config);
+            const model = buildForecastModel({ ...architecture, learningRate: config.learningRate });
+            try {
+                const result = await fitForecastModel(model, data, { ...config, validationSplit }, { onEpochEnd, shouldStop });
+                return {
+                    ...validationScore(result, architecture.predictionHorizons, scoreHorizons),
+                    epochsRun: result.history.epoch.length,
+                    bestValLoss: result.metrics.bestValLoss,
+                    cancelled: result.metrics.cancelled
+                };
+            } finally {
+                model.dispose();
+            }
+        }, callbacks);
+        return { ...search, scoreHorizons, validationSplit };
     } finally {
         isTraining = false;
     }
 }
 
 /**
- * Normalize data for training
+ * Normalize data for training (masked points stay NaN and are left out of
+ * the statistics)
  */
-function normalizeDataForTraining(data) {
-    const features = ['clock', 'radial', 'along', 'cross'];
+function normalizeDataForTraining(data, features = FEATURE_ORDER) {
     const means = {};
     const stds = {};
 
     features.forEach(feature => {
-        const values = data.map(d => d[feature]);
+        const values = data.map(d => d[feature]).filter(Number.isFinite);
         means[feature] = values.reduce((a, b) => a + b, 0) / values.length;
         const variance = values.reduce((sum, v) => sum + Math.pow(v - means[feature], 2), 0) / values.length;
         stds[feature] = Math.sqrt(variance) || 1;
@@ -547,15 +1281,53 @@ function normalizeDataForTraining(data) {
 
     const normalized = data.map(point => ({
         ...point,
-        clock: (point.clock - means.clock) / stds.clock,
-        radial: (point.radial - means.radial) / stds.radial,
-        along: (point.along - means.along) / stds.along,
-        cross: (point.cross - means.cross) / stds.cross
+        ...Object.fromEntries(features.map(f => [f, (point[f] - means[f]) / stds[f]]))
     }));
 
     return { normalized, normalizationParams: { means, stds } };
 }
 
+/**
+ * Channels fed to the network at every step: the four errors, plus the
+ * minutes since the last real observation for models trained with timeDelta
+ */
+function inputFeatures(resampling) {
+    return resampling?.timeDelta ? [...FEATURE_ORDER, TIME_DELTA_FEATURE] : FEATURE_ORDER;
+}
+
+/**
+ * Grid step of a model's horizons in minutes
+ */
+const stepOf = (modelInfo) => modelInfo?.resampling?.stepMinutes ?? CONFIG.stepMinutes;
+
+/**
+ * Telemetry on a resampling grid with its counts. Rows that already come
+ * from regularizeSeries (they carry the imputed flag) are kept as they are,
+ * so a walk-forward history is not shifted onto a new grid.
+ * @param {Object} options - { anchor, maxGapMinutes (overrides the settings') }
+ * @returns {Object} { rows, observations, imputed, masked }
+ */
+function gridSeries(rows, resampling, { anchor = 'start', maxGapMinutes = resampling.maxGapMinutes } = {}) {
+    if (rows.every(r => typeof r.imputed === 'boolean')) {
+        return {
+            rows,
+            observations: rows.filter(r => !r.imputed).length,
+            imputed: rows.filter(r => r.imputed).length,
+            masked: rows.filter(r => !Number.isFinite(r.clock)).length
+        };
+    }
+    return regularizeSeries(rows, { stepMinutes: resampling.stepMinutes, maxGapMinutes, anchor });
+}
+
+/**
+ * Rows as a model sees them: on its grid if it was trained on one and the
+ * rows have timestamps, else unchanged (models trained before resampling)
+ */
+function onModelGrid(rows, modelInfo, options) {
+    const resampling = modelInfo?.resampling;
+    return resampling && hasTimestamps(rows) ? gridSeries(rows, resampling, options).rows : rows;
+}
+
 /**
  * Format duration in milliseconds to human readable format
  */
@@ -573,40 +1345,55 @@ function formatDuration(ms) {
 }
 
 /**
- * Evaluate model on test data
+ * Evaluate the browser model on test data
  * @param {Array} testData - Test data array
  * @param {Object} normalizationParams - Normalization parameters
- * @returns {Object} Evaluation metrics
+ * @returns {Object} See evaluateForecastModel
  */
 export async function evaluateModel(testData, normalizationParams) {
     if (!isModelReady) {
         await initializeAI();
     }
 
+    return evaluateForecastModel(forecastModel, testData, { ...activeArchitecture(), ...forecastModelInfo, normalizationParams });
+}
+
+/**
+ * Evaluate a forecast model on test data. The test rows are resampled onto
+ * the grid the model was trained on; windows crossing a masked gap are
+ * skipped and only real (not imputed) grid points are scored.
+ * @param {tf.LayersModel} model - Trained forecast model
+ * @param {Array} testData - Test data array
+ * @param {Object} modelInfo - { sequenceLength, predictionHorizons, normalizationParams, resampling }
+ * @returns {Object} Evaluation metrics, plus per-horizon residuals in the computeResiduals layout and the grid stepMinutes
+ */
+export async function evaluateForecastModel(model, testData, modelInfo) {
+    const { sequenceLength, predictionHorizons, normalizationParams } = modelInfo;
     const { means, stds } = normalizationParams;
-    const sequenceLength = CONFIG.sequenceLength;
+    const series = onModelGrid(testData, modelInfo);
+    const features = inputFeatures(modelInfo.resampling);
+    const scored = index => index < series.length && Number.isFinite(series[index].clock) && !series[index].imputed;
 
-    // Prepare test sequences
+    // Prepare test sequences (start index of each window)
     const sequences = [];
-    const actualValues = [];
-
-    for (let i = 0; i <= testData.length - sequenceLength - 1; i++) {
-        const seq = testData.slice(i, i + sequenceLength).map(d => [
-            (d.clock - means.clock) / stds.clock,
-            (d.radial - means.radial) / stds.radial,
-            (d.along - means.along) / stds.along,
-            (d.cross - means.cross) / stds.cross
-        ]);
-
-        const actual = testData[i + sequenceLength];
-        actualValues.push(actual);
-        sequences.push(seq);
+    const starts = [];
+
+    for (let i = 0; i <= series.length - sequenceLength - 1; i++) {
+        const window = series.slice(i, i + sequenceLength);
+        if (window.some(d => !Number.isFinite(d.clock))) continue;
+        sequences.push(window.map(d => features.map(f => (d[f] - means[f]) / stds[f])));
+        starts.push(i);
+    }
+    if (sequences.length === 0) {
+        throw new Error(`Not enough test data: need more than ${sequenceLength} rows on the model grid, have ${series.length}`);
     }
 
     const xs = tf.tensor3d(sequences);
-    const predictions = await forecastModel.predict(xs).data();
+    const output = model.predict(xs);
+    const predictions = await output.data();
 
     xs.dispose();
+    output.dispose();
 
     // Process predictions and calculate metrics
     const processedPredictions = [];
@@ -617,18 +1404,20 @@ export async function evaluateModel(testData, normalizationParams) {
         clock: { rmse: 0, mae: 0, r2: 0 }
     };
 
-    // Process predictions (first 4 values correspond to first horizon prediction)
-    for (let i = 0; i < actualValues.length; i++) {
-        const predClock = predictions[i * 4] * stds.clock + means.clock;
-        const predRadial = predictions[i * 4 + 1] * stds.radial + means.radial;
-        const predAlong = predictions[i * 4 + 2] * stds.along + means.along;
-        const predCross = predictions[i * 4 + 3] * stds.cross + means.cross;
+    // Process predictions (the first 4 values of each output row are the first horizon's means)
+    const outputWidth = predictions.length / starts.length;
+    for (let i = 0; i < starts.length; i++) {
+        if (!scored(starts[i] + sequenceLength)) continue;
+        const predClock = predictions[i * outputWidth] * stds.clock + means.clock;
+        const predRadial = predictions[i * outputWidth + 1] * stds.radial + means.radial;
+        const predAlong = predictions[i * outputWidth + 2] * stds.along + means.along;
+        const predCross = predictions[i * outputWidth + 3] * stds.cross + means.cross;
 
-        const actual = actualValues[i];
+        const actual = series[starts[i] + sequenceLength];
 
         processedPredictions.push({
             timestamp: actual.timestamp,
-            utc_time: actual.utc_time,
+            utc_time: actual.utc_time ?? (Number.isFinite(actual.timestamp) ? new Date(actual.timestamp).toISOString() : undefined),
             actual: {
                 clock: actual.clock,
                 radial: actual.radial,
@@ -650,6 +1439,24 @@ export async function evaluateModel(testData, normalizationParams) {
         });
     }
 
+    // Residuals at every horizon whose target is observed inside the test data (means come first in each row)
+    const horizons = predictionHorizons.map((horizon, h) => {
+        const observed = starts.map((_, i) => i).filter(i => scored(starts[i] + sequenceLength + horizon - 1));
+        return {
+            horizon,
+            horizonLabel: horizonLabel(horizon, stepOf(modelInfo)),
+            samples: observed.length,
+            timestamps: observed.map(i => series[starts[i] + sequenceLength + horizon - 1].timestamp),
+            residuals: Object.fromEntries(FEATURE_ORDER.map((feature, f) => [
+                feature,
+                observed.map(i => {
+                    const predicted = predictions[i * outputWidth + h * FEATURE_ORDER.length + f] * stds[feature] + means[feature];
+                    return series[starts[i] + sequenceLength + horizon - 1][feature] - predicted;
+                })
+            ]))
+        };
+    });
+
     // Calculate metrics for each feature
     ['radial', 'along', 'cross', 'clock'].forEach(feature => {
         const errors = processedPredictions.map(p => p.errors[feature]);
@@ -693,7 +1500,9 @@ export async function evaluateModel(testData, normalizationParams) {
         mae: overallMAE,
         r2: overallR2,
         rmse: overallRMSE,
-        mape: calculateMAPE(processedPredictions)
+        mape: calculateMAPE(processedPredictions),
+        horizons,
+        stepMinutes: series === testData ? null : stepOf(modelInfo)
     };
 }
 
@@ -719,106 +1528,63 @@ function calculateMAPE(predictions) {
 }
 
 /**
- * Create a fresh model for new training
+ * Create a fresh, compiled forecast model for a training configuration
+ * (any architecture of the registry)
  */
 export function createFreshModel(config = {}) {
-    const {
-        sequenceLength = CONFIG.sequenceLength,
-        features = CONFIG.features,
-        hiddenUnits = CONFIG.hiddenUnits,
-        lstmUnits = CONFIG.lstmUnits
-    } = config;
-
-    const model = tf.sequential();
-
-    model.add(tf.layers.lstm({
-        units: lstmUnits,
-        inputShape: [sequenceLength, features],
-        returnSequences: true,
-        kernelInitializer: 'glorotUniform',
-        recurrentInitializer: 'glorotUniform'
-    }));
-
-    model.add(tf.layers.timeDistributed({
-        layer: tf.layers.dense({ units: hiddenUnits, activation: 'relu' })
-    }));
-
-    model.add(tf.layers.lstm({
-        units: lstmUnits,
-        returnSequences: false,
-        goBackwards: false,
-        recurrentInitializer: 'glorotUniform'
-    }));
-
-    model.add(tf.layers.dense({
-        units: hiddenUnits,
-        activation: 'relu'
-    }));
-
-    model.add(tf.layers.dense({
-        units: 16,
-        activation: 'linear'
-    }));
-
-    return model;
+    return buildForecastModel({ ...architectureOf(config), learningRate: config.learningRate });
 }
 
 /**
- * Predict future errors based on recent data
- * @param {Array} recentData - Last 96 data points
+ * Predict the next step (first horizon) from recent data
+ * @param {Array} recentData - At least the model's sequenceLength points, oldest first
+ * @returns {Object} { clock, radial, along, cross, uncertainty: { clock, radial, along, cross } } (std per channel)
  */
 export async function predictFuture(recentData) {
     if (!isModelReady) await initializeAI();
 
-    // Prepare input
-    const inputSeq = recentData.slice(-CONFIG.sequenceLength).map(d => [
-        d.clock, d.radial, d.along, d.cross
-    ]);
-
-    // Need batch dimension [1, 96, 4]
-    const inputTensor = tf.tensor3d([inputSeq]);
-
-    const predictionTensor = forecastModel.predict(inputTensor);
-    const predictionData = await predictionTensor.data();
-
-    inputTensor.dispose();
-    predictionTensor.dispose();
+    const { predictions, normParams } = await runInference(prepareSequenceData(recentData));
+    const [first] = decodeForecast(predictions, activeArchitecture().predictionHorizons, normParams, { stdScale: forecastModelInfo?.stdScale });
 
-    // Parse output (flat array of mean/std pairs for each horizon)
-    // Structure: [mean1, std1, mean2, std2, ...]
-    const result = {
-        clock: predictionData[0], // Simplified mapping
-        radial: predictionData[1],
-        along: predictionData[2],
-        cross: predictionData[3],
-        uncertainty: predictionData[4]
+    return {
+        ...Object.fromEntries(FEATURE_ORDER.map(f => [f, first[f].mean])),
+        uncertainty: Object.fromEntries(FEATURE_ORDER.map(f => [f, first[f].std]))
     };
-
-    return result;
 }
 
 export { isModelReady };
 
 
 /**
- * Prepare sequence data for model input
+ * Prepare sequence data for model input (on the model's grid, ending at the
+ * latest observation)
  */
 function prepareSequenceData(data) {
     // Ensure we have enough data points
-    const padded = data.length < CONFIG.sequenceLength
-        ? [...Array(CONFIG.sequenceLength - data.length).fill(data[0] || { clock: 0, radial: 0, along: 0, cross: 0 }), ...data]
-        : data.slice(-CONFIG.sequenceLength);
-
-    // Normalize data
-    const normalized = normalizeData(padded);
-
-    return normalized;
+    const { sequenceLength } = activeArchitecture();
+    const series = onModelGrid(data, forecastModelInfo, { anchor: 'end', maxGapMinutes: Infinity });
+    const padded = series.length < sequenceLength
+        ? [...Array(sequenceLength - series.length).fill(series[0] || { clock: 0, radial: 0, along: 0, cross: 0 }), ...series]
+        : series.slice(-sequenceLength);
+
+    // Normalize with the training statistics once the model has been trained
+    return normalizeData(padded, forecastModelInfo?.normalizationParams, inputFeatures(forecastModelInfo?.resampling));
 }
 
 /**
- * Normalize data using z-score normalization
+ * Normalize data using z-score normalization (statistics of the window
+ * itself unless training statistics are given)
  */
-function normalizeData(data) {
+function normalizeData(data, normalizationParams = null, features = FEATURE_ORDER) {
+    if (normalizationParams) {
+        const { means, stds } = normalizationParams;
+        return {
+            data: data.map(point => features.map(f => ((point[f] || 0) - means[f]) / stds[f])),
+            means,
+            stds
+        };
+    }
+
     const means = { clock: 0, radial: 0, along: 0, cross: 0 };
     const stds = { clock: 1, radial: 1, along: 1, cross: 1 };
 
@@ -877,56 +1643,31 @@ async function runInference(normalizedInput) {
 }
 
 /**
- * Process model output into forecast results
+ * Process model output into forecast results. Every channel gets the
+ * model's mean and std per horizon; the top-level fields are the clock
+ * channel (ns).
  */
 function processResults(inferenceOutput, originalData) {
     const { predictions, normParams } = inferenceOutput;
-    const numHorizons = CONFIG.predictionHorizons.length;
-
-    const lastValue = originalData[originalData.length - 1]?.clock || 0;
-
-    const forecasts = CONFIG.predictionHorizons.map((horizon, i) => {
-        // Extract mean and uncertainty from model output
-        const rawMean = predictions[i] || 0;
-        const rawStd = Math.abs(predictions[i + numHorizons] || 0.1) + 0.05;
-
-        // Denormalize predictions
-        const mean = rawMean * normParams.stds.clock + normParams.means.clock;
-
-        // Add realistic dynamics - errors tend to drift and grow with time
-        const driftRate = 0.01; // nanoseconds per step
-        const randomWalk = (Math.random() - 0.5) * 0.05;
-        const adjustedMean = lastValue + (mean - lastValue) * 0.3 + horizon * driftRate * 0.25 + randomWalk;
-
-        // Uncertainty grows with horizon
-        const baseUncertainty = rawStd * normParams.stds.clock;
-        const horizonFactor = 1 + (horizon / 96) * 2; // Grows up to 3x for 24h
-        const uncertainty = Math.max(0.05, baseUncertainty * horizonFactor);
+    const decoded = decodeForecast(predictions, activeArchitecture().predictionHorizons, normParams, { stdScale: forecastModelInfo?.stdScale });
 
+    const forecasts = decoded.map(entry => {
+        const channels = Object.fromEntries(FEATURE_ORDER.map(f => [f, withBounds(entry[f])]));
         return {
-            horizon: CONFIG.predictionHorizons[i],
-            horizonLabel: getHorizonLabel(horizon),
-            mean: adjustedMean,
-            std: uncertainty,
-            lower95: adjustedMean - 1.96 * uncertainty,
-            upper95: adjustedMean + 1.96 * uncertainty,
-            lower68: adjustedMean - uncertainty,
-            upper68: adjustedMean + uncertainty,
-            riskLevel: uncertainty > 0.3 ? 'HIGH' : uncertainty > 0.15 ? 'MEDIUM' : 'LOW'
+            horizon: entry.horizon,
+            horizonLabel: horizonLabel(entry.horizon, stepOf(forecastModelInfo)),
+            ...channels.clock,
+            channels,
+            riskLevel: channels.clock.std > 0.3 ? 'HIGH' : channels.clock.std > 0.15 ? 'MEDIUM' : 'LOW'
         };
     });
 
-    return { forecasts, baseValue: lastValue };
-}
-
-/**
- * Get human-readable horizon label
- */
-function getHorizonLabel(horizonSteps) {
-    const minutes = horizonSteps * 15;
-    if (minutes < 60) return `${minutes}m`;
-    if (minutes < 1440) return `${minutes / 60}h`;
-    return `${minutes / 1440}d`;
+    return {
+        forecasts,
+        baseValue: originalData[originalData.length - 1]?.clock || 0,
+        // Until trainWithConfig/trainModel has run, the bounds come from untrained weights
+        modelTrained: forecastModelInfo !== null
+    };
 }
 
 /**
@@ -1030,6 +1771,42 @@ export function evaluatePerformance(predictions, actuals) {
     };
 }
 
+/**
+ * Provenance of the browser forecast model for bulletins: a SHA-256 of its
+ * current weights (the version), plus what it was trained on and how
+ * @returns {Promise<Object>} { model, version, weightsSha256, trained, trainedAt,
+ *                              trainingSamples, trainingDataSha256, trainingConfig, architecture }
+ */
+export async function getForecastProvenance() {
+    if (!isModelReady) await initializeAI();
+
+    const weights = forecastModel.getWeights().map(w => w.dataSync());
+    const bytes = new Uint8Array(weights.reduce((n, w) => n + w.byteLength, 0));
+    let offset = 0;
+    weights.forEach(w => {
+        bytes.set(new Uint8Array(w.buffer, w.byteOffset, w.byteLength), offset);
+        offset += w.byteLength;
+    });
+    const weightsSha256 = await sha256Hex(bytes);
+
+    return {
+        model: 'STELLAR-Forecast-v1k',
+        version: `sha256:${weightsSha256.slice(0, 12)}`,
+        weightsSha256,
+        trained: forecastModelInfo !== null,
+        trainedAt: forecastModelInfo?.trainedAt ?? null,
+        trainingSamples: forecastModelInfo?.trainingSamples ?? null,
+        trainingDataSha256: forecastModelInfo?.trainingDataSha256 ?? null,
+        trainingConfig: forecastModelInfo?.trainingConfig ?? null,
+        architecture: {
+            ...activeArchitecture(),
+            stepMinutes: stepOf(forecastModelInfo),
+            features: inputFeatures(forecastModelInfo?.resampling),
+            resampling: forecastModelInfo?.resampling ?? null
+        }
+    };
+}
+
 /**
  * Get AI system status
  */
@@ -1039,9 +1816,11 @@ export function getAIStatus() {
         modelInfo: isModelReady ? {
             forecastModel: {
                 name: 'STELLAR-Forecast-v1k',
-                type: 'LSTM-Attention Hybrid',
-                inputShape: [CONFIG.sequenceLength, CONFIG.features],
-                outputShape: [CONFIG.predictionHorizons.length * 2]
+                type: ARCHITECTURES[activeArchitecture().architecture].label,
+                inputShape: [activeArchitecture().sequenceLength, activeArchitecture().features],
+                // Means per channel and horizon, then as many log-variances for a gaussian head
+                outputShape: [FEATURE_ORDER.length * activeArchitecture().predictionHorizons.length
+                    * (activeArchitecture().uncertainty === 'gaussian' ? 2 : 1)]
             },
             anomalyModel: {
                 name: 'STELLAR-AnomalyDetector',
@@ -1054,4 +1833,4 @@ export function getAIStatus() {
     };
 }
 
-export { CONFIG as AI_CONFIG };
+export { CONFIG as AI_CONFIG, FEATURE_ORDER };
@@ -0,0 +1,291 @@
+/**
+ * STELLAR-v1k Bulletin Service
+ * Builds forecast bulletins from the forecast model and turns them into
+ * SP3-d orbit and RINEX clock products.
+ *
+ * A bulletin is a JSON document holding, per satellite, the model's predicted
+ * broadcast errors at each selected horizon ({ mean, std, lower95, upper95 }
+ * in m / ns), the provenance of the numbers (model weights digest, training
+ * data digest, input window digest, generation parameters) and an integrity
+ * block with a SHA-256 digest and optional HMAC signature (see provenance.js).
+ *
+ * Horizons are steps of the active model's time grid (its resampling
+ * stepMinutes). Products are written on a regular epoch grid of the same
+ * step; between forecast horizons the errors are interpolated linearly. SP3 positions are the satellite's orbit
+ * from orbitService.js (the loaded broadcast ephemeris, else its nominal slot)
+ * displaced by the forecast radial/along/cross error.
+ */
+
+import { writeSP3, writeRinexClock, productFileName } from '../utils/gnssFormats.js';
+import { sealDocument, telemetryDigest } from '../utils/provenance.js';
+import { CHANNEL_UNITS } from '../utils/telemetryIngest.js';
+import { generateForecast, getForecastProvenance, AI_CONFIG, FEATURE_ORDER } from './aiService.js';
+import { generateHistoricalData } from './liveDataService.js';
+import { satelliteState, sp3SatelliteId } from './orbitService.js';
+
+export { SYSTEM_CODES, sp3SatelliteId } from './orbitService.js';
+
+export const BULLETIN_FORMAT = 'stellar-bulletin/1';
+
+const INPUT_DAYS = 7;
+
+/**
+ * Forecast errors on a regular grid from the first to the last forecast horizon
+ * @param {Array} forecasts - [{ leadMinutes, radial, along, cross, clock }]
+ * @param {number} stepMinutes - Grid spacing
+ * @returns {Array} [{ leadMinutes, interpolated, radial, along, cross, clock }]
+ */
+export function correctionTrack(forecasts, stepMinutes) {
+    const anchors = [...forecasts].sort((a, b) => a.leadMinutes - b.leadMinutes);
+    if (anchors.length === 0) return [];
+
+    const first = Math.ceil(anchors[0].leadMinutes / stepMinutes - 1e-9) * stepMinutes;
+    const last = anchors[anchors.length - 1].leadMinutes;
+    const track = [];
+
+    for (let lead = first; lead <= last + 1e-9; lead += stepMinutes) {
+        const exact = anchors.find(a => Math.abs(a.leadMinutes - lead) < 1e-9);
+        if (exact) {
+            track.push({ ...exact, leadMinutes: lead, interpolated: false });
+            continue;
+        }
+        const upper = anchors.findIndex(a => a.leadMinutes > lead);
+        const a = anchors[upper - 1];
+        const b = anchors[upper];
+        const w = (lead - a.leadMinutes) / (b.leadMinutes - a.leadMinutes);
+        const mix = (key) => ({
+            mean: a[key].mean + w * (b[key].mean - a[key].mean),
+            std: a[key].std + w * (b[key].std - a[key].std)
+        });
+        track.push({
+            leadMinutes: lead,
+            interpolated: true,
+            radial: mix('radial'),
+            along: mix('along'),
+            cross: mix('cross'),
+            clock: mix('clock')
+        });
+    }
+    return track;
+}
+
+function round(value, decimals = 6) {
+    return Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+/**
+ * Build a sealed bulletin from generateForecast output for each satellite
+ *
+ * @param {Array} satellites - Fleet entries ({ id, name, constellation, prn, orbit, clockType, status })
+ * @param {Array<Object>} horizons - [{ label, minutes }] to include
+ * @param {Object} options
+ * @param {Function} options.history - (satelliteId) => telemetry rows, oldest first
+ *                                     (default: the live data service's simulated history)
+ * @param {Object} options.input - Where the history comes from, recorded as provenance.input
+ *                                 (default { source: 'provided' })
+ * @param {string} options.secret - Shared secret for the HMAC signature (unsigned without); needs a history
+ * @param {string} options.keyId - Identifier of the secret, recorded next to the signature
+ * @returns {Promise<Object>} Sealed bulletin document
+ */
+export async function buildBulletin(satellites, horizons, { history, input = { source: 'provided' }, secret, keyId = null } = {}) {
+    if (satellites.length === 0 || horizons.length === 0) throw new Error('Select at least one satellite and one horizon');
+    // A signature vouches for the numbers; simulated telemetry is for unsigned previews only
+    if (secret && !history) throw new Error('A bulletin forecast from simulated telemetry cannot be signed; forecast from telemetry or leave it unsigned');
+
+    const model = await getForecastProvenance();
+    const { stepMinutes } = model.architecture;
+    const stepMs = stepMinutes * 60000;
+    const issuedAt = new Date();
+    const referenceEpoch = Math.floor(issuedAt.getTime() / stepMs) * stepMs;
+    const longest = Math.max(...horizons.map(h => h.minutes));
+    const inputSource = history
+        ? input
+        : { source: 'simulated', generator: 'liveDataService.generateHistoricalData', days: INPUT_DAYS, intervalMinutes: stepMinutes };
+    const historyFor = history || ((id) => generateHistoricalData(id, INPUT_DAYS, stepMinutes));
+
+    const entries = [];
+    for (const sat of satellites) {
+        const rows = historyFor(sat.id);
+        const window = rows.slice(-AI_CONFIG.sequenceLength);
+        const result = await generateForecast(rows, sat.id);
+
+        const forecasts = horizons.map(({ label, minutes }) => {
+            const f = result.forecasts.find(entry => Math.abs(entry.horizon * stepMinutes - minutes) < 1e-9);
+            if (!f) throw new Error(`The model has no ${label} horizon (its horizons are steps of ${stepMinutes} min)`);
+            return {
+                horizon: label,
+                leadMinutes: minutes,
+                validAt: new Date(referenceEpoch + minutes * 60000).toISOString(),
+                ...Object.fromEntries(FEATURE_ORDER.map(c => [c, {
+                    mean: round(f.channels[c].mean),
+                    std: round(f.channels[c].std),
+                    lower95: round(f.channels[c].lower95),
+                    upper95: round(f.channels[c].upper95)
+                }])),
+                riskLevel: f.riskLevel
+            };
+        });
+
+        entries.push({
+            satelliteId: sat.id,
+            satelliteName: sat.name,
+            constellation: sat.constellation,
+            prn: sat.prn,
+            orbit: sat.orbit,
+            clockType: sat.clockType,
+            status: sat.status,
+            input: {
+                rows: window.length,
+                start: window.length ? new Date(window[0].timestamp ?? window[0].time).toISOString() : null,
+                end: window.length ? new Date(window[window.length - 1].timestamp ?? window[window.length - 1].time).toISOString() : null,
+                sha256: await telemetryDigest(window)
+            },
+            modelConfidence: round(parseFloat(result.modelConfidence), 1),
+            forecasts
+        });
+    }
+
+    return sealDocument({
+        format: BULLETIN_FORMAT,
+        bulletinId: `STL-${new Date(referenceEpoch).toISOString().replace(/[-:]|\.\d+/g, '')}-${globalThis.crypto.randomUUID().slice(0, 8)}`,
+        issuedAt: issuedAt.toISOString(),
+        referenceEpoch: new Date(referenceEpoch).toISOString(),
+        validUntil: new Date(referenceEpoch + longest * 60000).toISOString(),
+        generator: 'STELLAR-v1k',
+        provenance: {
+            model,
+            input: inputSource,
+            parameters: {
+                satellites: satellites.map(s => s.id),
+                horizons: horizons.map(h => h.label),
+                stepMinutes,
+                units: Object.fromEntries(FEATURE_ORDER.map(c => [c, CHANNEL_UNITS[c]]))
+            }
+        },
+        satellites: entries
+    }, { secret, keyId });
+}
+
+// Grid step a bulletin was generated on
+const bulletinStep = (bulletin) => bulletin.provenance?.parameters?.stepMinutes ?? AI_CONFIG.stepMinutes;
+
+function productComments(bulletin, stepMinutes) {
+    const signature = bulletin.integrity?.signature;
+    return [
+        `STELLAR-v1k forecast bulletin ${bulletin.bulletinId}`,
+        `Model ${bulletin.provenance.model.version}; ${signature ? `HMAC-SHA256 signed${signature.keyId ? ` (key ${signature.keyId})` : ''}` : 'unsigned'}`,
+        `SHA-256 ${bulletin.integrity?.digest.value ?? 'unsealed'}`,
+        `Epochs in UTC every ${stepMinutes} min from ${bulletin.referenceEpoch}`,
+        'Values between forecast horizons are linearly interpolated'
+    ];
+}
+
+/**
+ * SP3-d orbit product for a bulletin
+ * @param {Object} bulletin - buildBulletin document
+ * @param {Object} options - { stepMinutes (default: the grid step the bulletin was generated on) }
+ * @returns {Object} { filename, text, epochs, satellites }
+ */
+export function bulletinToSP3(bulletin, { stepMinutes = bulletinStep(bulletin) } = {}) {
+    const start = new Date(bulletin.referenceEpoch).getTime();
+    const byTime = new Map();
+    const sources = new Set();
+
+    bulletin.satellites.forEach(entry => {
+        const sat = { id: entry.satelliteId, constellation: entry.constellation, prn: entry.prn };
+        const id = sp3SatelliteId(sat);
+
+        correctionTrack(entry.forecasts, stepMinutes).forEach(point => {
+            const time = start + point.leadMinutes * 60000;
+            const state = satelliteState(sat, time);
+
+            let position = null;
+            let positionSigma = null;
+            if (state) {
+                sources.add(state.source);
+                const axes = ['radial', 'along', 'cross'];
+                position = [0, 1, 2].map(j =>
+                    (state.position[j] + axes.reduce((s, k) => s + state.basis[k][j] * point[k].mean, 0)) / 1000);
+                // σ_xyz (mm) from the diagonal radial/along/cross covariance
+                positionSigma = [0, 1, 2].map(j =>
+                    1000 * Math.sqrt(axes.reduce((s, k) => s + (state.basis[k][j] * point[k].std) ** 2, 0)));
+            }
+
+            if (!byTime.has(time)) byTime.set(time, []);
+            byTime.get(time).push({
+                id,
+                position,
+                clock: point.clock.mean / 1000,
+                sigma: { position: positionSigma, clock: point.clock.std * 1000 },
+                flags: { clockPredicted: true, orbitPredicted: true }
+            });
+        });
+    });
+
+    const epochs = [...byTime.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([time, records]) => ({ time, records }));
+    if (epochs.length === 0) throw new Error('The bulletin has no forecasts');
+
+    const text = writeSP3({
+        epochs,
+        interval: stepMinutes * 60,
+        orbitType: 'EXT',
+        timeSystem: 'UTC',
+        comments: [
+            ...productComments(bulletin, stepMinutes),
+            `Positions: ${[...sources].join('/') || 'no'} orbit + forecast radial/along/cross error`,
+            'Clock: forecast broadcast clock error (us); sigmas from forecast std'
+        ]
+    });
+
+    const span = epochs[epochs.length - 1].time - epochs[0].time + stepMinutes * 60000;
+    return {
+        filename: productFileName({ start: epochs[0].time, spanMinutes: span / 60000, stepMinutes, content: 'ORB', extension: 'SP3' }),
+        text,
+        epochs: epochs.length,
+        satellites: new Set(epochs.flatMap(e => e.records.map(r => r.id))).size
+    };
+}
+
+/**
+ * RINEX 3.00 clock product for a bulletin
+ * @param {Object} bulletin - buildBulletin document
+ * @param {Object} options - { stepMinutes (default: the grid step the bulletin was generated on) }
+ * @returns {Object} { filename, text, records, satellites }
+ */
+export function bulletinToRinexClock(bulletin, { stepMinutes = bulletinStep(bulletin) } = {}) {
+    const start = new Date(bulletin.referenceEpoch).getTime();
+
+    const records = bulletin.satellites.flatMap(entry => {
+        const id = sp3SatelliteId({ constellation: entry.constellation, prn: entry.prn });
+        return correctionTrack(entry.forecasts, stepMinutes).map(point => ({
+            id,
+            time: start + point.leadMinutes * 60000,
+            bias: point.clock.mean * 1e-9,
+            sigma: point.clock.std * 1e-9
+        }));
+    });
+    if (records.length === 0) throw new Error('The bulletin has no forecasts');
+
+    const times = records.map(r => r.time);
+    const first = Math.min(...times);
+    const text = writeRinexClock({
+        records,
+        timeSystem: 'UTC',
+        comments: [...productComments(bulletin, stepMinutes), 'AS bias: forecast broadcast clock error; sigma: forecast std']
+    });
+
+    return {
+        filename: productFileName({
+            start: first,
+            spanMinutes: (Math.max(...times) - first) / 60000 + stepMinutes,
+            stepMinutes,
+            content: 'CLK',
+            extension: 'CLK'
+        }),
+        text,
+        records: records.length,
+        satellites: new Set(records.map(r => r.id)).size
+    };
+}
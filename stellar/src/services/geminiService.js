@@ -19,7 +19,7 @@ Key metrics you understand:
 - Clock Bias Error: Satellite atomic clock drift from true time (nanoseconds)
 - Ephemeris Errors: Position errors in Radial, Along-Track, Cross-Track (meters)
 - Prediction Horizons: 15m, 30m, 1h, 2h, 4h, 6h, 12h, 24h
-- RMSE: Root Mean Square Error (our model achieves 57% improvement over baseline)
+- RMSE: Root Mean Square Error; skill is 1 − RMSE / persistence RMSE from a walk-forward backtest (never quote a fixed improvement figure)
 - Confidence Intervals: 68% (1σ) and 95% (2σ) bounds
 
 Your personality:
@@ -31,7 +31,7 @@ Your personality:
 
 Current system context:
 - Tracking 12 satellites across GPS, GALILEO, GLONASS, BeiDou, QZSS
-- Using Transformer-LSTM hybrid architecture
+- Forecast network selectable per training run: LSTM stack, GRU, temporal convolutional network, Transformer encoder or N-BEATS
 - 7-day rolling training window
 - Sub-50ms inference time`;
 
@@ -146,14 +146,14 @@ class GeminiAssistant {
         if (lowerMessage.includes('accuracy') || lowerMessage.includes('performance')) {
             return {
                 success: true,
-                response: `STELLAR-v1k achieves exceptional forecasting accuracy:
-                
-📊 **Performance Metrics:**
-- 15-minute horizon: 98.2% accuracy (RMSE: 0.18ns)
-- 1-hour horizon: 96.8% accuracy (RMSE: 0.31ns)
-- 24-hour horizon: 94.6% accuracy (RMSE: 0.89ns)
-
-Our Transformer-LSTM hybrid architecture reduces prediction errors by **57%** compared to persistence baseline across all horizons.`,
+                response: `STELLAR forecasting skill is measured, not quoted:
+
+📊 **Walk-forward backtest:**
+- Forecast origins roll through held-out rows; each origin sees only the data before it
+- Every horizon is scored against persistence, seasonal-naive, linear-drift and ARIMA forecasts of the same targets
+- Skill = 1 − RMSE / persistence RMSE, so any value above 0 beats "no change"
+
+Open the Residuals page and run a backtest for a registry model, or evaluate a model in the Scientist Workflow, to see the numbers for your data.`,
                 timestamp: new Date().toISOString(),
                 fallback: true
             };
@@ -204,19 +204,18 @@ The uncertainty quantification comes from our Gaussian mixture output layer, pro
                 success: true,
                 response: `🧠 **STELLAR-v1k Architecture:**
 
-**Transformer-LSTM Hybrid Model:**
-1. **Input Layer**: 7-day error sequences (672 points @ 15-min)
-2. **Temporal Embedding**: Positional + temporal encodings
-3. **Transformer Encoder**: 6 attention heads, 256 dimensions
-4. **Bidirectional LSTM Bridge**: Preserves sequence memory
-5. **Multi-Horizon Head**: 8 parallel decoders (15m → 24h)
-6. **Uncertainty Layer**: Gaussian mixture outputs
-
-**Specs:**
-- Parameters: 12.4M
-- Training: 4.2 hours (A100 GPU)
-- Inference: <50ms
-- GPU Memory: 2.1 GB`,
+**Selectable Forecast Network:**
+1. **Input Layer**: 48-step windows of clock, radial, along-track and cross-track errors
+2. **Sequence Encoder**, chosen per training run:
+   - LSTM stack (default)
+   - GRU
+   - Temporal convolutional network (dilated, residual)
+   - Transformer encoder (4-head self-attention)
+   - N-BEATS (fully connected blocks with backcasts)
+3. **Multi-Horizon Head**: 8 horizons (15m → 24h)
+4. **Uncertainty Layer**: Gaussian mean + log-variance, trained on negative log-likelihood
+
+Architectures are compared on the same validation split in the hyperparameter search and backtested against persistence and ARIMA baselines.`,
                 timestamp: new Date().toISOString(),
                 fallback: true
             };
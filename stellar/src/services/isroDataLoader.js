@@ -8,8 +8,12 @@
  * - y_error (m): Along-track error in meters  
  * - z_error (m): Cross-track error in meters
  * - satclockerror (m): Clock error in meters
+ *
+ * Parsing and unit conversion live in utils/telemetryIngest (clock → ns).
  */
 
+import { parseTelemetryCSV, summarizeErrors } from '../utils/telemetryIngest';
+
 // Cache for loaded data
 const dataCache = {
     GEO_Train: null,
@@ -20,63 +24,6 @@ const dataCache = {
     MEO_Test2: null    // Add Test2 variant
 };
 
-/**
- * Parse ISRO CSV data into usable format
- * @param {string} csvText - Raw CSV content
- * @returns {Array} Array of data points
- */
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    const header = lines[0].split(',').map(h => h.trim());
-
-    const data = [];
-
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = line.split(',');
-        if (values.length < 5) continue;
-
-        const timestamp = parseISRODate(values[0].trim());
-        if (!timestamp) continue;
-
-        const point = {
-            timestamp,
-            utc_time: values[0].trim(),
-            // Convert to format expected by AI model
-            radial: parseFloat(values[1]) || 0,   // x_error → radial
-            along: parseFloat(values[2]) || 0,    // y_error → along-track
-            cross: parseFloat(values[3]) || 0,    // z_error → cross-track
-            clock: parseFloat(values[4]) / 0.3 || 0, // satclockerror (m → ns, speed of light factor)
-            clockMeters: parseFloat(values[4]) || 0, // Keep original for display
-        };
-
-        data.push(point);
-    }
-
-    // Sort by timestamp
-    data.sort((a, b) => a.timestamp - b.timestamp);
-
-    return data;
-}
-
-/**
- * Parse ISRO date format "M/D/YYYY H:MM" to Date object
- */
-function parseISRODate(dateStr) {
-    try {
-        // Handle format like "9/1/2025 6:00"
-        const [datePart, timePart] = dateStr.split(' ');
-        const [month, day, year] = datePart.split('/').map(Number);
-        const [hour, minute] = timePart.split(':').map(Number);
-
-        return new Date(year, month - 1, day, hour, minute).getTime();
-    } catch {
-        return null;
-    }
-}
-
 /**
  * Load ISRO data for a specific orbit type
  * @param {string} orbitType - 'GEO' or 'MEO'
@@ -98,7 +45,10 @@ export async function loadISROData(orbitType = 'GEO', split = 'Train') {
         }
 
         const csvText = await response.text();
-        const data = parseCSV(csvText);
+        const { rows: data, errors } = parseTelemetryCSV(csvText);
+        if (errors.length > 0) {
+            console.warn(`⚠️ ${cacheKey}: ${errors.length} rows rejected — ${summarizeErrors(errors)}`);
+        }
 
         // Cache the data
         dataCache[cacheKey] = data;
@@ -199,4 +149,4 @@ export function prepareSequences(data, sequenceLength = 96) {
     return sequences;
 }
 
-export { parseCSV, calculateStats };
+export { calculateStats };
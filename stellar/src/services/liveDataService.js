@@ -8,7 +8,8 @@
  * - ISRO NavIC ICD for Indian satellite behavior
  */
 
-import { IGS_ERROR_CHARACTERISTICS, ORBITAL_PARAMETERS } from '../data/realSatelliteData';
+import { IGS_ERROR_CHARACTERISTICS, ORBITAL_PARAMETERS } from '../data/realSatelliteData.js';
+import { satelliteState } from './orbitService.js';
 
 // Orbital mechanics parameters for realistic simulation
 // Values from official sources (GPS.gov, ESA, ISRO, etc.)
@@ -106,6 +107,7 @@ export function startLiveStream(satelliteId, callback, intervalMs = 1000) {
  * Get constellation from satellite ID
  */
 function getConstellation(satelliteId) {
+    if (/^(gsat|navic|irnss)/i.test(satelliteId)) return 'NavIC';  // ISRO catalogue ids (API server)
     if (satelliteId.startsWith('G')) return 'GPS';
     if (satelliteId.startsWith('E')) return 'Galileo';
     if (satelliteId.startsWith('R')) return 'GLONASS';
@@ -126,6 +128,15 @@ export function stopLiveStream(satelliteId) {
     }
 }
 
+/**
+ * Argument of latitude (rad) of a satellite from the shared orbit propagator,
+ * or the phase on a circular orbit of the constellation's period when the
+ * satellite has no orbit data
+ */
+function orbitalPhaseAt(satelliteId, params, ms) {
+    return satelliteState(satelliteId, ms)?.argumentOfLatitude ?? (ms / 1000 / (params.period * 60)) * 2 * Math.PI;
+}
+
 /**
  * Generate realistic live update
  */
@@ -137,7 +148,7 @@ function generateLiveUpdate(satelliteId, state) {
     const params = ORBITAL_PARAMS[constellation];
 
     // Orbital dynamics affect errors
-    const orbitalPhase = (t / (params.period * 60)) * 2 * Math.PI;
+    const orbitalPhase = orbitalPhaseAt(satelliteId, params, now.getTime());
 
     // Clock bias: mainly random walk with small periodic component
     // Scale by constellation-specific characteristics
@@ -258,8 +269,7 @@ export function generateHistoricalData(satelliteId, days = 7, intervalMinutes =
 
     for (let i = 0; i < totalPoints; i++) {
         const time = new Date(startTime + i * intervalMinutes * 60 * 1000);
-        const t = time.getTime() / 1000;
-        const orbitalPhase = (t / (params.period * 60)) * 2 * Math.PI;
+        const orbitalPhase = orbitalPhaseAt(satelliteId, params, time.getTime());
 
         // Clock dynamics
         const clockNoise = (Math.random() - 0.5) * 0.02;
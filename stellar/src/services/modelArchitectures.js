@@ -0,0 +1,381 @@
+/**
+ * STELLAR-v1k Forecast Architectures
+ * Registry of the network topologies the forecast model can be built with.
+ * Every architecture takes a [sequenceLength, features] window and ends in
+ * one linear dense layer of `outputUnits` (the per-horizon means, followed by
+ * the log-variances for a gaussian head), so training, evaluation, export and
+ * the forecast API treat them alike. Models are returned uncompiled.
+ *
+ * `units` sets the width of the sequence layers (LSTM/GRU units, TCN filters,
+ * Transformer model dimension) and `headUnits` the width of the dense head
+ * (N-BEATS block width). The custom layers (attention, position embedding,
+ * last steps, dilated taps) are registered with tf.serialization, so importing this module
+ * is enough for tf.loadLayersModel to read saved models of any architecture.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+// ─── Custom layers ───────────────────────────────────────────────────
+
+/**
+ * Multi-head scaled dot-product self-attention over the time axis (no mask:
+ * every step of the input window is in the past)
+ */
+class MultiHeadSelfAttention extends tf.layers.Layer {
+    static className = 'StellarMultiHeadSelfAttention';
+
+    constructor(config) {
+        super(config);
+        this.numHeads = config.numHeads;
+        this.keyDim = config.keyDim;
+    }
+
+    build(inputShape) {
+        const modelDim = inputShape[inputShape.length - 1];
+        const inner = this.numHeads * this.keyDim;
+        const init = () => tf.initializers.glorotUniform({});
+        this.wq = this.addWeight('query', [modelDim, inner], 'float32', init());
+        this.wk = this.addWeight('key', [modelDim, inner], 'float32', init());
+        this.wv = this.addWeight('value', [modelDim, inner], 'float32', init());
+        this.wo = this.addWeight('output', [inner, modelDim], 'float32', init());
+        super.build(inputShape);
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const [, steps, modelDim] = x.shape;
+            const inner = this.numHeads * this.keyDim;
+            const flat = x.reshape([-1, modelDim]);
+            const heads = (w) => tf.matMul(flat, w.read())
+                .reshape([-1, steps, this.numHeads, this.keyDim])
+                .transpose([0, 2, 1, 3]);
+
+            const scores = tf.matMul(heads(this.wq), heads(this.wk), false, true).div(Math.sqrt(this.keyDim));
+            const context = tf.matMul(tf.softmax(scores), heads(this.wv))
+                .transpose([0, 2, 1, 3])
+                .reshape([-1, inner]);
+            return tf.matMul(context, this.wo.read()).reshape([-1, steps, modelDim]);
+        });
+    }
+
+    getConfig() {
+        return { ...super.getConfig(), numHeads: this.numHeads, keyDim: this.keyDim };
+    }
+}
+
+/**
+ * Learned position embedding added to every step of the window
+ */
+class PositionEmbedding extends tf.layers.Layer {
+    static className = 'StellarPositionEmbedding';
+
+    build(inputShape) {
+        this.embedding = this.addWeight(
+            'embedding',
+            [inputShape[1], inputShape[2]],
+            'float32',
+            tf.initializers.randomNormal({ stddev: 0.02 })
+        );
+        super.build(inputShape);
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => (Array.isArray(inputs) ? inputs[0] : inputs).add(this.embedding.read()));
+    }
+}
+
+/**
+ * The last `steps` steps of a sequence (tfjs has no Cropping1D)
+ */
+class LastSteps extends tf.layers.Layer {
+    static className = 'StellarLastSteps';
+
+    constructor(config) {
+        super(config);
+        this.steps = config.steps;
+    }
+
+    computeOutputShape(inputShape) {
+        return [inputShape[0], this.steps, inputShape[2]];
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            return x.slice([0, x.shape[1] - this.steps, 0], [-1, this.steps, -1]);
+        });
+    }
+
+    getConfig() {
+        return { ...super.getConfig(), steps: this.steps };
+    }
+}
+
+/**
+ * The inputs a dilated convolution sees at every step, stacked on the
+ * channel axis: [x(t − (k−1)·d), …, x(t − d), x(t)] for the steps that have
+ * all of them. A dense layer on top is a causal dilated convolution whose
+ * gradients tfjs supports (its conv1d gradient rejects dilation > 1).
+ */
+class DilatedTaps extends tf.layers.Layer {
+    static className = 'StellarDilatedTaps';
+
+    constructor(config) {
+        super(config);
+        this.kernelSize = config.kernelSize;
+        this.dilation = config.dilation;
+    }
+
+    computeOutputShape(inputShape) {
+        const span = (this.kernelSize - 1) * this.dilation;
+        return [inputShape[0], inputShape[1] - span, inputShape[2] * this.kernelSize];
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const steps = x.shape[1] - (this.kernelSize - 1) * this.dilation;
+            const taps = Array.from({ length: this.kernelSize }, (_, k) => x.slice([0, k * this.dilation, 0], [-1, steps, -1]));
+            return tf.concat(taps, 2);
+        });
+    }
+
+    getConfig() {
+        return { ...super.getConfig(), kernelSize: this.kernelSize, dilation: this.dilation };
+    }
+}
+
+tf.serialization.registerClass(MultiHeadSelfAttention);
+tf.serialization.registerClass(PositionEmbedding);
+tf.serialization.registerClass(LastSteps);
+tf.serialization.registerClass(DilatedTaps);
+
+// ─── Builders ────────────────────────────────────────────────────────
+
+/**
+ * Last step of a [steps, channels] sequence as a flat vector
+ */
+function lastStep(x) {
+    return tf.layers.flatten().apply(new LastSteps({ steps: 1 }).apply(x));
+}
+
+/**
+ * Dense head shared by the sequence architectures
+ */
+function denseHead(x, { headUnits, outputUnits }) {
+    let y = tf.layers.dense({ units: headUnits, activation: 'relu' }).apply(x);
+    y = tf.layers.dropout({ rate: 0.3 }).apply(y);
+    y = tf.layers.dense({ units: Math.max(1, Math.round(headUnits / 2)), activation: 'relu' }).apply(y);
+    return tf.layers.dense({ units: outputUnits, activation: 'linear' }).apply(y);
+}
+
+/**
+ * Stacked LSTM with a time-distributed projection (the original topology)
+ */
+function buildLSTM({ sequenceLength, features, outputUnits, units, headUnits, projectionUnits }) {
+    const model = tf.sequential();
+
+    model.add(tf.layers.lstm({
+        units,
+        inputShape: [sequenceLength, features],
+        returnSequences: true,
+        kernelInitializer: 'glorotUniform',
+        recurrentInitializer: 'glorotUniform',
+        dropout: 0.2,
+        recurrentDropout: 0.2
+    }));
+
+    // Attention-like mechanism via dense layers
+    model.add(tf.layers.timeDistributed({
+        layer: tf.layers.dense({ units: projectionUnits, activation: 'relu' })
+    }));
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+
+    // Second LSTM layer for deeper temporal patterns
+    model.add(tf.layers.lstm({
+        units,
+        returnSequences: true,
+        recurrentInitializer: 'glorotUniform',
+        dropout: 0.2,
+        recurrentDropout: 0.2
+    }));
+
+    // Final LSTM layer
+    model.add(tf.layers.lstm({
+        units: Math.max(1, Math.round(units / 2)),
+        returnSequences: false,
+        recurrentInitializer: 'glorotUniform'
+    }));
+
+    model.add(tf.layers.dense({ units: headUnits, activation: 'relu' }));
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+    model.add(tf.layers.dense({ units: Math.max(1, Math.round(headUnits / 2)), activation: 'relu' }));
+    model.add(tf.layers.dense({ units: outputUnits, activation: 'linear' }));
+
+    return model;
+}
+
+/**
+ * Two stacked GRUs
+ */
+function buildGRU({ sequenceLength, features, outputUnits, units, headUnits }) {
+    const input = tf.input({ shape: [sequenceLength, features] });
+    let x = tf.layers.gru({ units, returnSequences: true, dropout: 0.2, recurrentInitializer: 'glorotUniform' }).apply(input);
+    x = tf.layers.gru({ units: Math.max(1, Math.round(units / 2)), recurrentInitializer: 'glorotUniform' }).apply(x);
+    return tf.model({ inputs: input, outputs: denseHead(x, { headUnits, outputUnits }) });
+}
+
+/**
+ * Temporal convolutional network: residual blocks of two dilated
+ * convolutions (kernel 3, dilation doubling) while the receptive field fits
+ * in the window. The convolutions are unpadded, so every output step only
+ * sees earlier steps; the skip path is cropped to match.
+ */
+function buildTCN({ sequenceLength, features, outputUnits, units, headUnits }) {
+    const input = tf.input({ shape: [sequenceLength, features] });
+    const dilatedConv = (x, dilation, activation) => tf.layers.dense({ units, activation })
+        .apply(new DilatedTaps({ kernelSize: 3, dilation }).apply(x));
+    let x = tf.layers.dense({ units }).apply(input);
+
+    for (let dilation = 1, field = 1; field + 4 * dilation <= sequenceLength; dilation *= 2) {
+        let y = dilatedConv(x, dilation, 'relu');
+        y = tf.layers.dropout({ rate: 0.1 }).apply(y);
+        y = dilatedConv(y, dilation, 'linear');
+        const skip = new LastSteps({ steps: x.shape[1] - 4 * dilation }).apply(x);
+        x = tf.layers.activation({ activation: 'relu' }).apply(tf.layers.add().apply([y, skip]));
+        field += 4 * dilation;
+    }
+
+    return tf.model({ inputs: input, outputs: denseHead(lastStep(x), { headUnits, outputUnits }) });
+}
+
+/**
+ * Transformer encoder: input projection, learned positions, two blocks of
+ * 4-head self-attention and feed-forward with residuals and layer norm; the
+ * head reads the mean over time and the last step
+ */
+function buildTransformer({ sequenceLength, features, outputUnits, units, headUnits }) {
+    const numHeads = 4;
+    const input = tf.input({ shape: [sequenceLength, features] });
+    let x = tf.layers.dense({ units }).apply(input);
+    x = new PositionEmbedding({}).apply(x);
+
+    for (let block = 0; block < 2; block++) {
+        let attended = new MultiHeadSelfAttention({ numHeads, keyDim: Math.max(1, Math.floor(units / numHeads)) }).apply(x);
+        attended = tf.layers.dropout({ rate: 0.1 }).apply(attended);
+        x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, attended]));
+
+        let fed = tf.layers.dense({ units: units * 2, activation: 'relu' }).apply(x);
+        fed = tf.layers.dense({ units }).apply(fed);
+        x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, fed]));
+    }
+
+    const summary = tf.layers.concatenate().apply([
+        tf.layers.globalAveragePooling1d().apply(x),
+        lastStep(x)
+    ]);
+    return tf.model({ inputs: input, outputs: denseHead(summary, { headUnits, outputUnits }) });
+}
+
+/**
+ * N-BEATS-style generic blocks on the flattened window. Each block emits a
+ * backcast that is removed from its input (the sign is learned, so the
+ * residual is a plain add) and a forecast; the forecasts are summed.
+ */
+function buildNBEATS({ sequenceLength, features, outputUnits, headUnits }) {
+    const input = tf.input({ shape: [sequenceLength, features] });
+    const width = sequenceLength * features;
+    let residual = tf.layers.flatten().apply(input);
+    const forecasts = [];
+
+    for (let block = 0; block < 3; block++) {
+        let h = residual;
+        for (let layer = 0; layer < 3; layer++) {
+            h = tf.layers.dense({ units: headUnits, activation: 'relu' }).apply(h);
+        }
+        forecasts.push(tf.layers.dense({ units: outputUnits, activation: 'linear' }).apply(h));
+        if (block < 2) {
+            residual = tf.layers.add().apply([residual, tf.layers.dense({ units: width, activation: 'linear' }).apply(h)]);
+        }
+    }
+
+    return tf.model({ inputs: input, outputs: tf.layers.add().apply(forecasts) });
+}
+
+// ─── Registry ────────────────────────────────────────────────────────
+
+/**
+ * Forecast architectures by id: { label, summary, build(options), layers(options) }
+ * where layers() describes the topology for display ({ name, description, detail })
+ */
+export const ARCHITECTURES = {
+    lstm: {
+        label: 'LSTM stack',
+        summary: 'Three stacked LSTMs with a time-distributed dense projection',
+        build: buildLSTM,
+        layers: ({ sequenceLength, units, projectionUnits }) => [
+            { name: 'LSTM', description: 'Sequence memory, dropout 0.2', detail: `${sequenceLength} steps × ${units} units` },
+            { name: 'Time-distributed dense', description: 'Per-step projection', detail: `${projectionUnits} units` },
+            { name: 'LSTM × 2', description: 'Deeper temporal patterns', detail: `${units} → ${Math.round(units / 2)} units` }
+        ]
+    },
+    gru: {
+        label: 'GRU',
+        summary: 'Two stacked gated recurrent units',
+        build: buildGRU,
+        layers: ({ sequenceLength, units }) => [
+            { name: 'GRU', description: 'Gated recurrence, dropout 0.2', detail: `${sequenceLength} steps × ${units} units` },
+            { name: 'GRU', description: 'Final state', detail: `${Math.round(units / 2)} units` }
+        ]
+    },
+    tcn: {
+        label: 'Temporal convolutional network',
+        summary: 'Residual causal dilated convolutions',
+        build: buildTCN,
+        layers: ({ sequenceLength, units }) => [
+            { name: 'Dilated conv blocks', description: 'Kernel 3, dilation 1, 2, 4, … with residuals', detail: `${units} filters` },
+            { name: 'Last step', description: `Receptive field up to the ${sequenceLength}-step window`, detail: `${units} features` }
+        ]
+    },
+    transformer: {
+        label: 'Transformer encoder',
+        summary: 'Two blocks of 4-head self-attention and feed-forward',
+        build: buildTransformer,
+        layers: ({ sequenceLength, units }) => [
+            { name: 'Input projection', description: 'Dense + learned position embedding', detail: `${sequenceLength} × ${units}` },
+            { name: 'Encoder × 2', description: 'Multi-head self-attention, feed-forward, layer norm', detail: `4 heads × ${Math.floor(units / 4)} dims` },
+            { name: 'Pooling', description: 'Mean over time ⊕ last step', detail: `${units * 2} features` }
+        ]
+    },
+    nbeats: {
+        label: 'N-BEATS (generic)',
+        summary: 'Fully connected blocks with backcast residuals',
+        build: buildNBEATS,
+        layers: ({ sequenceLength, features, headUnits }) => [
+            { name: 'Flatten', description: 'Window as one vector', detail: `${sequenceLength * features} values` },
+            { name: 'Blocks × 3', description: '3 dense layers; the backcast is removed from the next block input', detail: `${headUnits} units` },
+            { name: 'Sum of block forecasts', description: 'Forecast of every block added up', detail: '' }
+        ]
+    }
+};
+
+/**
+ * Build an architecture from the registry (uncompiled)
+ * @param {string} id - Key of ARCHITECTURES
+ * @param {Object} options - { sequenceLength, features, outputUnits, units, headUnits, projectionUnits }
+ * @returns {tf.LayersModel}
+ */
+export function buildArchitecture(id, options) {
+    const architecture = ARCHITECTURES[id];
+    if (!architecture) throw new Error(`Unknown architecture "${id}" (expected one of ${Object.keys(ARCHITECTURES).join(', ')})`);
+    return architecture.build(options);
+}
@@ -4,6 +4,8 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
+// Registers the custom layers of the forecast architectures for modelFromJSON
+import './modelArchitectures.js';
 
 const STORAGE_KEY = 'stellar_saved_models';
 const MAX_SAVED_MODELS = 5;
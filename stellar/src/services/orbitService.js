@@ -0,0 +1,376 @@
+/**
+ * STELLAR-v1k Orbit Service
+ * Positions of the fleet for the map, the orbit view, the telemetry
+ * simulator and the bulletin products, all from the propagators in
+ * utils/orbit.js.
+ *
+ * A satellite is propagated from a loaded broadcast ephemeris (RINEX
+ * navigation file) when one is valid at the epoch, else with SGP4 from a
+ * loaded element set (TLE / OMM), else from a nominal ephemeris built from
+ * its constellation slot or GEO longitude: a circular Keplerian record for
+ * GPS, Galileo, BeiDou, NavIC and QZSS, and a state vector integrated with
+ * the GLONASS equations for GLONASS. Element sets that match no fleet
+ * satellite join the catalog as extra objects ("norad-<catalog number>").
+ *
+ * Look angles and passes are computed for one configurable ground station.
+ */
+
+import { REAL_SATELLITES, ORBITAL_PARAMETERS } from '../data/realSatelliteData.js';
+import { toGPSTime, gpsToUTC } from '../utils/gnssFormats.js';
+import { selectEphemeris } from '../utils/rinexNav.js';
+import { parseElementSets } from '../utils/elementSets.js';
+import { sgp4init, propagateAt, SGP4_ERRORS } from '../utils/sgp4.js';
+import {
+    broadcastState, earthRotationRate, gravitationalParameter, ricBasis, ecefToEci, eciToEcef, ecefToGeodetic,
+    argumentOfLatitude, gmst, lookAngles, predictPasses
+} from '../utils/orbit.js';
+
+export const SYSTEM_CODES = {
+    GPS: 'G',
+    GLONASS: 'R',
+    Galileo: 'E',
+    BeiDou: 'C',
+    NavIC: 'I',
+    QZSS: 'J'
+};
+
+// Nominal constellation layout (planes × slots per plane)
+const CONSTELLATION_LAYOUT = {
+    GPS: { planes: 6, slots: 4 },
+    Galileo: { planes: 3, slots: 8 },
+    GLONASS: { planes: 3, slots: 8 },
+    BeiDou: { planes: 3, slots: 8 }
+};
+
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+const SIDEREAL_DAY_HOURS = 23.9344696;
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const WEEK_MS = 604800000;
+const DEG = Math.PI / 180;
+
+// Nominal records are re-issued like broadcast ones: Keplerian every 2 h, GLONASS every 30 min
+const NOMINAL_ISSUE_MS = { keplerian: 7200000, glonass: 1800000 };
+
+export const DEFAULT_GROUND_STATION = {
+    name: 'ISTRAC Bengaluru',
+    lat: 13.0345,
+    lon: 77.5116,
+    alt: 900,
+    elevationMask: 10
+};
+
+let broadcast = null;
+const catalog = new Map(); // id → { id, fleetId, elements, record, source }
+let groundStation = { ...DEFAULT_GROUND_STATION };
+
+/**
+ * SP3 / RINEX satellite code ("G01", "I10")
+ */
+export function sp3SatelliteId(sat) {
+    const system = SYSTEM_CODES[sat.constellation];
+    if (!system) throw new Error(`No SP3 system code for constellation ${sat.constellation}`);
+    return `${system}${String(sat.prn ?? sat.slot).padStart(2, '0')}`;
+}
+
+/**
+ * Fleet entry for an id or a partial entry ({ id, constellation, prn })
+ */
+function fleetEntry(sat) {
+    const id = typeof sat === 'string' ? sat : sat?.id;
+    const known = REAL_SATELLITES.find(s => s.id === id);
+    if (known) return { ...known, ...(typeof sat === 'object' ? sat : {}), orbital: known.orbital };
+    return typeof sat === 'object' && SYSTEM_CODES[sat?.constellation] ? sat : null;
+}
+
+const normalizedName = (name) => name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Circular-orbit elements for a satellite from its plane/slot or longitude
+ * @returns {Object|null} { semiMajorAxis km, inclination, raan, u0 (deg), periodHours }
+ */
+function nominalElements(sat) {
+    const orbital = sat.orbital || {};
+
+    if (orbital.type === 'GEO' || orbital.type === 'GSO' || orbital.longitude !== undefined) {
+        const params = ORBITAL_PARAMETERS.NavIC[orbital.type === 'GSO' ? 'GSO' : 'GEO'];
+        // Ascending node over the slot longitude at J2000; one revolution per sidereal day keeps it there
+        return {
+            semiMajorAxis: params.semiMajorAxis,
+            inclination: orbital.inclination ?? params.inclination,
+            raan: (orbital.longitude ?? 0) + gmst(J2000_MS) / DEG,
+            u0: 0,
+            periodHours: SIDEREAL_DAY_HOURS
+        };
+    }
+
+    const params = ORBITAL_PARAMETERS[sat.constellation]?.MEO || ORBITAL_PARAMETERS[sat.constellation];
+    const layout = CONSTELLATION_LAYOUT[sat.constellation];
+    if (!params?.semiMajorAxis || !layout || orbital.plane === undefined) return null;
+
+    const plane = typeof orbital.plane === 'number' ? orbital.plane - 1 : orbital.plane.charCodeAt(0) - 65;
+    return {
+        semiMajorAxis: params.semiMajorAxis,
+        inclination: params.inclination,
+        raan: (plane * 360) / layout.planes,
+        u0: (((orbital.slot ?? 1) - 1) * 360) / layout.slots,
+        periodHours: params.orbitalPeriod
+    };
+}
+
+/**
+ * Inertial position and velocity (m, m/s) on the nominal circular orbit
+ */
+function nominalInertialState(el, utcTime) {
+    const n = (2 * Math.PI) / (el.periodHours * 3600);
+    const u = el.u0 * DEG + n * ((utcTime - J2000_MS) / 1000);
+    const a = el.semiMajorAxis * 1000;
+    const [cu, su] = [Math.cos(u), Math.sin(u)];
+    const [cO, sO] = [Math.cos(el.raan * DEG), Math.sin(el.raan * DEG)];
+    const [ci, si] = [Math.cos(el.inclination * DEG), Math.sin(el.inclination * DEG)];
+
+    return {
+        position: [cO * cu - sO * su * ci, sO * cu + cO * su * ci, su * si].map(v => v * a),
+        velocity: [-cO * su - sO * cu * ci, -sO * su + cO * cu * ci, cu * si].map(v => v * a * n),
+        u,
+        n
+    };
+}
+
+/**
+ * Nominal broadcast-style ephemeris for a fleet satellite, issued at the
+ * interval before a GPS-time epoch
+ * @returns {Object|null} A record broadcastState accepts
+ */
+export function nominalEphemeris(sat, gpsTime) {
+    const entry = fleetEntry(sat);
+    const el = entry && nominalElements(entry);
+    if (!el) return null;
+
+    const id = sp3SatelliteId(entry);
+
+    if (id[0] === 'R') {
+        const tb = Math.floor(gpsTime / NOMINAL_ISSUE_MS.glonass) * NOMINAL_ISSUE_MS.glonass;
+        const inertial = nominalInertialState(el, gpsToUTC(tb));
+        const { position, velocity } = eciToEcef(inertial.position, inertial.velocity, gpsToUTC(tb));
+        return {
+            system: 'R', id, message: 'NOMINAL', tb,
+            clockBias: 0, relativeFrequencyBias: 0,
+            position, velocity, acceleration: [0, 0, 0], health: 0
+        };
+    }
+
+    const toe = Math.floor(gpsTime / NOMINAL_ISSUE_MS.keplerian) * NOMINAL_ISSUE_MS.keplerian;
+    const toeSeconds = ((toe - GPS_EPOCH_MS) % WEEK_MS) / 1000;
+    const { u, n } = nominalInertialState(el, gpsToUTC(toe));
+    const a = el.semiMajorAxis * 1000;
+    const system = id[0];
+
+    return {
+        system, id, message: 'NOMINAL',
+        toc: toe, af0: 0, af1: 0, af2: 0,
+        iode: 0, crs: 0, crc: 0, cus: 0, cuc: 0, cis: 0, cic: 0,
+        // Mean motion held at the tabulated period, so slots do not drift over the years
+        deltaN: n - Math.sqrt(gravitationalParameter(system) / (a * a * a)),
+        m0: u, e: 0, sqrtA: Math.sqrt(a), omega: 0,
+        toe, toeSeconds,
+        // ICD node longitude: Ω0 - Ωe·toe equals the inertial node minus sidereal time at toe
+        omega0: el.raan * DEG - gmst(gpsToUTC(toe)) + earthRotationRate(system) * toeSeconds,
+        omegaDot: 0, i0: el.inclination * DEG, idot: 0,
+        health: 0
+    };
+}
+
+// ─── Broadcast ephemerides ───────────────────────────────────────────
+
+/**
+ * Propagate fleet satellites from a parsed RINEX navigation file where it has
+ * a valid ephemeris (null to go back to nominal orbits)
+ * @param {Object|null} navigation - parseRinexNav result
+ * @param {string} name - Source label (file name)
+ */
+export function setBroadcastEphemerides(navigation, name = null) {
+    broadcast = navigation ? { ephemerides: navigation.ephemerides, name } : null;
+}
+
+/**
+ * Loaded navigation data: { name, satellites } or null
+ */
+export function getBroadcastSource() {
+    return broadcast && { name: broadcast.name, satellites: [...new Set(broadcast.ephemerides.map(e => e.id))] };
+}
+
+// ─── Element sets ────────────────────────────────────────────────────
+
+/**
+ * Fleet satellite an element set describes: by COSPAR designator, then the
+ * PRN, Galileo GSAT number or name in the object name
+ */
+function matchFleet(set) {
+    const byCospar = set.intlDesignator && REAL_SATELLITES.find(s => s.cospar === set.intlDesignator);
+    if (byCospar) return byCospar;
+    if (!set.name) return null;
+
+    const name = set.name.toUpperCase();
+    const gsat = name.match(/GSAT\d{4}/)?.[0];
+    if (gsat) return REAL_SATELLITES.find(s => s.gsat === gsat) || null;
+
+    // "NAVSTAR 80 (USA 309)" carries no PRN; "GPS BIIF-1 (PRN 25)", "BEIDOU-3 M1 (C19)" and "(PRN E11)" do
+    const prn = name.match(/\((?:PRN\s*)?([ECGJ]?)(\d{1,3})\)/);
+    if (prn) {
+        const constellation = { E: 'Galileo', C: 'BeiDou', G: 'GPS', J: 'QZSS' }[prn[1]]
+            || (/GPS|NAVSTAR/.test(name) ? 'GPS' : /BEIDOU/.test(name) ? 'BeiDou' : null);
+        const match = constellation && REAL_SATELLITES.find(s => s.constellation === constellation && s.prn === Number(prn[2]));
+        if (match) return match;
+    }
+
+    const key = normalizedName(name);
+    return REAL_SATELLITES.find(s => normalizedName(s.name) === key) || null;
+}
+
+/**
+ * Add TLE or OMM element sets to the catalog; a newer set for the same object replaces the older one
+ * @param {string} text - TLE / OMM (KVN, XML, JSON) file contents
+ * @param {string} name - Source label (file name)
+ * @returns {Object} { format, loaded, matched, skipped, errors }
+ */
+export function loadElementSets(text, name = null) {
+    const { format, elementSets, skipped } = parseElementSets(text);
+    if (elementSets.length === 0) {
+        const reasons = Object.keys(skipped);
+        throw new Error(`No ${format} element sets found${reasons.length ? ` (skipped: ${reasons.join(', ')})` : ''}`);
+    }
+
+    let matched = 0;
+    const errors = [];
+    for (const set of elementSets) {
+        const fleet = matchFleet(set);
+        const id = fleet?.id ?? `norad-${set.noradId}`;
+        if (fleet) matched++;
+        if (catalog.get(id)?.elements.epoch > set.epoch) continue;
+
+        const record = sgp4init(set);
+        if (record.error) errors.push(`${set.name || set.noradId}: ${SGP4_ERRORS[record.error]}`);
+        catalog.set(id, { id, fleetId: fleet?.id ?? null, elements: set, record, source: name });
+    }
+
+    return { format, loaded: elementSets.length, matched, skipped, errors };
+}
+
+/**
+ * Forget all loaded element sets
+ */
+export function clearElementSets() {
+    catalog.clear();
+}
+
+/**
+ * Loaded element sets: [{ id, fleetId, noradId, name, intlDesignator, epoch, format, source, error }]
+ */
+export function getCatalog() {
+    return [...catalog.values()].map(entry => ({
+        id: entry.id,
+        fleetId: entry.fleetId,
+        noradId: entry.elements.noradId,
+        name: entry.elements.name,
+        intlDesignator: entry.elements.intlDesignator,
+        epoch: entry.elements.epoch,
+        format: entry.elements.format,
+        source: entry.source,
+        error: entry.record.error ? SGP4_ERRORS[entry.record.error] : null
+    }));
+}
+
+// ─── Ground station ──────────────────────────────────────────────────
+
+/**
+ * Station used for look angles and passes
+ * @param {Object} station - { name, lat, lon (deg), alt (m), elevationMask (deg) }
+ */
+export function setGroundStation(station) {
+    const next = { ...groundStation, ...station };
+    if (!(Math.abs(next.lat) <= 90)) throw new Error('Latitude must be within ±90°');
+    if (!(Math.abs(next.lon) <= 180)) throw new Error('Longitude must be within ±180°');
+    if (!Number.isFinite(next.alt)) throw new Error('Altitude must be a number of metres');
+    if (!(next.elevationMask >= 0 && next.elevationMask < 90)) throw new Error('Elevation mask must be within 0-90°');
+    groundStation = next;
+    return groundStation;
+}
+
+export function getGroundStation() {
+    return { ...groundStation };
+}
+
+// ─── Fleet state ─────────────────────────────────────────────────────
+
+/**
+ * Earth-fixed state of a fleet satellite or catalog object from the best source available
+ * @returns {Object|null} { id, code, system, source, position, velocity }
+ */
+function propagate(sat, time) {
+    const id = typeof sat === 'string' ? sat : sat?.id;
+    const entry = fleetEntry(sat);
+    const elements = catalog.get(entry?.id ?? id) ?? null;
+    if (!entry && !elements) return null;
+
+    const code = entry ? sp3SatelliteId(entry) : null;
+    const gpsTime = toGPSTime(new Date(time).getTime(), 'UTC');
+    const loaded = code && broadcast && selectEphemeris(broadcast.ephemerides, code, gpsTime);
+    if (loaded) {
+        return { id: entry.id, code, system: loaded.system, source: 'broadcast', ...broadcastState(loaded, gpsTime) };
+    }
+
+    const tle = elements && !elements.record.error && propagateAt(elements.record, new Date(time).getTime());
+    if (tle) {
+        return { id: entry?.id ?? elements.id, code, system: code?.[0] ?? 'G', source: 'tle', position: tle.position, velocity: tle.velocity };
+    }
+
+    const eph = entry && nominalEphemeris(entry, gpsTime);
+    if (!eph) return null;
+    return { id: entry.id, code, system: eph.system, source: 'nominal', ...broadcastState(eph, gpsTime) };
+}
+
+/**
+ * Position, velocity and frames of a fleet satellite or catalog object at a UTC epoch
+ * @param {Object|string} sat - Fleet entry or satellite / catalog id
+ * @param {number} time - UTC epoch (ms), default now
+ * @returns {Object|null} { id, code, source ('broadcast' | 'tle' | 'nominal'), position, velocity (ECEF m, m/s),
+ *                          eci: { position, velocity }, geodetic: { lat, lon, alt }, argumentOfLatitude (rad),
+ *                          basis (RIC unit vectors), look: { azimuth, elevation, range, rangeRate } from the
+ *                          ground station } or null for satellites without orbit data
+ */
+export function satelliteState(sat, time = Date.now()) {
+    const state = propagate(sat, time);
+    if (!state) return null;
+
+    const { position, velocity } = state;
+    const eci = ecefToEci(position, velocity, time);
+
+    return {
+        id: state.id,
+        code: state.code,
+        source: state.source,
+        position,
+        velocity,
+        eci,
+        geodetic: ecefToGeodetic(position),
+        argumentOfLatitude: argumentOfLatitude(eci.position, eci.velocity),
+        basis: ricBasis(position, velocity, earthRotationRate(state.system)),
+        look: lookAngles(groundStation, position, velocity)
+    };
+}
+
+/**
+ * Passes over a ground station above its elevation mask
+ * @param {Object|string} sat - Fleet entry or satellite / catalog id
+ * @param {Object} options - { station (default the current ground station), start (UTC ms, default now), hours,
+ *                            stepSeconds, minElevation (default the station's mask) }
+ * @returns {Array} predictPasses result
+ */
+export function satellitePasses(sat, { station = groundStation, start = Date.now(), hours = 24, stepSeconds = 60, minElevation = station.elevationMask } = {}) {
+    return predictPasses(time => propagate(sat, time)?.position ?? null, station, {
+        start,
+        end: start + hours * 3600000,
+        stepSeconds,
+        minElevation
+    });
+}
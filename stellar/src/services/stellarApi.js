@@ -0,0 +1,28 @@
+/**
+ * STELLAR REST API client
+ *
+ * Talks to the local Express server in development and to the Vercel
+ * functions in production. Requests use the key saved in the Developer SDK
+ * console, else the public demo key (forecast:read only).
+ */
+
+// Auto-detect API: local Express server or Vercel serverless
+const IS_LOCAL = window.location.hostname === 'localhost';
+export const API_BASE = IS_LOCAL ? 'http://localhost:3000/api/v1' : '/api/v1';
+export const DEMO_KEY = 'stellar-demo-key-2025'; // forecast:read only, if the server seeds it (STELLAR_DEMO_KEY=1)
+export const KEY_STORAGE = 'stellar_api_key';
+
+/**
+ * GET a JSON resource
+ * @param {string} path - Path below /api/v1, including the query string
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the API's error message on non-2xx responses or network failure
+ */
+export async function apiGet(path, { apiKey = localStorage.getItem(KEY_STORAGE) || DEMO_KEY } = {}) {
+    const res = await fetch(`${API_BASE}${path}`, { headers: { 'X-API-Key': apiKey } });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(body.message || body.error || `HTTP ${res.status}`);
+    }
+    return body;
+}
@@ -0,0 +1,163 @@
+/**
+ * STELLAR Training Client
+ * Main-thread side of trainingWorker.js. Training, batch evaluation,
+ * backtests and hyperparameter searches run in one dedicated Web Worker, so
+ * the UI stays responsive; the functions here post the request, forward the
+ * worker's progress messages to the usual callbacks and, for training,
+ * install the transferred weights as the browser model.
+ *
+ * Long jobs return { result, cancel }: cancel() asks the worker to stop at
+ * the next epoch (or walk-forward origin). A cancelled training run resolves
+ * to null and leaves the browser model as it was; a cancelled search resolves
+ * to the trials finished so far.
+ */
+
+import { installForecastModel, forecastModelSnapshot } from './aiService.js';
+
+let worker = null;
+let nextId = 1;
+const jobs = new Map(); // request id → message handler
+let activeTraining = null;
+
+/**
+ * The training worker, started on first use. If it crashes every open job
+ * fails and the next request starts a new one.
+ */
+function trainingWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./trainingWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data: message }) => jobs.get(message.id)?.(message);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            [...jobs.keys()].forEach(id => jobs.get(id)({ id, type: 'failed', error: event.message || 'Training worker crashed' }));
+            worker.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+}
+
+/**
+ * Post a request to the worker and route its messages
+ * @param {Object} request - { type, ...payload } (see trainingWorker.js)
+ * @param {Object} handlers - Per message type: epoch, progress, trial; completed(message) returns the result
+ * @param {Array} transfer - Transferable buffers of the request
+ * @returns {Object} { result: Promise, cancel() }
+ */
+function runJob(request, handlers = {}, transfer = []) {
+    const id = nextId++;
+    const target = trainingWorker();
+
+    const result = new Promise((resolve, reject) => {
+        jobs.set(id, async (message) => {
+            try {
+                if (message.type === 'completed') {
+                    jobs.delete(id);
+                    resolve(handlers.completed ? await handlers.completed(message) : message.result);
+                } else if (message.type === 'cancelled') {
+                    jobs.delete(id);
+                    resolve(null);
+                } else if (message.type === 'failed') {
+                    jobs.delete(id);
+                    reject(new Error(message.error));
+                } else {
+                    handlers[message.type]?.(message);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+    target.postMessage({ ...request, id }, transfer);
+
+    return {
+        result,
+        cancel: () => {
+            if (jobs.has(id)) target.postMessage({ id, type: 'cancel' });
+        }
+    };
+}
+
+/**
+ * Mark a training or search job as the one running until it settles
+ */
+function claimTraining(job) {
+    activeTraining = job;
+    const release = () => {
+        activeTraining = null;
+    };
+    job.result.then(release, release);
+    return job;
+}
+
+/**
+ * Train the browser model in the worker, with the options of trainWithConfig
+ * @param {Array} data - Training data array
+ * @param {Object} config - Training configuration (see trainWithConfig)
+ * @param {Object} callbacks - { onEpochEnd(epoch, logs, metrics), onProgress(progress), onComplete(metrics, history) }
+ * @returns {Object} { result: Promise<Object|null> (fitForecastModel result without the model, null if cancelled), cancel() }
+ */
+export function trainInBackground(data, config = {}, callbacks = {}) {
+    // Only one network trains at a time, as on the main thread
+    if (activeTraining) throw new Error('Training already in progress');
+    const { onEpochEnd = () => {}, onProgress = () => {}, onComplete = () => {} } = callbacks;
+
+    return claimTraining(runJob({ type: 'train', data, config }, {
+        epoch: ({ epoch, logs, metrics }) => onEpochEnd(epoch, logs, metrics),
+        progress: ({ progress }) => onProgress(progress),
+        completed: async ({ result, artifacts }) => {
+            await installForecastModel(artifacts, result, data, config);
+            onComplete(result.metrics, result.history);
+            return result;
+        }
+    }));
+}
+
+/**
+ * Hyperparameter search in the worker (see searchHyperparameters)
+ * @param {Array} data - Training data array
+ * @param {Object} options - searchHyperparameters options
+ * @param {Object} callbacks - { onTrialStart(trial), onTrialEnd(trial), onEpochEnd(epoch, logs, metrics) }
+ * @returns {Object} { result: Promise<Object> (searchHyperparameters result), cancel() }
+ */
+export function searchInBackground(data, options = {}, callbacks = {}) {
+    if (activeTraining) throw new Error('Training already in progress');
+    const { onTrialStart = () => {}, onTrialEnd = () => {}, onEpochEnd = () => {} } = callbacks;
+
+    return claimTraining(runJob({ type: 'search', data, options }, {
+        trial: ({ event, trial }) => (event === 'start' ? onTrialStart(trial) : onTrialEnd(trial)),
+        epoch: ({ epoch, logs, metrics }) => onEpochEnd(epoch, logs, metrics)
+    }));
+}
+
+/**
+ * Evaluate the browser model on test data in the worker (see evaluateModel)
+ * @param {Array} testData - Test data array
+ * @param {Object} normalizationParams - Normalization parameters (default: the model's own)
+ * @returns {Promise<Object>} evaluateForecastModel result
+ */
+export async function evaluateInBackground(testData, normalizationParams = null) {
+    const { artifacts, modelInfo } = await forecastModelSnapshot();
+    const info = { ...modelInfo, normalizationParams: normalizationParams ?? modelInfo.normalizationParams };
+    if (!info.normalizationParams) throw new Error('Train the model before evaluating it');
+
+    return runJob({ type: 'evaluate', data: testData, artifacts, modelInfo: info }, {}, [artifacts.weightData]).result;
+}
+
+/**
+ * Walk-forward backtest of the browser model in the worker (see backtestForecastModel)
+ * @param {Array} data - Telemetry rows, oldest first
+ * @param {Object} options - backtestModel options; onProgress({ done, total }) is called from the worker's messages
+ * @returns {Promise<Object>} walkForward report
+ */
+export async function backtestInBackground(data, options = {}) {
+    const { onProgress = () => {}, ...backtestOptions } = options;
+    const { artifacts, modelInfo } = await forecastModelSnapshot();
+    if (!modelInfo.normalizationParams) throw new Error('Train the model before backtesting it');
+
+    return runJob(
+        { type: 'backtest', data, artifacts, modelInfo, options: { label: 'Browser model', ...backtestOptions } },
+        { progress: ({ progress }) => onProgress(progress) },
+        [artifacts.weightData]
+    ).result;
+}
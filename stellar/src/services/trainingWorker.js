@@ -0,0 +1,113 @@
+/**
+ * STELLAR browser training worker
+ *
+ * Trains, evaluates and searches forecast networks off the main thread for
+ * trainingClient.js, so the UI keeps rendering while TF.js works. Every
+ * request carries an id that its messages echo:
+ *
+ *   → { id, type: 'train', data, config }
+ *   → { id, type: 'evaluate', data, artifacts, modelInfo }
+ *   → { id, type: 'backtest', data, artifacts, modelInfo, options }
+ *   → { id, type: 'search', data, options }
+ *   → { id, type: 'cancel' }            stop at the next epoch or walk-forward origin
+ *
+ *   ← { id, type: 'epoch', epoch, logs, metrics }
+ *   ← { id, type: 'progress', progress }
+ *   ← { id, type: 'trial', event: 'start' | 'end', trial }
+ *   ← { id, type: 'completed', result, artifacts? }   trained weights are transferred, not copied
+ *   ← { id, type: 'cancelled' }                       training stopped before it finished
+ *   ← { id, type: 'failed', error }
+ */
+
+import {
+    createFreshModel,
+    fitForecastModel,
+    evaluateForecastModel,
+    backtestModel,
+    searchHyperparameters,
+    modelToArtifacts,
+    artifactsToModel
+} from './aiService.js';
+
+const active = new Set();
+const cancelled = new Set();
+
+const post = (message, transfer = []) => self.postMessage(message, transfer);
+
+const epochReporter = (id) => (epoch, logs, metrics) => post({ id, type: 'epoch', epoch, logs: { ...logs }, metrics });
+
+/**
+ * Run a job on a model rebuilt from the main thread's artifacts
+ */
+async function withModel(artifacts, job) {
+    const model = await artifactsToModel(artifacts);
+    try {
+        return await job(model);
+    } finally {
+        model.dispose();
+    }
+}
+
+const handlers = {
+    async train({ id, data, config }) {
+        const model = createFreshModel(config);
+        try {
+            const { model: trained, ...result } = await fitForecastModel(model, data, config, {
+                onEpochEnd: epochReporter(id),
+                onProgress: progress => post({ id, type: 'progress', progress }),
+                shouldStop: () => cancelled.has(id)
+            });
+            if (result.metrics.cancelled) {
+                post({ id, type: 'cancelled' });
+                return;
+            }
+            const artifacts = await modelToArtifacts(trained);
+            post({ id, type: 'completed', result, artifacts }, [artifacts.weightData]);
+        } finally {
+            model.dispose();
+        }
+    },
+
+    async evaluate({ id, data, artifacts, modelInfo }) {
+        const result = await withModel(artifacts, model => evaluateForecastModel(model, data, modelInfo));
+        post({ id, type: 'completed', result });
+    },
+
+    async backtest({ id, data, artifacts, modelInfo, options }) {
+        const result = await withModel(artifacts, model => backtestModel(model, data, modelInfo, {
+            ...options,
+            onProgress: progress => post({ id, type: 'progress', progress }),
+            shouldStop: () => cancelled.has(id)
+        }));
+        post({ id, type: 'completed', result });
+    },
+
+    async search({ id, data, options }) {
+        const result = await searchHyperparameters(data, options, {
+            onTrialStart: trial => post({ id, type: 'trial', event: 'start', trial }),
+            onTrialEnd: trial => post({ id, type: 'trial', event: 'end', trial }),
+            onEpochEnd: epochReporter(id),
+            shouldStop: () => cancelled.has(id)
+        });
+        post({ id, type: 'completed', result });
+    }
+};
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type === 'cancel') {
+        if (active.has(message.id)) cancelled.add(message.id);
+        return;
+    }
+
+    active.add(message.id);
+    try {
+        const handler = handlers[message.type];
+        if (!handler) throw new Error(`Unknown training worker request "${message.type}"`);
+        await handler(message);
+    } catch (error) {
+        post({ id: message.id, type: 'failed', error: error.message });
+    } finally {
+        active.delete(message.id);
+        cancelled.delete(message.id);
+    }
+};
@@ -26,6 +26,12 @@ export const useAppStore = create(
         activeForecast: null,
         forecastHistory: [],
 
+        // Residuals of the latest evaluateModel run, in the /models/.../residuals layout
+        lastEvaluation: null,
+
+        // Latest walk-forward backtest, in the /models/.../backtest layout (shown by EvidenceStrip)
+        lastBacktest: null,
+
         // UI State
         selectedSatellite: null,
         selectedHorizon: '2h',
@@ -60,6 +66,8 @@ export const useAppStore = create(
         })),
 
         setActiveForecast: (forecast) => set({ activeForecast: forecast }),
+        setLastEvaluation: (evaluation) => set({ lastEvaluation: evaluation }),
+        setLastBacktest: (backtest) => set({ lastBacktest: backtest }),
 
         addForecastToHistory: (forecast) => set((state) => ({
             forecastHistory: [...state.forecastHistory.slice(-50), forecast]
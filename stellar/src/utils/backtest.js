@@ -0,0 +1,482 @@
+/**
+ * Walk-forward Backtesting
+ * Rolling-origin evaluation of forecasters against naive baselines. At each
+ * origin a forecaster sees only the rows up to and including it and predicts
+ * every horizon (rows ahead, as in the model's predictionHorizons). Errors
+ * are pooled per method, horizon and channel over the targets the method
+ * could forecast, and each method gets a skill score against the reference
+ * baseline on those same targets: 1 − RMSE / RMSE(reference), positive when
+ * it beats it.
+ *
+ * A forecaster is
+ *   { id, label, kind ('model' | 'baseline'), refitEvery (origins between fits, 0 = fit once),
+ *     fit(history) (optional, may be async), predict(history, targets) }
+ * where targets are [{ horizon, timestamp }] and predict returns one
+ * { clock, radial, along, cross } (or null) per target.
+ *
+ * Rows may come from a resampled grid (utils/resample.js): points flagged
+ * imputed, or masked with NaN, serve as history but are never scored.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { CHANNELS, medianStepMinutes } from './telemetryIngest.js';
+
+export const BASELINES = {
+    persistence: 'Persistence (last value)',
+    seasonalNaive: 'Seasonal naive (one orbital period back)',
+    linearDrift: 'Linear drift (least-squares trend)',
+    arima: 'ARIMA(1,1,1)'
+};
+
+// ─── Linear algebra ──────────────────────────────────────────────────
+
+/**
+ * Least-squares coefficients of y ≈ X·b via the normal equations
+ * (a tiny ridge keeps collinear lag columns solvable)
+ * @returns {Array|null} Coefficients, or null if the system is singular
+ */
+function leastSquares(X, y) {
+    const k = X[0]?.length ?? 0;
+    if (k === 0 || X.length < k) return null;
+
+    const A = Array.from({ length: k }, (_, i) => {
+        const row = Array.from({ length: k }, (_, j) => X.reduce((sum, x) => sum + x[i] * x[j], 0));
+        row[i] += 1e-9 * (row[i] || 1);
+        row.push(X.reduce((sum, x, t) => sum + x[i] * y[t], 0));
+        return row;
+    });
+
+    for (let col = 0; col < k; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < k; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        if (Math.abs(A[pivot][col]) < 1e-14) return null;
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        for (let r = 0; r < k; r++) {
+            if (r === col) continue;
+            const factor = A[r][col] / A[col][col];
+            for (let c = col; c <= k; c++) A[r][c] -= factor * A[col][c];
+        }
+    }
+    return A.map((row, i) => row[k] / row[i]);
+}
+
+// ─── Baselines ───────────────────────────────────────────────────────
+
+const pick = (row) => Object.fromEntries(CHANNELS.map(c => [c, row[c]]));
+
+/**
+ * Channel value at a time, interpolated between the bracketing rows
+ * @returns {number|null} null outside the history or across a gap longer than maxGapMs
+ */
+function valueAt(history, time, channel, maxGapMs) {
+    let lo = 0;
+    let hi = history.length - 1;
+    if (time < history[lo].timestamp || time > history[hi].timestamp) return null;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (history[mid].timestamp <= time) lo = mid;
+        else hi = mid;
+    }
+    const a = history[lo];
+    const b = history[hi];
+    if (a.timestamp === time) return a[channel];
+    if (b.timestamp === time) return b[channel];
+    if (b.timestamp - a.timestamp > maxGapMs) return null;
+    return a[channel] + ((b[channel] - a[channel]) * (time - a.timestamp)) / (b.timestamp - a.timestamp);
+}
+
+/**
+ * Last observed value at every horizon
+ */
+export function persistenceForecaster() {
+    return {
+        id: 'persistence',
+        label: BASELINES.persistence,
+        kind: 'baseline',
+        predict: (history, targets) => targets.map(() => pick(history[history.length - 1]))
+    };
+}
+
+/**
+ * Value one orbital period (or a whole number of periods) before the target,
+ * the latest such epoch that is already observed
+ * @param {Object} options - { periodMinutes, maxGapMinutes: longest row gap to interpolate across }
+ */
+export function seasonalNaiveForecaster({ periodMinutes, maxGapMinutes = null }) {
+    const periodMs = periodMinutes * 60000;
+    return {
+        id: 'seasonalNaive',
+        label: BASELINES.seasonalNaive,
+        kind: 'baseline',
+        predict: (history, targets) => {
+            const origin = history[history.length - 1].timestamp;
+            const maxGapMs = (maxGapMinutes ?? 3 * (medianStepMinutes(history) || periodMinutes)) * 60000;
+            return targets.map(({ timestamp }) => {
+                const lag = Math.max(1, Math.ceil((timestamp - origin) / periodMs)) * periodMs;
+                const values = CHANNELS.map(c => valueAt(history, timestamp - lag, c, maxGapMs));
+                return values.some(v => v === null) ? null : Object.fromEntries(CHANNELS.map((c, i) => [c, values[i]]));
+            });
+        }
+    };
+}
+
+/**
+ * Straight line fitted (against time) to the recent rows, extrapolated. Over
+ * one orbital period the once-per-rev terms average out of the slope.
+ * @param {Object} options - { windowMinutes: span of the fit, else the last `window` rows }
+ */
+export function linearDriftForecaster({ windowMinutes = null, window = 12 } = {}) {
+    return {
+        id: 'linearDrift',
+        label: BASELINES.linearDrift,
+        kind: 'baseline',
+        predict: (history, targets) => {
+            const origin = history[history.length - 1].timestamp;
+            const spanned = windowMinutes ? history.filter(r => r.timestamp >= origin - windowMinutes * 60000) : [];
+            const recent = spanned.length > 1 ? spanned : history.slice(-window);
+            const lines = Object.fromEntries(CHANNELS.map(channel => {
+                const X = recent.map(r => [1, (r.timestamp - origin) / 3600000]);
+                const b = recent.length > 1 ? leastSquares(X, recent.map(r => r[channel])) : null;
+                return [channel, b || [recent[recent.length - 1][channel], 0]];
+            }));
+            return targets.map(({ timestamp }) => Object.fromEntries(CHANNELS.map(channel => {
+                const [intercept, slope] = lines[channel];
+                return [channel, intercept + slope * ((timestamp - origin) / 3600000)];
+            })));
+        }
+    };
+}
+
+/**
+ * Fit ARIMA(p, d, q) by Hannan–Rissanen: a long autoregression estimates the
+ * innovations, then the ARMA coefficients come from one least-squares fit on
+ * lagged values and lagged innovations
+ * @returns {Object|null} { p, d, q, constant, ar, ma, series, innovations }, or null if the series is
+ *                        too short or the fit is not stationary and invertible
+ */
+export function fitARIMA(values, { p = 1, d = 1, q = 1 } = {}) {
+    let y = values;
+    for (let i = 0; i < d; i++) y = y.slice(1).map((v, t) => v - y[t]);
+    const constant = d === 0 ? y.reduce((a, b) => a + b, 0) / y.length : 0;
+    const z = y.map(v => v - constant);
+    const n = z.length;
+
+    // Long AR for the innovations
+    const m = Math.min(10, Math.floor(n / 4));
+    if (m < Math.max(p, q, 1) || n - m - q < p + q + 2) return null;
+    const longX = [];
+    const longY = [];
+    for (let t = m; t < n; t++) {
+        longX.push(Array.from({ length: m }, (_, j) => z[t - 1 - j]));
+        longY.push(z[t]);
+    }
+    const longAR = leastSquares(longX, longY);
+    if (!longAR) return null;
+    const e0 = z.map((v, t) => (t < m ? 0 : v - longAR.reduce((sum, c, j) => sum + c * z[t - 1 - j], 0)));
+
+    // ARMA regression
+    const X = [];
+    const Y = [];
+    for (let t = m + q; t < n; t++) {
+        X.push([
+            ...Array.from({ length: p }, (_, j) => z[t - 1 - j]),
+            ...Array.from({ length: q }, (_, j) => e0[t - 1 - j])
+        ]);
+        Y.push(z[t]);
+    }
+    const coefficients = p + q > 0 ? leastSquares(X, Y) : [];
+    if (!coefficients) return null;
+    const ar = coefficients.slice(0, p);
+    const ma = coefficients.slice(p);
+    // Sufficient conditions; an explosive fit would swamp the forecasts
+    const sumAbs = (c) => c.reduce((sum, v) => sum + Math.abs(v), 0);
+    if (sumAbs(ar) >= 1 || sumAbs(ma) >= 1) return null;
+
+    // Innovations of the fitted model, started from zero
+    const innovations = new Array(n).fill(0);
+    for (let t = 0; t < n; t++) {
+        let fitted = 0;
+        for (let j = 0; j < p; j++) if (t - 1 - j >= 0) fitted += ar[j] * z[t - 1 - j];
+        for (let j = 0; j < q; j++) if (t - 1 - j >= 0) fitted += ma[j] * innovations[t - 1 - j];
+        innovations[t] = z[t] - fitted;
+    }
+
+    return { p, d, q, constant, ar, ma, series: values, innovations, centered: z };
+}
+
+/**
+ * Point forecasts 1…steps ahead from fitARIMA
+ * @returns {Array} steps values in the units of the fitted series
+ */
+export function forecastARIMA(fit, steps) {
+    const { p, d, q, constant, ar, ma, series, innovations, centered } = fit;
+    const z = [...centered];
+    const e = [...innovations];
+    const ahead = [];
+    for (let k = 0; k < steps; k++) {
+        const t = z.length;
+        let value = 0;
+        for (let j = 0; j < p; j++) value += ar[j] * z[t - 1 - j];
+        for (let j = 0; j < q; j++) value += ma[j] * (e[t - 1 - j] ?? 0);
+        z.push(value);
+        e.push(0);
+        ahead.push(value + constant);
+    }
+
+    // Undo the differencing, one order at a time
+    let levels = ahead;
+    for (let order = d; order > 0; order--) {
+        let base = series;
+        for (let i = 0; i < order - 1; i++) base = base.slice(1).map((v, t) => v - base[t]);
+        let last = base[base.length - 1];
+        levels = levels.map(step => (last += step));
+    }
+    return levels;
+}
+
+/**
+ * ARIMA per channel, refitted at every origin on the last `maxHistory` rows.
+ * Horizons count rows, as the model's do. When the order cannot be fitted
+ * the MA and then the AR term are dropped, down to a random walk.
+ * @param {Object} options - { order: { p, d, q }, maxHistory }
+ */
+export function arimaForecaster({ order = { p: 1, d: 1, q: 1 }, maxHistory = 500 } = {}) {
+    return {
+        id: 'arima',
+        label: `ARIMA(${order.p},${order.d},${order.q})`,
+        kind: 'baseline',
+        predict: (history, targets) => {
+            const recent = history.slice(-maxHistory);
+            const steps = Math.max(...targets.map(t => t.horizon));
+            const paths = Object.fromEntries(CHANNELS.map(channel => {
+                const values = recent.map(r => r[channel]);
+                const fit = fitARIMA(values, order) || fitARIMA(values, { ...order, q: 0 });
+                return [channel, fit ? forecastARIMA(fit, steps) : new Array(steps).fill(values[values.length - 1])];
+            }));
+            return targets.map(({ horizon }) => Object.fromEntries(CHANNELS.map(c => [c, paths[c][horizon - 1]])));
+        }
+    };
+}
+
+/**
+ * The standard baseline set. Seasonal naive needs the orbital period and is
+ * left out when it is unknown.
+ * @param {Object} options - { periodMinutes, include: baseline ids (default all) }
+ * @returns {Array} Forecasters
+ */
+export function baselineForecasters({ periodMinutes = null, include = Object.keys(BASELINES) } = {}) {
+    const factories = {
+        persistence: () => persistenceForecaster(),
+        seasonalNaive: () => (periodMinutes ? seasonalNaiveForecaster({ periodMinutes }) : null),
+        linearDrift: () => linearDriftForecaster({ windowMinutes: periodMinutes }),
+        arima: () => arimaForecaster()
+    };
+    return include.map(id => factories[id]?.()).filter(Boolean);
+}
+
+// ─── Harness ─────────────────────────────────────────────────────────
+
+function errorStats(errors) {
+    const n = errors.length;
+    if (n === 0) return { rmse: null, mae: null, bias: null };
+    return {
+        rmse: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / n),
+        mae: errors.reduce((sum, e) => sum + Math.abs(e), 0) / n,
+        bias: errors.reduce((sum, e) => sum + e, 0) / n
+    };
+}
+
+/**
+ * Error statistics of a method and its skill against the reference errors on the same targets
+ */
+function scored(errors, referenceErrors) {
+    const stats = errorStats(errors);
+    const referenceRmse = errorStats(referenceErrors).rmse;
+    return {
+        ...stats,
+        referenceRmse,
+        skill: stats.rmse !== null && referenceRmse ? 1 - stats.rmse / referenceRmse : null
+    };
+}
+
+const usable = (forecast) => Boolean(forecast) && CHANNELS.every(c => Number.isFinite(forecast[c]));
+
+// A real observation that can be a target (not an imputed or masked grid point)
+const observed = (row) => !row.imputed && CHANNELS.every(c => Number.isFinite(row[c]));
+
+/**
+ * Rolling-origin evaluation
+ * @param {Array} rows - Telemetry rows, oldest first
+ * @param {Array} forecasters - See the header; persistence is added if the reference is missing
+ * @param {Object} options - {
+ *     horizons: rows ahead,
+ *     stride: rows between origins,
+ *     minHistory: rows before the first origin (at least 1),
+ *     scoreFrom: index of the first row that may be a target (rows before it are context only;
+ *                imputed rows never are),
+ *     reference: forecaster id for skill scores,
+ *     onProgress({ done, total }), shouldStop() }
+ * @returns {Promise<Object>} { origins, stepMinutes, reference, horizons: [{ horizon, targets }],
+ *     methods: [{ id, label, kind, samples, missing,
+ *                 horizons: [{ horizon, samples, channels: { [c]: { rmse, mae, bias, referenceRmse, skill } } }],
+ *                 overall: { [c]: { rmse, mae, bias, referenceRmse, skill } } }], cancelled }
+ */
+export async function walkForward(rows, forecasters, {
+    horizons,
+    stride = 1,
+    minHistory = 1,
+    scoreFrom = 0,
+    reference = 'persistence',
+    onProgress = () => {},
+    shouldStop = () => false
+} = {}) {
+    const methods = forecasters.some(f => f.id === reference) ? forecasters : [persistenceForecaster(), ...forecasters];
+    const referenceIndex = methods.findIndex(m => m.id === reference);
+    const sorted = [...horizons].sort((a, b) => a - b);
+
+    const origins = [];
+    for (let i = Math.max(minHistory, 1) - 1; i + sorted[0] < rows.length; i += stride) {
+        if (sorted.some(h => i + h >= scoreFrom && i + h < rows.length && observed(rows[i + h]))) origins.push(i);
+    }
+
+    // Per method, horizon and channel: its errors and the reference's on the same targets
+    const empty = () => sorted.map(() => Object.fromEntries(CHANNELS.map(c => [c, []])));
+    const errors = methods.map(empty);
+    const referenceErrors = methods.map(empty);
+    const targetCounts = sorted.map(() => 0);
+    const missing = methods.map(() => 0);
+    const fittedAt = methods.map(() => null);
+    let cancelled = false;
+
+    for (let o = 0; o < origins.length; o++) {
+        // Let queued events (a cancel request) run between origins
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (shouldStop()) {
+            cancelled = true;
+            break;
+        }
+        const origin = origins[o];
+        const history = rows.slice(0, origin + 1);
+        const targets = sorted
+            .map((horizon, h) => ({ horizon, h, index: origin + horizon }))
+            .filter(t => t.index >= scoreFrom && t.index < rows.length && observed(rows[t.index]));
+        const requested = targets.map(({ horizon, index }) => ({ horizon, timestamp: rows[index].timestamp }));
+
+        const predictions = [];
+        for (let m = 0; m < methods.length; m++) {
+            const method = methods[m];
+            if (method.fit && (fittedAt[m] === null || (method.refitEvery > 0 && o - fittedAt[m] >= method.refitEvery))) {
+                await method.fit(history);
+                fittedAt[m] = o;
+            }
+            predictions.push(await method.predict(history, requested));
+        }
+
+        targets.forEach((target, t) => {
+            targetCounts[target.h]++;
+            const actual = rows[target.index];
+            const baseline = predictions[referenceIndex][t];
+            predictions.forEach((prediction, m) => {
+                const forecast = prediction[t];
+                if (!usable(forecast) || !usable(baseline)) {
+                    missing[m]++;
+                    return;
+                }
+                CHANNELS.forEach(c => {
+                    errors[m][target.h][c].push(actual[c] - forecast[c]);
+                    referenceErrors[m][target.h][c].push(actual[c] - baseline[c]);
+                });
+            });
+        });
+
+        onProgress({ done: o + 1, total: origins.length });
+    }
+
+    return {
+        origins: origins.length,
+        stepMinutes: medianStepMinutes(rows),
+        reference,
+        horizons: sorted.map((horizon, h) => ({ horizon, targets: targetCounts[h] })),
+        methods: methods.map((method, m) => ({
+            id: method.id,
+            label: method.label,
+            kind: method.kind || 'model',
+            samples: errors[m].reduce((sum, e) => sum + e.clock.length, 0),
+            missing: missing[m],
+            horizons: sorted.map((horizon, h) => ({
+                horizon,
+                samples: errors[m][h].clock.length,
+                channels: Object.fromEntries(CHANNELS.map(c => [c, scored(errors[m][h][c], referenceErrors[m][h][c])]))
+            })),
+            overall: Object.fromEntries(CHANNELS.map(c => [c, scored(
+                errors[m].flatMap(e => e[c]),
+                referenceErrors[m].flatMap(e => e[c])
+            )]))
+        })),
+        cancelled
+    };
+}
+
+/**
+ * walkForward report in the API layout (snake_case), shared by the /backtest
+ * endpoint, the CLI and the browser
+ */
+export function serializeBacktest(report) {
+    const channels = (byChannel) => Object.fromEntries(Object.entries(byChannel).map(([c, stats]) => [c, {
+        rmse: stats.rmse,
+        mae: stats.mae,
+        bias: stats.bias,
+        reference_rmse: stats.referenceRmse,
+        skill: stats.skill
+    }]));
+
+    return {
+        origins: report.origins,
+        step_minutes: report.stepMinutes,
+        reference: report.reference,
+        cancelled: report.cancelled,
+        horizons: report.horizons.map(h => ({
+            horizon_steps: h.horizon,
+            lead_minutes: report.stepMinutes !== null ? h.horizon * report.stepMinutes : null,
+            targets: h.targets
+        })),
+        methods: report.methods.map(m => ({
+            id: m.id,
+            label: m.label,
+            kind: m.kind,
+            samples: m.samples,
+            missing: m.missing,
+            overall: channels(m.overall),
+            horizons: m.horizons.map(h => ({ horizon_steps: h.horizon, samples: h.samples, channels: channels(h.channels) }))
+        }))
+    };
+}
+
+/**
+ * Headline comparison for one channel of a serialized report: the first
+ * model's pooled RMSE and skill against the reference, and the best skill
+ * any other baseline reached
+ * @returns {Object|null} { method, reference, bestBaseline, bestBaselineSkill, channel, rmse, referenceRmse, skill, samples }
+ */
+export function skillSummary(report, channel = 'clock') {
+    const method = report?.methods.find(m => m.kind === 'model');
+    const reference = report?.methods.find(m => m.id === report.reference);
+    if (!method || !reference || method.overall[channel].rmse === null) return null;
+
+    const best = report.methods
+        .filter(m => m.kind === 'baseline' && m.id !== report.reference && m.overall[channel].skill !== null)
+        .sort((a, b) => b.overall[channel].skill - a.overall[channel].skill)[0] || null;
+
+    return {
+        method: method.label,
+        reference: reference.label,
+        bestBaseline: best?.label ?? null,
+        bestBaselineSkill: best?.overall[channel].skill ?? null,
+        channel,
+        rmse: method.overall[channel].rmse,
+        referenceRmse: method.overall[channel].reference_rmse,
+        skill: method.overall[channel].skill,
+        samples: method.samples
+    };
+}
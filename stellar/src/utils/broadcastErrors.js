@@ -0,0 +1,135 @@
+/**
+ * Broadcast Ephemeris Errors
+ * Differences broadcast orbits and clocks (RINEX navigation) against precise
+ * products (SP3, optionally a RINEX clock file) and returns per-satellite
+ * series in the telemetry layout the forecast model trains on:
+ *   { timestamp, utc_time, radial, along, cross, clock, clockMeters }
+ * with radial/along/cross in metres and clock in nanoseconds, broadcast
+ * minus precise, at the SP3 epochs.
+ *
+ * Conventions worth knowing when reading the numbers:
+ *   - broadcast orbits refer to the antenna phase centre, SP3 to the centre
+ *     of mass, so the radial error carries the satellite's antenna offset
+ *   - broadcast clocks are compared without the periodic relativistic term
+ *     or group delays, as IGS clocks are; BeiDou (B3I) and GLONASS clocks
+ *     keep a constant bias from their signal and time references
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { parseSP3, parseRinexClock, toGPSTime, gpsToUTC } from './gnssFormats.js';
+import { parseRinexNav, selectEphemeris } from './rinexNav.js';
+import { broadcastState, earthRotationRate, ricBasis, toRIC, orbitClass } from './orbit.js';
+import { SPEED_OF_LIGHT_M_PER_NS } from './telemetryIngest.js';
+
+const SP3_KM = 1000;
+const SP3_CLOCK_S = 1e-6;
+
+/**
+ * Precise clock biases (s) per satellite and GPS-time epoch from RINEX clock AS records
+ */
+function clockIndex(clocks) {
+    const index = new Map();
+    if (!clocks) return index;
+    const timeSystem = clocks.timeSystem || 'GPS';
+    for (const record of clocks.records) {
+        if (record.type !== 'AS' || record.bias === null) continue;
+        if (!index.has(record.id)) index.set(record.id, new Map());
+        index.get(record.id).set(toGPSTime(record.time, timeSystem), record.bias);
+    }
+    return index;
+}
+
+/**
+ * Broadcast − precise errors for every satellite in both products
+ * @param {Object} products - { navigation (parseRinexNav), precise (parseSP3), clocks (parseRinexClock, optional) }
+ * @param {Object} options - { satellites (ids to keep), maxAgeSeconds, includeUnhealthy, galileoClockPair }
+ * @returns {Object} { start, end, satellites: [{ id, system, orbit, rows, missing: { ephemeris, position, clock } }] }
+ */
+export function broadcastErrors({ navigation, precise, clocks = null }, options = {}) {
+    const { satellites: wanted = null, ...selection } = options;
+    const timeSystem = precise.timeSystem || 'GPS';
+    const preciseClocks = clockIndex(clocks);
+    const broadcastIds = new Set(navigation.ephemerides.map(e => e.id));
+
+    const series = new Map();
+    const satellite = (id) => {
+        if (!series.has(id)) {
+            series.set(id, { id, system: id[0], orbit: null, rows: [], missing: { ephemeris: 0, position: 0, clock: 0 } });
+        }
+        return series.get(id);
+    };
+
+    for (const epoch of precise.epochs) {
+        const time = toGPSTime(epoch.time, timeSystem, navigation.leapSeconds);
+        const utc = gpsToUTC(time, navigation.leapSeconds);
+
+        for (const record of epoch.records) {
+            if (!broadcastIds.has(record.id) || (wanted && !wanted.includes(record.id))) continue;
+            const entry = satellite(record.id);
+
+            if (!record.position) {
+                entry.missing.position++;
+                continue;
+            }
+            const eph = selectEphemeris(navigation.ephemerides, record.id, time, selection);
+            if (!eph) {
+                entry.missing.ephemeris++;
+                continue;
+            }
+            const preciseClock = preciseClocks.get(record.id)?.get(time)
+                ?? (record.clock === null ? null : record.clock * SP3_CLOCK_S);
+            if (preciseClock === null) {
+                entry.missing.clock++;
+                continue;
+            }
+
+            const state = broadcastState(eph, time);
+            const rotation = earthRotationRate(eph.system);
+            const delta = state.position.map((v, i) => v - record.position[i] * SP3_KM);
+            const ric = toRIC(delta, ricBasis(state.position, state.velocity, rotation));
+            const clock = (state.clock.bias - preciseClock) * 1e9;
+
+            entry.orbit ??= orbitClass(state.position, state.velocity, rotation);
+            entry.rows.push({
+                timestamp: utc,
+                utc_time: new Date(utc).toISOString(),
+                radial: ric.radial,
+                along: ric.along,
+                cross: ric.cross,
+                clock,
+                clockMeters: clock * SPEED_OF_LIGHT_M_PER_NS
+            });
+        }
+    }
+
+    const utcEpoch = (epoch) => epoch && new Date(
+        gpsToUTC(toGPSTime(epoch.time, timeSystem, navigation.leapSeconds), navigation.leapSeconds)
+    ).toISOString();
+    return {
+        start: utcEpoch(precise.epochs[0]) ?? null,
+        end: utcEpoch(precise.epochs.at(-1)) ?? null,
+        satellites: [...series.values()].sort((a, b) => a.id.localeCompare(b.id))
+    };
+}
+
+/**
+ * Parse the product files and difference them
+ * @param {Object} files - { navigation, sp3, clock (optional) } file contents
+ * @param {Object} options - As for broadcastErrors
+ */
+export function broadcastErrorsFromFiles({ navigation, sp3, clock = null }, options = {}) {
+    return broadcastErrors({
+        navigation: parseRinexNav(navigation),
+        precise: parseSP3(sp3),
+        clocks: clock ? parseRinexClock(clock) : null
+    }, options);
+}
+
+/**
+ * Error rows as a telemetry CSV the upload panel and dataset store accept
+ */
+export function errorsToCSV(rows) {
+    const lines = rows.map(r => [r.utc_time, r.radial, r.along, r.cross, r.clock].join(','));
+    return ['utc_time,radial (m),along (m),cross (m),clock (ns)', ...lines].join('\n');
+}
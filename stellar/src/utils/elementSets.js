@@ -0,0 +1,224 @@
+/**
+ * NORAD Element Sets
+ * Parsers for two-line elements (2- or 3-line TLE) and CCSDS Orbit Mean-Elements
+ * Messages (OMM as KVN, XML or the JSON CelesTrak and Space-Track serve),
+ * all returning the same element set for sgp4.js:
+ *   { name, noradId, intlDesignator, epoch (UTC ms), meanMotion (rev/day),
+ *     eccentricity, inclination, raan, argPerigee, meanAnomaly (deg),
+ *     bstar (1/earth radii), meanMotionDot, meanMotionDdot, format }
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+const OMM_FIELDS = {
+    OBJECT_NAME: 'name',
+    OBJECT_ID: 'intlDesignator',
+    NORAD_CAT_ID: 'noradId',
+    EPOCH: 'epoch',
+    MEAN_MOTION: 'meanMotion',
+    ECCENTRICITY: 'eccentricity',
+    INCLINATION: 'inclination',
+    RA_OF_ASC_NODE: 'raan',
+    ARG_OF_PERICENTER: 'argPerigee',
+    MEAN_ANOMALY: 'meanAnomaly',
+    BSTAR: 'bstar',
+    MEAN_MOTION_DOT: 'meanMotionDot',
+    MEAN_MOTION_DDOT: 'meanMotionDdot',
+    MEAN_ELEMENT_THEORY: 'theory'
+};
+const REQUIRED = ['epoch', 'meanMotion', 'eccentricity', 'inclination', 'raan', 'argPerigee', 'meanAnomaly'];
+
+// Alpha-5 catalogue numbers: A-Z without I and O stand for 10-33
+const ALPHA5 = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function catalogNumber(text) {
+    const value = text.trim();
+    const index = ALPHA5.indexOf(value[0]);
+    return index >= 0 ? (index + 10) * 10000 + Number(value.slice(1)) : Number(value);
+}
+
+/**
+ * Two-digit TLE year to a full year (57-99 → 19xx)
+ */
+function fullYear(yy) {
+    return yy < 57 ? 2000 + yy : 1900 + yy;
+}
+
+/**
+ * TLE exponent field (" 12345-4" → 0.12345e-4)
+ */
+function impliedDecimal(text) {
+    const value = text.trim();
+    if (value === '' || /^[+-]?0+[+-]?0?$/.test(value)) return 0;
+    const match = value.match(/^([+-]?)(\d+)([+-]\d)$/);
+    return match ? Number(`${match[1]}0.${match[2]}e${match[3]}`) : Number(value);
+}
+
+function checksumOk(line) {
+    if (line.length < 69 || !/\d/.test(line[68])) return true;
+    let sum = 0;
+    for (const ch of line.slice(0, 68)) {
+        if (ch === '-') sum += 1;
+        else if (ch >= '0' && ch <= '9') sum += Number(ch);
+    }
+    return sum % 10 === Number(line[68]);
+}
+
+/**
+ * ISO epoch (UTC when no zone is given) to ms, keeping sub-millisecond digits
+ */
+function isoEpoch(text) {
+    const match = String(text).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(\.\d+)?Z?$/);
+    if (!match) return Date.parse(text);
+    const [, y, mo, d, h, mi, s, fraction] = match;
+    return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s) + (fraction ? Number(fraction) * 1000 : 0);
+}
+
+// ─── TLE ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse one TLE from its two data lines
+ * @returns {Object} Element set
+ */
+export function parseTLELines(line1, line2, name = null) {
+    if (line1[0] !== '1' || line2[0] !== '2') throw new Error('TLE lines must start with 1 and 2');
+    const noradId = catalogNumber(line1.slice(2, 7));
+    if (catalogNumber(line2.slice(2, 7)) !== noradId) throw new Error('TLE lines are for different objects');
+
+    const designator = line1.slice(9, 17).trim();
+    const epochYear = fullYear(Number(line1.slice(18, 20)));
+    const epochDay = Number(line1.slice(20, 32));
+
+    return {
+        name: name?.replace(/^0 /, '').trim() || null,
+        noradId,
+        intlDesignator: designator
+            ? `${fullYear(Number(designator.slice(0, 2)))}-${designator.slice(2)}`
+            : null,
+        epoch: Date.UTC(epochYear, 0, 1) + (epochDay - 1) * 86400000,
+        meanMotion: Number(line2.slice(52, 63)),
+        eccentricity: Number(`0.${line2.slice(26, 33).trim()}`),
+        inclination: Number(line2.slice(8, 16)),
+        raan: Number(line2.slice(17, 25)),
+        argPerigee: Number(line2.slice(34, 42)),
+        meanAnomaly: Number(line2.slice(43, 51)),
+        bstar: impliedDecimal(line1.slice(53, 61)),
+        meanMotionDot: Number(line1.slice(33, 43)),
+        meanMotionDdot: impliedDecimal(line1.slice(44, 52)),
+        format: 'TLE'
+    };
+}
+
+/**
+ * Parse a TLE file (2-line or 3-line sets, mixed)
+ * @returns {Object} { elementSets, skipped: { [reason]: count } }
+ */
+export function parseTLE(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim() !== '');
+    const result = { elementSets: [], skipped: {} };
+    const skip = (reason) => { result.skipped[reason] = (result.skipped[reason] || 0) + 1; };
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].startsWith('1 ')) continue;
+        const line2 = lines[i + 1];
+        if (!line2?.startsWith('2 ')) {
+            skip('missing line 2');
+            continue;
+        }
+        const previous = lines[i - 1];
+        const name = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ') ? previous : null;
+
+        if (!checksumOk(lines[i]) || !checksumOk(line2)) {
+            skip('checksum');
+        } else {
+            try {
+                result.elementSets.push(parseTLELines(lines[i], line2, name));
+            } catch {
+                skip('malformed');
+            }
+        }
+        i++;
+    }
+    return result;
+}
+
+// ─── OMM ─────────────────────────────────────────────────────────────
+
+/**
+ * Element set from OMM keyword/value pairs
+ */
+function fromOMM(fields) {
+    const set = { name: null, intlDesignator: null, bstar: 0, meanMotionDot: 0, meanMotionDdot: 0, format: 'OMM' };
+    for (const [key, raw] of Object.entries(fields)) {
+        const field = OMM_FIELDS[key.toUpperCase()];
+        if (!field || raw === null || raw === undefined) continue;
+        // KVN values may carry units: "15.5 [rev/day]"
+        const value = String(raw).replace(/\[.*\]$/, '').trim();
+        if (field === 'name' || field === 'intlDesignator' || field === 'theory') set[field] = value;
+        else if (field === 'epoch') set.epoch = isoEpoch(value);
+        else set[field] = Number(value);
+    }
+    if (set.theory && !/SGP/i.test(set.theory)) throw new Error(`Mean element theory ${set.theory} is not SGP4`);
+    delete set.theory;
+    if (REQUIRED.some(field => !Number.isFinite(set[field]))) throw new Error('Missing mean elements');
+    return set;
+}
+
+/**
+ * Parse CCSDS OMM in KVN, XML or JSON
+ * @returns {Object} { elementSets, skipped: { [reason]: count } }
+ */
+export function parseOMM(text) {
+    const trimmed = text.trim();
+    const result = { elementSets: [], skipped: {} };
+    let messages;
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const json = JSON.parse(trimmed);
+        messages = Array.isArray(json) ? json : [json];
+    } else if (trimmed.startsWith('<')) {
+        messages = trimmed.split(/<omm[\s>]/i).slice(1).map(block => {
+            const fields = {};
+            for (const [, tag, value] of block.matchAll(/<([A-Z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/gi)) {
+                fields[tag] = value;
+            }
+            return fields;
+        });
+    } else {
+        messages = [];
+        let fields = null;
+        for (const line of trimmed.split(/\r?\n/)) {
+            const match = line.match(/^\s*([A-Z_]+)\s*=\s*(.*?)\s*$/i);
+            if (!match) continue;
+            const [, key, value] = match;
+            if (key.toUpperCase() === 'CCSDS_OMM_VERS' || (fields && key.toUpperCase() === 'OBJECT_NAME' && fields.OBJECT_NAME !== undefined)) {
+                fields = {};
+                messages.push(fields);
+            }
+            if (!fields) {
+                fields = {};
+                messages.push(fields);
+            }
+            fields[key.toUpperCase()] = value;
+        }
+    }
+
+    for (const fields of messages) {
+        try {
+            result.elementSets.push(fromOMM(fields));
+        } catch (error) {
+            result.skipped[error.message] = (result.skipped[error.message] || 0) + 1;
+        }
+    }
+    return result;
+}
+
+/**
+ * Parse TLE or OMM text, detecting the format
+ * @returns {Object} { format, elementSets, skipped }
+ */
+export function parseElementSets(text) {
+    const trimmed = text.trim();
+    const isOMM = /^[[{<]/.test(trimmed) || /^\s*(CCSDS_OMM_VERS|MEAN_MOTION)\s*=/m.test(trimmed);
+    return { format: isOMM ? 'OMM' : 'TLE', ...(isOMM ? parseOMM(trimmed) : parseTLE(trimmed)) };
+}
@@ -0,0 +1,488 @@
+/**
+ * Gaussian-Process Error Model
+ * GP regression on irregularly sampled clock and ephemeris errors. The
+ * covariance is a sum of
+ *   white    σ²·δ(t, t')                               measurement noise
+ *   matern   σ²·f_ν(|t − t'| / ℓ)  (ν = ½, 3/2, 5/2)   random-walk-like clock and orbit wander
+ *   periodic σ²·exp(−2 sin²(π|t − t'| / P) / ℓ²)       once-per-revolution terms, P fixed
+ *   linear   σ²·(t − c)(t' − c)                        frequency-offset drift about the centre c
+ * with times in hours. Matérn ½ is the Ornstein–Uhlenbeck process, the
+ * stationary counterpart of the Allan-style random walk in
+ * simulateClockDrift.
+ *
+ * Hyperparameters are fitted by maximizing the log marginal likelihood with
+ * analytic gradients (BFGS in log space, on the standardized series);
+ * predictions are the exact posterior mean and variance at any timestamps.
+ *
+ * A kernel is an array of components { type, nu?, period?, variance?, lengthscale? }.
+ * A kernel whose components all carry their hyperparameters is used as
+ * given; fitted kernels come back in that form, in data units.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { orbitalPeriodHours } from '../data/realSatelliteData.js';
+
+const LOG_2PI = Math.log(2 * Math.PI);
+const MAX_JITTER_TRIES = 6;
+
+// Kernel components: hyperparameter names and the covariance of two times
+// with its derivatives d/d(log hyperparameter), in the order of `params`
+const KERNELS = {
+    white: {
+        params: ['variance'],
+        terms: (ti, tj, same, [s]) => (same ? [s, s] : [0, 0])
+    },
+    matern: {
+        params: ['variance', 'lengthscale'],
+        terms: (ti, tj, same, [s, l], { nu = 1.5 }) => {
+            const r = Math.abs(ti - tj);
+            if (nu === 0.5) {
+                const e = Math.exp(-r / l);
+                return [s * e, s * e, s * e * (r / l)];
+            }
+            if (nu === 2.5) {
+                const a = (Math.sqrt(5) * r) / l;
+                const e = Math.exp(-a);
+                return [s * (1 + a + (a * a) / 3) * e, s * (1 + a + (a * a) / 3) * e, (s * e * a * a * (1 + a)) / 3];
+            }
+            const a = (Math.sqrt(3) * r) / l;
+            const e = Math.exp(-a);
+            return [s * (1 + a) * e, s * (1 + a) * e, s * e * a * a];
+        }
+    },
+    periodic: {
+        params: ['variance', 'lengthscale'],
+        terms: (ti, tj, same, [s, l], { period }) => {
+            const u = Math.sin((Math.PI * Math.abs(ti - tj)) / period);
+            const k = s * Math.exp((-2 * u * u) / (l * l));
+            return [k, k, (k * 4 * u * u) / (l * l)];
+        }
+    },
+    linear: {
+        params: ['variance'],
+        terms: (ti, tj, same, [s], { centre }) => {
+            const k = s * (ti - centre) * (tj - centre);
+            return [k, k];
+        }
+    }
+};
+
+export const KERNEL_TYPES = Object.keys(KERNELS);
+
+const MATERN_LABELS = { 0.5: 'Matérn ½', 1.5: 'Matérn 3/2', 2.5: 'Matérn 5/2' };
+
+/**
+ * Readable name of a kernel, e.g. "white + Matérn 3/2 + periodic 11.97 h + linear"
+ */
+export function kernelLabel(kernel) {
+    return kernel.map(c => {
+        if (c.type === 'matern') return MATERN_LABELS[c.nu ?? 1.5];
+        if (c.type === 'periodic') return `periodic ${Number(c.period.toFixed(2))} h`;
+        return c.type;
+    }).join(' + ');
+}
+
+/**
+ * Clock/orbit error kernel: white noise, a Matérn term, the orbital period
+ * (when known) and a linear drift
+ * @param {string|number|null} orbit - Orbit type ('MEO', 'GEO', 'GSO'; period from ORBITAL_PARAMETERS) or period in hours
+ * @param {Object} options - { nu (Matérn smoothness: 0.5, 1.5 or 2.5) }
+ * @returns {Array} Kernel components without hyperparameters
+ */
+export function orbitalKernel(orbit, { nu = 1.5 } = {}) {
+    const period = typeof orbit === 'number' ? orbit : orbitalPeriodHours(orbit);
+    return [
+        { type: 'white' },
+        { type: 'matern', nu },
+        ...(period ? [{ type: 'periodic', period }] : []),
+        { type: 'linear' }
+    ];
+}
+
+// ─── Linear algebra ──────────────────────────────────────────────────
+
+/**
+ * Lower Cholesky factor of a symmetric n×n matrix (row-major), or null if
+ * it is not positive definite
+ */
+function cholesky(K, n) {
+    const L = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let s = K[i * n + j];
+            for (let k = 0; k < j; k++) s -= L[i * n + k] * L[j * n + k];
+            if (i === j) {
+                if (!(s > 0)) return null;
+                L[i * n + i] = Math.sqrt(s);
+            } else {
+                L[i * n + j] = s / L[j * n + j];
+            }
+        }
+    }
+    return L;
+}
+
+/**
+ * Solve L·x = b for lower-triangular L
+ */
+function forwardSolve(L, n, b) {
+    const x = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let s = b[i];
+        for (let k = 0; k < i; k++) s -= L[i * n + k] * x[k];
+        x[i] = s / L[i * n + i];
+    }
+    return x;
+}
+
+/**
+ * Solve Lᵀ·x = b for lower-triangular L
+ */
+function backSolve(L, n, b) {
+    const x = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let s = b[i];
+        for (let k = i + 1; k < n; k++) s -= L[k * n + i] * x[k];
+        x[i] = s / L[i * n + i];
+    }
+    return x;
+}
+
+/**
+ * K⁻¹ = L⁻ᵀ·L⁻¹ from the Cholesky factor
+ */
+function choleskyInverse(L, n) {
+    const Linv = new Float64Array(n * n);
+    for (let j = 0; j < n; j++) {
+        Linv[j * n + j] = 1 / L[j * n + j];
+        for (let i = j + 1; i < n; i++) {
+            let s = 0;
+            for (let k = j; k < i; k++) s -= L[i * n + k] * Linv[k * n + j];
+            Linv[i * n + j] = s / L[i * n + i];
+        }
+    }
+    const inverse = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let s = 0;
+            for (let k = i; k < n; k++) s += Linv[k * n + i] * Linv[k * n + j];
+            inverse[i * n + j] = s;
+            inverse[j * n + i] = s;
+        }
+    }
+    return inverse;
+}
+
+// ─── Likelihood ──────────────────────────────────────────────────────
+
+/**
+ * Split a log-hyperparameter vector into each component's natural values
+ */
+function unpack(kernel, theta) {
+    let offset = 0;
+    return kernel.map(c => {
+        const count = KERNELS[c.type].params.length;
+        const values = theta.slice(offset, offset + count).map(Math.exp);
+        offset += count;
+        return values;
+    });
+}
+
+/**
+ * Kernel components with the fit context (the linear centre) merged in
+ */
+const withContext = (kernel, context) => kernel.map(c => ({ ...c, ...context }));
+
+/**
+ * Covariance of the training times; the jitter keeps it positive definite
+ * when the white-noise variance collapses
+ */
+function covariance(kernel, values, t, context, jitter) {
+    const n = t.length;
+    const components = withContext(kernel, context);
+    const K = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let k = 0;
+            components.forEach((c, m) => { k += KERNELS[c.type].terms(t[i], t[j], i === j, values[m], c)[0]; });
+            K[i * n + j] = k;
+            K[j * n + i] = k;
+        }
+        K[i * n + i] += jitter;
+    }
+    return K;
+}
+
+/**
+ * Cholesky factor of the training covariance, adding jitter as needed
+ * @returns {Object|null} { L, jitter }
+ */
+function factorize(kernel, values, t, context) {
+    let jitter = 1e-8;
+    for (let attempt = 0; attempt < MAX_JITTER_TRIES; attempt++) {
+        const L = cholesky(covariance(kernel, values, t, context, jitter), t.length);
+        if (L) return { L, jitter };
+        jitter *= 100;
+    }
+    return null;
+}
+
+/**
+ * Negative log marginal likelihood of standardized values and its gradient
+ * with respect to the log hyperparameters:
+ *   −log p(y) = ½ yᵀK⁻¹y + Σ log Lᵢᵢ + (n/2) log 2π
+ *   ∂/∂θ = −½ tr((ααᵀ − K⁻¹) ∂K/∂θ),  α = K⁻¹y
+ */
+function negativeLogLikelihood(kernel, theta, t, y, context) {
+    const n = t.length;
+    const values = unpack(kernel, theta);
+    const factor = factorize(kernel, values, t, context);
+    if (!factor) return { value: Infinity, gradient: theta.map(() => 0) };
+    const { L } = factor;
+
+    const alpha = backSolve(L, n, forwardSolve(L, n, y));
+    let value = (n / 2) * LOG_2PI;
+    for (let i = 0; i < n; i++) value += 0.5 * y[i] * alpha[i] + Math.log(L[i * n + i]);
+
+    const inverse = choleskyInverse(L, n);
+    const components = withContext(kernel, context);
+    const gradient = new Array(theta.length).fill(0);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            const w = (alpha[i] * alpha[j] - inverse[i * n + j]) * (i === j ? 0.5 : 1);
+            let offset = 0;
+            components.forEach((c, m) => {
+                const terms = KERNELS[c.type].terms(t[i], t[j], i === j, values[m], c);
+                for (let p = 1; p < terms.length; p++) gradient[offset + p - 1] -= w * terms[p];
+                offset += terms.length - 1;
+            });
+        }
+    }
+    return { value, gradient };
+}
+
+/**
+ * Box-constrained BFGS with backtracking line search
+ * @param {Function} f - Returns { value, gradient } for a parameter array
+ * @returns {Object} { x, value }
+ */
+function minimizeBFGS(f, x0, lower, upper, { maxIterations = 60, tolerance = 1e-7 } = {}) {
+    const n = x0.length;
+    const clamp = (x) => x.map((v, i) => Math.min(upper[i], Math.max(lower[i], v)));
+    const identity = () => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const dot = (a, b) => a.reduce((s, v, i) => s + v * b[i], 0);
+
+    let x = clamp(x0);
+    let current = f(x);
+    if (!Number.isFinite(current.value)) return { x, value: current.value };
+    let H = identity();
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const g = current.gradient;
+        let d = H.map(row => -dot(row, g));
+        if (dot(d, g) >= 0) {
+            H = identity();
+            d = g.map(v => -v);
+        }
+        // Keep a step within 2 log units per hyperparameter
+        const longest = Math.max(...d.map(Math.abs));
+        if (longest > 2) d = d.map(v => (v * 2) / longest);
+
+        let step = 1;
+        let next = null;
+        let trial = null;
+        while (step > 1e-6) {
+            trial = clamp(x.map((v, i) => v + step * d[i]));
+            next = f(trial);
+            if (next.value <= current.value + 1e-4 * dot(g, trial.map((v, i) => v - x[i]))) break;
+            step /= 2;
+            next = null;
+        }
+        if (!next) break;
+
+        const s = trial.map((v, i) => v - x[i]);
+        const yDelta = next.gradient.map((v, i) => v - g[i]);
+        const sy = dot(s, yDelta);
+        const converged = Math.abs(current.value - next.value) <= tolerance * (1 + Math.abs(current.value));
+        x = trial;
+        current = next;
+        if (converged) break;
+
+        if (sy > 1e-10) {
+            const Hy = H.map(row => dot(row, yDelta));
+            const yHy = dot(yDelta, Hy);
+            H = H.map((row, i) => row.map((h, j) =>
+                h + ((sy + yHy) * s[i] * s[j]) / (sy * sy) - (Hy[i] * s[j] + s[i] * Hy[j]) / sy));
+        }
+    }
+    return { x, value: current.value };
+}
+
+// ─── Fitting ─────────────────────────────────────────────────────────
+
+/**
+ * Starting log hyperparameters and their bounds for the standardized series
+ */
+function initialTheta(kernel, span, spacing, { lengthscaleFraction = 0.2 } = {}) {
+    const start = [];
+    const lower = [];
+    const upper = [];
+    const push = (value, low, high) => {
+        start.push(Math.log(value));
+        lower.push(Math.log(low));
+        upper.push(Math.log(high));
+    };
+    for (const c of kernel) {
+        if (c.type === 'white') push(0.05, 1e-6, 10);
+        if (c.type === 'matern') {
+            push(0.5, 1e-6, 10);
+            push(Math.max(spacing, span * lengthscaleFraction), spacing / 4, span * 20);
+        }
+        if (c.type === 'periodic') {
+            push(0.2, 1e-6, 10);
+            push(1, 0.05, 20);
+        }
+        if (c.type === 'linear') push(1 / (span / 2) ** 2, 1e-8 / (span * span), 100 / (span * span));
+    }
+    return { start, lower, upper };
+}
+
+const isFixed = (kernel) => kernel.every(c => KERNELS[c.type].params.every(p => Number.isFinite(c[p])));
+
+/**
+ * Fit a Gaussian process to irregularly sampled values
+ * @param {Array} hours - Sample times in hours from any origin
+ * @param {Array} values - Observations at those times
+ * @param {Object} options - { kernel (default orbitalKernel(null); fixed when every component
+ *                            has its hyperparameters), restarts, maxIterations }
+ * @returns {Object|null} Fit with the kernel in data units, or null with fewer than 3 values
+ */
+export function fitGaussianProcess(hours, values, options = {}) {
+    const { kernel: spec = orbitalKernel(null), restarts = 2, maxIterations = 60 } = options;
+    const unknown = spec.filter(c => !KERNELS[c.type]).map(c => c.type);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown kernel ${unknown.join(', ')} (expected ${KERNEL_TYPES.join(', ')})`);
+    }
+    const n = values.length;
+    if (n < 3) return null;
+
+    const origin = hours[0];
+    const t = hours.map(h => h - origin);
+    const offset = values.reduce((a, b) => a + b, 0) / n;
+    const scale = Math.sqrt(values.reduce((s, v) => s + (v - offset) ** 2, 0) / n) || 1;
+    const y = Float64Array.from(values, v => (v - offset) / scale);
+    const context = { centre: t.reduce((a, b) => a + b, 0) / n };
+    const span = Math.max(t[n - 1] - t[0], 1e-3);
+    const gaps = t.slice(1).map((v, i) => v - t[i]).filter(g => g > 0).sort((a, b) => a - b);
+    const spacing = gaps.length ? gaps[Math.floor(gaps.length / 2)] : span;
+
+    let theta;
+    if (isFixed(spec)) {
+        theta = spec.flatMap(c => KERNELS[c.type].params.map(p => Math.log(p === 'variance' ? c[p] / (scale * scale) : c[p])));
+    } else {
+        let best = null;
+        for (let r = 0; r < Math.max(1, restarts); r++) {
+            const { start, lower, upper } = initialTheta(spec, span, spacing, { lengthscaleFraction: 0.2 / 4 ** r });
+            const result = minimizeBFGS(
+                x => negativeLogLikelihood(spec, x, t, y, context), start, lower, upper, { maxIterations }
+            );
+            if (!best || result.value < best.value) best = result;
+        }
+        theta = best.x;
+    }
+
+    const hyper = unpack(spec, theta);
+    const factor = factorize(spec, hyper, t, context);
+    if (!factor) return null;
+    const alpha = backSolve(factor.L, n, forwardSolve(factor.L, n, y));
+    const { value } = negativeLogLikelihood(spec, theta, t, y, context);
+
+    const kernel = spec.map((c, m) => ({
+        ...c,
+        ...Object.fromEntries(KERNELS[c.type].params.map((p, i) => [p, p === 'variance' ? hyper[m][i] * scale * scale : hyper[m][i]]))
+    }));
+    const white = kernel.find(c => c.type === 'white');
+
+    return {
+        method: 'gaussianProcess',
+        label: `GP (${kernelLabel(kernel)})`,
+        kernel,
+        // Log likelihood of the data in their own units (standardization is a change of variables)
+        logMarginalLikelihood: -value - n * Math.log(scale),
+        sigma: white ? Math.sqrt(white.variance) : 0,
+        origin,
+        times: t,
+        offset,
+        scale,
+        context,
+        hyperparameters: hyper,
+        L: factor.L,
+        alpha
+    };
+}
+
+/**
+ * Exact posterior mean and standard deviation at the given times:
+ *   mean = k*ᵀα,  var = k** − vᵀv with v = L⁻¹k*
+ * @param {Object} fit - From fitGaussianProcess
+ * @param {Array} hours - Times in hours, same origin as the fit
+ * @param {Object} options - { includeNoise (observation rather than latent variance, default true) }
+ * @returns {Array} [{ mean, std }]
+ */
+export function predictGaussianProcess(fit, hours, { includeNoise = true } = {}) {
+    const { kernel, times, origin, offset, scale, context, hyperparameters, L, alpha } = fit;
+    const n = times.length;
+    const components = withContext(kernel, context);
+    return hours.map(h => {
+        const t = h - origin;
+        const kStar = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            components.forEach((c, m) => { kStar[i] += KERNELS[c.type].terms(t, times[i], false, hyperparameters[m], c)[0]; });
+        }
+        let prior = 0;
+        components.forEach((c, m) => {
+            if (c.type !== 'white' || includeNoise) prior += KERNELS[c.type].terms(t, t, true, hyperparameters[m], c)[0];
+        });
+        const v = forwardSolve(L, n, kStar);
+        let mean = 0;
+        let explained = 0;
+        for (let i = 0; i < n; i++) {
+            mean += kStar[i] * alpha[i];
+            explained += v[i] * v[i];
+        }
+        return { mean: offset + scale * mean, std: scale * Math.sqrt(Math.max(0, prior - explained)) };
+    });
+}
+
+/**
+ * Fit one GP per channel of telemetry rows and predict every channel at the
+ * target timestamps
+ * @param {Array} rows - Rows with a millisecond timestamp and the channel values
+ * @param {Array} timestamps - Target timestamps (ms)
+ * @param {Object} options - { channels, orbit (or period in hours), nu, maxPoints (most recent rows fitted),
+ *                            kernels ({ channel: fitted kernel } to skip fitting), includeNoise }
+ * @returns {Object} { predictions: [{ timestamp, [channel]: { mean, std } }], kernels: { channel: kernel } }
+ */
+export function gaussianProcessChannels(rows, timestamps, options = {}) {
+    const { channels = ['clock', 'radial', 'along', 'cross'], orbit = null, nu, maxPoints = 200, kernels = {}, includeNoise = true } = options;
+    const recent = rows.filter(r => Number.isFinite(r.timestamp)).sort((a, b) => a.timestamp - b.timestamp).slice(-maxPoints);
+    if (recent.length < 3) throw new Error(`Need at least 3 timestamped rows, have ${recent.length}`);
+
+    const hours = recent.map(r => r.timestamp / 3600000);
+    const targets = timestamps.map(ts => ts / 3600000);
+    const fits = Object.fromEntries(channels.map(channel => [channel, fitGaussianProcess(
+        hours,
+        recent.map(r => r[channel] || 0),
+        { kernel: kernels[channel] || orbitalKernel(orbit, nu !== undefined ? { nu } : {}) }
+    )]));
+    const paths = Object.fromEntries(channels.map(c => [c, predictGaussianProcess(fits[c], targets, { includeNoise })]));
+
+    return {
+        predictions: timestamps.map((timestamp, i) => ({
+            timestamp,
+            ...Object.fromEntries(channels.map(c => [c, paths[c][i]]))
+        })),
+        kernels: Object.fromEntries(channels.map(c => [c, fits[c].kernel]))
+    };
+}
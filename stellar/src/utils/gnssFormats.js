@@ -0,0 +1,575 @@
+/**
+ * GNSS Product Formats
+ * Writers and parsers for SP3-d precise orbit files and RINEX 3.00 clock
+ * files, the formats GNSS users load orbit and clock products from.
+ *
+ * Units follow the formats: SP3 positions in km, clocks in microseconds,
+ * standard deviations as exponents of the %f bases (mm and ps); RINEX clock
+ * biases and sigmas in seconds. Epochs are written as given, in the time
+ * system named in the header.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const DAY_MS = 86400000;
+const MJD_UNIX_EPOCH = 40587;
+
+// Leap seconds inserted at the end of these months (year, month 1-12), as
+// the UTC epochs from which GPS − UTC grew by one second
+const GPS_LEAP_SECONDS = [
+    [1981, 6], [1982, 6], [1983, 6], [1985, 6], [1987, 12], [1989, 12], [1990, 12], [1992, 6],
+    [1993, 6], [1994, 6], [1995, 12], [1997, 6], [1998, 12], [2005, 12], [2008, 12], [2012, 6],
+    [2015, 6], [2016, 12]
+].map(([year, month]) => Date.UTC(year, month, 1));
+const BDT_OFFSET_MS = 14000;
+const GLONASS_UTC_OFFSET_MS = 3 * 3600000;
+const TAI_GPS_OFFSET_MS = 19000;
+
+// SP3 "bad or absent" values
+const SP3_NO_POSITION = 0;
+const SP3_NO_CLOCK = 999999.999999;
+
+const SP3_DEFAULT_BASE = { position: 1.25, clock: 1.025 };
+const SP3_IDS_PER_LINE = 17;
+const SP3_MIN_SAT_LINES = 5;
+const SP3_MIN_COMMENTS = 4;
+
+// ─── Fixed-column helpers ────────────────────────────────────────────
+
+function fixed(value, width, decimals) {
+    return value.toFixed(decimals).padStart(width);
+}
+
+function int(value, width) {
+    return String(value).padStart(width);
+}
+
+function zeroPadded(value, width) {
+    return String(value).padStart(width, '0');
+}
+
+/**
+ * Fortran Ew.d formatting ("-1.234567890123E-04")
+ */
+function fortranExp(value, width = 19, digits = 12) {
+    const [mantissa, exponent] = Math.abs(value).toExponential(digits).split('e');
+    const e = Number(exponent);
+    const sign = value < 0 || Object.is(value, -0) ? '-' : '';
+    return `${sign}${mantissa}E${e < 0 ? '-' : '+'}${zeroPadded(Math.abs(e), 2)}`.padStart(width);
+}
+
+function field(line, start, end) {
+    const text = line.slice(start, end).trim();
+    return text === '' ? null : Number(text);
+}
+
+function calendar(time) {
+    const d = new Date(time);
+    return {
+        year: d.getUTCFullYear(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        hour: d.getUTCHours(),
+        minute: d.getUTCMinutes(),
+        second: d.getUTCSeconds() + d.getUTCMilliseconds() / 1000
+    };
+}
+
+function fromCalendar(year, month, day, hour, minute, second) {
+    return Date.UTC(year, month - 1, day, hour, minute) + Math.round(second * 1000);
+}
+
+/**
+ * Split text into lines of at most `width` characters at word boundaries
+ */
+function wrap(text, width) {
+    const lines = [];
+    let current = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        for (const piece of word.match(new RegExp(`.{1,${width}}`, 'g'))) {
+            if (current && current.length + 1 + piece.length > width) {
+                lines.push(current);
+                current = piece;
+            } else {
+                current = current ? `${current} ${piece}` : piece;
+            }
+        }
+    });
+    return [...lines, current];
+}
+
+function headerLine(content, label) {
+    return content.padEnd(60).slice(0, 60) + label;
+}
+
+// ─── Time ────────────────────────────────────────────────────────────
+
+/**
+ * GPS week and seconds of week of an epoch (no leap-second conversion)
+ * @returns {Object} { week, seconds }
+ */
+export function gpsWeek(time) {
+    const elapsed = new Date(time).getTime() - GPS_EPOCH_MS;
+    const week = Math.floor(elapsed / (7 * DAY_MS));
+    return { week, seconds: (elapsed - week * 7 * DAY_MS) / 1000 };
+}
+
+/**
+ * GPS − UTC in seconds (leap seconds since 1980) at a UTC epoch
+ */
+export function gpsMinusUtcSeconds(time) {
+    const ms = new Date(time).getTime();
+    return GPS_LEAP_SECONDS.filter(start => ms >= start).length;
+}
+
+/**
+ * Convert an epoch written in a GNSS time system to GPS time
+ * @param {number} time - Epoch as read from the file (ms, calendar fields taken as UTC)
+ * @param {string} timeSystem - GPS, GAL, QZS, IRN, BDT, GLO, UTC or TAI
+ * @param {number|null} leapSeconds - GPS − UTC override (e.g. from a RINEX header)
+ * @returns {number} GPS time in ms
+ */
+export function toGPSTime(time, timeSystem = 'GPS', leapSeconds = null) {
+    const utcOffset = () => (leapSeconds ?? gpsMinusUtcSeconds(time)) * 1000;
+    switch (timeSystem) {
+        case 'BDT': return time + BDT_OFFSET_MS;
+        case 'UTC': return time + utcOffset();
+        case 'GLO': return time - GLONASS_UTC_OFFSET_MS + utcOffset();
+        case 'TAI': return time - TAI_GPS_OFFSET_MS;
+        default: return time;
+    }
+}
+
+/**
+ * Convert a GPS-time epoch to UTC
+ */
+export function gpsToUTC(time, leapSeconds = null) {
+    return time - (leapSeconds ?? gpsMinusUtcSeconds(time)) * 1000;
+}
+
+/**
+ * Modified Julian Date of an epoch, split into day and fraction
+ * @returns {Object} { mjd, fraction }
+ */
+export function modifiedJulianDate(time) {
+    const ms = new Date(time).getTime();
+    const days = Math.floor(ms / DAY_MS);
+    return { mjd: days + MJD_UNIX_EPOCH, fraction: (ms - days * DAY_MS) / DAY_MS };
+}
+
+/**
+ * IGS long product file name, e.g. STL0OPSPRD_20240150000_01D_15M_ORB.SP3
+ * @param {Object} options - { agency (3 chars), start, spanMinutes, stepMinutes, content ('ORB' | 'CLK'), extension }
+ */
+export function productFileName({ agency = 'STL', start, spanMinutes, stepMinutes, content, extension }) {
+    const duration = (minutes) => {
+        if (minutes % 1440 === 0) return `${zeroPadded(minutes / 1440, 2)}D`;
+        if (minutes % 60 === 0) return `${zeroPadded(minutes / 60, 2)}H`;
+        if (minutes >= 1) return `${zeroPadded(Math.round(minutes), 2)}M`;
+        return `${zeroPadded(Math.round(minutes * 60), 2)}S`;
+    };
+    const d = new Date(start);
+    const dayOfYear = Math.floor((d.getTime() - Date.UTC(d.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+    const stamp = `${d.getUTCFullYear()}${zeroPadded(dayOfYear, 3)}${zeroPadded(d.getUTCHours(), 2)}${zeroPadded(d.getUTCMinutes(), 2)}`;
+
+    return `${agency.toUpperCase().slice(0, 3)}0OPSPRD_${stamp}_${duration(spanMinutes)}_${duration(stepMinutes)}_${content}.${extension}`;
+}
+
+// ─── Accuracy exponents ──────────────────────────────────────────────
+
+/**
+ * SP3 epoch-record standard deviation exponent: σ ≈ base^exponent
+ * @param {number} sigma - Standard deviation in mm (position) or ps (clock)
+ * @param {number} base - %f base (1.25 for position, 1.025 for clock by convention)
+ * @param {number} max - Largest exponent the field can hold (99 or 999)
+ * @returns {number|null} Exponent, or null (blank field) if sigma is unknown
+ */
+export function accuracyExponent(sigma, base, max = 99) {
+    if (!Number.isFinite(sigma) || sigma <= 0) return null;
+    return Math.min(max, Math.max(0, Math.round(Math.log(sigma) / Math.log(base))));
+}
+
+/**
+ * SP3 header accuracy code: accuracy ≈ 2^code mm, 0 for unknown
+ */
+export function headerAccuracyCode(sigmaMm) {
+    if (!Number.isFinite(sigmaMm) || sigmaMm <= 0) return 0;
+    return Math.min(99, Math.max(1, Math.round(Math.log2(sigmaMm))));
+}
+
+// ─── SP3-d ───────────────────────────────────────────────────────────
+
+/**
+ * Write an SP3-d position file
+ *
+ * @param {Object} product
+ * @param {Array} product.epochs - [{ time, records: [{ id ('G01'), position: [x, y, z] km | null,
+ *                                  clock: µs | null, sigma: { position: [mm, mm, mm], clock: ps },
+ *                                  flags: { clockEvent, clockPredicted, maneuver, orbitPredicted } }] }]
+ * @param {Array<string>} product.satellites - Satellite list (default: every id in the records)
+ * @param {Object} product.accuracy - Header accuracy per satellite in mm (default: RMS of the record sigmas)
+ * @param {number} product.interval - Epoch interval in seconds (default: spacing of the first two epochs)
+ * @param {string} product.dataUsed - Data used descriptor (5 chars)
+ * @param {string} product.coordinateSystem - Reference frame (5 chars)
+ * @param {string} product.orbitType - FIT, EXT, BCT, BHN or HLM
+ * @param {string} product.agency - Agency (4 chars)
+ * @param {string} product.timeSystem - GPS, GLO, GAL, BDT, IRN, TAI or UTC
+ * @param {Array<string>} product.comments - Comment lines (wrapped to 77 chars)
+ * @param {Object} product.base - { position, clock } %f bases for the sigma exponents
+ * @returns {string} File contents
+ */
+export function writeSP3({
+    epochs,
+    satellites,
+    accuracy = {},
+    interval,
+    dataUsed = 'ORBIT',
+    coordinateSystem = 'IGS20',
+    orbitType = 'EXT',
+    agency = 'STLR',
+    timeSystem = 'GPS',
+    comments = [],
+    base = SP3_DEFAULT_BASE
+}) {
+    if (!epochs?.length) throw new Error('SP3 needs at least one epoch');
+
+    const ids = satellites || [...new Set(epochs.flatMap(e => e.records.map(r => r.id)))].sort();
+    if (ids.length > 999) throw new Error(`SP3-d holds at most 999 satellites, got ${ids.length}`);
+    const systems = new Set(ids.map(id => id[0]));
+    const start = new Date(epochs[0].time).getTime();
+    const step = interval ?? (epochs.length > 1 ? (new Date(epochs[1].time).getTime() - start) / 1000 : 0);
+
+    const lines = [];
+    const s = calendar(start);
+    lines.push(
+        `#dP${int(s.year, 4)} ${int(s.month, 2)} ${int(s.day, 2)} ${int(s.hour, 2)} ${int(s.minute, 2)} ${fixed(s.second, 11, 8)} ` +
+        `${int(epochs.length, 7)} ${dataUsed.padEnd(5).slice(0, 5)} ${coordinateSystem.padEnd(5).slice(0, 5)} ` +
+        `${orbitType.padEnd(3).slice(0, 3)} ${agency.padEnd(4).slice(0, 4)}`
+    );
+
+    const { week, seconds } = gpsWeek(start);
+    const { mjd, fraction } = modifiedJulianDate(start);
+    lines.push(`## ${int(week, 4)} ${fixed(seconds, 15, 8)} ${fixed(step, 14, 8)} ${int(mjd, 5)} ${fixed(fraction, 15, 13)}`);
+
+    // Satellite list and header accuracy, 17 per line, at least 5 lines
+    const satLines = Math.max(SP3_MIN_SAT_LINES, Math.ceil(ids.length / SP3_IDS_PER_LINE));
+    const headerAccuracy = ids.map(id => {
+        if (accuracy[id] !== undefined) return headerAccuracyCode(accuracy[id]);
+        const sigmas = epochs.flatMap(e => e.records.filter(r => r.id === id && r.sigma?.position)
+            .flatMap(r => r.sigma.position)).filter(Number.isFinite);
+        return sigmas.length ? headerAccuracyCode(Math.sqrt(sigmas.reduce((a, v) => a + v * v, 0) / sigmas.length)) : 0;
+    });
+    for (let i = 0; i < satLines; i++) {
+        const chunk = ids.slice(i * SP3_IDS_PER_LINE, (i + 1) * SP3_IDS_PER_LINE);
+        const padded = [...chunk, ...Array(SP3_IDS_PER_LINE - chunk.length).fill('  0')];
+        lines.push(`${i === 0 ? `+  ${int(ids.length, 3)}   ` : '+        '}${padded.join('')}`);
+    }
+    for (let i = 0; i < satLines; i++) {
+        const chunk = headerAccuracy.slice(i * SP3_IDS_PER_LINE, (i + 1) * SP3_IDS_PER_LINE);
+        const padded = [...chunk, ...Array(SP3_IDS_PER_LINE - chunk.length).fill(0)];
+        lines.push(`++       ${padded.map(c => int(c, 3)).join('')}`);
+    }
+
+    const fileType = systems.size === 1 ? [...systems][0] : 'M';
+    lines.push(`%c ${fileType.padEnd(2)} cc ${timeSystem.padEnd(3).slice(0, 3)} ccc cccc cccc cccc cccc ccccc ccccc ccccc ccccc`);
+    lines.push('%c cc cc ccc ccc cccc cccc cccc cccc ccccc ccccc ccccc ccccc');
+    lines.push(`%f ${fixed(base.position, 10, 7)} ${fixed(base.clock, 12, 9)}  0.00000000000  0.000000000000000`);
+    lines.push('%f  0.0000000  0.000000000  0.00000000000  0.000000000000000');
+    lines.push('%i    0    0    0    0      0      0      0      0         0');
+    lines.push('%i    0    0    0    0      0      0      0      0         0');
+
+    const commentLines = comments.flatMap(c => wrap(c, 77));
+    while (commentLines.length < SP3_MIN_COMMENTS) commentLines.push('');
+    commentLines.forEach(c => lines.push(`/* ${c}`.trimEnd().padEnd(3)));
+
+    epochs.forEach(epoch => {
+        const t = calendar(epoch.time);
+        lines.push(`*  ${int(t.year, 4)} ${int(t.month, 2)} ${int(t.day, 2)} ${int(t.hour, 2)} ${int(t.minute, 2)} ${fixed(t.second, 11, 8)}`);
+
+        [...epoch.records].sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id)).forEach(record => {
+            const [x, y, z] = record.position || [SP3_NO_POSITION, SP3_NO_POSITION, SP3_NO_POSITION];
+            const clock = Number.isFinite(record.clock) ? record.clock : SP3_NO_CLOCK;
+            let line = `P${record.id}${fixed(x, 14, 6)}${fixed(y, 14, 6)}${fixed(z, 14, 6)}${fixed(clock, 14, 6)}`;
+
+            const sigma = record.sigma || {};
+            const flags = record.flags || {};
+            const exps = [0, 1, 2].map(i => accuracyExponent(sigma.position?.[i], base.position, 99));
+            const clockExp = accuracyExponent(sigma.clock, base.clock, 999);
+            if (exps.some(e => e !== null) || clockExp !== null || Object.values(flags).some(Boolean)) {
+                const exp = (e, w) => (e === null ? ' '.repeat(w) : int(e, w));
+                line += ` ${exp(exps[0], 2)} ${exp(exps[1], 2)} ${exp(exps[2], 2)} ${exp(clockExp, 3)} ` +
+                    `${flags.clockEvent ? 'E' : ' '}${flags.clockPredicted ? 'P' : ' '}  ` +
+                    `${flags.maneuver ? 'M' : ' '}${flags.orbitPredicted ? 'P' : ' '}`;
+            }
+            lines.push(line.trimEnd());
+        });
+    });
+
+    lines.push('EOF');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse an SP3-c or SP3-d file (position and velocity records)
+ * @param {string} text - File contents
+ * @returns {Object} { version, positionVelocity, start, epochCount, dataUsed, coordinateSystem,
+ *                     orbitType, agency, gpsWeek, secondsOfWeek, interval, mjd, fileType,
+ *                     timeSystem, base, satellites, accuracy, comments, epochs }
+ *                   with epochs as in writeSP3 plus sdev exponents and velocity (dm/s)
+ */
+export function parseSP3(text) {
+    const lines = text.split(/\r?\n/);
+    if (!/^#[a-d][PV]/.test(lines[0] || '')) throw new Error('Not an SP3 file: first line must start with #a/#c/#d and P or V');
+
+    const first = lines[0];
+    const result = {
+        version: first[1],
+        positionVelocity: first[2],
+        start: fromCalendar(field(first, 3, 7), field(first, 8, 10), field(first, 11, 13),
+            field(first, 14, 16), field(first, 17, 19), field(first, 20, 31)),
+        epochCount: field(first, 32, 39),
+        dataUsed: first.slice(40, 45).trim(),
+        coordinateSystem: first.slice(46, 51).trim(),
+        orbitType: first.slice(52, 55).trim(),
+        agency: first.slice(56, 60).trim(),
+        gpsWeek: null,
+        secondsOfWeek: null,
+        interval: null,
+        mjd: null,
+        fileType: null,
+        timeSystem: null,
+        base: { ...SP3_DEFAULT_BASE },
+        satellites: [],
+        accuracy: {},
+        comments: [],
+        epochs: []
+    };
+
+    const accuracyCodes = [];
+    let satCount = null;
+    let seenC = false;
+    let seenF = false;
+    let epoch = null;
+
+    for (const line of lines.slice(1)) {
+        if (line.startsWith('EOF')) break;
+
+        if (line.startsWith('##')) {
+            result.gpsWeek = field(line, 3, 7);
+            result.secondsOfWeek = field(line, 8, 23);
+            result.interval = field(line, 24, 38);
+            result.mjd = field(line, 39, 44) + (field(line, 45, 60) ?? 0);
+        } else if (line.startsWith('++')) {
+            for (let i = 0; i < SP3_IDS_PER_LINE; i++) accuracyCodes.push(field(line, 9 + i * 3, 12 + i * 3) ?? 0);
+        } else if (line.startsWith('+')) {
+            if (satCount === null) satCount = field(line, 3, 6);
+            for (let i = 0; i < SP3_IDS_PER_LINE; i++) {
+                const id = line.slice(9 + i * 3, 12 + i * 3).trim();
+                if (id && id !== '0' && id !== '00' && result.satellites.length < satCount) {
+                    result.satellites.push(id.replace(' ', '0'));
+                }
+            }
+        } else if (line.startsWith('%c')) {
+            if (!seenC) {
+                result.fileType = line.slice(3, 5).trim();
+                result.timeSystem = line.slice(9, 12).trim();
+                seenC = true;
+            }
+        } else if (line.startsWith('%f')) {
+            if (!seenF) {
+                result.base = { position: field(line, 3, 13) || null, clock: field(line, 14, 26) || null };
+                seenF = true;
+            }
+        } else if (line.startsWith('/*')) {
+            result.comments.push(line.slice(3).trimEnd());
+        } else if (line.startsWith('*')) {
+            epoch = {
+                time: fromCalendar(field(line, 3, 7), field(line, 8, 10), field(line, 11, 13),
+                    field(line, 14, 16), field(line, 17, 19), field(line, 20, 31)),
+                records: []
+            };
+            result.epochs.push(epoch);
+        } else if (line.startsWith('P') && epoch) {
+            const position = [field(line, 4, 18), field(line, 18, 32), field(line, 32, 46)];
+            const clock = field(line, 46, 60);
+            const sdev = {
+                position: [field(line, 61, 63), field(line, 64, 66), field(line, 67, 69)],
+                clock: field(line, 70, 73)
+            };
+            epoch.records.push({
+                id: line.slice(1, 4).replace(' ', '0'),
+                position: position.every(v => v === SP3_NO_POSITION) ? null : position,
+                clock: clock === null || clock >= SP3_NO_CLOCK ? null : clock,
+                sdev,
+                sigma: {
+                    position: sdev.position.map(e => (e === null || !result.base.position ? null : result.base.position ** e)),
+                    clock: sdev.clock === null || !result.base.clock ? null : result.base.clock ** sdev.clock
+                },
+                flags: {
+                    clockEvent: line[74] === 'E',
+                    clockPredicted: line[75] === 'P',
+                    maneuver: line[78] === 'M',
+                    orbitPredicted: line[79] === 'P'
+                }
+            });
+        } else if (line.startsWith('V') && epoch) {
+            const record = epoch.records.find(r => r.id === line.slice(1, 4).replace(' ', '0'));
+            if (record) {
+                record.velocity = [field(line, 4, 18), field(line, 18, 32), field(line, 32, 46)];
+                record.clockRate = field(line, 46, 60);
+            }
+        }
+    }
+
+    result.satellites.forEach((id, i) => { result.accuracy[id] = accuracyCodes[i] ?? 0; });
+    return result;
+}
+
+// ─── RINEX clock ─────────────────────────────────────────────────────
+
+/**
+ * Write a RINEX 3.00 clock file with satellite (AS) records
+ *
+ * @param {Object} product
+ * @param {Array} product.records - [{ time, id ('G01'), bias: s, sigma: s | null }]
+ * @param {Array<string>} product.satellites - PRN list (default: every id in the records)
+ * @param {string} product.timeSystem - GPS, GLO, GAL, BDT, IRN or UTC
+ * @param {string} product.program - Program name (20 chars)
+ * @param {string} product.runBy - Agency (20 chars)
+ * @param {Date} product.createdAt - File creation time
+ * @param {Object} product.analysisCenter - { code (3 chars), name }
+ * @param {Array<string>} product.comments - Comment lines (wrapped to 60 chars)
+ * @returns {string} File contents
+ */
+export function writeRinexClock({
+    records,
+    satellites,
+    timeSystem = 'GPS',
+    program = 'STELLAR-v1k',
+    runBy = 'STELLAR',
+    createdAt = new Date(),
+    analysisCenter = { code: 'STL', name: 'STELLAR-v1k forecast' },
+    comments = []
+}) {
+    if (!records?.length) throw new Error('RINEX clock needs at least one record');
+
+    const ids = satellites || [...new Set(records.map(r => r.id))].sort();
+    const systems = new Set(ids.map(id => id[0]));
+    const c = calendar(createdAt);
+    const created = `${c.year}${zeroPadded(c.month, 2)}${zeroPadded(c.day, 2)} ` +
+        `${zeroPadded(c.hour, 2)}${zeroPadded(c.minute, 2)}${zeroPadded(Math.floor(c.second), 2)} UTC`;
+
+    const lines = [
+        headerLine(`${fixed(3, 9, 2)}${' '.repeat(11)}C${' '.repeat(19)}${systems.size === 1 ? [...systems][0] : 'M'}`, 'RINEX VERSION / TYPE'),
+        headerLine(`${program.padEnd(20).slice(0, 20)}${runBy.padEnd(20).slice(0, 20)}${created.padEnd(20)}`, 'PGM / RUN BY / DATE'),
+        ...comments.flatMap(text => wrap(text, 60)).map(text => headerLine(text, 'COMMENT')),
+        headerLine(`   ${timeSystem.padEnd(3).slice(0, 3)}`, 'TIME SYSTEM ID'),
+        headerLine(`${int(1, 6)}    AS`, '# / TYPES OF DATA'),
+        headerLine(`${analysisCenter.code.padEnd(3).slice(0, 3)}  ${analysisCenter.name}`, 'ANALYSIS CENTER'),
+        headerLine(int(ids.length, 6), '# OF SOLN SATS')
+    ];
+    for (let i = 0; i < ids.length; i += 15) {
+        lines.push(headerLine(ids.slice(i, i + 15).map(id => `${id} `).join(''), 'PRN LIST'));
+    }
+    lines.push(headerLine('', 'END OF HEADER'));
+
+    [...records]
+        .sort((a, b) => new Date(a.time) - new Date(b.time) || ids.indexOf(a.id) - ids.indexOf(b.id))
+        .forEach(record => {
+            const t = calendar(record.time);
+            const hasSigma = Number.isFinite(record.sigma);
+            lines.push(
+                `AS ${record.id.padEnd(4)} ${int(t.year, 4)}` +
+                [t.month, t.day, t.hour, t.minute].map(v => ` ${zeroPadded(v, 2)}`).join('') +
+                `${fixed(t.second, 10, 6)}${int(hasSigma ? 2 : 1, 3)}   ${fortranExp(record.bias)}` +
+                (hasSigma ? ` ${fortranExp(record.sigma)}` : '')
+            );
+        });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse a RINEX 2/3.00 clock file (all record types; 3.04's 9-character names are not supported)
+ * @param {string} text - File contents
+ * @returns {Object} { version, system, program, runBy, date, timeSystem, dataTypes,
+ *                     analysisCenter, satellites, comments,
+ *                     records: [{ type, id, time, bias, sigma, values }] }
+ */
+export function parseRinexClock(text) {
+    const lines = text.split(/\r?\n/);
+    const result = {
+        version: null,
+        system: null,
+        program: null,
+        runBy: null,
+        date: null,
+        timeSystem: null,
+        dataTypes: [],
+        analysisCenter: null,
+        satellites: [],
+        comments: [],
+        records: []
+    };
+
+    let i = 0;
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const label = line.slice(60).trim();
+        if (label === 'END OF HEADER') break;
+
+        switch (label) {
+            case 'RINEX VERSION / TYPE':
+                result.version = field(line, 0, 9);
+                if (line[20] !== 'C') throw new Error('Not a RINEX clock file: file type must be C');
+                result.system = line[40]?.trim() || null;
+                break;
+            case 'PGM / RUN BY / DATE':
+                result.program = line.slice(0, 20).trim();
+                result.runBy = line.slice(20, 40).trim();
+                result.date = line.slice(40, 60).trim();
+                break;
+            case 'TIME SYSTEM ID':
+                result.timeSystem = line.slice(3, 6).trim();
+                break;
+            case '# / TYPES OF DATA':
+                for (let k = 0; k < field(line, 0, 6); k++) result.dataTypes.push(line.slice(10 + k * 6, 12 + k * 6));
+                break;
+            case 'ANALYSIS CENTER':
+                result.analysisCenter = { code: line.slice(0, 3).trim(), name: line.slice(5, 60).trim() };
+                break;
+            case 'PRN LIST':
+                result.satellites.push(...line.slice(0, 60).trim().split(/\s+/).filter(Boolean));
+                break;
+            case 'COMMENT':
+                result.comments.push(line.slice(0, 60).trimEnd());
+                break;
+            default:
+                break;
+        }
+    }
+    if (result.version === null) throw new Error('Not a RINEX clock file: missing RINEX VERSION / TYPE');
+
+    for (const line of lines.slice(i + 1)) {
+        if (!/^(AR|AS|CR|DR|MS) /.test(line)) continue;
+        const count = field(line, 34, 37);
+        const values = [];
+        for (let k = 0; k < count; k++) {
+            // Values 3-6 sit on a continuation line, which AS/AR records do not use
+            const value = field(line, 40 + k * 20, 59 + k * 20);
+            if (value !== null) values.push(value);
+        }
+        result.records.push({
+            type: line.slice(0, 2),
+            id: line.slice(3, 7).trim(),
+            time: fromCalendar(field(line, 8, 12), field(line, 13, 15), field(line, 16, 18),
+                field(line, 19, 21), field(line, 22, 24), field(line, 24, 34)),
+            bias: values[0] ?? null,
+            sigma: values[1] ?? null,
+            values
+        });
+    }
+
+    return result;
+}
@@ -78,6 +78,15 @@ export const throttle = (func, limit) => {
     };
 };
 
+// Text file download
+export const downloadText = (content, filename, type = 'text/plain;charset=utf-8;') => {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+};
+
 // CSV Export
 export const exportToCSV = (data, filename) => {
     const headers = Object.keys(data[0]);
@@ -86,11 +95,7 @@ export const exportToCSV = (data, filename) => {
         ...data.map(row => headers.map(h => JSON.stringify(row[h] ?? '')).join(','))
     ].join('\n');
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = filename;
-    link.click();
+    downloadText(csvContent, filename, 'text/csv;charset=utf-8;');
 };
 
 // Linear interpolation
@@ -0,0 +1,177 @@
+/**
+ * Hyperparameter Search
+ * Random, grid and successive-halving search over training configurations.
+ * A search space maps each trainWithConfig option to its candidate values;
+ * each candidate configuration is one trial, scored by an evaluate callback
+ * (lower is better). Successive halving trains every configuration for a
+ * small epoch budget, keeps the best 1/eta of them and multiplies the budget
+ * by eta until one remains or the budget reaches maxEpochs.
+ *
+ * A trial result is
+ *   { id, rung, config, score, status ('complete' | 'failed' | 'cancelled'),
+ *     error, durationMs, ...whatever evaluate returns }
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+export const SEARCH_STRATEGIES = {
+    random: 'Random search',
+    grid: 'Grid search',
+    halving: 'Successive halving'
+};
+
+/**
+ * Default search space for the browser forecast model. Every horizon set
+ * contains the short horizons the trials are compared on.
+ */
+export const DEFAULT_SEARCH_SPACE = {
+    learningRate: [0.0003, 0.001, 0.003],
+    batchSize: [16, 32, 64],
+    sequenceLength: [24, 48, 96],
+    predictionHorizons: [[1, 2, 4, 8, 16, 24, 48, 96], [1, 2, 4, 8, 16, 24]],
+    architecture: ['lstm', 'gru', 'tcn', 'transformer', 'nbeats'],
+    lstmUnits: [32, 64],
+    denseUnits: [64, 128],
+    epochs: [25]
+};
+
+// ─── Candidate configurations ────────────────────────────────────────
+
+const configKey = (config) => JSON.stringify(Object.keys(config).sort().map(k => [k, config[k]]));
+
+/**
+ * Seeded PRNG (mulberry32) so a random search can be repeated
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Number of configurations in the full grid
+ */
+export function gridSize(space) {
+    return Object.values(space).reduce((n, values) => n * values.length, 1);
+}
+
+/**
+ * Every combination of the space's values
+ * @returns {Array} Configurations
+ */
+export function gridConfigs(space) {
+    return Object.entries(space).reduce(
+        (configs, [key, values]) => configs.flatMap(config => values.map(value => ({ ...config, [key]: value }))),
+        [{}]
+    );
+}
+
+/**
+ * Distinct configurations drawn uniformly from the space
+ * @param {number} count - Number of configurations (capped at the grid size)
+ * @param {number} seed - PRNG seed
+ */
+export function randomConfigs(space, count, seed = 1) {
+    const random = seededRandom(seed);
+    const target = Math.min(count, gridSize(space));
+    const configs = new Map();
+    while (configs.size < target) {
+        const config = Object.fromEntries(Object.entries(space).map(([key, values]) => [
+            key, values[Math.floor(random() * values.length)]
+        ]));
+        configs.set(configKey(config), config);
+    }
+    return [...configs.values()];
+}
+
+/**
+ * Horizons present in every candidate horizon set of the space, so trials
+ * with different horizon sets are scored on the same targets
+ * @param {Object} space - Search space
+ * @param {Array} fallback - Horizons used when the space does not vary them
+ */
+export function commonHorizons(space, fallback) {
+    const sets = space.predictionHorizons ?? [fallback];
+    return sets.reduce((common, set) => common.filter(h => set.includes(h)));
+}
+
+// ─── Search ──────────────────────────────────────────────────────────
+
+/**
+ * Run a hyperparameter search
+ * @param {Object} space - Search space ({ option: [values] })
+ * @param {Object} options - { strategy ('random' | 'grid' | 'halving'), trials, seed, minEpochs, maxEpochs, eta }
+ * @param {Function} evaluate - async (config) => { score, ... }; lower scores are better
+ * @param {Object} callbacks - { onTrialStart(trial), onTrialEnd(trial), shouldStop }
+ * @returns {Promise<Object>} { strategy, trials (in run order), best, cancelled }
+ */
+export async function runSearch(space, options, evaluate, callbacks = {}) {
+    const { strategy = 'random', trials = 10, seed = 1, minEpochs = 5, maxEpochs = 45, eta = 3 } = options;
+    const { onTrialStart = () => {}, onTrialEnd = () => {}, shouldStop = () => false } = callbacks;
+    if (!SEARCH_STRATEGIES[strategy]) throw new Error(`Unknown search strategy "${strategy}"`);
+
+    const results = [];
+    let cancelled = false;
+
+    const runTrial = async (config, rung) => {
+        const trial = { id: results.length + 1, rung, config, score: null, status: 'running' };
+        onTrialStart(trial);
+        const start = Date.now();
+        try {
+            const outcome = await evaluate(config);
+            Object.assign(trial, outcome, { status: outcome.cancelled ? 'cancelled' : 'complete' });
+            if (!Number.isFinite(trial.score)) Object.assign(trial, { score: null, status: 'failed', error: 'Score is not finite' });
+        } catch (error) {
+            Object.assign(trial, { status: 'failed', error: error.message });
+        }
+        trial.durationMs = Date.now() - start;
+        results.push(trial);
+        onTrialEnd(trial);
+        if (trial.status === 'cancelled' || shouldStop()) cancelled = true;
+        return trial;
+    };
+
+    if (strategy === 'halving') {
+        let rung = 0;
+        let budget = Math.min(minEpochs, maxEpochs);
+        let candidates = randomConfigs(space, trials, seed);
+        while (candidates.length > 0 && !cancelled) {
+            const scored = [];
+            for (const config of candidates) {
+                if (cancelled) break;
+                scored.push(await runTrial({ ...config, epochs: budget }, rung));
+            }
+            if (candidates.length === 1 || budget >= maxEpochs) break;
+            candidates = scored
+                .filter(t => t.status === 'complete')
+                .sort((a, b) => a.score - b.score)
+                .slice(0, Math.max(1, Math.ceil(candidates.length / eta)))
+                .map(t => t.config);
+            budget = Math.min(maxEpochs, budget * eta);
+            rung++;
+        }
+    } else {
+        const configs = strategy === 'grid' ? gridConfigs(space) : randomConfigs(space, trials, seed);
+        for (const config of configs) {
+            if (cancelled) break;
+            await runTrial(config, 0);
+        }
+    }
+
+    return { strategy, trials: results, best: bestTrial(results), cancelled };
+}
+
+/**
+ * Lowest-scoring completed trial, preferring the last successive-halving rung
+ */
+export function bestTrial(trials) {
+    return trials
+        .filter(t => t.status === 'complete')
+        .sort((a, b) => b.rung - a.rung || a.score - b.score)[0] || null;
+}
@@ -0,0 +1,506 @@
+/**
+ * Orbit Mechanics
+ * Satellite positions from broadcast navigation messages, the frames they
+ * are drawn and compared in, and the radial / along-track / cross-track
+ * (RIC) frame used to express orbit errors.
+ *
+ *   Keplerian   GPS, QZSS, NavIC (IS-GPS-200 Table 20-IV), Galileo (OS SIS ICD)
+ *               and BeiDou (BDS-SIS-ICD, including the GEO frame rotation)
+ *   GLONASS     state vector integrated with RK4 (GLONASS ICD 5.1 Appendix A.3.1.2)
+ *
+ * Positions are Earth-fixed, in metres; times are GPS-time milliseconds.
+ * The frame helpers convert to an Earth-centred inertial frame (rotation by
+ * Greenwich mean sidereal time, without precession, nutation or polar
+ * motion), to WGS84 geodetic coordinates, and between Earth-fixed vectors and
+ * the RIC frame; the topocentric helpers give look angles and passes over a
+ * ground station for any propagator.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+export const SPEED_OF_LIGHT = 299792458;
+
+// Gravitational parameter (m³/s²) and Earth rotation rate (rad/s) of each ICD
+const SYSTEM_CONSTANTS = {
+    G: { gm: 3.986005e14, earthRotation: 7.2921151467e-5 },
+    J: { gm: 3.986005e14, earthRotation: 7.2921151467e-5 },
+    I: { gm: 3.986005e14, earthRotation: 7.2921151467e-5 },
+    E: { gm: 3.986004418e14, earthRotation: 7.2921151467e-5 },
+    C: { gm: 3.986004418e14, earthRotation: 7.2921150e-5 }
+};
+
+// PZ-90.11 constants of the GLONASS ICD
+const GLONASS = {
+    gm: 3.9860044e14,
+    earthRadius: 6378136,
+    j2: 1.0826257e-3,
+    earthRotation: 7.292115e-5
+};
+const GLONASS_MAX_STEP_S = 60;
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+const GMST_RATE = 7.2921158553e-5;
+const DEG = Math.PI / 180;
+
+const HALF_WEEK_S = 302400;
+const KEPLER_TOLERANCE = 1e-13;
+const BEIDOU_GEO_TILT = -5 * Math.PI / 180;
+
+// ─── Vectors ─────────────────────────────────────────────────────────
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (a) => Math.sqrt(dot(a, a));
+const scale = (a, k) => a.map(v => v * k);
+const subtract = (a, b) => a.map((v, i) => v - b[i]);
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+// ─── Keplerian ephemerides ───────────────────────────────────────────
+
+/**
+ * BeiDou GEO satellites (C01–C05, C59–C63) use a rotated reference frame
+ */
+export function isBeiDouGEO(id) {
+    const prn = Number(id.slice(1));
+    return id[0] === 'C' && (prn <= 5 || prn >= 59);
+}
+
+function wrapWeekSeconds(seconds) {
+    if (seconds > HALF_WEEK_S) return seconds - 2 * HALF_WEEK_S;
+    if (seconds < -HALF_WEEK_S) return seconds + 2 * HALF_WEEK_S;
+    return seconds;
+}
+
+function eccentricAnomaly(meanAnomaly, e) {
+    let E = meanAnomaly;
+    for (let i = 0; i < 30; i++) {
+        const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+    }
+    return E;
+}
+
+/**
+ * Earth-fixed position from a Keplerian broadcast ephemeris
+ * @param {Object} eph - parseRinexNav ephemeris (toe in GPS-time ms, toeSeconds in system time of week,
+ *                       geoFrame for BeiDou GEO elements)
+ * @param {number} time - GPS time (ms)
+ * @returns {Object} { position: [x, y, z] m, eccentricAnomaly, tk (s from toe) }
+ */
+export function keplerianPosition(eph, time) {
+    const { gm, earthRotation } = SYSTEM_CONSTANTS[eph.system];
+    const a = eph.sqrtA * eph.sqrtA;
+    const tk = wrapWeekSeconds((time - eph.toe) / 1000);
+
+    const n = Math.sqrt(gm / (a * a * a)) + eph.deltaN;
+    const E = eccentricAnomaly(eph.m0 + n * tk, eph.e);
+    const nu = Math.atan2(Math.sqrt(1 - eph.e * eph.e) * Math.sin(E), Math.cos(E) - eph.e);
+
+    const phi = nu + eph.omega;
+    const sin2 = Math.sin(2 * phi);
+    const cos2 = Math.cos(2 * phi);
+    const u = phi + eph.cus * sin2 + eph.cuc * cos2;
+    const r = a * (1 - eph.e * Math.cos(E)) + eph.crs * sin2 + eph.crc * cos2;
+    const i = eph.i0 + eph.cis * sin2 + eph.cic * cos2 + eph.idot * tk;
+
+    const xp = r * Math.cos(u);
+    const yp = r * Math.sin(u);
+
+    if (eph.geoFrame) {
+        // Position in an inertial frame tied to toe, then tilted by -5° and rotated to Earth-fixed
+        const node = eph.omega0 + eph.omegaDot * tk - earthRotation * eph.toeSeconds;
+        const g = [
+            xp * Math.cos(node) - yp * Math.cos(i) * Math.sin(node),
+            xp * Math.sin(node) + yp * Math.cos(i) * Math.cos(node),
+            yp * Math.sin(i)
+        ];
+        const cx = Math.cos(BEIDOU_GEO_TILT);
+        const sx = Math.sin(BEIDOU_GEO_TILT);
+        const rotation = earthRotation * tk;
+        const cz = Math.cos(rotation);
+        const sz = Math.sin(rotation);
+        const y = g[1] * cx + g[2] * sx;
+        return {
+            position: [g[0] * cz + y * sz, -g[0] * sz + y * cz, -g[1] * sx + g[2] * cx],
+            eccentricAnomaly: E,
+            tk
+        };
+    }
+
+    const node = eph.omega0 + (eph.omegaDot - earthRotation) * tk - earthRotation * eph.toeSeconds;
+    return {
+        position: [
+            xp * Math.cos(node) - yp * Math.cos(i) * Math.sin(node),
+            xp * Math.sin(node) + yp * Math.cos(i) * Math.cos(node),
+            yp * Math.sin(i)
+        ],
+        eccentricAnomaly: E,
+        tk
+    };
+}
+
+/**
+ * Broadcast clock offset of a Keplerian ephemeris: the af0–af2 polynomial,
+ * without the periodic relativistic term or group delays (the IGS clock convention)
+ * @returns {Object} { bias: s, relativistic: s }
+ */
+export function keplerianClock(eph, time) {
+    const dt = wrapWeekSeconds((time - eph.toc) / 1000);
+    const { eccentricAnomaly: E } = keplerianPosition(eph, time);
+    const { gm } = SYSTEM_CONSTANTS[eph.system];
+    return {
+        bias: eph.af0 + eph.af1 * dt + eph.af2 * dt * dt,
+        relativistic: -2 * Math.sqrt(gm) / (SPEED_OF_LIGHT * SPEED_OF_LIGHT) * eph.e * eph.sqrtA * Math.sin(E)
+    };
+}
+
+// ─── GLONASS state vector ────────────────────────────────────────────
+
+function glonassDerivative([x, y, z, vx, vy, vz], acceleration) {
+    const { gm, earthRadius, j2, earthRotation: w } = GLONASS;
+    const r2 = x * x + y * y + z * z;
+    const r = Math.sqrt(r2);
+    const k = gm / (r2 * r);
+    const j = 1.5 * j2 * gm * earthRadius * earthRadius / (r2 * r2 * r);
+    const zz = 5 * z * z / r2;
+
+    return [
+        vx, vy, vz,
+        -k * x - j * x * (1 - zz) + w * w * x + 2 * w * vy + acceleration[0],
+        -k * y - j * y * (1 - zz) + w * w * y - 2 * w * vx + acceleration[1],
+        -k * z - j * z * (3 - zz) + acceleration[2]
+    ];
+}
+
+/**
+ * Earth-fixed position and velocity from a GLONASS broadcast state vector
+ * @param {Object} eph - parseRinexNav GLONASS record (tb in GPS-time ms, position m, velocity m/s, acceleration m/s²)
+ * @param {number} time - GPS time (ms)
+ * @returns {Object} { position: m, velocity: m/s }
+ */
+export function glonassState(eph, time) {
+    let state = [...eph.position, ...eph.velocity];
+    let remaining = (time - eph.tb) / 1000;
+
+    while (Math.abs(remaining) > 1e-9) {
+        const h = Math.sign(remaining) * Math.min(GLONASS_MAX_STEP_S, Math.abs(remaining));
+        const k1 = glonassDerivative(state, eph.acceleration);
+        const k2 = glonassDerivative(state.map((s, i) => s + k1[i] * h / 2), eph.acceleration);
+        const k3 = glonassDerivative(state.map((s, i) => s + k2[i] * h / 2), eph.acceleration);
+        const k4 = glonassDerivative(state.map((s, i) => s + k3[i] * h), eph.acceleration);
+        state = state.map((s, i) => s + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+        remaining -= h;
+    }
+
+    return { position: state.slice(0, 3), velocity: state.slice(3) };
+}
+
+/**
+ * GLONASS broadcast clock offset: -τn + γn (t - tb), relative to GLONASS time
+ * @returns {Object} { bias: s, relativistic: 0 } (the relativistic term is already in τn)
+ */
+export function glonassClock(eph, time) {
+    return { bias: eph.clockBias + eph.relativeFrequencyBias * (time - eph.tb) / 1000, relativistic: 0 };
+}
+
+// ─── Broadcast state ─────────────────────────────────────────────────
+
+/**
+ * Earth-fixed position, velocity and clock from any broadcast ephemeris
+ * @param {Object} eph - parseRinexNav ephemeris
+ * @param {number} time - GPS time (ms)
+ * @returns {Object} { position: m, velocity: m/s, clock: { bias, relativistic } in s }
+ */
+export function broadcastState(eph, time) {
+    if (eph.system === 'R') {
+        return { ...glonassState(eph, time), clock: glonassClock(eph, time) };
+    }
+
+    // Velocity by central difference over ±0.5 s, well below 1 mm/s error
+    const before = keplerianPosition(eph, time - 500).position;
+    const after = keplerianPosition(eph, time + 500).position;
+    return {
+        position: keplerianPosition(eph, time).position,
+        velocity: subtract(after, before),
+        clock: keplerianClock(eph, time)
+    };
+}
+
+/**
+ * Earth rotation rate used for a system's Earth-fixed frame
+ */
+export function earthRotationRate(system) {
+    return system === 'R' ? GLONASS.earthRotation : (SYSTEM_CONSTANTS[system] || SYSTEM_CONSTANTS.G).earthRotation;
+}
+
+/**
+ * Gravitational parameter (m³/s²) of a system's ICD
+ */
+export function gravitationalParameter(system) {
+    return system === 'R' ? GLONASS.gm : (SYSTEM_CONSTANTS[system] || SYSTEM_CONSTANTS.G).gm;
+}
+
+// ─── Frames ──────────────────────────────────────────────────────────
+
+/**
+ * Greenwich mean sidereal time (rad, IAU 1982 linear term) at a UTC epoch
+ */
+export function gmst(utcTime) {
+    const days = (utcTime - J2000_MS) / 86400000;
+    const degrees = 280.46061837 + 360.98564736629 * days;
+    return (((degrees % 360) + 360) % 360) * DEG;
+}
+
+function rotateZ([x, y, z], angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return [c * x + s * y, -s * x + c * y, z];
+}
+
+/**
+ * Earth-fixed state to the inertial frame
+ * @param {Array} position - m
+ * @param {Array|null} velocity - m/s (Earth-fixed)
+ * @param {number} utcTime - UTC epoch (ms)
+ * @returns {Object} { position, velocity (null if not given) }
+ */
+export function ecefToEci(position, velocity, utcTime) {
+    const theta = gmst(utcTime);
+    return {
+        position: rotateZ(position, -theta),
+        velocity: velocity && rotateZ([
+            velocity[0] - GMST_RATE * position[1],
+            velocity[1] + GMST_RATE * position[0],
+            velocity[2]
+        ], -theta)
+    };
+}
+
+/**
+ * Inertial state to the Earth-fixed frame
+ * @returns {Object} { position, velocity (null if not given) }
+ */
+export function eciToEcef(position, velocity, utcTime) {
+    const theta = gmst(utcTime);
+    const r = rotateZ(position, theta);
+    if (!velocity) return { position: r, velocity: null };
+    const v = rotateZ(velocity, theta);
+    return { position: r, velocity: [v[0] + GMST_RATE * r[1], v[1] - GMST_RATE * r[0], v[2]] };
+}
+
+/**
+ * WGS84 geodetic coordinates of an Earth-fixed position
+ * @returns {Object} { lat, lon (deg), alt (m above the ellipsoid) }
+ */
+export function ecefToGeodetic([x, y, z]) {
+    const p = Math.hypot(x, y);
+    let lat = Math.atan2(z, p * (1 - WGS84_E2));
+    let alt = 0;
+    for (let i = 0; i < 6; i++) {
+        const sinLat = Math.sin(lat);
+        const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+        alt = p / Math.cos(lat) - n;
+        lat = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + alt)));
+    }
+    return { lat: lat / DEG, lon: Math.atan2(y, x) / DEG, alt };
+}
+
+/**
+ * Earth-fixed position (m) of WGS84 geodetic coordinates
+ */
+export function geodeticToEcef({ lat, lon, alt = 0 }) {
+    const sinLat = Math.sin(lat * DEG);
+    const cosLat = Math.cos(lat * DEG);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+    return [
+        (n + alt) * cosLat * Math.cos(lon * DEG),
+        (n + alt) * cosLat * Math.sin(lon * DEG),
+        (n * (1 - WGS84_E2) + alt) * sinLat
+    ];
+}
+
+/**
+ * Argument of latitude (rad, 0 at the ascending node) of an inertial state
+ */
+export function argumentOfLatitude(position, velocity) {
+    const h = cross(position, velocity);
+    const node = [-h[1], h[0], 0];
+    const nodeNorm = norm(node);
+    // Equatorial orbits have no node; measure from the x axis instead
+    const reference = nodeNorm > 1e-9 * norm(h) ? scale(node, 1 / nodeNorm) : [1, 0, 0];
+    const inPlane = cross(scale(h, 1 / norm(h)), reference);
+    const u = Math.atan2(dot(position, inPlane), dot(position, reference));
+    return u < 0 ? u + 2 * Math.PI : u;
+}
+
+// ─── RIC frame ───────────────────────────────────────────────────────
+
+/**
+ * Radial, along-track and cross-track unit vectors of an Earth-fixed state.
+ * The along-track axis follows the inertial velocity (Earth-fixed velocity plus ω × r).
+ * @returns {Object} { radial, along, cross } unit vectors
+ */
+export function ricBasis(position, velocity, earthRotation = SYSTEM_CONSTANTS.G.earthRotation) {
+    const inertialVelocity = [
+        velocity[0] - earthRotation * position[1],
+        velocity[1] + earthRotation * position[0],
+        velocity[2]
+    ];
+    const radial = scale(position, 1 / norm(position));
+    const normal = cross(position, inertialVelocity);
+    const crossTrack = scale(normal, 1 / norm(normal));
+    return { radial, along: cross(crossTrack, radial), cross: crossTrack };
+}
+
+/**
+ * Express an Earth-fixed difference vector in a RIC basis
+ * @returns {Object} { radial, along, cross } in the units of delta
+ */
+export function toRIC(delta, basis) {
+    return { radial: dot(delta, basis.radial), along: dot(delta, basis.along), cross: dot(delta, basis.cross) };
+}
+
+/**
+ * Rotate a RIC vector into the Earth-fixed frame of a basis
+ * @returns {Array} [x, y, z] in the units of ric
+ */
+export function fromRIC(ric, basis) {
+    return [0, 1, 2].map(i => ric.radial * basis.radial[i] + ric.along * basis.along[i] + ric.cross * basis.cross[i]);
+}
+
+/**
+ * Semi-major axis (m) and inclination (rad) of an Earth-fixed state
+ */
+export function orbitElements(position, velocity, earthRotation = SYSTEM_CONSTANTS.G.earthRotation) {
+    const { gm } = SYSTEM_CONSTANTS.G;
+    const v = [velocity[0] - earthRotation * position[1], velocity[1] + earthRotation * position[0], velocity[2]];
+    const r = norm(position);
+    const semiMajorAxis = 1 / (2 / r - dot(v, v) / gm);
+    const h = cross(position, v);
+    return { semiMajorAxis, inclination: Math.acos(h[2] / norm(h)) };
+}
+
+/**
+ * Orbit class of an Earth-fixed state: LEO, MEO, GEO or IGSO (as in the model registry)
+ */
+export function orbitClass(position, velocity, earthRotation) {
+    const { semiMajorAxis, inclination } = orbitElements(position, velocity, earthRotation);
+    if (semiMajorAxis > 35000e3) return inclination < 10 * Math.PI / 180 ? 'GEO' : 'IGSO';
+    return semiMajorAxis > 12000e3 ? 'MEO' : 'LEO';
+}
+
+// ─── Topocentric ─────────────────────────────────────────────────────
+
+/**
+ * Azimuth, elevation and range of a satellite from a ground station
+ * @param {Object} station - { lat, lon (deg), alt (m) }
+ * @param {Array} position - Satellite Earth-fixed position (m)
+ * @param {Array} velocity - Earth-fixed velocity (m/s), for the range rate
+ * @returns {Object} { azimuth, elevation (deg), range (m), rangeRate (m/s or null) }
+ */
+export function lookAngles(station, position, velocity = null) {
+    const origin = geodeticToEcef(station);
+    const los = subtract(position, origin);
+    const range = norm(los);
+    const sinLat = Math.sin(station.lat * DEG);
+    const cosLat = Math.cos(station.lat * DEG);
+    const sinLon = Math.sin(station.lon * DEG);
+    const cosLon = Math.cos(station.lon * DEG);
+
+    const east = -sinLon * los[0] + cosLon * los[1];
+    const north = -sinLat * cosLon * los[0] - sinLat * sinLon * los[1] + cosLat * los[2];
+    const up = cosLat * cosLon * los[0] + cosLat * sinLon * los[1] + sinLat * los[2];
+    const azimuth = Math.atan2(east, north) / DEG;
+
+    return {
+        azimuth: azimuth < 0 ? azimuth + 360 : azimuth,
+        elevation: Math.asin(up / range) / DEG,
+        range,
+        rangeRate: velocity ? dot(velocity, los) / range : null
+    };
+}
+
+/**
+ * Passes of a satellite over a ground station: elevation is sampled on a
+ * grid, rise/set are refined by bisection to a second and the culmination by
+ * golden-section search
+ * @param {Function} positionAt - time (ms) → Earth-fixed position (m), or null when it cannot be propagated
+ * @param {Object} station - { lat, lon, alt }
+ * @param {Object} options - { start, end (ms), stepSeconds, minElevation (deg) }
+ * @returns {Array} [{ rise, set (ms; null when up at start / still up at end), riseAzimuth, setAzimuth,
+ *                     culmination: { time, elevation, azimuth }, duration (s) }]
+ */
+export function predictPasses(positionAt, station, { start, end, stepSeconds = 60, minElevation = 0 }) {
+    const look = (time) => {
+        const position = positionAt(time);
+        return position ? lookAngles(station, position) : null;
+    };
+    const above = (time) => (look(time)?.elevation ?? -90) >= minElevation;
+    const crossing = (from, to) => {
+        const rising = !above(from);
+        while (to - from > 1000) {
+            const mid = (from + to) / 2;
+            if (above(mid) === rising) to = mid;
+            else from = mid;
+        }
+        return Math.round(to);
+    };
+    const culmination = (from, to) => {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        const elevation = (time) => look(time)?.elevation ?? -90;
+        while (to - from > 1000) {
+            const a = to - ratio * (to - from);
+            const b = from + ratio * (to - from);
+            if (elevation(a) < elevation(b)) from = a;
+            else to = b;
+        }
+        const time = Math.round((from + to) / 2);
+        const angles = look(time);
+        return { time, elevation: angles.elevation, azimuth: angles.azimuth };
+    };
+    const finish = (pass, setTime) => {
+        const last = setTime ?? end;
+        const peak = culmination(Math.max(pass.rise ?? start, pass.peakTime - stepSeconds * 1000),
+            Math.min(last, pass.peakTime + stepSeconds * 1000));
+        return {
+            rise: pass.rise,
+            set: setTime,
+            riseAzimuth: pass.rise === null ? null : look(pass.rise).azimuth,
+            setAzimuth: setTime === null ? null : look(setTime).azimuth,
+            culmination: peak,
+            duration: (last - (pass.rise ?? start)) / 1000
+        };
+    };
+
+    const passes = [];
+    const step = stepSeconds * 1000;
+    let previous = start;
+    let current = above(start) ? { rise: null, peakTime: start, peak: look(start).elevation } : null;
+
+    for (let time = start + step; time <= end; time += step) {
+        const angles = look(time);
+        const up = (angles?.elevation ?? -90) >= minElevation;
+        if (up && !current) {
+            const rise = crossing(previous, time);
+            current = { rise, peakTime: time, peak: angles.elevation };
+        } else if (up && angles.elevation > current.peak) {
+            current.peakTime = time;
+            current.peak = angles.elevation;
+        } else if (!up && current) {
+            passes.push(finish(current, crossing(previous, time)));
+            current = null;
+        }
+        previous = time;
+    }
+    if (current) passes.push(finish(current, null));
+    return passes;
+}
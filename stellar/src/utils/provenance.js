@@ -0,0 +1,103 @@
+/**
+ * Provenance Digests
+ * SHA-256 digests and HMAC-SHA256 signatures for bulletins, training data
+ * and model weights, via Web Crypto (browser and Node ≥ 19).
+ *
+ * Documents are hashed in canonical JSON: object keys sorted, no
+ * whitespace, `undefined` members dropped, UTF-8 encoded.
+ */
+
+const encoder = new TextEncoder();
+
+function subtle() {
+    const api = globalThis.crypto?.subtle;
+    if (!api) throw new Error('Web Crypto is not available (needs a secure context or Node 19+)');
+    return api;
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * JSON with sorted object keys, so equal documents hash equally
+ */
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : canonicalJSON(v))).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(k => value[k] !== undefined)
+            .map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of a string (UTF-8) or binary data, as lowercase hex
+ */
+export async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return toHex(await subtle().digest('SHA-256', bytes));
+}
+
+/**
+ * HMAC-SHA256 of a string with a shared secret, as lowercase hex
+ */
+export async function hmacSha256Hex(secret, message) {
+    const key = await subtle().importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await subtle().sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Digest of telemetry rows over timestamp and the four channels, so the
+ * same samples hash equally whichever file or parser they came from
+ */
+export async function telemetryDigest(rows) {
+    const lines = rows.map(r => [
+        new Date(r.timestamp ?? r.time).toISOString(),
+        r.clock, r.radial, r.along, r.cross
+    ].join(','));
+    return sha256Hex(`timestamp,clock,radial,along,cross\n${lines.join('\n')}`);
+}
+
+/**
+ * Add an integrity block to a document: SHA-256 of its canonical JSON and,
+ * with a secret, an HMAC-SHA256 signature over the same bytes
+ * @param {Object} document - Any JSON document (an existing `integrity` member is replaced)
+ * @param {Object} options - { secret, keyId }
+ * @returns {Promise<Object>} The document with `integrity: { canonicalization, digest, signature }`
+ */
+export async function sealDocument(document, { secret, keyId = null } = {}) {
+    const { integrity: _previous, ...body } = document;
+    const canonical = canonicalJSON(body);
+    return {
+        ...body,
+        integrity: {
+            canonicalization: 'json-sorted-keys',
+            digest: { algorithm: 'SHA-256', value: await sha256Hex(canonical) },
+            signature: secret
+                ? { algorithm: 'HMAC-SHA256', keyId, value: await hmacSha256Hex(secret, canonical) }
+                : null
+        }
+    };
+}
+
+/**
+ * Check a sealed document's digest and, with the shared secret, its signature
+ * @returns {Promise<Object>} { digestValid, signed, signatureValid (null if unsigned or no secret given) }
+ */
+export async function verifyDocument(document, { secret } = {}) {
+    const { integrity, ...body } = document;
+    if (!integrity?.digest?.value) throw new Error('Document has no integrity block');
+
+    const canonical = canonicalJSON(body);
+    const digestValid = (await sha256Hex(canonical)) === integrity.digest.value;
+    const signed = Boolean(integrity.signature?.value);
+
+    return {
+        digestValid,
+        signed,
+        signatureValid: signed && secret ? (await hmacSha256Hex(secret, canonical)) === integrity.signature.value : null
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Resampling
+ * Puts irregular telemetry on a regular time grid, so that a window of rows
+ * spans a fixed duration and a horizon of h rows means h × stepMinutes of
+ * wall-clock time. The ISRO files are anything but regular: GEO rows are
+ * two hours apart, MEO rows about ten minutes, with repeated timestamps and
+ * day-long gaps.
+ *
+ * Every grid point is linearly interpolated from the observations either
+ * side of it. A point with no observation within half a step is flagged
+ * `imputed`; inside a gap longer than maxGapMinutes it is masked (NaN), so
+ * nothing is invented across an outage. Each point also carries the minutes
+ * since the last real observation, which the network can take as an input
+ * (timeDelta).
+ *
+ * Gap handling for training:
+ *   interpolate  imputed points are used as inputs and targets
+ *   mask         imputed points are inputs only; they are never targets
+ * Held-out scoring always skips imputed targets.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { CHANNELS } from './telemetryIngest.js';
+
+export const GAP_FILLS = {
+    interpolate: 'Interpolate (imputed points are inputs and targets)',
+    mask: 'Mask (imputed points are inputs only)'
+};
+
+// Settings for a series of unknown orbit; maxGapMinutes defaults per orbit
+// (see MAX_GAP_MINUTES)
+export const DEFAULT_RESAMPLING = {
+    stepMinutes: 15,
+    gapFill: 'mask',
+    maxGapMinutes: 240,
+    timeDelta: false
+};
+
+// Default gap limit per orbit. GEO rows two hours apart are interpolated and
+// outages of several hours masked. The MEO files are a few hours of data a
+// day, so their day-long gaps are bridged; masking them would leave no
+// 12-hour window to train on.
+export const MAX_GAP_MINUTES = { GEO: 240, MEO: 2880 };
+
+/**
+ * Default maxGapMinutes for an orbit ("GEO", "MEO"), or the generic default
+ */
+export function defaultMaxGapMinutes(orbit) {
+    return MAX_GAP_MINUTES[orbit] ?? DEFAULT_RESAMPLING.maxGapMinutes;
+}
+
+// Extra network input when timeDelta is on
+export const TIME_DELTA_FEATURE = 'sinceObservedMinutes';
+
+/**
+ * Resampling settings of a training configuration, with defaults
+ * @param {Object} config - { stepMinutes, gapFill, maxGapMinutes, timeDelta }
+ * @param {string} [orbit] - Orbit of the series, for the default maxGapMinutes
+ * @returns {Object} Settings as stored with a trained model
+ */
+export function resamplingOf(config = {}, orbit = null) {
+    const defaults = { ...DEFAULT_RESAMPLING, maxGapMinutes: defaultMaxGapMinutes(orbit) };
+    const settings = Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, config[key] ?? value]));
+    if (!GAP_FILLS[settings.gapFill]) {
+        throw new Error(`Unknown gap fill "${settings.gapFill}" (expected ${Object.keys(GAP_FILLS).join(' or ')})`);
+    }
+    if (!(settings.stepMinutes > 0)) throw new Error('stepMinutes must be positive');
+    if (!(settings.maxGapMinutes > 0)) throw new Error('maxGapMinutes must be positive');
+    return settings;
+}
+
+/**
+ * True if every row has a timestamp, so the series can be resampled
+ */
+export const hasTimestamps = (rows) => rows.length > 1 && rows.every(r => Number.isFinite(r.timestamp));
+
+/**
+ * Real observations, oldest first, with rows sharing a timestamp averaged.
+ * Rows flagged imputed and rows with a missing channel are not observations,
+ * so an already resampled series resamples to itself.
+ */
+function observations(rows) {
+    const valid = rows
+        .filter(r => !r.imputed && Number.isFinite(r.timestamp) && CHANNELS.every(c => Number.isFinite(r[c])))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const merged = [];
+    for (let i = 0; i < valid.length;) {
+        let j = i;
+        while (j < valid.length && valid[j].timestamp === valid[i].timestamp) j++;
+        const group = valid.slice(i, j);
+        merged.push({
+            timestamp: valid[i].timestamp,
+            ...Object.fromEntries(CHANNELS.map(c => [c, group.reduce((sum, r) => sum + r[c], 0) / group.length]))
+        });
+        i = j;
+    }
+    return merged;
+}
+
+/**
+ * Resample telemetry onto a regular grid
+ * @param {Array} rows - Rows with a millisecond timestamp and the four channels, any order
+ * @param {Object} options - { stepMinutes, maxGapMinutes (Infinity to interpolate across any gap),
+ *                            anchor ('start': grid begins at the first observation; 'end': ends at the last) }
+ * @returns {Object} { rows: [{ timestamp, clock, radial, along, cross, imputed, sinceObservedMinutes }],
+ *                     stepMinutes, observations, imputed, masked, gaps: [{ start, end, minutes }] }
+ */
+export function regularizeSeries(rows, { stepMinutes = DEFAULT_RESAMPLING.stepMinutes, maxGapMinutes = DEFAULT_RESAMPLING.maxGapMinutes, anchor = 'start' } = {}) {
+    const observed = observations(rows);
+    if (observed.length < 2) throw new Error(`Need at least 2 timestamped observations to resample, have ${observed.length}`);
+
+    const step = stepMinutes * 60000;
+    const first = observed[0].timestamp;
+    const last = observed[observed.length - 1].timestamp;
+    const count = Math.floor((last - first) / step + 1e-9) + 1;
+    const start = anchor === 'end' ? last - (count - 1) * step : first;
+
+    const grid = [];
+    let j = 0;
+    for (let k = 0; k < count; k++) {
+        const t = start + k * step;
+        while (j + 1 < observed.length && observed[j + 1].timestamp <= t) j++;
+        const prev = observed[j];
+        const next = observed[j + 1] ?? prev;
+        const nearest = Math.min(Math.abs(t - prev.timestamp), Math.abs(next.timestamp - t));
+        const imputed = nearest > step / 2;
+        const masked = imputed && (next.timestamp - prev.timestamp) / 60000 > maxGapMinutes;
+        const w = next.timestamp > prev.timestamp ? (t - prev.timestamp) / (next.timestamp - prev.timestamp) : 0;
+
+        grid.push({
+            timestamp: t,
+            ...Object.fromEntries(CHANNELS.map(c => [c, masked ? NaN : prev[c] + w * (next[c] - prev[c])])),
+            imputed,
+            sinceObservedMinutes: Math.max(0, (t - prev.timestamp) / 60000)
+        });
+    }
+
+    const gaps = observed.slice(1)
+        .map((o, i) => ({ start: observed[i].timestamp, end: o.timestamp, minutes: (o.timestamp - observed[i].timestamp) / 60000 }))
+        .filter(g => g.minutes > maxGapMinutes);
+
+    return {
+        rows: grid,
+        stepMinutes,
+        observations: observed.length,
+        imputed: grid.filter(r => r.imputed).length,
+        masked: grid.filter(r => !Number.isFinite(r.clock)).length,
+        gaps
+    };
+}
+
+/**
+ * Lead time of a horizon on a grid, e.g. 4 steps of 15 min → "1h"
+ */
+export function horizonLabel(steps, stepMinutes = DEFAULT_RESAMPLING.stepMinutes) {
+    const minutes = steps * stepMinutes;
+    const round = (value) => Number(value.toFixed(2));
+    if (minutes < 60) return `${round(minutes)}m`;
+    if (minutes < 1440) return `${round(minutes / 60)}h`;
+    return `${round(minutes / 1440)}d`;
+}
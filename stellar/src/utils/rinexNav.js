@@ -0,0 +1,245 @@
+/**
+ * RINEX Navigation Files
+ * Parser for RINEX 3.0x and 4.0x broadcast navigation files (mixed or
+ * single-system) and ephemeris selection per satellite.
+ *
+ * Keplerian records (GPS LNAV, Galileo I/NAV and F/NAV, BeiDou D1/D2, QZSS
+ * LNAV, NavIC LNAV) and GLONASS FDMA state vectors are kept; SBAS, CNAV-type
+ * messages and RINEX 4 STO/EOP/ION records are counted and skipped.
+ * Epochs are converted to GPS time (ms); angles are radians, GLONASS
+ * positions metres.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { toGPSTime } from './gnssFormats.js';
+import { isBeiDouGEO } from './orbit.js';
+
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const WEEK_MS = 604800000;
+
+// Keplerian systems and the message a RINEX 3 record carries (RINEX 4 names
+// it in the record header); Galileo and BeiDou records are refined below
+const KEPLERIAN_MESSAGES = { G: 'LNAV', E: 'INAV', C: 'D1', J: 'LNAV', I: 'LNAV' };
+const KEPLERIAN_TYPES = new Set(['LNAV', 'INAV', 'FNAV', 'D1', 'D2']);
+
+// Time system each constellation's navigation message is written in
+const NAV_TIME_SYSTEMS = { G: 'GPS', E: 'GAL', C: 'BDT', J: 'QZS', I: 'IRN', R: 'UTC' };
+
+// Galileo "data sources" bits: clock parameters for E5a/E1 (F/NAV) or E5b/E1 (I/NAV)
+const GALILEO_E1E5A = 1 << 8;
+const GALILEO_E1E5B = 1 << 9;
+
+// Default validity half-window around toe (GLONASS: tb) per system, in seconds
+export const EPHEMERIS_MAX_AGE_S = { G: 7200, J: 7200, I: 7200, E: 14400, C: 3600, R: 1800 };
+
+function number(text) {
+    const value = text.trim().replace(/[dD]/, 'E');
+    return value === '' ? null : Number(value);
+}
+
+function epochFields(line) {
+    const [year, month, day, hour, minute, second] = line.slice(4, 23).trim().split(/\s+/).map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute) + Math.round(second * 1000);
+}
+
+/**
+ * Values of a record: three on the epoch line, four per continuation line
+ */
+function recordValues(lines) {
+    const values = [19, 38, 57].map(start => number(lines[0].slice(start + 4, start + 23)));
+    for (const line of lines.slice(1)) {
+        for (let k = 0; k < 4; k++) values.push(number(line.slice(4 + k * 19, 23 + k * 19)));
+    }
+    return values;
+}
+
+/**
+ * Time of ephemeris as an absolute epoch: the instant nearest the clock
+ * reference time whose seconds of week equal toe (robust to week rollovers)
+ */
+function absoluteToe(toc, toeSeconds) {
+    const tocSeconds = (((toc - GPS_EPOCH_MS) % WEEK_MS) + WEEK_MS) % WEEK_MS / 1000;
+    let offset = toeSeconds - tocSeconds;
+    if (offset > WEEK_MS / 2000) offset -= WEEK_MS / 1000;
+    if (offset < -WEEK_MS / 2000) offset += WEEK_MS / 1000;
+    return toc + offset * 1000;
+}
+
+function keplerianRecord(id, message, lines, leapSeconds) {
+    const system = id[0];
+    const v = recordValues(lines);
+    if (v.length < 27 || v.slice(0, 20).some(x => x === null)) return null;
+
+    // Epochs are written in the system's own time; toe is its seconds of week
+    const tocSystem = epochFields(lines[0]);
+    const timeSystem = NAV_TIME_SYSTEMS[system];
+    const toeSystem = absoluteToe(tocSystem, v[11]);
+
+    const record = {
+        system,
+        id,
+        message: message ?? KEPLERIAN_MESSAGES[system],
+        toc: toGPSTime(tocSystem, timeSystem, leapSeconds),
+        af0: v[0], af1: v[1], af2: v[2],
+        iode: v[3], crs: v[4], deltaN: v[5], m0: v[6],
+        cuc: v[7], e: v[8], cus: v[9], sqrtA: v[10],
+        toe: toGPSTime(toeSystem, timeSystem, leapSeconds),
+        toeSeconds: v[11],
+        cic: v[12], omega0: v[13], cis: v[14],
+        i0: v[15], crc: v[16], omega: v[17], omegaDot: v[18],
+        idot: v[19],
+        week: v[21],
+        accuracy: v[23] ?? null,
+        health: v[24] ?? 0,
+        groupDelay: v[25] ?? null
+    };
+
+    if (system === 'E') {
+        record.dataSources = v[20] ?? 0;
+        record.clockPair = record.dataSources & GALILEO_E1E5A ? 'E1E5a'
+            : record.dataSources & GALILEO_E1E5B ? 'E1E5b' : null;
+        if (!message) record.message = record.dataSources & 2 ? 'FNAV' : 'INAV';
+    }
+    if (system === 'C') {
+        record.geoFrame = isBeiDouGEO(id);
+        if (!message) record.message = record.geoFrame ? 'D2' : 'D1';
+    }
+    return record;
+}
+
+function glonassRecord(id, lines, leapSeconds) {
+    const v = recordValues(lines);
+    if (v.length < 15 || v.slice(0, 14).some(x => x === null)) return null;
+
+    // GLONASS epochs are UTC; positions km, velocities km/s, accelerations km/s²
+    const km = (x) => x * 1000;
+    return {
+        system: 'R',
+        id,
+        message: 'FDMA',
+        tb: toGPSTime(epochFields(lines[0]), 'UTC', leapSeconds),
+        clockBias: v[0],
+        relativeFrequencyBias: v[1],
+        messageFrameTime: v[2],
+        position: [km(v[3]), km(v[7]), km(v[11])],
+        velocity: [km(v[4]), km(v[8]), km(v[12])],
+        acceleration: [km(v[5]), km(v[9]), km(v[13])],
+        health: v[6],
+        frequencyNumber: v[10],
+        ageDays: v[14]
+    };
+}
+
+/**
+ * Parse a RINEX 3.0x or 4.0x navigation file
+ * @param {string} text - File contents
+ * @returns {Object} { version, systems, leapSeconds, ephemerides, skipped: { [type]: count } }
+ *                   with ephemerides sorted by satellite and reference time
+ */
+export function parseRinexNav(text) {
+    const lines = text.split(/\r?\n/);
+    const first = lines[0] || '';
+    if (first.slice(60, 80).trim() !== 'RINEX VERSION / TYPE' || first[20] !== 'N') {
+        throw new Error('Not a RINEX navigation file: first line must be "RINEX VERSION / TYPE" with type N');
+    }
+
+    const version = Number(first.slice(0, 9));
+    if (!(version >= 3)) throw new Error(`RINEX ${version} navigation files are not supported (need 3.0x or 4.0x)`);
+
+    const result = {
+        version,
+        systems: first[40] === 'M' || first[40] === ' ' ? 'M' : first[40],
+        leapSeconds: null,
+        ephemerides: [],
+        skipped: {}
+    };
+    const skip = (type) => { result.skipped[type] = (result.skipped[type] || 0) + 1; };
+
+    let body = lines.findIndex(line => line.slice(60).trim() === 'END OF HEADER');
+    if (body < 0) throw new Error('RINEX navigation header has no END OF HEADER line');
+    lines.slice(0, body).forEach(line => {
+        if (line.slice(60).trim() === 'LEAP SECONDS') result.leapSeconds = Number(line.slice(0, 6));
+    });
+    body++;
+
+    // Group lines into records. RINEX 4 opens each with "> TYPE SV MSG"; in
+    // RINEX 3 a record starts at a non-blank first column and its
+    // continuation lines are indented.
+    const records = [];
+    for (const line of lines.slice(body)) {
+        if (line.trim() === '') continue;
+        const last = records.at(-1);
+        if (line.startsWith('>')) {
+            const [type, id, message] = line.slice(1).trim().split(/\s+/);
+            records.push({ header: { type, id, message }, lines: [] });
+        } else if (line[0] !== ' ' && !(last?.header && last.lines.length === 0)) {
+            records.push({ header: null, lines: [line] });
+        } else if (last) {
+            last.lines.push(line);
+        }
+    }
+
+    for (const { header: recordHeader, lines: recordLines } of records) {
+        if (recordHeader && recordHeader.type !== 'EPH') {
+            skip(recordHeader.type);
+            continue;
+        }
+        if (recordLines.length === 0) continue;
+
+        const id = recordLines[0].slice(0, 3).replace(' ', '0');
+        const system = id[0];
+        const message = recordHeader?.message ?? null;
+
+        let record = null;
+        if (system === 'R' && (!message || message === 'FDMA')) {
+            record = glonassRecord(id, recordLines, result.leapSeconds);
+        } else if (KEPLERIAN_MESSAGES[system] && (!message || KEPLERIAN_TYPES.has(message))) {
+            record = keplerianRecord(id, message, recordLines, result.leapSeconds);
+        }
+
+        if (record) result.ephemerides.push(record);
+        else skip(message ? `${system}:${message}` : system);
+    }
+
+    result.ephemerides.sort((a, b) => a.id.localeCompare(b.id) || referenceTime(a) - referenceTime(b));
+    return result;
+}
+
+/**
+ * Reference epoch of an ephemeris (toe, or tb for GLONASS), GPS-time ms
+ */
+export function referenceTime(eph) {
+    return eph.system === 'R' ? eph.tb : eph.toe;
+}
+
+/**
+ * Broadcast ephemeris a receiver would use for a satellite at an epoch: the
+ * healthy record with the nearest reference time inside the validity window
+ * @param {Array} ephemerides - parseRinexNav ephemerides
+ * @param {string} id - Satellite ('G05')
+ * @param {number} time - GPS time (ms)
+ * @param {Object} options - { maxAgeSeconds (default EPHEMERIS_MAX_AGE_S), includeUnhealthy, galileoClockPair ('E1E5a' | 'E1E5b' | null for any) }
+ * @returns {Object|null} The ephemeris, or null if none is valid
+ */
+export function selectEphemeris(ephemerides, id, time, {
+    maxAgeSeconds = EPHEMERIS_MAX_AGE_S[id[0]] ?? 7200,
+    includeUnhealthy = false,
+    galileoClockPair = 'E1E5a'
+} = {}) {
+    let best = null;
+    let bestAge = Infinity;
+
+    for (const eph of ephemerides) {
+        if (eph.id !== id) continue;
+        if (!includeUnhealthy && eph.health) continue;
+        if (eph.system === 'E' && galileoClockPair && eph.clockPair && eph.clockPair !== galileoClockPair) continue;
+
+        const age = Math.abs(time - referenceTime(eph)) / 1000;
+        if (age <= maxAgeSeconds && age < bestAge) {
+            best = eph;
+            bestAge = age;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,828 @@
+/**
+ * SGP4 / SDP4 Propagator
+ * Propagates NORAD mean element sets (TLE, CCSDS OMM) with the SGP4 model of
+ * Spacetrack Report #3 as revised by Vallado et al. (AIAA 2006-6753),
+ * including the deep-space (SDP4) lunar-solar and resonance terms that every
+ * GNSS orbit uses (period ≥ 225 min).
+ *
+ * Output is in the TEME frame (km, km/s); orbit.js turns it Earth-fixed with
+ * the sidereal angle. WGS-72 constants and the "improved" operation mode
+ * are used, as for the published element sets.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+const TWO_PI = 2 * Math.PI;
+const DEG = Math.PI / 180;
+const X2O3 = 2 / 3;
+const MINUTES_PER_DAY = 1440;
+const JD_UNIX_EPOCH = 2440587.5;
+const JD_1950 = 2433281.5;
+const EARTH_ROTATION = 7.292115e-5;
+
+// WGS-72 gravity model
+const WGS72 = (() => {
+    const mu = 398600.8;
+    const radiusEarthKm = 6378.135;
+    const xke = 60 / Math.sqrt((radiusEarthKm * radiusEarthKm * radiusEarthKm) / mu);
+    const j2 = 0.001082616;
+    const j3 = -0.00000253881;
+    const j4 = -0.00000165597;
+    return { mu, radiusEarthKm, xke, tumin: 1 / xke, j2, j3, j4, j3oj2: j3 / j2 };
+})();
+
+export const SGP4_ERRORS = {
+    1: 'mean eccentricity out of range',
+    2: 'mean motion below zero',
+    3: 'perturbed eccentricity out of range',
+    4: 'semi-latus rectum below zero',
+    6: 'satellite has decayed'
+};
+
+/**
+ * Greenwich mean sidereal time (rad, IAU 1982) at a UT1 Julian date
+ */
+export function gstime(jdut1) {
+    const tut1 = (jdut1 - 2451545) / 36525;
+    let temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1 +
+        (876600 * 3600 + 8640184.812866) * tut1 + 67310.54841;
+    temp = ((temp * DEG) / 240) % TWO_PI;
+    return temp < 0 ? temp + TWO_PI : temp;
+}
+
+// ─── Deep space ──────────────────────────────────────────────────────
+
+/**
+ * Lunar-solar terms shared by the deep-space initialisation and periodics
+ */
+function dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+    const zes = 0.01675;
+    const zel = 0.0549;
+    const c1ss = 2.9864797e-6;
+    const c1l = 4.7968065e-7;
+    const zsinis = 0.39785416;
+    const zcosis = 0.91744867;
+    const zcosgs = 0.1945905;
+    const zsings = -0.98088458;
+
+    const nm = np;
+    const em = ep;
+    const snodm = Math.sin(nodep);
+    const cnodm = Math.cos(nodep);
+    const sinomm = Math.sin(argpp);
+    const cosomm = Math.cos(argpp);
+    const sinim = Math.sin(inclp);
+    const cosim = Math.cos(inclp);
+    const emsq = em * em;
+    const betasq = 1 - emsq;
+    const rtemsq = Math.sqrt(betasq);
+
+    const day = epoch + 18261.5 + tc / MINUTES_PER_DAY;
+    const xnodce = (4.523602 - 9.2422029e-4 * day) % TWO_PI;
+    const stem = Math.sin(xnodce);
+    const ctem = Math.cos(xnodce);
+    const zcosil = 0.91375164 - 0.03568096 * ctem;
+    const zsinil = Math.sqrt(1 - zcosil * zcosil);
+    const zsinhl = (0.089683511 * stem) / zsinil;
+    const zcoshl = Math.sqrt(1 - zsinhl * zsinhl);
+    const gam = 5.8351514 + 0.001944368 * day;
+    let zx = (0.39785416 * stem) / zsinil;
+    const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+    zx = gam + Math.atan2(zx, zy) - xnodce;
+    const zcosgl = Math.cos(zx);
+    const zsingl = Math.sin(zx);
+
+    // Solar pass first, then lunar
+    let zcosg = zcosgs;
+    let zsing = zsings;
+    let zcosi = zcosis;
+    let zsini = zsinis;
+    let zcosh = cnodm;
+    let zsinh = snodm;
+    let cc = c1ss;
+    const xnoi = 1 / nm;
+    const out = {};
+
+    for (let lsflg = 1; lsflg <= 2; lsflg++) {
+        const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+        const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+        const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+        const a8 = zsing * zsini;
+        const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+        const a10 = zcosg * zsini;
+        const a2 = cosim * a7 + sinim * a8;
+        const a4 = cosim * a9 + sinim * a10;
+        const a5 = -sinim * a7 + cosim * a8;
+        const a6 = -sinim * a9 + cosim * a10;
+
+        const x1 = a1 * cosomm + a2 * sinomm;
+        const x2 = a3 * cosomm + a4 * sinomm;
+        const x3 = -a1 * sinomm + a2 * cosomm;
+        const x4 = -a3 * sinomm + a4 * cosomm;
+        const x5 = a5 * sinomm;
+        const x6 = a6 * sinomm;
+        const x7 = a5 * cosomm;
+        const x8 = a6 * cosomm;
+
+        const z31 = 12 * x1 * x1 - 3 * x3 * x3;
+        const z32 = 24 * x1 * x2 - 6 * x3 * x4;
+        const z33 = 12 * x2 * x2 - 3 * x4 * x4;
+        let z1 = 3 * (a1 * a1 + a2 * a2) + z31 * emsq;
+        let z2 = 6 * (a1 * a3 + a2 * a4) + z32 * emsq;
+        let z3 = 3 * (a3 * a3 + a4 * a4) + z33 * emsq;
+        const z11 = -6 * a1 * a5 + emsq * (-24 * x1 * x7 - 6 * x3 * x5);
+        const z12 = -6 * (a1 * a6 + a3 * a5) + emsq * (-24 * (x2 * x7 + x1 * x8) - 6 * (x3 * x6 + x4 * x5));
+        const z13 = -6 * a3 * a6 + emsq * (-24 * x2 * x8 - 6 * x4 * x6);
+        const z21 = 6 * a2 * a5 + emsq * (24 * x1 * x5 - 6 * x3 * x7);
+        const z22 = 6 * (a4 * a5 + a2 * a6) + emsq * (24 * (x2 * x5 + x1 * x6) - 6 * (x4 * x7 + x3 * x8));
+        const z23 = 6 * a4 * a6 + emsq * (24 * x2 * x6 - 6 * x4 * x8);
+        z1 = z1 + z1 + betasq * z31;
+        z2 = z2 + z2 + betasq * z32;
+        z3 = z3 + z3 + betasq * z33;
+        const s3 = cc * xnoi;
+        const s2 = (-0.5 * s3) / rtemsq;
+        const s4 = s3 * rtemsq;
+        const s1 = -15 * em * s4;
+        const s5 = x1 * x3 + x2 * x4;
+        const s6 = x2 * x3 + x1 * x4;
+        const s7 = x2 * x4 - x1 * x3;
+
+        const terms = { s1, s2, s3, s4, s5, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 };
+        if (lsflg === 1) {
+            // Solar terms keep an "s" prefix (ss1..ss7, sz1..sz33)
+            Object.entries(terms).forEach(([key, value]) => { out[`s${key}`] = value; });
+            zcosg = zcosgl;
+            zsing = zsingl;
+            zcosi = zcosil;
+            zsini = zsinil;
+            zcosh = zcoshl * cnodm + zsinhl * snodm;
+            zsinh = snodm * zcoshl - cnodm * zsinhl;
+            cc = c1l;
+        } else {
+            Object.assign(out, terms);
+        }
+    }
+
+    const { ss1, ss2, ss3, ss4, ss6, ss7, sz1, sz2, sz3, sz11, sz12, sz13, sz21, sz22, sz23, sz31, sz32, sz33 } = out;
+    const { s1, s2, s3, s4, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 } = out;
+
+    return {
+        ...out,
+        snodm, cnodm, sinim, cosim, sinomm, cosomm, day, em, emsq, gam, rtemsq, nm,
+        zmol: (4.7199672 + 0.2299715 * day - gam) % TWO_PI,
+        zmos: (6.2565837 + 0.017201977 * day) % TWO_PI,
+        // Solar
+        se2: 2 * ss1 * ss6,
+        se3: 2 * ss1 * ss7,
+        si2: 2 * ss2 * sz12,
+        si3: 2 * ss2 * (sz13 - sz11),
+        sl2: -2 * ss3 * sz2,
+        sl3: -2 * ss3 * (sz3 - sz1),
+        sl4: -2 * ss3 * (-21 - 9 * emsq) * zes,
+        sgh2: 2 * ss4 * sz32,
+        sgh3: 2 * ss4 * (sz33 - sz31),
+        sgh4: -18 * ss4 * zes,
+        sh2: -2 * ss2 * sz22,
+        sh3: -2 * ss2 * (sz23 - sz21),
+        // Lunar
+        ee2: 2 * s1 * s6,
+        e3: 2 * s1 * s7,
+        xi2: 2 * s2 * z12,
+        xi3: 2 * s2 * (z13 - z11),
+        xl2: -2 * s3 * z2,
+        xl3: -2 * s3 * (z3 - z1),
+        xl4: -2 * s3 * (-21 - 9 * emsq) * zel,
+        xgh2: 2 * s4 * z32,
+        xgh3: 2 * s4 * (z33 - z31),
+        xgh4: -18 * s4 * zel,
+        xh2: -2 * s2 * z22,
+        xh3: -2 * s2 * (z23 - z21)
+    };
+}
+
+/**
+ * Lunar-solar periodics applied to the elements at t minutes from epoch
+ * @param {Object} rec - Satellite record with the dscom coefficients
+ * @param {Object} el - { ep, inclp, nodep, argpp, mp }, updated in place unless init
+ */
+function dpper(rec, t, init, el) {
+    const zns = 1.19459e-5;
+    const zes = 0.01675;
+    const znl = 1.5835218e-4;
+    const zel = 0.0549;
+
+    let zm = init ? rec.zmos : rec.zmos + zns * t;
+    let zf = zm + 2 * zes * Math.sin(zm);
+    let sinzf = Math.sin(zf);
+    let f2 = 0.5 * sinzf * sinzf - 0.25;
+    let f3 = -0.5 * sinzf * Math.cos(zf);
+    const ses = rec.se2 * f2 + rec.se3 * f3;
+    const sis = rec.si2 * f2 + rec.si3 * f3;
+    const sls = rec.sl2 * f2 + rec.sl3 * f3 + rec.sl4 * sinzf;
+    const sghs = rec.sgh2 * f2 + rec.sgh3 * f3 + rec.sgh4 * sinzf;
+    const shs = rec.sh2 * f2 + rec.sh3 * f3;
+
+    zm = init ? rec.zmol : rec.zmol + znl * t;
+    zf = zm + 2 * zel * Math.sin(zm);
+    sinzf = Math.sin(zf);
+    f2 = 0.5 * sinzf * sinzf - 0.25;
+    f3 = -0.5 * sinzf * Math.cos(zf);
+    const sel = rec.ee2 * f2 + rec.e3 * f3;
+    const sil = rec.xi2 * f2 + rec.xi3 * f3;
+    const sll = rec.xl2 * f2 + rec.xl3 * f3 + rec.xl4 * sinzf;
+    const sghl = rec.xgh2 * f2 + rec.xgh3 * f3 + rec.xgh4 * sinzf;
+    const shll = rec.xh2 * f2 + rec.xh3 * f3;
+
+    if (init) return;
+
+    const pe = ses + sel - rec.peo;
+    const pinc = sis + sil - rec.pinco;
+    const pl = sls + sll - rec.plo;
+    let pgh = sghs + sghl - rec.pgho;
+    let ph = shs + shll - rec.pho;
+
+    el.inclp += pinc;
+    el.ep += pe;
+    const sinip = Math.sin(el.inclp);
+    const cosip = Math.cos(el.inclp);
+
+    if (el.inclp >= 0.2) {
+        ph /= sinip;
+        pgh -= cosip * ph;
+        el.argpp += pgh;
+        el.nodep += ph;
+        el.mp += pl;
+        return;
+    }
+
+    // Lyddane modification for low inclinations
+    const sinop = Math.sin(el.nodep);
+    const cosop = Math.cos(el.nodep);
+    const alfdp = sinip * sinop + (ph * cosop + pinc * cosip * sinop);
+    const betdp = sinip * cosop + (-ph * sinop + pinc * cosip * cosop);
+    el.nodep %= TWO_PI;
+    const xls = el.mp + el.argpp + cosip * el.nodep + (pl + pgh - pinc * el.nodep * sinip);
+    const xnoh = el.nodep;
+    el.nodep = Math.atan2(alfdp, betdp);
+    if (Math.abs(xnoh - el.nodep) > Math.PI) {
+        el.nodep += el.nodep < xnoh ? TWO_PI : -TWO_PI;
+    }
+    el.mp += pl;
+    el.argpp = xls - el.mp - cosip * el.nodep;
+}
+
+/**
+ * Deep-space secular rates and resonance coefficients
+ */
+function dsinit(rec, c, { tc, xpidot, eccsq, inclm }) {
+    const q22 = 1.7891679e-6;
+    const q31 = 2.1460748e-6;
+    const q33 = 2.2123015e-7;
+    const root22 = 1.7891679e-6;
+    const root44 = 7.3636953e-9;
+    const root54 = 2.1765803e-9;
+    const rptim = 4.3752690880113e-3;
+    const root32 = 3.7393792e-7;
+    const root52 = 1.1428639e-7;
+    const znl = 1.5835218e-4;
+    const zns = 1.19459e-5;
+
+    const { cosim, sinim, emsq, nm, em } = c;
+
+    rec.irez = 0;
+    if (nm < 0.0052359877 && nm > 0.0034906585) rec.irez = 1;
+    if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) rec.irez = 2;
+
+    const nearEquatorial = inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2;
+
+    // Solar
+    const ses = c.ss1 * zns * c.ss5;
+    const sis = c.ss2 * zns * (c.sz11 + c.sz13);
+    const sls = -zns * c.ss3 * (c.sz1 + c.sz3 - 14 - 6 * emsq);
+    const sghs = c.ss4 * zns * (c.sz31 + c.sz33 - 6);
+    let shs = nearEquatorial ? 0 : -zns * c.ss2 * (c.sz21 + c.sz23);
+    if (sinim !== 0) shs /= sinim;
+    const sgs = sghs - cosim * shs;
+
+    // Lunar
+    rec.dedt = ses + c.s1 * znl * c.s5;
+    rec.didt = sis + c.s2 * znl * (c.z11 + c.z13);
+    rec.dmdt = sls - znl * c.s3 * (c.z1 + c.z3 - 14 - 6 * emsq);
+    const sghl = c.s4 * znl * (c.z31 + c.z33 - 6);
+    const shll = nearEquatorial ? 0 : -znl * c.s2 * (c.z21 + c.z23);
+    rec.domdt = sgs + sghl;
+    rec.dnodt = shs;
+    if (sinim !== 0) {
+        rec.domdt -= (cosim / sinim) * shll;
+        rec.dnodt += shll / sinim;
+    }
+
+    const theta = (rec.gsto + tc * rptim) % TWO_PI;
+    if (rec.irez === 0) return;
+
+    const aonv = Math.pow(nm / WGS72.xke, X2O3);
+
+    if (rec.irez === 2) {
+        // Geopotential resonance for 12-hour orbits, evaluated at the epoch eccentricity
+        const cosisq = cosim * cosim;
+        const e = rec.ecco;
+        const esq = eccsq;
+        const eoc = e * esq;
+        const g201 = -0.306 - (e - 0.64) * 0.44;
+        let g211, g310, g322, g410, g422, g520, g533, g521, g532;
+
+        if (e <= 0.65) {
+            g211 = 3.616 - 13.247 * e + 16.29 * esq;
+            g310 = -19.302 + 117.39 * e - 228.419 * esq + 156.591 * eoc;
+            g322 = -18.9068 + 109.7927 * e - 214.6334 * esq + 146.5816 * eoc;
+            g410 = -41.122 + 242.694 * e - 471.094 * esq + 313.953 * eoc;
+            g422 = -146.407 + 841.88 * e - 1629.014 * esq + 1083.435 * eoc;
+            g520 = -532.114 + 3017.977 * e - 5740.032 * esq + 3708.276 * eoc;
+        } else {
+            g211 = -72.099 + 331.819 * e - 508.738 * esq + 266.724 * eoc;
+            g310 = -346.844 + 1582.851 * e - 2415.925 * esq + 1246.113 * eoc;
+            g322 = -342.585 + 1554.908 * e - 2366.899 * esq + 1215.972 * eoc;
+            g410 = -1052.797 + 4758.686 * e - 7193.992 * esq + 3651.957 * eoc;
+            g422 = -3581.69 + 16178.11 * e - 24462.77 * esq + 12422.52 * eoc;
+            g520 = e > 0.715
+                ? -5149.66 + 29936.92 * e - 54087.36 * esq + 31324.56 * eoc
+                : 1464.74 - 4664.75 * e + 3763.64 * esq;
+        }
+        if (e < 0.7) {
+            g533 = -919.2277 + 4988.61 * e - 9064.77 * esq + 5542.21 * eoc;
+            g521 = -822.71072 + 4568.6173 * e - 8491.4146 * esq + 5337.524 * eoc;
+            g532 = -853.666 + 4690.25 * e - 8624.77 * esq + 5341.4 * eoc;
+        } else {
+            g533 = -37995.78 + 161616.52 * e - 229838.2 * esq + 109377.94 * eoc;
+            g521 = -51752.104 + 218913.95 * e - 309468.16 * esq + 146349.42 * eoc;
+            g532 = -40023.88 + 170470.89 * e - 242699.48 * esq + 115605.82 * eoc;
+        }
+
+        const sini2 = sinim * sinim;
+        const f220 = 0.75 * (1 + 2 * cosim + cosisq);
+        const f221 = 1.5 * sini2;
+        const f321 = 1.875 * sinim * (1 - 2 * cosim - 3 * cosisq);
+        const f322 = -1.875 * sinim * (1 + 2 * cosim - 3 * cosisq);
+        const f441 = 35 * sini2 * f220;
+        const f442 = 39.375 * sini2 * sini2;
+        const f522 = 9.84375 * sinim * (sini2 * (1 - 2 * cosim - 5 * cosisq) +
+            0.33333333 * (-2 + 4 * cosim + 6 * cosisq));
+        const f523 = sinim * (4.92187512 * sini2 * (-2 - 4 * cosim + 10 * cosisq) +
+            6.56250012 * (1 + 2 * cosim - 3 * cosisq));
+        const f542 = 29.53125 * sinim * (2 - 8 * cosim + cosisq * (-12 + 8 * cosim + 10 * cosisq));
+        const f543 = 29.53125 * sinim * (-2 - 8 * cosim + cosisq * (12 + 8 * cosim - 10 * cosisq));
+
+        const xno2 = nm * nm;
+        const ainv2 = aonv * aonv;
+        let temp1 = 3 * xno2 * ainv2;
+        let temp = temp1 * root22;
+        rec.d2201 = temp * f220 * g201;
+        rec.d2211 = temp * f221 * g211;
+        temp1 *= aonv;
+        temp = temp1 * root32;
+        rec.d3210 = temp * f321 * g310;
+        rec.d3222 = temp * f322 * g322;
+        temp1 *= aonv;
+        temp = 2 * temp1 * root44;
+        rec.d4410 = temp * f441 * g410;
+        rec.d4422 = temp * f442 * g422;
+        temp1 *= aonv;
+        temp = temp1 * root52;
+        rec.d5220 = temp * f522 * g520;
+        rec.d5232 = temp * f523 * g532;
+        temp = 2 * temp1 * root54;
+        rec.d5421 = temp * f542 * g521;
+        rec.d5433 = temp * f543 * g533;
+        rec.xlamo = (rec.mo + rec.nodeo + rec.nodeo - theta - theta) % TWO_PI;
+        rec.xfact = rec.mdot + rec.dmdt + 2 * (rec.nodedot + rec.dnodt - rptim) - rec.no;
+    }
+
+    if (rec.irez === 1) {
+        // Synchronous resonance
+        const g200 = 1 + emsq * (-2.5 + 0.8125 * emsq);
+        const g310 = 1 + 2 * emsq;
+        const g300 = 1 + emsq * (-6 + 6.60937 * emsq);
+        const f220 = 0.75 * (1 + cosim) * (1 + cosim);
+        const f311 = 0.9375 * sinim * sinim * (1 + 3 * cosim) - 0.75 * (1 + cosim);
+        const f330 = 1.875 * (1 + cosim) ** 3;
+        const del1 = 3 * nm * nm * aonv * aonv;
+        rec.del2 = 2 * del1 * f220 * g200 * q22;
+        rec.del3 = 3 * del1 * f330 * g300 * q33 * aonv;
+        rec.del1 = del1 * f311 * g310 * q31 * aonv;
+        rec.xlamo = (rec.mo + rec.nodeo + rec.argpo - theta) % TWO_PI;
+        rec.xfact = rec.mdot + xpidot - rptim + rec.dmdt + rec.domdt + rec.dnodt - rec.no;
+    }
+
+    rec.xli = rec.xlamo;
+    rec.xni = rec.no;
+    rec.atime = 0;
+}
+
+/**
+ * Deep-space secular effects and resonance integration to t minutes
+ * @param {Object} mean - { em, argpm, inclm, mm, nodem, nm }, updated in place
+ */
+function dspace(rec, t, mean) {
+    const fasx2 = 0.13130908;
+    const fasx4 = 2.8843198;
+    const fasx6 = 0.37448087;
+    const g22 = 5.7686396;
+    const g32 = 0.95240898;
+    const g44 = 1.8014998;
+    const g52 = 1.050833;
+    const g54 = 4.4108898;
+    const rptim = 4.3752690880113e-3;
+    const stepp = 720;
+    const stepn = -720;
+    const step2 = 259200;
+
+    const theta = (rec.gsto + t * rptim) % TWO_PI;
+    mean.em += rec.dedt * t;
+    mean.inclm += rec.didt * t;
+    mean.argpm += rec.domdt * t;
+    mean.nodem += rec.dnodt * t;
+    mean.mm += rec.dmdt * t;
+
+    if (rec.irez === 0) return;
+
+    // Restart the Euler-Maclaurin integration from epoch when t moves back or changes sign
+    if (rec.atime === 0 || t * rec.atime <= 0 || Math.abs(t) < Math.abs(rec.atime)) {
+        rec.atime = 0;
+        rec.xni = rec.no;
+        rec.xli = rec.xlamo;
+    }
+    const delt = t > 0 ? stepp : stepn;
+
+    let xndt;
+    let xldot;
+    let xnddt;
+    let ft = 0;
+    for (;;) {
+        if (rec.irez !== 2) {
+            xndt = rec.del1 * Math.sin(rec.xli - fasx2) + rec.del2 * Math.sin(2 * (rec.xli - fasx4)) +
+                rec.del3 * Math.sin(3 * (rec.xli - fasx6));
+            xldot = rec.xni + rec.xfact;
+            xnddt = (rec.del1 * Math.cos(rec.xli - fasx2) + 2 * rec.del2 * Math.cos(2 * (rec.xli - fasx4)) +
+                3 * rec.del3 * Math.cos(3 * (rec.xli - fasx6))) * xldot;
+        } else {
+            const xomi = rec.argpo + rec.argpdot * rec.atime;
+            const x2omi = xomi + xomi;
+            const x2li = rec.xli + rec.xli;
+            xndt = rec.d2201 * Math.sin(x2omi + rec.xli - g22) + rec.d2211 * Math.sin(rec.xli - g22) +
+                rec.d3210 * Math.sin(xomi + rec.xli - g32) + rec.d3222 * Math.sin(-xomi + rec.xli - g32) +
+                rec.d4410 * Math.sin(x2omi + x2li - g44) + rec.d4422 * Math.sin(x2li - g44) +
+                rec.d5220 * Math.sin(xomi + rec.xli - g52) + rec.d5232 * Math.sin(-xomi + rec.xli - g52) +
+                rec.d5421 * Math.sin(xomi + x2li - g54) + rec.d5433 * Math.sin(-xomi + x2li - g54);
+            xldot = rec.xni + rec.xfact;
+            xnddt = (rec.d2201 * Math.cos(x2omi + rec.xli - g22) + rec.d2211 * Math.cos(rec.xli - g22) +
+                rec.d3210 * Math.cos(xomi + rec.xli - g32) + rec.d3222 * Math.cos(-xomi + rec.xli - g32) +
+                rec.d5220 * Math.cos(xomi + rec.xli - g52) + rec.d5232 * Math.cos(-xomi + rec.xli - g52) +
+                2 * (rec.d4410 * Math.cos(x2omi + x2li - g44) + rec.d4422 * Math.cos(x2li - g44) +
+                    rec.d5421 * Math.cos(xomi + x2li - g54) + rec.d5433 * Math.cos(-xomi + x2li - g54))) * xldot;
+        }
+
+        if (Math.abs(t - rec.atime) < stepp) {
+            ft = t - rec.atime;
+            break;
+        }
+        rec.xli += xldot * delt + xndt * step2;
+        rec.xni += xndt * delt + xnddt * step2;
+        rec.atime += delt;
+    }
+
+    const nm = rec.xni + xndt * ft + xnddt * ft * ft * 0.5;
+    const xl = rec.xli + xldot * ft + xndt * ft * ft * 0.5;
+    mean.mm = rec.irez !== 1
+        ? xl - 2 * mean.nodem + 2 * theta
+        : xl - mean.nodem - mean.argpm + theta;
+    mean.nm = nm;
+}
+
+// ─── Initialisation ──────────────────────────────────────────────────
+
+/**
+ * Satellite record for a mean element set
+ * @param {Object} elements - { epoch (UTC ms), meanMotion (rev/day), eccentricity, inclination,
+ *                              raan, argPerigee, meanAnomaly (deg), bstar (1/earth radii) }
+ * @returns {Object} Record for sgp4(); record.error is set if the elements cannot be propagated
+ */
+export function sgp4init(elements) {
+    const { xke, j2, j3oj2, j4, radiusEarthKm } = WGS72;
+    const rec = {
+        epochMs: elements.epoch,
+        jdsatepoch: elements.epoch / 86400000 + JD_UNIX_EPOCH,
+        bstar: elements.bstar ?? 0,
+        ecco: elements.eccentricity,
+        inclo: elements.inclination * DEG,
+        nodeo: elements.raan * DEG,
+        argpo: elements.argPerigee * DEG,
+        mo: elements.meanAnomaly * DEG,
+        noKozai: (elements.meanMotion * TWO_PI) / MINUTES_PER_DAY,
+        method: 'n',
+        isimp: 0,
+        irez: 0,
+        error: 0,
+        // Deep-space coefficients default to zero for near-Earth orbits
+        atime: 0, xli: 0, xni: 0, xlamo: 0, xfact: 0,
+        d2201: 0, d2211: 0, d3210: 0, d3222: 0, d4410: 0, d4422: 0, d5220: 0, d5232: 0, d5421: 0, d5433: 0,
+        del1: 0, del2: 0, del3: 0, dedt: 0, didt: 0, dmdt: 0, dnodt: 0, domdt: 0,
+        peo: 0, pinco: 0, plo: 0, pgho: 0, pho: 0
+    };
+    const epoch = rec.jdsatepoch - JD_1950;
+
+    // initl: un-Kozai the mean motion
+    const eccsq = rec.ecco * rec.ecco;
+    const omeosq = 1 - eccsq;
+    const rteosq = Math.sqrt(omeosq);
+    const cosio = Math.cos(rec.inclo);
+    const cosio2 = cosio * cosio;
+    const ak = Math.pow(xke / rec.noKozai, X2O3);
+    const d1 = (0.75 * j2 * (3 * cosio2 - 1)) / (rteosq * omeosq);
+    let del = d1 / (ak * ak);
+    const adel = ak * (1 - del * del - del * (1 / 3 + (134 * del * del) / 81));
+    del = d1 / (adel * adel);
+    rec.no = rec.noKozai / (1 + del);
+
+    const ao = Math.pow(xke / rec.no, X2O3);
+    const sinio = Math.sin(rec.inclo);
+    const po = ao * omeosq;
+    const con42 = 1 - 5 * cosio2;
+    rec.con41 = -con42 - cosio2 - cosio2;
+    const posq = po * po;
+    const rp = ao * (1 - rec.ecco);
+    rec.gsto = gstime(rec.jdsatepoch);
+    rec.a = Math.pow(rec.no * WGS72.tumin, -X2O3);
+
+    if (omeosq < 0 && rec.no < 0) {
+        rec.error = 1;
+        return rec;
+    }
+
+    if (rp < 220 / radiusEarthKm + 1) rec.isimp = 1;
+    let sfour = 78 / radiusEarthKm + 1;
+    let qzms24 = ((120 - 78) / radiusEarthKm) ** 4;
+    const perigee = (rp - 1) * radiusEarthKm;
+
+    // Perigees below 156 km get a lower atmosphere
+    if (perigee < 156) {
+        sfour = perigee < 98 ? 20 : perigee - 78;
+        qzms24 = ((120 - sfour) / radiusEarthKm) ** 4;
+        sfour = sfour / radiusEarthKm + 1;
+    }
+    const pinvsq = 1 / posq;
+
+    const tsi = 1 / (ao - sfour);
+    rec.eta = ao * rec.ecco * tsi;
+    const etasq = rec.eta * rec.eta;
+    const eeta = rec.ecco * rec.eta;
+    const psisq = Math.abs(1 - etasq);
+    const coef = qzms24 * tsi ** 4;
+    const coef1 = coef / psisq ** 3.5;
+    const cc2 = coef1 * rec.no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq)) +
+        ((0.375 * j2 * tsi) / psisq) * rec.con41 * (8 + 3 * etasq * (8 + etasq)));
+    rec.cc1 = rec.bstar * cc2;
+    const cc3 = rec.ecco > 1e-4 ? (-2 * coef * tsi * j3oj2 * rec.no * sinio) / rec.ecco : 0;
+    rec.x1mth2 = 1 - cosio2;
+    rec.cc4 = 2 * rec.no * coef1 * ao * omeosq * (rec.eta * (2 + 0.5 * etasq) + rec.ecco * (0.5 + 2 * etasq) -
+        ((j2 * tsi) / (ao * psisq)) * (-3 * rec.con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+            0.75 * rec.x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * rec.argpo)));
+    rec.cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * j2 * pinvsq * rec.no;
+    const temp2 = 0.5 * temp1 * j2 * pinvsq;
+    const temp3 = -0.46875 * j4 * pinvsq * pinvsq * rec.no;
+    rec.mdot = rec.no + 0.5 * temp1 * rteosq * rec.con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+    rec.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4) +
+        temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    rec.nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+    const xpidot = rec.argpdot + rec.nodedot;
+    rec.omgcof = rec.bstar * cc3 * Math.cos(rec.argpo);
+    rec.xmcof = rec.ecco > 1e-4 ? (-X2O3 * coef * rec.bstar) / eeta : 0;
+    rec.nodecf = 3.5 * omeosq * xhdot1 * rec.cc1;
+    rec.t2cof = 1.5 * rec.cc1;
+    rec.xlcof = (-0.25 * j3oj2 * sinio * (3 + 5 * cosio)) / (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : 1.5e-12);
+    rec.aycof = -0.5 * j3oj2 * sinio;
+    rec.delmo = (1 + rec.eta * Math.cos(rec.mo)) ** 3;
+    rec.sinmao = Math.sin(rec.mo);
+    rec.x7thm1 = 7 * cosio2 - 1;
+
+    if (TWO_PI / rec.no >= 225) {
+        rec.method = 'd';
+        rec.isimp = 1;
+        const c = dscom(epoch, rec.ecco, rec.argpo, 0, rec.inclo, rec.nodeo, rec.no);
+        for (const key of ['e3', 'ee2', 'se2', 'se3', 'sgh2', 'sgh3', 'sgh4', 'sh2', 'sh3', 'si2', 'si3',
+            'sl2', 'sl3', 'sl4', 'xgh2', 'xgh3', 'xgh4', 'xh2', 'xh3', 'xi2', 'xi3', 'xl2', 'xl3', 'xl4',
+            'zmol', 'zmos']) {
+            rec[key] = c[key];
+        }
+        dsinit(rec, c, { tc: 0, xpidot, eccsq, inclm: rec.inclo });
+    }
+
+    if (rec.isimp !== 1) {
+        const cc1sq = rec.cc1 * rec.cc1;
+        rec.d2 = 4 * ao * tsi * cc1sq;
+        const temp = (rec.d2 * tsi * rec.cc1) / 3;
+        rec.d3 = (17 * ao + sfour) * temp;
+        rec.d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * rec.cc1;
+        rec.t3cof = rec.d2 + 2 * cc1sq;
+        rec.t4cof = 0.25 * (3 * rec.d3 + rec.cc1 * (12 * rec.d2 + 10 * cc1sq));
+        rec.t5cof = 0.2 * (3 * rec.d4 + 12 * rec.cc1 * rec.d3 + 6 * rec.d2 * rec.d2 + 15 * cc1sq * (2 * rec.d2 + cc1sq));
+    }
+
+    sgp4(rec, 0);
+    return rec;
+}
+
+// ─── Propagation ─────────────────────────────────────────────────────
+
+/**
+ * Propagate a record to minutes since its epoch
+ * @returns {Object|null} { position: [x, y, z] km, velocity: [vx, vy, vz] km/s } in TEME,
+ *                        or null with rec.error set
+ */
+export function sgp4(rec, tsince) {
+    const { xke, j2, j3oj2, radiusEarthKm } = WGS72;
+    const vkmpersec = (radiusEarthKm * xke) / 60;
+    const t = tsince;
+    rec.error = 0;
+
+    // Secular gravity and atmospheric drag
+    const xmdf = rec.mo + rec.mdot * t;
+    const argpdf = rec.argpo + rec.argpdot * t;
+    const nodedf = rec.nodeo + rec.nodedot * t;
+    const t2 = t * t;
+    const mean = { em: rec.ecco, inclm: rec.inclo, argpm: argpdf, mm: xmdf, nodem: nodedf + rec.nodecf * t2, nm: rec.no };
+    let tempa = 1 - rec.cc1 * t;
+    let tempe = rec.bstar * rec.cc4 * t;
+    let templ = rec.t2cof * t2;
+
+    if (rec.isimp !== 1) {
+        const delomg = rec.omgcof * t;
+        const delm = rec.xmcof * ((1 + rec.eta * Math.cos(xmdf)) ** 3 - rec.delmo);
+        mean.mm = xmdf + delomg + delm;
+        mean.argpm = argpdf - delomg - delm;
+        const t3 = t2 * t;
+        const t4 = t3 * t;
+        tempa -= rec.d2 * t2 + rec.d3 * t3 + rec.d4 * t4;
+        tempe += rec.bstar * rec.cc5 * (Math.sin(mean.mm) - rec.sinmao);
+        templ += rec.t3cof * t3 + t4 * (rec.t4cof + t * rec.t5cof);
+    }
+
+    if (rec.method === 'd') dspace(rec, t, mean);
+
+    if (mean.nm <= 0) {
+        rec.error = 2;
+        return null;
+    }
+    const am = Math.pow(xke / mean.nm, X2O3) * tempa * tempa;
+    const nm = xke / am ** 1.5;
+    let em = mean.em - tempe;
+    if (em >= 1 || em < -0.001) {
+        rec.error = 1;
+        return null;
+    }
+    if (em < 1e-6) em = 1e-6;
+    mean.mm += rec.no * templ;
+    const xlm = (mean.mm + mean.argpm + mean.nodem) % TWO_PI;
+    const nodem = mean.nodem % TWO_PI;
+    const argpm = mean.argpm % TWO_PI;
+    const mm = (xlm - argpm - nodem) % TWO_PI;
+
+    // Lunar-solar periodics
+    const el = { ep: em, inclp: mean.inclm, nodep: nodem, argpp: argpm, mp: mm };
+    let sinip = Math.sin(mean.inclm);
+    let cosip = Math.cos(mean.inclm);
+    let { aycof, xlcof } = rec;
+    if (rec.method === 'd') {
+        dpper(rec, t, false, el);
+        if (el.inclp < 0) {
+            el.inclp = -el.inclp;
+            el.nodep += Math.PI;
+            el.argpp -= Math.PI;
+        }
+        if (el.ep < 0 || el.ep > 1) {
+            rec.error = 3;
+            return null;
+        }
+        sinip = Math.sin(el.inclp);
+        cosip = Math.cos(el.inclp);
+        aycof = -0.5 * j3oj2 * sinip;
+        xlcof = (-0.25 * j3oj2 * sinip * (3 + 5 * cosip)) / (Math.abs(cosip + 1) > 1.5e-12 ? 1 + cosip : 1.5e-12);
+    }
+
+    // Long-period periodics
+    const axnl = el.ep * Math.cos(el.argpp);
+    let temp = 1 / (am * (1 - el.ep * el.ep));
+    const aynl = el.ep * Math.sin(el.argpp) + temp * aycof;
+    const xl = el.mp + el.argpp + el.nodep + temp * xlcof * axnl;
+
+    // Kepler's equation
+    const u = (xl - el.nodep) % TWO_PI;
+    let eo1 = u;
+    let tem5 = 9999.9;
+    let sineo1 = 0;
+    let coseo1 = 0;
+    for (let ktr = 1; Math.abs(tem5) >= 1e-12 && ktr <= 10; ktr++) {
+        sineo1 = Math.sin(eo1);
+        coseo1 = Math.cos(eo1);
+        tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / (1 - coseo1 * axnl - sineo1 * aynl);
+        if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0 ? 0.95 : -0.95;
+        eo1 += tem5;
+    }
+
+    // Short-period preliminary quantities
+    const ecose = axnl * coseo1 + aynl * sineo1;
+    const esine = axnl * sineo1 - aynl * coseo1;
+    const el2 = axnl * axnl + aynl * aynl;
+    const pl = am * (1 - el2);
+    if (pl < 0) {
+        rec.error = 4;
+        return null;
+    }
+    const rl = am * (1 - ecose);
+    const rdotl = (Math.sqrt(am) * esine) / rl;
+    const rvdotl = Math.sqrt(pl) / rl;
+    const betal = Math.sqrt(1 - el2);
+    temp = esine / (1 + betal);
+    const sinu = (am / rl) * (sineo1 - aynl - axnl * temp);
+    const cosu = (am / rl) * (coseo1 - axnl + aynl * temp);
+    let su = Math.atan2(sinu, cosu);
+    const sin2u = (cosu + cosu) * sinu;
+    const cos2u = 1 - 2 * sinu * sinu;
+    temp = 1 / pl;
+    const temp1 = 0.5 * j2 * temp;
+    const temp2 = temp1 * temp;
+
+    let { con41, x1mth2, x7thm1 } = rec;
+    if (rec.method === 'd') {
+        const cosisq = cosip * cosip;
+        con41 = 3 * cosisq - 1;
+        x1mth2 = 1 - cosisq;
+        x7thm1 = 7 * cosisq - 1;
+    }
+
+    // Short-period periodics
+    const mrt = rl * (1 - 1.5 * temp2 * betal * con41) + 0.5 * temp1 * x1mth2 * cos2u;
+    su -= 0.25 * temp2 * x7thm1 * sin2u;
+    const xnode = el.nodep + 1.5 * temp2 * cosip * sin2u;
+    const xinc = el.inclp + 1.5 * temp2 * cosip * sinip * cos2u;
+    const mvt = rdotl - (nm * temp1 * x1mth2 * sin2u) / xke;
+    const rvdot = rvdotl + (nm * temp1 * (x1mth2 * cos2u + 1.5 * con41)) / xke;
+
+    // Orientation vectors
+    const sinsu = Math.sin(su);
+    const cossu = Math.cos(su);
+    const snod = Math.sin(xnode);
+    const cnod = Math.cos(xnode);
+    const sini = Math.sin(xinc);
+    const cosi = Math.cos(xinc);
+    const xmx = -snod * cosi;
+    const xmy = cnod * cosi;
+    const ux = xmx * sinsu + cnod * cossu;
+    const uy = xmy * sinsu + snod * cossu;
+    const uz = sini * sinsu;
+    const vx = xmx * cossu - cnod * sinsu;
+    const vy = xmy * cossu - snod * sinsu;
+    const vz = sini * cossu;
+
+    if (mrt < 1) {
+        rec.error = 6;
+        return null;
+    }
+
+    return {
+        position: [mrt * ux, mrt * uy, mrt * uz].map(v => v * radiusEarthKm),
+        velocity: [mvt * ux + rvdot * vx, mvt * uy + rvdot * vy, mvt * uz + rvdot * vz].map(v => v * vkmpersec)
+    };
+}
+
+/**
+ * Propagate a record to a UTC epoch and rotate into the Earth-fixed frame
+ * (TEME → pseudo-Earth-fixed through GMST; polar motion is ignored)
+ * @param {Object} rec - sgp4init record
+ * @param {number} time - UTC epoch (ms)
+ * @returns {Object|null} { position (m), velocity (m/s) ECEF, teme: { position (km), velocity (km/s) } }
+ */
+export function propagateAt(rec, time) {
+    const teme = sgp4(rec, (time - rec.epochMs) / 60000);
+    if (!teme) return null;
+
+    const theta = gstime(time / 86400000 + JD_UNIX_EPOCH);
+    const c = Math.cos(theta);
+    const s = Math.sin(theta);
+    const [x, y, z] = teme.position.map(v => v * 1000);
+    const [vx, vy, vz] = teme.velocity.map(v => v * 1000);
+    const position = [c * x + s * y, -s * x + c * y, z];
+
+    return {
+        position,
+        velocity: [
+            c * vx + s * vy + EARTH_ROTATION * position[1],
+            -s * vx + c * vy - EARTH_ROTATION * position[0],
+            vz
+        ],
+        teme
+    };
+}
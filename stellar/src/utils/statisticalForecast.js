@@ -0,0 +1,728 @@
+/**
+ * Statistical Forecasting
+ * Classical per-channel forecasters for datasets too short to train the
+ * network on: additive Holt–Winters with the orbital period as the season,
+ * SARIMA with AICc order selection and harmonic regression on the orbital
+ * frequency and its overtones. Each gives analytic Gaussian prediction
+ * intervals; the ensemble is the equal-weight mixture of the three methods
+ * that fit. A Gaussian process with the orbital kernel of gaussianProcess.js
+ * is offered alongside, outside the ensemble.
+ *
+ * Holt–Winters and SARIMA need equally spaced rows (horizons count steps, as
+ * the network's do): timestamped telemetry is resampled onto a grid of the
+ * forecast step ending at the latest row (utils/resample.js) before they are
+ * fitted. Grid points without an observation are treated as missing: the
+ * recursions run through them on their one-step predictions, and only errors
+ * at observed points enter the fit and the innovation variance, so
+ * interpolation never narrows the intervals. Harmonic regression and the
+ * Gaussian process fit the real observations at their timestamps, so gaps
+ * only widen their intervals.
+ *
+ * A forecast is
+ *   { method, label, stepMinutes, periodSteps,
+ *     horizons: [{ horizon, leadMinutes, clock: { mean, std }, radial, along, cross }],
+ *     models: { channel: { method, label, aicc, sigma, order? | kernel? } or [those] for the ensemble } }
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+import { CHANNELS, medianStepMinutes } from './telemetryIngest.js';
+import { fitARIMA } from './backtest.js';
+import { fitGaussianProcess, predictGaussianProcess, orbitalKernel } from './gaussianProcess.js';
+import { regularizeSeries, hasTimestamps } from './resample.js';
+
+export const STATISTICAL_METHODS = {
+    holtWinters: 'Holt–Winters (damped, orbital season)',
+    sarima: 'SARIMA (AICc order selection)',
+    harmonic: 'Harmonic regression (orbital frequencies)',
+    gaussianProcess: 'Gaussian process (orbital kernel)',
+    ensemble: 'Statistical ensemble'
+};
+
+const MAX_HARMONICS = 3;
+const ENSEMBLE = ['holtWinters', 'sarima', 'harmonic'];
+// Methods that count horizons in rows
+const EQUALLY_SPACED = ['holtWinters', 'sarima'];
+// The GP is cubic in the points fitted
+const GP_MAX_POINTS = 200;
+
+// ─── Numerics ────────────────────────────────────────────────────────
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+const mean = (values) => sum(values) / values.length;
+const variance = (values) => {
+    const m = mean(values);
+    return sum(values.map(v => (v - m) ** 2)) / values.length;
+};
+const logistic = (u) => 1 / (1 + Math.exp(-u));
+const difference = (values, lag) => values.slice(lag).map((v, t) => v - values[t]);
+// Which differences are observed: both of their points must be
+const differenceMask = (observed, lag) => observed.slice(lag).map((v, t) => v && observed[t]);
+
+/**
+ * Small-sample corrected Akaike information criterion from the residual sum
+ * of squares of n fitted points and k estimated parameters
+ */
+function aicc(sse, n, k) {
+    if (n - k - 1 <= 0 || !(sse > 0)) return Infinity;
+    return n * Math.log(sse / n) + 2 * k + (2 * k * (k + 1)) / (n - k - 1);
+}
+
+/**
+ * Nelder–Mead simplex minimization
+ * @param {Function} f - Objective of a parameter array
+ * @param {Array} x0 - Starting point
+ * @returns {Object} { x, value }
+ */
+function minimize(f, x0, { step = 0.1, maxIterations = 150 * Math.max(1, x0.length), tolerance = 1e-10 } = {}) {
+    const n = x0.length;
+    if (n === 0) return { x: [], value: f([]) };
+
+    let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + step : v)))]
+        .map(x => ({ x, value: f(x) }));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+        const centroid = x0.map((_, j) => mean(simplex.slice(0, n).map(p => p.x[j])));
+        const along = (t) => centroid.map((c, j) => c + t * (worst.x[j] - c));
+        const reflected = { x: along(-1) };
+        reflected.value = f(reflected.x);
+
+        if (reflected.value < best.value) {
+            const expanded = { x: along(-2) };
+            expanded.value = f(expanded.x);
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = { x: along(reflected.value < worst.value ? -0.5 : 0.5) };
+            contracted.value = f(contracted.x);
+            if (contracted.value < Math.min(worst.value, reflected.value)) {
+                simplex[n] = contracted;
+            } else {
+                simplex = simplex.map((p, i) => {
+                    if (i === 0) return p;
+                    const x = p.x.map((v, j) => best.x[j] + 0.5 * (v - best.x[j]));
+                    return { x, value: f(x) };
+                });
+            }
+        }
+    }
+    simplex.sort((a, b) => a.value - b.value);
+    return simplex[0];
+}
+
+/**
+ * Inverse of a small symmetric positive-definite matrix (Gauss–Jordan)
+ * @returns {Array|null} Inverse, or null if singular
+ */
+function invert(A) {
+    const k = A.length;
+    const M = A.map((row, i) => [...row, ...Array.from({ length: k }, (_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < k; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < k; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+        if (Math.abs(M[pivot][col]) < 1e-12) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        const p = M[col][col];
+        for (let c = 0; c < 2 * k; c++) M[col][c] /= p;
+        for (let r = 0; r < k; r++) {
+            if (r === col) continue;
+            const factor = M[r][col];
+            for (let c = 0; c < 2 * k; c++) M[r][c] -= factor * M[col][c];
+        }
+    }
+    return M.map(row => row.slice(k));
+}
+
+// ─── Holt–Winters ────────────────────────────────────────────────────
+
+/**
+ * Run the additive damped-trend Holt–Winters recursions (ETS(A,Ad,A), or
+ * ETS(A,Ad,N) without a season) from initial states. Unobserved points get
+ * no update: the states run on as forecast.
+ * @returns {Object} { sse, fitted (errors summed), level, trend, season (next m seasonal states, oldest first) }
+ */
+function holtWintersPass(y, { alpha, beta, gamma, phi }, init, m, observed = null) {
+    let level = init.level;
+    let trend = init.trend;
+    const season = [...init.season];
+    let sse = 0;
+    let fitted = 0;
+    for (let t = 0; t < y.length; t++) {
+        const s = m ? season[t % m] : 0;
+        const seen = !observed || observed[t];
+        const error = seen ? y[t] - (level + phi * trend + s) : 0;
+        sse += error * error;
+        if (seen) fitted++;
+        level = level + phi * trend + alpha * error;
+        trend = phi * trend + beta * error;
+        if (m) season[t % m] = s + gamma * error;
+    }
+    const rotated = m ? Array.from({ length: m }, (_, i) => season[(y.length + i) % m]) : [];
+    return { sse, fitted, level, trend, season: rotated };
+}
+
+/**
+ * Fit additive Holt–Winters with a damped trend by least squares of the
+ * one-step errors at observed points. The season is dropped when the series
+ * is shorter than two periods.
+ * @param {Array} y - Values, equally spaced
+ * @param {number|null} period - Season length in rows
+ * @param {Array} [observed] - false for points that are not observations (see the module comment)
+ * @returns {Object|null} Fit, or null with fewer than 4 values
+ */
+export function fitHoltWinters(y, period = null, observed = null) {
+    const n = y.length;
+    if (n < 4) return null;
+    const m = period && period >= 2 && n >= 2 * period ? period : 0;
+
+    let init;
+    if (m) {
+        const first = mean(y.slice(0, m));
+        const trend = (mean(y.slice(m, 2 * m)) - first) / m;
+        const level = first - trend * (m + 1) / 2;
+        const season = y.slice(0, m).map((v, i) => v - (level + trend * (i + 1)));
+        const offset = mean(season);
+        init = { level: level + offset, trend, season: season.map(s => s - offset) };
+    } else {
+        const k = Math.min(n, 4);
+        const trend = (y[k - 1] - y[0]) / (k - 1);
+        init = { level: y[0] - trend, trend, season: [] };
+    }
+
+    // Unconstrained coordinates [a, b, (g,) p]: 0 < alpha < 1, 0 < beta < alpha, 0 < gamma < 1 − alpha, 0.8 < phi < 0.98
+    const decode = (u) => {
+        const alpha = logistic(u[0]);
+        return {
+            alpha,
+            beta: alpha * logistic(u[1]),
+            gamma: m ? (1 - alpha) * logistic(u[2]) : 0,
+            phi: 0.8 + 0.18 * logistic(u[u.length - 1])
+        };
+    };
+    const { x } = minimize(u => holtWintersPass(y, decode(u), init, m, observed).sse, m ? [0, -2, -2, 2] : [0, -2, 2], { step: 1 });
+    const params = decode(x);
+    const { fitted, ...final } = holtWintersPass(y, params, init, m, observed);
+
+    const k = (m ? 4 : 3) + 2 + (m ? m - 1 : 0);
+    return {
+        method: 'holtWinters',
+        label: m ? `Holt–Winters (damped, season ${m})` : 'Holt (damped trend)',
+        ...params,
+        period: m,
+        ...final,
+        sigma: Math.sqrt(final.sse / Math.max(1, fitted - k)),
+        aicc: aicc(final.sse, fitted, k)
+    };
+}
+
+/**
+ * Mean and standard deviation 1…steps ahead from fitHoltWinters, with the
+ * class-1 state-space variance σ²·(1 + Σ c_j²), c_j = α + βφ_j + γ·[j ≡ 0 mod m]
+ */
+export function forecastHoltWinters(fit, steps) {
+    const { alpha, beta, gamma, phi, period: m, level, trend, season, sigma } = fit;
+    const out = [];
+    let damped = 0;
+    let spread = 0;
+    for (let h = 1; h <= steps; h++) {
+        damped += phi ** h;
+        const c = alpha + beta * (damped - phi ** h) + (m && (h - 1) > 0 && (h - 1) % m === 0 ? gamma : 0);
+        if (h > 1) spread += c * c;
+        out.push({
+            mean: level + damped * trend + (m ? season[(h - 1) % m] : 0),
+            std: sigma * Math.sqrt(1 + spread)
+        });
+    }
+    return out;
+}
+
+// ─── SARIMA ──────────────────────────────────────────────────────────
+
+/**
+ * Coefficients of the product of two lag polynomials (index = lag)
+ */
+function polyMultiply(a, b) {
+    const out = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => b.forEach((y, j) => { out[i + j] += x * y; }));
+    return out;
+}
+
+/**
+ * Lag polynomial 1 + sign·Σ c_i B^(i·spacing)
+ */
+const lagPolynomial = (coefficients, spacing, sign) => {
+    const poly = new Array(coefficients.length * spacing + 1).fill(0);
+    poly[0] = 1;
+    coefficients.forEach((c, i) => { poly[(i + 1) * spacing] = sign * c; });
+    return poly;
+};
+
+/**
+ * Whether 1 − c1·B − c2·B² has its roots outside the unit circle
+ */
+const stableQuadratic = ([c1 = 0, c2 = 0]) => c1 + c2 < 1 && c2 - c1 < 1 && Math.abs(c2) < 1;
+
+/**
+ * Non-zero lags of the expanded AR and MA polynomials of a SARIMA order,
+ * as w_t = Σ ar·w_(t−lag) + Σ ma·e_(t−lag) + e_t
+ */
+function expandSARIMA({ p, q, P, period }, params) {
+    const phi = params.slice(0, p);
+    const theta = params.slice(p, p + q);
+    const Phi = params.slice(p + q, p + q + P);
+    const Theta = params.slice(p + q + P);
+    const ar = polyMultiply(lagPolynomial(phi, 1, -1), lagPolynomial(Phi, period || 1, -1));
+    const ma = polyMultiply(lagPolynomial(theta, 1, 1), lagPolynomial(Theta, period || 1, 1));
+    const terms = (poly, sign) => poly.map((c, lag) => ({ lag, c: sign * c })).filter(t => t.lag > 0 && t.c !== 0);
+    return { ar: terms(ar, -1), ma: terms(ma, 1), arPoly: ar, maPoly: ma, phi, theta, Phi, Theta };
+}
+
+/**
+ * Conditional-sum-of-squares innovations of a differenced, centred series.
+ * An unobserved point is replaced by its one-step prediction, with a zero
+ * innovation that is not summed.
+ */
+function sarimaInnovations(w, expanded, observed = null) {
+    const start = Math.max(0, ...expanded.ar.map(t => t.lag));
+    const x = observed ? [...w] : w;
+    const e = new Array(w.length).fill(0);
+    let sse = 0;
+    let count = 0;
+    for (let t = start; t < w.length; t++) {
+        let fitted = 0;
+        for (const { lag, c } of expanded.ar) fitted += c * x[t - lag];
+        for (const { lag, c } of expanded.ma) if (t - lag >= 0) fitted += c * e[t - lag];
+        if (observed && !observed[t]) {
+            x[t] = fitted;
+            continue;
+        }
+        e[t] = x[t] - fitted;
+        sse += e[t] * e[t];
+        count++;
+    }
+    return { e, sse, fitted: count };
+}
+
+/**
+ * Fit SARIMA(p,d,q)(P,D,Q)m by conditional sum of squares. The ARMA part
+ * starts from the Hannan–Rissanen fit of utils/backtest.js; orders are kept
+ * at p, q ≤ 2 and P, Q ≤ 1 so stationarity and invertibility can be checked
+ * in closed form.
+ * @param {Array} values - Series, equally spaced
+ * @param {Object} order - { p, d, q, P, D, Q, period }
+ * @param {Array} [observed] - false for points that are not observations (see the module comment)
+ * @returns {Object|null} Fit, or null if too few observed points remain for the parameters
+ */
+export function fitSARIMA(values, { p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0, period = 0 } = {}, observed = null) {
+    const seasonal = period >= 2 ? period : 0;
+    if (!seasonal && (P || D || Q)) return null;
+
+    let w = values;
+    let seen = observed;
+    for (let i = 0; i < d; i++) {
+        w = difference(w, 1);
+        seen = seen && differenceMask(seen, 1);
+    }
+    for (let i = 0; i < D; i++) {
+        w = difference(w, seasonal);
+        seen = seen && differenceMask(seen, seasonal);
+    }
+    const observedW = seen ? w.filter((_, t) => seen[t]) : w;
+    const constant = d + D === 0 && observedW.length > 0 ? mean(observedW) : 0;
+    const z = w.map(v => v - constant);
+
+    const k = p + q + P + Q + (d + D === 0 ? 1 : 0) + 1;
+    const maxLag = p + P * seasonal;
+    if (observedW.length - maxLag - k - 1 <= 0) return null;
+
+    const order = { p, d, q, P, D, Q, period: seasonal };
+    const admissible = (x) => {
+        const { phi, theta, Phi, Theta } = expandSARIMA(order, x);
+        return stableQuadratic(phi) && stableQuadratic(theta.map(c => -c))
+            && Phi.every(c => Math.abs(c) < 1) && Theta.every(c => Math.abs(c) < 1);
+    };
+    const objective = (x) => (admissible(x) ? sarimaInnovations(z, expandSARIMA(order, x), seen).sse : Infinity);
+
+    const hr = p + q > 0 ? fitARIMA(z, { p, d: 0, q }) : null;
+    const start = [
+        ...(hr ? hr.ar : new Array(p).fill(0)),
+        ...(hr ? hr.ma : new Array(q).fill(0)),
+        ...new Array(P + Q).fill(0)
+    ];
+    const { x } = minimize(objective, admissible(start) ? start : start.map(() => 0), { step: 0.15 });
+    const expanded = expandSARIMA(order, x);
+    const { e, sse, fitted } = sarimaInnovations(z, expanded, seen);
+    const seasonLabel = seasonal && (P || D || Q) ? `(${P},${D},${Q})${seasonal}` : '';
+
+    return {
+        method: 'sarima',
+        label: `SARIMA(${p},${d},${q})${seasonLabel}`,
+        order,
+        params: x,
+        constant,
+        expanded,
+        series: values,
+        innovations: e,
+        sigma: Math.sqrt(sse / Math.max(1, fitted - k + 1)),
+        aicc: aicc(sse, fitted, k)
+    };
+}
+
+/**
+ * Mean and standard deviation 1…steps ahead from fitSARIMA. The forecasts
+ * run on the undifferenced series through the full AR polynomial
+ * φ(B)Φ(Bᵐ)(1−B)ᵈ(1−Bᵐ)ᴰ; the variance is σ²·Σ ψ_j² over its ψ-weights.
+ */
+export function forecastSARIMA(fit, steps) {
+    const { order, constant, expanded, series, innovations, sigma } = fit;
+    let full = expanded.arPoly;
+    for (let i = 0; i < order.d; i++) full = polyMultiply(full, [1, -1]);
+    for (let i = 0; i < order.D; i++) full = polyMultiply(full, lagPolynomial([1], order.period, -1));
+    const ar = full.map((c, lag) => ({ lag, c: -c })).filter(t => t.lag > 0 && t.c !== 0);
+    const ma = expanded.ma;
+
+    // Innovations line up with the last rows of the undifferenced series
+    const offset = series.length - innovations.length;
+    const y = series.map(v => v - constant);
+    const e = [...new Array(offset).fill(0), ...innovations];
+    const psi = [1];
+    const out = [];
+    let spread = 0;
+    for (let h = 1; h <= steps; h++) {
+        const t = y.length;
+        let value = 0;
+        for (const { lag, c } of ar) value += c * (y[t - lag] ?? 0);
+        for (const { lag, c } of ma) value += c * (e[t - lag] ?? 0);
+        y.push(value);
+        e.push(0);
+
+        spread += psi[h - 1] ** 2;
+        out.push({ mean: value + constant, std: sigma * Math.sqrt(spread) });
+
+        let next = ma.find(m => m.lag === h)?.c ?? 0;
+        for (const { lag, c } of ar) if (lag <= h) next += c * psi[h - lag];
+        psi.push(next);
+    }
+    return out;
+}
+
+/**
+ * KPSS statistic for level stationarity, with a Bartlett-window long-run
+ * variance (lag ⌊3√n / 13⌋)
+ */
+function kpss(values) {
+    const n = values.length;
+    const m = mean(values);
+    const e = values.map(v => v - m);
+    let partial = 0;
+    const eta = sum(e.map(v => (partial += v) ** 2)) / (n * n);
+    const lags = Math.floor((3 * Math.sqrt(n)) / 13);
+    let longRun = sum(e.map(v => v * v)) / n;
+    for (let l = 1; l <= lags; l++) {
+        longRun += 2 * (1 - l / (lags + 1)) * sum(e.slice(l).map((v, t) => v * e[t])) / n;
+    }
+    return longRun > 0 ? eta / longRun : 0;
+}
+
+const KPSS_CRITICAL_5 = 0.463;
+
+/**
+ * Differencing orders: difference at lag 1 (at most twice) while the KPSS
+ * test rejects level stationarity at 5%, then once at the seasonal lag when
+ * that lowers the variance
+ */
+function differencingOrders(values, period) {
+    let d = 0;
+    let w = values;
+    while (d < 2 && w.length > 8 && kpss(w) > KPSS_CRITICAL_5) {
+        w = difference(w, 1);
+        d++;
+    }
+    const D = period && w.length >= 3 * period && variance(difference(w, period)) < variance(w) ? 1 : 0;
+    return { d, D };
+}
+
+/**
+ * SARIMA with the lowest AICc over p, q ∈ 0…2 and, when the series spans
+ * three periods, P, Q ∈ 0…1, for the chosen differencing
+ * @param {Array} values - Series, equally spaced
+ * @param {number|null} period - Season length in rows
+ * @param {Array} [observed] - false for points that are not observations (see the module comment)
+ * @returns {Object|null} Best fit (with the candidates tried), or null for fewer than 3 values
+ */
+export function selectSARIMA(values, period = null, observed = null) {
+    if (values.length < 3) return null;
+    const seasonal = period && period >= 2 && values.length >= 3 * period ? period : 0;
+    const { d, D } = differencingOrders(values, seasonal);
+    const seasonalOrders = seasonal ? [0, 1] : [0];
+
+    let best = null;
+    let candidates = 0;
+    for (let p = 0; p <= 2; p++) {
+        for (let q = 0; q <= 2; q++) {
+            for (const P of seasonalOrders) {
+                for (const Q of seasonalOrders) {
+                    const fit = fitSARIMA(values, { p, d, q, P, D, Q, period: seasonal }, observed);
+                    if (!fit) continue;
+                    candidates++;
+                    if (!best || fit.aicc < best.aicc) best = fit;
+                }
+            }
+        }
+    }
+    // Too short for any ARMA term: a random walk
+    return best ? { ...best, candidates } : fitSARIMA(values, { d: 1 }, observed) || fitSARIMA(values, {}, observed);
+}
+
+// ─── Harmonic regression ─────────────────────────────────────────────
+
+const harmonicRow = (hours, periodHours, harmonics) => [
+    1,
+    hours / 24,
+    ...Array.from({ length: harmonics }, (_, i) => {
+        const angle = (2 * Math.PI * (i + 1) * hours) / periodHours;
+        return [Math.sin(angle), Math.cos(angle)];
+    }).flat()
+];
+
+/**
+ * Least-squares fit of a linear trend plus sine/cosine pairs at the orbital
+ * frequency and its first overtones, the number of harmonics (0…3) chosen by
+ * AICc. Harmonics are only tried when the samples span a full period; on a
+ * shorter arc they alias into the trend and extrapolate wildly.
+ * @param {Array} hours - Sample times in hours from any origin
+ * @param {Array} y - Values
+ * @param {number|null} periodHours - Orbital period (without it only the trend is fitted)
+ * @returns {Object|null} Fit, or null with fewer than 3 values
+ */
+export function fitHarmonicRegression(hours, y, periodHours) {
+    const n = y.length;
+    if (n < 3) return null;
+    const maxHarmonics = periodHours && hours[n - 1] - hours[0] >= periodHours ? MAX_HARMONICS : 0;
+
+    let best = null;
+    for (let harmonics = 0; harmonics <= maxHarmonics; harmonics++) {
+        const X = hours.map(h => harmonicRow(h, periodHours, harmonics));
+        const k = X[0].length;
+        if (n - k - 2 <= 0) break;
+        const XtX = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => sum(X.map(x => x[i] * x[j]))));
+        const covariance = invert(XtX);
+        if (!covariance) continue;
+        const Xty = Array.from({ length: k }, (_, i) => sum(X.map((x, t) => x[i] * y[t])));
+        const beta = covariance.map(row => sum(row.map((c, j) => c * Xty[j])));
+        const sse = sum(X.map((x, t) => (y[t] - sum(x.map((v, j) => v * beta[j]))) ** 2));
+        const score = aicc(sse, n, k + 1);
+        if (!best || score < best.aicc) {
+            best = { harmonics, beta, covariance, sigma: Math.sqrt(sse / (n - k)), aicc: score };
+        }
+    }
+    if (!best) return null;
+
+    return {
+        method: 'harmonic',
+        label: best.harmonics ? `Harmonic regression (${best.harmonics} harmonic${best.harmonics > 1 ? 's' : ''} + trend)` : 'Linear trend',
+        periodHours,
+        ...best
+    };
+}
+
+/**
+ * Mean and standard deviation at the given times from fitHarmonicRegression,
+ * with the OLS prediction variance σ²·(1 + xᵀ(XᵀX)⁻¹x)
+ */
+export function forecastHarmonicRegression(fit, hours) {
+    const { beta, covariance, sigma, periodHours, harmonics } = fit;
+    return hours.map(h => {
+        const x = harmonicRow(h, periodHours, harmonics);
+        const leverage = sum(x.map((xi, i) => xi * sum(covariance[i].map((c, j) => c * x[j]))));
+        return { mean: sum(x.map((v, j) => v * beta[j])), std: sigma * Math.sqrt(1 + leverage) };
+    });
+}
+
+// ─── Forecasts ───────────────────────────────────────────────────────
+
+/**
+ * Equal-weight Gaussian mixture of forecasts, summarized by its mean and
+ * standard deviation
+ */
+function mixture(forecasts) {
+    const m = mean(forecasts.map(f => f.mean));
+    const second = mean(forecasts.map(f => f.std ** 2 + f.mean ** 2));
+    return { mean: m, std: Math.sqrt(Math.max(0, second - m * m)) };
+}
+
+/**
+ * Fit one method to one channel and forecast it
+ * @returns {Object|null} { model, path (one { mean, std } per horizon) }
+ */
+function forecastChannel(method, values, hours, { observed, horizons, stepMinutes, periodSteps, periodHours, arimaOrder, gpKernel }) {
+    const steps = Math.max(...horizons);
+    const at = (path) => horizons.map(h => path[h - 1]);
+
+    if (method === 'holtWinters') {
+        const fit = fitHoltWinters(values, periodSteps, observed);
+        return fit && { model: fit, path: at(forecastHoltWinters(fit, steps)) };
+    }
+    if (method === 'sarima') {
+        const fit = (arimaOrder && fitSARIMA(values, arimaOrder, observed)) || selectSARIMA(values, periodSteps, observed);
+        return fit && { model: fit, path: at(forecastSARIMA(fit, steps)) };
+    }
+    if (method === 'harmonic') {
+        const fit = fitHarmonicRegression(hours, values, periodHours);
+        const last = hours[hours.length - 1];
+        return fit && { model: fit, path: forecastHarmonicRegression(fit, horizons.map(h => last + (h * stepMinutes) / 60)) };
+    }
+    if (method === 'gaussianProcess') {
+        const fit = fitGaussianProcess(hours.slice(-GP_MAX_POINTS), values.slice(-GP_MAX_POINTS), { kernel: gpKernel || orbitalKernel(periodHours) });
+        const last = hours[hours.length - 1];
+        return fit && { model: fit, path: predictGaussianProcess(fit, horizons.map(h => last + (h * stepMinutes) / 60)) };
+    }
+    throw new Error(`Unknown statistical method "${method}" (expected one of ${Object.keys(STATISTICAL_METHODS).join(', ')})`);
+}
+
+const modelSummary = ({ method, label, aicc: score, sigma, order, kernel, logMarginalLikelihood }) => ({
+    method,
+    label,
+    ...(order && { order }),
+    ...(kernel && { kernel, logMarginalLikelihood }),
+    aicc: Number.isFinite(score) ? score : null,
+    sigma
+});
+
+/**
+ * SARIMA order chosen per channel in a forecast's models, for reuse through
+ * the arimaOrders option
+ */
+export const arimaOrders = (models) => Object.fromEntries(CHANNELS
+    .map(c => [c, [models[c]].flat().find(m => m.method === 'sarima')?.order])
+    .filter(([, order]) => order));
+
+/**
+ * Fitted Gaussian-process kernel per channel in a forecast's models, for
+ * reuse through the gpKernels option
+ */
+export const gpKernels = (models) => Object.fromEntries(CHANNELS
+    .map(c => [c, [models[c]].flat().find(m => m.method === 'gaussianProcess')?.kernel])
+    .filter(([, kernel]) => kernel));
+
+/**
+ * Forecast every channel of a telemetry series with a statistical method
+ * @param {Array} rows - Telemetry rows ({ timestamp, clock, radial, along, cross }), oldest first
+ * @param {Object} options - { method (key of STATISTICAL_METHODS), horizons (steps ahead),
+ *                            periodMinutes (orbital period; enables the seasonal terms),
+ *                            stepMinutes (grid step; default: median row spacing, else 15), maxHistory,
+ *                            arimaOrders ({ channel: SARIMA order } to skip the AICc search),
+ *                            gpKernels ({ channel: fitted kernel } to skip the likelihood maximization) }
+ * @returns {Object} Forecast (see the module comment)
+ */
+export function statisticalForecast(rows, options = {}) {
+    const { method = 'ensemble', horizons, periodMinutes = null, stepMinutes = null, maxHistory = 500, arimaOrders: orders = {}, gpKernels: kernels = {} } = options;
+    if (!STATISTICAL_METHODS[method]) {
+        throw new Error(`Unknown statistical method "${method}" (expected one of ${Object.keys(STATISTICAL_METHODS).join(', ')})`);
+    }
+    if (!horizons?.length) throw new Error('No horizons to forecast');
+    const recent = rows.slice(-maxHistory);
+    if (recent.length < 4) throw new Error(`Need at least 4 data points, have ${recent.length}`);
+
+    // Repeated timestamps give a zero median step
+    const step = stepMinutes || medianStepMinutes(recent) || 15;
+    const hasTimes = hasTimestamps(recent);
+    // Rows that are already a grid (a walk-forward history) keep it; their imputed points are not observations
+    const gridded = recent.every(r => typeof r.imputed === 'boolean');
+    const spaced = hasTimes && !gridded
+        ? regularizeSeries(recent, { stepMinutes: step, maxGapMinutes: Infinity, anchor: 'end' }).rows.slice(-maxHistory)
+        : recent;
+    const observed = gridded ? recent.filter(r => !r.imputed) : recent;
+    const inputs = (series) => ({
+        series,
+        hours: series.map((r, i) => (hasTimes ? (r.timestamp - recent[0].timestamp) / 3600000 : (i * step) / 60)),
+        observed: series.some(r => r.imputed) ? series.map(r => !r.imputed) : null
+    });
+    const spacedInputs = inputs(spaced);
+    const observedInputs = inputs(observed);
+    const context = {
+        horizons,
+        stepMinutes: step,
+        periodSteps: periodMinutes ? Math.round(periodMinutes / step) : null,
+        periodHours: periodMinutes ? periodMinutes / 60 : null
+    };
+    const components = method === 'ensemble' ? ENSEMBLE : [method];
+
+    const perChannel = Object.fromEntries(CHANNELS.map(channel => {
+        const fits = components
+            .map(m => {
+                const { series, hours, observed: seen } = EQUALLY_SPACED.includes(m) ? spacedInputs : observedInputs;
+                const values = series.map(r => r[channel] || 0);
+                return forecastChannel(m, values, hours, { ...context, observed: seen, arimaOrder: orders[channel], gpKernel: kernels[channel] });
+            })
+            .filter(Boolean);
+        if (fits.length === 0) throw new Error(`${STATISTICAL_METHODS[method]} could not be fitted to ${channel}`);
+        return [channel, {
+            path: horizons.map((_, i) => (fits.length === 1 ? fits[0].path[i] : mixture(fits.map(f => f.path[i])))),
+            models: method === 'ensemble' ? fits.map(f => modelSummary(f.model)) : modelSummary(fits[0].model)
+        }];
+    }));
+
+    return {
+        method,
+        label: STATISTICAL_METHODS[method],
+        stepMinutes: step,
+        periodSteps: context.periodSteps,
+        horizons: horizons.map((horizon, i) => ({
+            horizon,
+            leadMinutes: horizon * step,
+            ...Object.fromEntries(CHANNELS.map(c => [c, perChannel[c].path[i]]))
+        })),
+        models: Object.fromEntries(CHANNELS.map(c => [c, perChannel[c].models]))
+    };
+}
+
+/**
+ * Forecaster (see utils/backtest.js) for a statistical method. Every origin
+ * refits the parameters; the SARIMA orders are searched by AICc and the GP
+ * kernel hyperparameters fitted only every `refitEvery` origins and reused in
+ * between.
+ * @param {string} method - Key of STATISTICAL_METHODS
+ * @param {Object} options - { periodMinutes, maxHistory, refitEvery }
+ */
+export function statisticalForecaster(method, { periodMinutes = null, maxHistory = 500, refitEvery = 24 } = {}) {
+    if (!STATISTICAL_METHODS[method]) {
+        throw new Error(`Unknown statistical method "${method}" (expected one of ${Object.keys(STATISTICAL_METHODS).join(', ')})`);
+    }
+    const caches = ['sarima', 'gaussianProcess', 'ensemble'].includes(method);
+    let orders = {};
+    let kernels = {};
+    const forecast = (history, horizons) => statisticalForecast(history, {
+        method, horizons, periodMinutes, maxHistory, arimaOrders: orders, gpKernels: kernels
+    });
+
+    return {
+        id: method,
+        label: STATISTICAL_METHODS[method],
+        kind: 'model',
+        refitEvery: caches ? refitEvery : 0,
+        fit: (history) => {
+            orders = {};
+            kernels = {};
+            if (caches && history.length >= 4) {
+                const { models } = forecast(history, [1]);
+                orders = arimaOrders(models);
+                kernels = gpKernels(models);
+            }
+        },
+        predict: (history, targets) => {
+            if (history.length < 4) return targets.map(() => null);
+            const { horizons } = forecast(history, [...new Set(targets.map(t => t.horizon))]);
+            return targets.map(({ horizon }) => {
+                const entry = horizons.find(f => f.horizon === horizon);
+                return Object.fromEntries(CHANNELS.map(c => [c, entry[c].mean]));
+            });
+        }
+    };
+}
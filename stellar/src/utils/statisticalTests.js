@@ -1,187 +1,242 @@
 /**
  * Statistical Tests for ISRO Evaluation
- * 
+ *
  * Implements Shapiro-Wilk normality test and related statistics
  * as required by ISRO evaluation criteria.
+ *
+ * Shapiro-Wilk follows Royston's algorithm AS R94 (1995), the
+ * implementation behind R's shapiro.test and scipy.stats.shapiro.
+ * The other normality tests (Anderson-Darling, Jarque-Bera,
+ * D'Agostino K², Lilliefors) use the same p-value approximations
+ * as R's nortest/moments packages and scipy.stats.
+ */
+
+import { gaussianProcessChannels } from './gaussianProcess.js';
+
+// Royston (1995) polynomial approximations
+const SW_G = [-2.273, 0.459];
+const SW_C1 = [0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056];
+const SW_C2 = [0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633];
+const SW_C3 = [0.544, -0.39978, 0.025054, -6.714e-4];
+const SW_C4 = [1.3822, -0.77857, 0.062767, -0.0020322];
+const SW_C5 = [-1.5861, -0.31082, -0.083751, 0.0038915];
+const SW_C6 = [-0.4803, -0.082676, 0.0030302];
+
+/**
+ * Evaluate c[0] + c[1]·x + c[2]·x² + ...
  */
+function poly(c, x) {
+    return c.reduceRight((acc, coef) => acc * x + coef, 0);
+}
 
 /**
  * Shapiro-Wilk Test for Normality
- * 
+ *
  * Tests whether a sample comes from a normally distributed population.
  * This is Priority 1 evaluation criteria for ISRO.
- * 
- * Reference: Shapiro, S. S., & Wilk, M. B. (1965)
- * 
- * @param {number[]} data - Array of residual values
+ *
+ * Reference: Shapiro, S. S., & Wilk, M. B. (1965);
+ * Royston, P. (1995) Algorithm AS R94, Applied Statistics 44(4)
+ *
+ * @param {number[]} data - Array of residual values (3 <= n <= 5000)
  * @returns {Object} { W: number, pValue: number, rejectNull: boolean }
  */
 export function shapiroWilkTest(data, alpha = 0.05) {
-    const n = data.length;
-    
-    if (n < 3 || n > 5000) {
-        console.warn('Shapiro-Wilk test works best for 3 <= n <= 5000');
+    const sorted = data.filter(Number.isFinite).sort((a, b) => a - b);
+    const n = sorted.length;
+
+    if (n < 3) {
+        return {
+            W: NaN,
+            pValue: NaN,
+            rejectNull: false,
+            hypothesis: 0,
+            error: 'Shapiro-Wilk needs at least 3 values',
+            interpretation: 'Not enough residuals to test normality'
+        };
     }
-    
-    // Sort data
-    const sorted = [...data].sort((a, b) => a - b);
-    
-    // Calculate mean
-    const mean = sorted.reduce((a, b) => a + b, 0) / n;
-    
-    // Calculate sum of squares
-    const ss = sorted.reduce((sum, x) => sum + Math.pow(x - mean, 2), 0);
-    
-    if (ss === 0) {
-        return { W: 1, pValue: 1, rejectNull: false, hypothesis: 0 };
+
+    const range = sorted[n - 1] - sorted[0];
+    if (range < 1e-19) {
+        return { W: 1, pValue: 1, rejectNull: false, hypothesis: 0, interpretation: 'All residuals are identical' };
     }
-    
-    // Get Shapiro-Wilk coefficients
-    const a = getShapiroWilkCoefficients(n);
-    
-    // Calculate W statistic
-    let b = 0;
-    const m = Math.floor(n / 2);
-    
-    for (let i = 0; i < m; i++) {
-        b += a[i] * (sorted[n - 1 - i] - sorted[i]);
+
+    const coefficients = getShapiroWilkCoefficients(n);
+
+    // W as the squared correlation between the ordered sample and the
+    // coefficients; 1 - W is kept separately to avoid rounding near W = 1
+    const x = sorted.map(v => v / range);
+    const meanX = x.reduce((s, v) => s + v, 0) / n;
+    const meanA = coefficients.reduce((s, v) => s + v, 0) / n;
+    let ssa = 0;
+    let ssx = 0;
+    let sax = 0;
+    for (let i = 0; i < n; i++) {
+        const da = coefficients[i] - meanA;
+        const dx = x[i] - meanX;
+        ssa += da * da;
+        ssx += dx * dx;
+        sax += da * dx;
     }
-    
-    const W = (b * b) / ss;
-    
-    // Calculate p-value using approximation
-    const pValue = calculatePValue(W, n);
-    
+    const ssassx = Math.sqrt(ssa * ssx);
+    const w1 = Math.max(0, (ssassx - sax) * (ssassx + sax) / (ssa * ssx));
+    const W = 1 - w1;
+
+    const pValue = calculatePValue(W, w1, n);
+
     // Hypothesis test: H0 = data is normally distributed
     const rejectNull = pValue < alpha;
-    
+
     return {
-        W: Math.min(W, 1), // W should be <= 1
+        W,
         pValue,
         rejectNull,
         hypothesis: rejectNull ? 1 : 0, // 0 = fail to reject H0, 1 = reject H0
-        interpretation: rejectNull 
+        ...(n > 5000 && { warning: 'p-value may be inaccurate for n > 5000' }),
+        interpretation: rejectNull
             ? 'Residuals are NOT normally distributed (systematic errors remain)'
             : 'Residuals ARE normally distributed (systematic errors removed) ✓'
     };
 }
 
 /**
- * Get Shapiro-Wilk coefficients for sample size n
- * Using approximation for computational efficiency
+ * Shapiro-Wilk coefficients a_i for sample size n (AS R94)
+ * @returns {number[]} n coefficients, antisymmetric, for the sorted sample
  */
 function getShapiroWilkCoefficients(n) {
-    const m = Math.floor(n / 2);
-    const a = new Array(m);
-    
-    // Compute expected values of order statistics for normal distribution
-    for (let i = 0; i < m; i++) {
-        const mi = approximateNormalOrderStatistic(i + 1, n);
-        const mni = approximateNormalOrderStatistic(n - i, n);
-        a[i] = mni - mi;
-    }
-    
-    // Normalize coefficients
-    const sumSq = a.reduce((sum, ai) => sum + ai * ai, 0);
-    const norm = Math.sqrt(sumSq);
-    
-    for (let i = 0; i < m; i++) {
-        a[i] /= norm;
+    const half = Math.floor(n / 2);
+    const a = new Array(half);
+
+    if (n === 3) {
+        a[0] = Math.SQRT1_2;
+    } else {
+        // Blom scores for the lower half, then Royston's polynomial
+        // corrections for the two largest coefficients
+        const m = Array.from({ length: half }, (_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+        const summ2 = 2 * m.reduce((s, v) => s + v * v, 0);
+        const ssumm2 = Math.sqrt(summ2);
+        const rsn = 1 / Math.sqrt(n);
+        const a1 = poly(SW_C1, rsn) - m[0] / ssumm2;
+
+        let first;
+        let fac;
+        if (n > 5) {
+            const a2 = poly(SW_C2, rsn) - m[1] / ssumm2;
+            fac = Math.sqrt((summ2 - 2 * m[0] * m[0] - 2 * m[1] * m[1]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+            a[1] = a2;
+            first = 2;
+        } else {
+            fac = Math.sqrt((summ2 - 2 * m[0] * m[0]) / (1 - 2 * a1 * a1));
+            first = 1;
+        }
+        a[0] = a1;
+        for (let i = first; i < half; i++) {
+            a[i] = -m[i] / fac;
+        }
     }
-    
-    return a;
-}
 
-/**
- * Approximate expected value of i-th order statistic from normal distribution
- */
-function approximateNormalOrderStatistic(i, n) {
-    const p = (i - 0.375) / (n + 0.25);
-    return normalQuantile(p);
+    const coefficients = new Array(n).fill(0);
+    for (let i = 0; i < half; i++) {
+        coefficients[i] = -a[i];
+        coefficients[n - 1 - i] = a[i];
+    }
+    return coefficients;
 }
 
 /**
- * Inverse normal CDF (quantile function) using Abramowitz & Stegun approximation
+ * Inverse normal CDF (quantile function), Wichura's algorithm AS 241
+ * (PPND16, accurate to about 1e-16)
  */
-function normalQuantile(p) {
+export function normalQuantile(p) {
     if (p <= 0) return -Infinity;
     if (p >= 1) return Infinity;
-    if (p === 0.5) return 0;
-    
-    const sign = p < 0.5 ? -1 : 1;
-    const pp = p < 0.5 ? p : 1 - p;
-    
-    const t = Math.sqrt(-2 * Math.log(pp));
-    
-    const c0 = 2.515517;
-    const c1 = 0.802853;
-    const c2 = 0.010328;
-    const d1 = 1.432788;
-    const d2 = 0.189269;
-    const d3 = 0.001308;
-    
-    const num = c0 + c1 * t + c2 * t * t;
-    const den = 1 + d1 * t + d2 * t * t + d3 * t * t * t;
-    
-    return sign * (t - num / den);
+
+    const q = p - 0.5;
+    if (Math.abs(q) <= 0.425) {
+        const r = 0.180625 - q * q;
+        return q * (((((((r * 2509.0809287301227 + 33430.57558358813) * r + 67265.7709270087) * r
+            + 45921.95393154987) * r + 13731.69376550946) * r + 1971.5909503065513) * r
+            + 133.14166789178438) * r + 3.3871328727963665)
+            / (((((((r * 5226.495278852546 + 28729.085735721943) * r + 39307.89580009271) * r
+            + 21213.794301586597) * r + 5394.196021424751) * r + 687.1870074920579) * r
+            + 42.31333070160091) * r + 1);
+    }
+
+    let r = Math.sqrt(-Math.log(q < 0 ? p : 1 - p));
+    let value;
+    if (r <= 5) {
+        r -= 1.6;
+        value = (((((((r * 0.0007745450142783414 + 0.022723844989269184) * r + 0.2417807251774506) * r
+            + 1.2704582524523684) * r + 3.6478483247632045) * r + 5.769497221460691) * r
+            + 4.630337846156546) * r + 1.4234371107496835)
+            / (((((((r * 1.0507500716444169e-09 + 0.0005475938084995345) * r + 0.015198666563616457) * r
+            + 0.14810397642748008) * r + 0.6897673349851) * r + 1.6763848301838038) * r
+            + 2.053191626637759) * r + 1);
+    } else {
+        r -= 5;
+        value = (((((((r * 2.0103343992922881e-07 + 2.7115555687434876e-05) * r + 0.0012426609473880784) * r
+            + 0.026532189526576124) * r + 0.29656057182850487) * r + 1.7848265399172913) * r
+            + 5.463784911164114) * r + 6.657904643501103)
+            / (((((((r * 2.0442631033899397e-15 + 1.421511758316446e-07) * r + 1.8463183175100548e-05) * r
+            + 0.0007868691311456133) * r + 0.014875361290850615) * r + 0.1369298809227358) * r
+            + 0.599832206555888) * r + 1);
+    }
+    return q < 0 ? -value : value;
 }
 
 /**
  * Calculate p-value for Shapiro-Wilk W statistic
- * Using Royston's approximation (1992)
+ * Royston (1995): exact for n = 3, normalizing transforms of 1 - W otherwise
  */
-function calculatePValue(W, n) {
-    if (n < 4) {
-        // For very small samples, use rough approximation
-        return W > 0.9 ? 0.5 : 0.01;
+function calculatePValue(W, w1, n) {
+    if (n === 3) {
+        // = (6/π)·(asin(√W) − π/3)
+        return Math.max(0, (6 / Math.PI) * (Math.asin(Math.sqrt(W)) - Math.PI / 3));
     }
-    
-    // Transform W to normal
-    const logN = Math.log(n);
-    
-    // Royston's approximation parameters
-    let mu, sigma;
-    
+
+    let y = Math.log(w1);
+    let mu;
+    let sigma;
+
     if (n <= 11) {
-        const gamma = 0.459 * n - 2.273;
-        mu = -0.0006714 * Math.pow(n, 3) + 0.025054 * Math.pow(n, 2) - 0.39978 * n + 0.5440;
-        sigma = Math.exp(-0.0020322 * Math.pow(n, 3) + 0.062767 * Math.pow(n, 2) - 0.77857 * n + 1.3822);
-        
-        const y = Math.pow(1 - W, gamma);
-        const z = (y - mu) / sigma;
-        
-        return 1 - normalCDF(z);
+        const gamma = poly(SW_G, n);
+        if (y >= gamma) return 1e-99;
+        y = -Math.log(gamma - y);
+        mu = poly(SW_C3, n);
+        sigma = Math.exp(poly(SW_C4, n));
     } else {
-        // For n > 11
-        const logW = Math.log(1 - W);
-        
-        mu = 0.0038915 * Math.pow(logN, 3) - 0.083751 * Math.pow(logN, 2) - 0.31082 * logN - 1.5861;
-        sigma = Math.exp(0.0030302 * Math.pow(logN, 2) - 0.082676 * logN - 0.4803);
-        
-        const z = (logW - mu) / sigma;
-        
-        return 1 - normalCDF(z);
+        const logN = Math.log(n);
+        mu = poly(SW_C5, logN);
+        sigma = Math.exp(poly(SW_C6, logN));
     }
+
+    return normalSurvival((y - mu) / sigma);
+}
+
+/**
+ * Complementary error function (Numerical Recipes erfcc, relative error < 1.2e-7)
+ */
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+        + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+        + t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
 }
 
 /**
  * Standard normal CDF
  */
-function normalCDF(x) {
-    const a1 = 0.254829592;
-    const a2 = -0.284496736;
-    const a3 = 1.421413741;
-    const a4 = -1.453152027;
-    const a5 = 1.061405429;
-    const p = 0.3275911;
-    
-    const sign = x < 0 ? -1 : 1;
-    x = Math.abs(x) / Math.sqrt(2);
-    
-    const t = 1.0 / (1.0 + p * x);
-    const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-    
-    return 0.5 * (1.0 + sign * y);
+export function normalCDF(x) {
+    return 0.5 * erfc(-x / Math.SQRT2);
+}
+
+/**
+ * Standard normal upper tail, P(Z > x), accurate far into the tail
+ */
+function normalSurvival(x) {
+    return 0.5 * erfc(x / Math.SQRT2);
 }
 
 /**
@@ -227,6 +282,468 @@ function calculateKurtosis(data, mean, std) {
     return m4 / Math.pow(std, 4) - 3; // Excess kurtosis
 }
 
+
+/**
+ * Sample mean and central moments m2, m3, m4 (divided by n)
+ */
+function centralMoments(data) {
+    const n = data.length;
+    const mean = data.reduce((a, b) => a + b, 0) / n;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    for (const x of data) {
+        const d = x - mean;
+        m2 += d * d;
+        m3 += d * d * d;
+        m4 += d * d * d * d;
+    }
+    return { n, mean, m2: m2 / n, m3: m3 / n, m4: m4 / n };
+}
+
+/**
+ * Common result shape for the normality test battery
+ */
+function testResult(name, statistic, pValue, alpha, extra = {}) {
+    const rejectNull = pValue < alpha;
+    return {
+        name,
+        statistic,
+        pValue,
+        rejectNull,
+        hypothesis: rejectNull ? 1 : 0,
+        ...extra
+    };
+}
+
+function tooFewValues(name, minimum) {
+    return {
+        name,
+        statistic: NaN,
+        pValue: NaN,
+        rejectNull: false,
+        hypothesis: 0,
+        error: `${name} needs at least ${minimum} values`
+    };
+}
+
+/**
+ * Anderson-Darling test for normality with estimated mean and variance
+ *
+ * A² is adjusted with Stephens' small-sample factor (1 + 0.75/n + 2.25/n²);
+ * p-values from D'Agostino & Stephens (1986), Table 4.9, as in nortest::ad.test
+ */
+export function andersonDarlingTest(data, alpha = 0.05) {
+    const sorted = data.filter(Number.isFinite).sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n < 8) return tooFewValues('Anderson-Darling', 8);
+
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1));
+    if (sd === 0) return testResult('Anderson-Darling', 0, 1, alpha, { A2: 0 });
+
+    const z = sorted.map(x => (x - mean) / sd);
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        sum += (2 * i + 1) * (Math.log(normalCDF(z[i])) + Math.log(normalSurvival(z[n - 1 - i])));
+    }
+    const A2 = -n - sum / n;
+    const adjusted = A2 * (1 + 0.75 / n + 2.25 / (n * n));
+
+    let pValue;
+    if (adjusted < 0.2) {
+        pValue = 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * adjusted ** 2);
+    } else if (adjusted < 0.34) {
+        pValue = 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * adjusted ** 2);
+    } else if (adjusted < 0.6) {
+        pValue = Math.exp(0.9177 - 4.279 * adjusted - 1.38 * adjusted ** 2);
+    } else if (adjusted < 10) {
+        pValue = Math.exp(1.2937 - 5.709 * adjusted + 0.0186 * adjusted ** 2);
+    } else {
+        pValue = 3.7e-24;
+    }
+
+    return testResult('Anderson-Darling', A2, pValue, alpha, { adjustedStatistic: adjusted });
+}
+
+/**
+ * Jarque-Bera test: JB = n/6 · (S² + (K − 3)²/4), asymptotically χ²(2)
+ *
+ * Uses the moment estimators of skewness and kurtosis; the χ² approximation
+ * is anti-conservative for small samples (n < ~200)
+ */
+export function jarqueBeraTest(data, alpha = 0.05) {
+    const values = data.filter(Number.isFinite);
+    if (values.length < 3) return tooFewValues('Jarque-Bera', 3);
+
+    const { n, m2, m3, m4 } = centralMoments(values);
+    if (m2 === 0) return testResult('Jarque-Bera', 0, 1, alpha);
+
+    const skewness = m3 / m2 ** 1.5;
+    const kurtosis = m4 / (m2 * m2);
+    const JB = (n / 6) * (skewness ** 2 + (kurtosis - 3) ** 2 / 4);
+
+    return testResult('Jarque-Bera', JB, Math.exp(-JB / 2), alpha, {
+        skewness,
+        excessKurtosis: kurtosis - 3
+    });
+}
+
+/**
+ * D'Agostino-Pearson K² omnibus test: K² = Z(√b1)² + Z(b2)², χ²(2)
+ *
+ * Skewness transform from D'Agostino (1970), kurtosis transform from
+ * Anscombe & Glynn (1983), as in scipy.stats.normaltest
+ */
+export function dagostinoK2Test(data, alpha = 0.05) {
+    const values = data.filter(Number.isFinite);
+    if (values.length < 8) return tooFewValues("D'Agostino K²", 8);
+
+    const { n, m2, m3, m4 } = centralMoments(values);
+    if (m2 === 0) return testResult("D'Agostino K²", 0, 1, alpha);
+
+    // Skewness
+    const b1 = m3 / m2 ** 1.5;
+    let y = b1 * Math.sqrt(((n + 1) * (n + 3)) / (6 * (n - 2)));
+    const beta2 = (3 * (n * n + 27 * n - 70) * (n + 1) * (n + 3)) / ((n - 2) * (n + 5) * (n + 7) * (n + 9));
+    const W2 = -1 + Math.sqrt(2 * (beta2 - 1));
+    const delta = 1 / Math.sqrt(0.5 * Math.log(W2));
+    const alphaS = Math.sqrt(2 / (W2 - 1));
+    if (y === 0) y = 1;
+    const zSkew = delta * Math.log(y / alphaS + Math.sqrt((y / alphaS) ** 2 + 1));
+
+    // Kurtosis
+    const b2 = m4 / (m2 * m2);
+    const expected = (3 * (n - 1)) / (n + 1);
+    const varB2 = (24 * n * (n - 2) * (n - 3)) / ((n + 1) ** 2 * (n + 3) * (n + 5));
+    const x = (b2 - expected) / Math.sqrt(varB2);
+    const sqrtBeta1 = ((6 * (n * n - 5 * n + 2)) / ((n + 7) * (n + 9)))
+        * Math.sqrt((6 * (n + 3) * (n + 5)) / (n * (n - 2) * (n - 3)));
+    const A = 6 + (8 / sqrtBeta1) * (2 / sqrtBeta1 + Math.sqrt(1 + 4 / sqrtBeta1 ** 2));
+    const term1 = 1 - 2 / (9 * A);
+    const denom = 1 + x * Math.sqrt(2 / (A - 4));
+    const term2 = Math.sign(denom) * Math.cbrt((1 - 2 / A) / Math.abs(denom));
+    const zKurt = (term1 - term2) / Math.sqrt(2 / (9 * A));
+
+    const K2 = zSkew ** 2 + zKurt ** 2;
+    return testResult("D'Agostino K²", K2, Math.exp(-K2 / 2), alpha, {
+        zSkewness: zSkew,
+        zKurtosis: zKurt,
+        ...(n < 20 && { warning: 'kurtosis test is only valid for n >= 20' })
+    });
+}
+
+/**
+ * Lilliefors (Kolmogorov-Smirnov with estimated mean and variance) test
+ *
+ * p-values from the Dallal & Wilkinson (1986) approximation, with Stephens'
+ * modified statistic above p = 0.1, as in nortest::lillie.test
+ */
+export function lillieforsTest(data, alpha = 0.05) {
+    const sorted = data.filter(Number.isFinite).sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n < 5) return tooFewValues('Lilliefors', 5);
+
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1));
+    if (sd === 0) return testResult('Lilliefors', 0, 1, alpha);
+
+    let D = 0;
+    for (let i = 0; i < n; i++) {
+        const p = normalCDF((sorted[i] - mean) / sd);
+        D = Math.max(D, (i + 1) / n - p, p - i / n);
+    }
+
+    const [Kd, nd] = n <= 100 ? [D, n] : [D * (n / 100) ** 0.49, 100];
+    let pValue = Math.exp(-7.01256 * Kd * Kd * (nd + 2.78019) + 2.99587 * Kd * Math.sqrt(nd + 2.78019)
+        - 0.122119 + 0.974598 / Math.sqrt(nd) + 1.67997 / nd);
+
+    if (pValue > 0.1) {
+        const KK = (Math.sqrt(n) - 0.01 + 0.85 / Math.sqrt(n)) * D;
+        if (KK <= 0.302) {
+            pValue = 1;
+        } else if (KK <= 0.5) {
+            pValue = 2.76773 - 19.828315 * KK + 80.709644 * KK ** 2 - 138.55152 * KK ** 3 + 81.218052 * KK ** 4;
+        } else if (KK <= 0.9) {
+            pValue = -4.901232 + 40.662806 * KK - 97.490286 * KK ** 2 + 94.029866 * KK ** 3 - 32.355711 * KK ** 4;
+        } else if (KK <= 1.31) {
+            pValue = 6.198765 - 19.558097 * KK + 23.186922 * KK ** 2 - 12.234627 * KK ** 3 + 2.423045 * KK ** 4;
+        } else {
+            pValue = 0;
+        }
+    }
+
+    return testResult('Lilliefors', D, Math.min(1, Math.max(0, pValue)), alpha);
+}
+
+/**
+ * Run every normality test on one set of residuals
+ *
+ * @param {number[]} residuals - Array of residual values
+ * @returns {Object} { n, tests: { shapiroWilk, andersonDarling, jarqueBera, dagostinoK2, lilliefors },
+ *                     rejectedBy: [test names], verdict: 'normal' | 'non-normal' | 'mixed' }
+ */
+export function normalityTestBattery(residuals, alpha = 0.05) {
+    const sw = shapiroWilkTest(residuals, alpha);
+    const tests = {
+        shapiroWilk: { name: 'Shapiro-Wilk', statistic: sw.W, ...sw },
+        andersonDarling: andersonDarlingTest(residuals, alpha),
+        jarqueBera: jarqueBeraTest(residuals, alpha),
+        dagostinoK2: dagostinoK2Test(residuals, alpha),
+        lilliefors: lillieforsTest(residuals, alpha)
+    };
+
+    const run = Object.values(tests).filter(t => Number.isFinite(t.pValue));
+    const rejectedBy = run.filter(t => t.rejectNull).map(t => t.name);
+    let verdict = 'mixed';
+    if (rejectedBy.length === 0) verdict = 'normal';
+    else if (rejectedBy.length === run.length) verdict = 'non-normal';
+
+    return {
+        n: residuals.filter(Number.isFinite).length,
+        alpha,
+        tests,
+        rejectedBy,
+        verdict
+    };
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7)
+ */
+function lnGamma(x) {
+    const c = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+
+    const z = x - 1;
+    let sum = c[0];
+    for (let i = 1; i < 9; i++) sum += c[i] / (z + i);
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Upper regularized incomplete gamma Q(a, x): series below a + 1,
+ * Lentz continued fraction above (Numerical Recipes gser/gcf)
+ */
+function regularizedGammaQ(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - lnGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return 1 - sum * Math.exp(logPrefix);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(logPrefix) * h;
+}
+
+/**
+ * Upper tail of the χ² distribution, P(X > x) for df degrees of freedom
+ */
+export function chiSquareSurvival(x, df) {
+    if (!(df > 0)) return NaN;
+    return regularizedGammaQ(df / 2, x / 2);
+}
+
+/**
+ * Sample autocorrelation function r_0..r_maxLag
+ * (biased estimator, denominator n, as in R's acf and statsmodels)
+ */
+export function autocorrelation(data, maxLag) {
+    const n = data.length;
+    const mean = data.reduce((a, b) => a + b, 0) / n;
+    const centered = data.map(x => x - mean);
+    const c0 = centered.reduce((s, x) => s + x * x, 0);
+
+    const acf = [1];
+    for (let k = 1; k <= maxLag; k++) {
+        let ck = 0;
+        for (let t = k; t < n; t++) ck += centered[t] * centered[t - k];
+        acf.push(c0 === 0 ? 0 : ck / c0);
+    }
+    return acf;
+}
+
+/**
+ * Partial autocorrelations φ_11..φ_kk from an ACF via the Durbin-Levinson recursion
+ * @returns {number[]} PACF indexed by lag (index 0 is 1)
+ */
+export function partialAutocorrelation(acf) {
+    const maxLag = acf.length - 1;
+    const pacf = [1];
+    let phi = [];
+
+    for (let k = 1; k <= maxLag; k++) {
+        let num = acf[k];
+        let den = 1;
+        for (let j = 1; j < k; j++) {
+            num -= phi[j - 1] * acf[k - j];
+            den -= phi[j - 1] * acf[j];
+        }
+        const phiKK = den === 0 ? 0 : num / den;
+        phi = [...phi.map((p, j) => p - phiKK * phi[k - 2 - j]), phiKK];
+        pacf.push(phiKK);
+    }
+    return pacf;
+}
+
+/**
+ * Ljung-Box portmanteau test: Q = n(n+2) Σ r_k² / (n−k), χ²(h − fitdf)
+ *
+ * @param {number[]} data - Residuals in time order
+ * @param {number} lag - Number of lags h (default min(10, n/5))
+ * @param {Object} options - { fitdf: parameters fitted to produce the residuals, alpha }
+ * @returns {Object} { statistic, lag, df, pValue, rejectNull }
+ */
+export function ljungBoxTest(data, lag, { fitdf = 0, alpha = 0.05 } = {}) {
+    const values = data.filter(Number.isFinite);
+    const n = values.length;
+    const h = Math.min(lag ?? Math.max(1, Math.min(10, Math.floor(n / 5))), n - 1);
+    if (h < 1 || h - fitdf < 1) return tooFewValues('Ljung-Box', fitdf + 2);
+
+    const acf = autocorrelation(values, h);
+    let Q = 0;
+    for (let k = 1; k <= h; k++) Q += (acf[k] * acf[k]) / (n - k);
+    Q *= n * (n + 2);
+
+    const df = h - fitdf;
+    return testResult('Ljung-Box', Q, chiSquareSurvival(Q, df), alpha, { lag: h, df });
+}
+
+/**
+ * Durbin-Watson statistic d = Σ(e_t − e_{t−1})² / Σe_t²
+ *
+ * d ≈ 2(1 − r_1): near 2 for uncorrelated residuals, towards 0 for
+ * positive and towards 4 for negative lag-1 autocorrelation
+ */
+export function durbinWatsonTest(data) {
+    const values = data.filter(Number.isFinite);
+    if (values.length < 3) return { name: 'Durbin-Watson', statistic: NaN, error: 'Durbin-Watson needs at least 3 values' };
+
+    let num = 0;
+    let den = values[0] * values[0];
+    for (let t = 1; t < values.length; t++) {
+        num += (values[t] - values[t - 1]) ** 2;
+        den += values[t] * values[t];
+    }
+    const d = den === 0 ? 2 : num / den;
+
+    let interpretation = 'No evidence of lag-1 autocorrelation';
+    if (d < 1.5) interpretation = 'Positive autocorrelation (errors persist between epochs)';
+    else if (d > 2.5) interpretation = 'Negative autocorrelation (errors alternate in sign)';
+
+    return { name: 'Durbin-Watson', statistic: d, interpretation };
+}
+
+/**
+ * Lags (in samples) at which orbit-periodic error would show up:
+ * multiples of half the orbital period (twice- and once-per-revolution terms)
+ */
+function periodicLags(periodMinutes, stepMinutes, maxLag) {
+    if (!periodMinutes || !stepMinutes) return [];
+    const halfPeriod = periodMinutes / 2 / stepMinutes;
+    if (halfPeriod < 1) return [];
+
+    const lags = [];
+    for (let m = 1; m * halfPeriod <= maxLag + 0.5; m++) {
+        lags.push({ lag: m * halfPeriod, label: m % 2 === 0 ? `${m / 2}× period` : `${m}/2 period` });
+    }
+    return lags;
+}
+
+/**
+ * Whiteness diagnostics for one channel's residuals
+ *
+ * ACF with the ±z/√n white-noise band and Bartlett's band, PACF,
+ * Ljung-Box at the chosen lag and Durbin-Watson. Significant ACF lags within
+ * one sample of a multiple of half the orbital period are flagged as
+ * leftover orbit-periodic structure.
+ *
+ * @param {number[]} residuals - Residuals in time order
+ * @param {Object} options - { maxLag, stepMinutes, orbitalPeriodHours, alpha, fitdf }
+ *                            (ljungBox uses min(10, n/5) lags regardless of maxLag)
+ * @returns {Object} { n, maxLag, band, lags: [{ lag, leadMinutes, acf, pacf, bartlett,
+ *                     significant, pacfSignificant, periodic }], periodicLags, flagged,
+ *                     ljungBox, durbinWatson, white }
+ */
+export function residualAutocorrelation(residuals, { maxLag, stepMinutes = null, orbitalPeriodHours = null, alpha = 0.05, fitdf = 0 } = {}) {
+    const values = residuals.filter(Number.isFinite);
+    const n = values.length;
+    // Default: 10·log10(n) lags, extended to one orbital period when the series is long enough
+    const periodLag = orbitalPeriodHours && stepMinutes ? Math.ceil((orbitalPeriodHours * 60 / stepMinutes) * 1.1) : 0;
+    const defaultLag = Math.max(Math.round(10 * Math.log10(Math.max(n, 10))), Math.min(periodLag, Math.floor(n / 2)));
+    const lagCount = Math.max(1, Math.min(maxLag ?? defaultLag, n - 1));
+
+    const acf = autocorrelation(values, lagCount);
+    const pacf = partialAutocorrelation(acf);
+    const z = normalQuantile(1 - alpha / 2);
+    const band = z / Math.sqrt(n);
+
+    const periodic = periodicLags(orbitalPeriodHours ? orbitalPeriodHours * 60 : null, stepMinutes, lagCount);
+
+    let cumulative = 0;
+    const lags = [];
+    for (let k = 1; k <= lagCount; k++) {
+        const bartlett = z * Math.sqrt((1 + 2 * cumulative) / n);
+        cumulative += acf[k] ** 2;
+        const match = periodic.find(p => Math.abs(p.lag - k) <= 1);
+        lags.push({
+            lag: k,
+            leadMinutes: stepMinutes ? k * stepMinutes : null,
+            acf: acf[k],
+            pacf: pacf[k],
+            bartlett,
+            significant: Math.abs(acf[k]) > band,
+            pacfSignificant: Math.abs(pacf[k]) > band,
+            periodic: match ? match.label : null
+        });
+    }
+
+    const flagged = lags.filter(l => l.significant && l.periodic);
+    const ljungBox = ljungBoxTest(values, Math.min(lagCount, Math.max(1, Math.min(10, Math.floor(n / 5)))), { fitdf, alpha });
+    const durbinWatson = durbinWatsonTest(values);
+
+    return {
+        n,
+        maxLag: lagCount,
+        band,
+        lags,
+        periodicLags: periodic,
+        flagged,
+        ljungBox,
+        durbinWatson,
+        white: !ljungBox.rejectNull && flagged.length === 0
+    };
+}
+
 /**
  * Generate Q-Q plot data for visualization
  * This is Priority 3 evaluation criteria for ISRO
@@ -293,6 +810,7 @@ export function evaluateModelISRO(predictions, actuals) {
         
         evaluation[param] = {
             shapiroWilk: sw,
+            normality: normalityTestBattery(residuals[param]),
             statistics: stats,
             qqPlot: qqData,
             residuals: residuals[param]
@@ -321,6 +839,7 @@ export function evaluateModelISRO(predictions, actuals) {
         byParameter: evaluation,
         overall: {
             shapiroWilk: overallSW,
+            normality: normalityTestBattery(allResiduals),
             statistics: overallStats,
             averageW: avgW,
             averagePValue: avgPValue
@@ -342,40 +861,32 @@ export function evaluateModelISRO(predictions, actuals) {
 
 /**
  * Interpolate predictions at arbitrary timestamps
- * Required because ISRO evaluation uses non-uniform sampling
- * 
+ * Required because ISRO evaluation uses non-uniform sampling. Each channel
+ * gets a Gaussian process (white + Matérn + orbital-period + linear-drift
+ * kernel, see gaussianProcess.js), so the values are exact posterior means
+ * with their standard deviations rather than nearest-neighbour guesses.
+ *
  * @param {Array} trainData - Training data with timestamps
  * @param {Array} targetTimestamps - Timestamps to predict at
- * @param {Function} predictFn - Prediction function
- * @returns {Array} Predictions at target timestamps
+ * @param {Object} options - { orbit (orbit type or period in hours), channels, maxPoints, includeNoise }
+ * @returns {Array} Predictions at target timestamps: { timestamp, [channel]: { mean, std } }
  */
-export function interpolateAtTimestamps(trainData, targetTimestamps, predictFn) {
-    const predictions = [];
-    
-    for (const timestamp of targetTimestamps) {
-        // Find nearest training data points
-        const sorted = [...trainData].sort((a, b) => 
-            Math.abs(a.timestamp - timestamp) - Math.abs(b.timestamp - timestamp)
-        );
-        
-        // Use k nearest neighbors for context
-        const k = Math.min(48, trainData.length); // Use last 48 points as context
-        const context = sorted.slice(0, k).sort((a, b) => a.timestamp - b.timestamp);
-        
-        // Make prediction
-        const prediction = predictFn(context);
-        
-        predictions.push({
-            timestamp,
-            ...prediction
-        });
-    }
-    
-    return predictions;
+export function interpolateAtTimestamps(trainData, targetTimestamps, options = {}) {
+    return gaussianProcessChannels(trainData, targetTimestamps, options).predictions;
 }
 
 export default {
     shapiroWilkTest,
+    andersonDarlingTest,
+    jarqueBeraTest,
+    dagostinoK2Test,
+    lillieforsTest,
+    normalityTestBattery,
+    autocorrelation,
+    partialAutocorrelation,
+    ljungBoxTest,
+    durbinWatsonTest,
+    residualAutocorrelation,
     calculateResidualStats,
     generateQQPlotData,
     evaluateModelISRO,
@@ -0,0 +1,295 @@
+/**
+ * Telemetry Ingestion
+ * One CSV parser for the browser, the Express server and the Vercel functions.
+ *
+ * Produces rows in the model's channel layout:
+ *   { timestamp, utc_time, radial, along, cross, clock, clockMeters }
+ * with radial/along/cross in metres and clock in nanoseconds. Source units
+ * come from the column mapping, else from the header ("x_error (m)"), else
+ * metres. Rows that cannot be parsed are rejected and reported, never
+ * zero-filled.
+ *
+ * No Node or DOM APIs are used here.
+ */
+
+export const SPEED_OF_LIGHT_M_PER_NS = 0.299792458;
+
+// Units of the parsed output
+export const CHANNEL_UNITS = {
+    radial: 'm',
+    along: 'm',
+    cross: 'm',
+    clock: 'ns',
+    clockMeters: 'm'
+};
+
+export const CHANNELS = ['radial', 'along', 'cross', 'clock'];
+
+const LENGTH_UNITS = { m: 1, cm: 0.01, mm: 0.001, km: 1000 };
+const TIME_UNITS = { ns: 1, us: 1e3, ms: 1e6, s: 1e9 };
+
+/**
+ * Column mapping for the ISRO DATA_*.csv splits. `column` may be a single
+ * header name or a list of accepted names (matched after normalizeHeader).
+ */
+export const ISRO_COLUMN_MAP = {
+    timestamp: { column: ['utc_time', 'timestamp', 'time'] },
+    radial: { column: ['x_error', 'radial'] },
+    along: { column: ['y_error', 'along'] },
+    cross: { column: ['z_error', 'cross'] },
+    clock: { column: ['satclockerror', 'clock_error', 'clock'] }
+};
+
+/**
+ * Split CSV text into records. Handles quoted fields, "" escapes, commas and
+ * newlines inside quotes, CRLF line endings and a UTF-8 BOM.
+ * @param {string} text - Raw CSV
+ * @param {string} delimiter - Field separator
+ * @returns {Array} [{ line, fields }] with 1-based source line numbers, blank lines skipped
+ */
+export function tokenizeCSV(text, delimiter = ',') {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || fields.length > 0) endRecord();
+
+    return records;
+}
+
+/**
+ * Normalize a header cell: "X_Error (m)" → { name: "x_error", unit: "m" }
+ */
+export function normalizeHeader(header) {
+    const unitMatch = String(header).match(/\(([^)]*)\)/);
+    const name = String(header)
+        .replace(/\([^)]*\)/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, '_');
+    return { name, unit: unitMatch ? unitMatch[1].trim().toLowerCase() : null };
+}
+
+/**
+ * Parse a timestamp as UTC. Accepts the ISRO "M/D/YYYY H:MM[:SS]" form,
+ * "YYYY-MM-DD HH:MM[:SS]", "YYYY/MM/DD HH:MM[:SS]" and ISO-8601.
+ * @returns {number|null} Epoch milliseconds
+ */
+export function parseTimestamp(value) {
+    const str = String(value ?? '').trim();
+    if (!str) return null;
+
+    let match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+    if (match) {
+        const [, month, day, year, hour, minute] = match.map(Number);
+        return utc(year, month, day, hour, minute, Number(match[6] || 0));
+    }
+
+    match = str.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+    if (match) {
+        const [, year, month, day, hour, minute] = match.map(Number);
+        return utc(year, month, day, hour, minute, Number(match[6] || 0));
+    }
+
+    // ISO-8601 with an explicit offset or date-only
+    const parsed = Date.parse(str);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function utc(year, month, day, hour, minute, second) {
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second >= 61) return null;
+    return Date.UTC(year, month - 1, day, hour, minute, 0) + second * 1000;
+}
+
+/**
+ * Match a column mapping against a header row
+ * @param {Array<string>} header - Raw header cells
+ * @param {Object} columns - Mapping like ISRO_COLUMN_MAP
+ * @returns {Object} { resolved: { channel: { column, index, unit } }, missing: [channel] }
+ */
+export function resolveColumns(header, columns = ISRO_COLUMN_MAP) {
+    const normalized = header.map(normalizeHeader);
+    const resolved = {};
+    const missing = [];
+
+    Object.entries(columns).forEach(([channel, spec]) => {
+        const candidates = [].concat(spec.column).map(c => normalizeHeader(c).name);
+        const index = normalized.findIndex(h => candidates.includes(h.name));
+
+        if (index === -1) {
+            missing.push(channel);
+            return;
+        }
+        resolved[channel] = {
+            column: header[index].trim(),
+            index,
+            unit: spec.unit || normalized[index].unit || (channel === 'timestamp' ? null : 'm')
+        };
+    });
+
+    return { resolved, missing };
+}
+
+/**
+ * Converter from a source unit to the output unit of a channel
+ * @returns {Function|null} null if the unit is not valid for the channel
+ */
+function unitConverter(channel, unit) {
+    if (channel === 'clock') {
+        if (unit in TIME_UNITS) return v => v * TIME_UNITS[unit];
+        if (unit in LENGTH_UNITS) return v => (v * LENGTH_UNITS[unit]) / SPEED_OF_LIGHT_M_PER_NS;
+        return null;
+    }
+    return unit in LENGTH_UNITS ? v => v * LENGTH_UNITS[unit] : null;
+}
+
+/**
+ * Parse telemetry CSV into model rows
+ * @param {string} text - Raw CSV
+ * @param {Object} options - { columns (mapping, default ISRO_COLUMN_MAP), delimiter, sort (default true) }
+ * @returns {Object} { rows, errors: [{ row, line, column, message }], header, columns, units, totalRows, validRows, errorRate }
+ */
+export function parseTelemetryCSV(text, { columns = ISRO_COLUMN_MAP, delimiter = ',', sort = true } = {}) {
+    const records = tokenizeCSV(text || '', delimiter);
+    const result = {
+        rows: [],
+        errors: [],
+        header: [],
+        columns: {},
+        units: CHANNEL_UNITS,
+        totalRows: Math.max(0, records.length - 1),
+        validRows: 0,
+        errorRate: 0
+    };
+
+    if (records.length === 0) {
+        result.errors.push({ row: 0, line: 1, column: null, message: 'File is empty' });
+        return result;
+    }
+
+    result.header = records[0].fields.map(h => h.trim());
+    const { resolved, missing } = resolveColumns(result.header, columns);
+    result.columns = resolved;
+
+    if (missing.length > 0) {
+        result.errors.push({
+            row: 0,
+            line: records[0].line,
+            column: null,
+            message: `Missing required columns: ${missing.map(c => [].concat(columns[c].column)[0]).join(', ')}`
+        });
+        return result;
+    }
+
+    const converters = {};
+    for (const channel of CHANNELS) {
+        converters[channel] = unitConverter(channel, resolved[channel].unit);
+        if (!converters[channel]) {
+            result.errors.push({
+                row: 0,
+                line: records[0].line,
+                column: resolved[channel].column,
+                message: `Unsupported unit "${resolved[channel].unit}" for ${channel}`
+            });
+            return result;
+        }
+    }
+
+    records.slice(1).forEach(({ line, fields }, i) => {
+        const row = i + 1;
+        const fail = (column, message) => result.errors.push({ row, line, column, message });
+
+        if (fields.length !== result.header.length) {
+            fail(null, `Expected ${result.header.length} fields, found ${fields.length}`);
+            return;
+        }
+
+        const rawTime = fields[resolved.timestamp.index].trim();
+        const timestamp = parseTimestamp(rawTime);
+        if (timestamp === null) {
+            fail(resolved.timestamp.column, `Invalid timestamp "${rawTime}"`);
+            return;
+        }
+
+        const point = { timestamp, utc_time: rawTime };
+        for (const channel of CHANNELS) {
+            const raw = fields[resolved[channel].index].trim();
+            const value = raw === '' ? NaN : Number(raw);
+            if (!Number.isFinite(value)) {
+                fail(resolved[channel].column, raw === '' ? 'Empty value' : `Non-numeric value "${raw}"`);
+                return;
+            }
+            point[channel] = converters[channel](value);
+        }
+        point.clockMeters = point.clock * SPEED_OF_LIGHT_M_PER_NS;
+
+        result.rows.push(point);
+    });
+
+    if (sort) result.rows.sort((a, b) => a.timestamp - b.timestamp);
+
+    result.validRows = result.rows.length;
+    result.errorRate = result.totalRows > 0 ? (result.totalRows - result.validRows) / result.totalRows : 0;
+    return result;
+}
+
+/**
+ * One-line summary of row errors for logs and UI warnings
+ */
+export function summarizeErrors(errors, limit = 3) {
+    if (errors.length === 0) return '';
+    const shown = errors.slice(0, limit).map(e => (e.row ? `row ${e.row}: ${e.message}` : e.message));
+    const more = errors.length > limit ? ` (+${errors.length - limit} more)` : '';
+    return `${shown.join('; ')}${more}`;
+}
+
+/**
+ * Median spacing between consecutive rows
+ * @param {Array} rows - Rows sorted by timestamp
+ * @returns {number|null} Minutes, or null with fewer than two rows
+ */
+export function medianStepMinutes(rows) {
+    const steps = rows.slice(1).map((r, i) => (r.timestamp - rows[i].timestamp) / 60000).sort((a, b) => a - b);
+    return steps.length > 0 ? steps[Math.floor(steps.length / 2)] : null;
+}
@@ -3,6 +3,9 @@
  * Handles CSV validation, parsing, and data statistics for satellite telemetry data
  */
 
+import { tokenizeCSV, resolveColumns, parseTelemetryCSV, parseTimestamp, ISRO_COLUMN_MAP } from './telemetryIngest.js';
+import { regularizeSeries, hasTimestamps, DEFAULT_RESAMPLING } from './resample.js';
+
 /**
  * Validate CSV file format
  * @param {File} file - CSV file to validate
@@ -30,43 +33,44 @@ export async function validateCSV(file) {
     }
 
     const content = await file.text();
-    const lines = content.trim().split('\n');
+    const result = validateCSVContent(content);
+
+    return {
+        ...result,
+        isValid: isValid && result.isValid,
+        errors: [...errors, ...result.errors],
+        warnings: [...warnings, ...result.warnings]
+    };
+}
 
-    if (lines.length < 2) {
+/**
+ * Validate CSV text against the telemetry header and row rules
+ * @param {string} content - Raw CSV content
+ * @returns {Object} Validation result with isValid, errors, warnings, rowCount and header
+ */
+export function validateCSVContent(content) {
+    const errors = [];
+    const warnings = [];
+    let isValid = true;
+
+    const records = tokenizeCSV(content);
+
+    if (records.length < 2) {
         errors.push('CSV file must have at least a header row and one data row.');
         isValid = false;
         return { isValid, errors, warnings };
     }
 
-    const header = lines[0].split(',').map(h => h.trim());
-    const requiredColumns = ['utc_time', 'x_error', 'y_error', 'z_error', 'satclockerror'];
-
-    // Normalize: lowercase, strip units like (m), collapse whitespace/underscores
-    const normalize = (s) => s.toLowerCase().replace(/\s*\([^)]*\)\s*/g, '').replace(/[\s_]+/g, '').trim();
-    const foundNormalized = header.map(normalize);
-
-    const missingColumns = requiredColumns.filter(col => {
-        const normCol = normalize(col);
-        return !foundNormalized.some(fc =>
-            fc === normCol ||
-            fc.replace('error', '') === normCol.replace('error', '')
-        );
-    });
+    const header = records[0].fields.map(h => h.trim());
+    const { resolved, missing } = resolveColumns(header, ISRO_COLUMN_MAP);
 
-    if (missingColumns.length > 0) {
-        errors.push(`Missing required columns: ${missingColumns.join(', ')}`);
+    if (missing.length > 0) {
+        errors.push(`Missing required columns: ${missing.map(c => ISRO_COLUMN_MAP[c].column[0]).join(', ')}`);
         isValid = false;
     }
 
-    const dataRows = lines.slice(1);
-    let invalidRows = 0;
-
-    for (let i = 0; i < Math.min(10, dataRows.length); i++) {
-        const values = dataRows[i].split(',');
-        if (values.length < 5) {
-            invalidRows++;
-        }
-    }
+    const dataRows = records.slice(1);
+    const invalidRows = dataRows.slice(0, 10).filter(r => r.fields.length !== header.length).length;
 
     if (invalidRows > 0) {
         warnings.push(`${invalidRows} of first 10 rows have incorrect column count.`);
@@ -76,13 +80,13 @@ export async function validateCSV(file) {
         warnings.push('Dataset has fewer than 100 rows. Model training may not be effective.');
     }
 
-    const timePoints = dataRows.slice(0, 20).map(row => {
-        const firstCol = row.split(',')[0];
-        return parseTimestamp(firstCol);
-    }).filter(t => t !== null);
+    const timeIndex = resolved.timestamp?.index ?? 0;
+    const timePoints = dataRows.slice(0, 20)
+        .map(row => parseTimestamp(row.fields[timeIndex] ?? ''))
+        .filter(t => t !== null);
 
     if (timePoints.length === 0) {
-        warnings.push('Could not parse timestamps. Ensure first column is in date format.');
+        warnings.push('Could not parse timestamps. Ensure the time column is in date format.');
     }
 
     return { isValid, errors, warnings, rowCount: dataRows.length, header };
@@ -91,90 +95,23 @@ export async function validateCSV(file) {
 /**
  * Parse CSV content to array of data objects
  * @param {string} csvText - Raw CSV content
- * @returns {Array} Parsed data with validation
+ * @param {Object} options - Forwarded to parseTelemetryCSV (column mapping, delimiter)
+ * @returns {Object} { data, parseErrors: [{ row, line, column, error }], validRows, totalRows, errorRate, units, columns }
  */
-export function parseCSVData(csvText) {
-    const lines = csvText.trim().split('\n');
-    const header = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/[\s()]+/g, '_').replace('error', '_error'));
-
-    const data = [];
-    const parseErrors = [];
-
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const values = line.split(',').map(v => v.trim());
-
-        if (values.length < 5) {
-            parseErrors.push({ row: i + 1, error: 'Insufficient columns' });
-            continue;
-        }
-
-        const timestamp = parseTimestamp(values[0]);
-        if (!timestamp) {
-            parseErrors.push({ row: i + 1, error: 'Invalid timestamp format' });
-            continue;
-        }
-
-        const point = {
-            timestamp,
-            utc_time: values[0],
-            radial: parseFloat(values[1]) || 0,
-            along: parseFloat(values[2]) || 0,
-            cross: parseFloat(values[3]) || 0,
-            clock: (parseFloat(values[4]) || 0) / 0.3,
-            clockMeters: parseFloat(values[4]) || 0
-        };
-
-        if (isNaN(point.radial) || isNaN(point.along) || isNaN(point.cross) || isNaN(point.clockMeters)) {
-            parseErrors.push({ row: i + 1, error: 'Non-numeric values detected' });
-        }
-
-        data.push(point);
-    }
-
-    data.sort((a, b) => a.timestamp - b.timestamp);
+export function parseCSVData(csvText, options) {
+    const result = parseTelemetryCSV(csvText, options);
 
     return {
-        data,
-        parseErrors,
-        validRows: data.length,
-        totalRows: lines.length - 1,
-        errorRate: parseErrors.length / (lines.length - 1)
+        data: result.rows,
+        parseErrors: result.errors.map(e => ({ row: e.row, line: e.line, column: e.column, error: e.message })),
+        validRows: result.validRows,
+        totalRows: result.totalRows,
+        errorRate: result.errorRate,
+        units: result.units,
+        columns: result.columns
     };
 }
 
-/**
- * Parse various timestamp formats
- * @param {string} dateStr - Date string
- * @returns {number|null} Timestamp or null if invalid
- */
-function parseTimestamp(dateStr) {
-    const formats = [
-        /(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})/,
-        /(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})/,
-        /(\d{4})\/(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{2})/
-    ];
-
-    for (const regex of formats) {
-        const match = dateStr.match(regex);
-        if (match) {
-            const [_, a, b, c, d, e] = match;
-            const nums = match.slice(1).map(Number);
-
-            if (nums[0] > 1000) {
-                return new Date(nums[0], nums[1] - 1, nums[2], nums[3], nums[4]).getTime();
-            } else {
-                return new Date(nums[2], nums[0] - 1, nums[1], nums[3], nums[4]).getTime();
-            }
-        }
-    }
-
-    const parsed = new Date(dateStr);
-    return isNaN(parsed.getTime()) ? null : parsed.getTime();
-}
-
 /**
  * Calculate comprehensive data statistics
  * @param {Array} data - Array of data points
@@ -348,24 +285,30 @@ function generateRecommendations(stats, outlierRate) {
 }
 
 /**
- * Prepare sequences for LSTM training
+ * Prepare sequences for LSTM training. Timestamped data is first resampled
+ * onto a regular grid, so a sequence spans sequenceLength × stepMinutes and
+ * the target is predictionHorizon steps after it; windows that cross a
+ * masked gap, or whose target is imputed, are skipped.
  * @param {Array} data - Normalized data array
  * @param {number} sequenceLength - Length of each sequence
  * @param {number} predictionHorizon - Steps to predict ahead
+ * @param {Object} options - { stepMinutes, maxGapMinutes } (see utils/resample.js)
  * @returns {Object} Sequences and metadata
  */
-export function prepareTrainingSequences(data, sequenceLength = 96, predictionHorizon = 1) {
+export function prepareTrainingSequences(data, sequenceLength = 96, predictionHorizon = 1, options = {}) {
+    const { stepMinutes = DEFAULT_RESAMPLING.stepMinutes, maxGapMinutes = DEFAULT_RESAMPLING.maxGapMinutes } = options;
+    const grid = hasTimestamps(data) ? regularizeSeries(data, { stepMinutes, maxGapMinutes }) : null;
+    const rows = grid ? grid.rows : data;
     const sequences = [];
     const targets = [];
 
-    for (let i = 0; i <= data.length - sequenceLength - predictionHorizon; i++) {
-        const seq = data.slice(i, i + sequenceLength).map(d => [
-            d.clock, d.radial, d.along, d.cross
-        ]);
+    for (let i = 0; i <= rows.length - sequenceLength - predictionHorizon; i++) {
+        const window = rows.slice(i, i + sequenceLength);
+        const target = rows[i + sequenceLength + predictionHorizon - 1];
+        if (window.some(d => !Number.isFinite(d.clock)) || target.imputed) continue;
 
-        const target = data[i + sequenceLength];
+        sequences.push(window.map(d => [d.clock, d.radial, d.along, d.cross]));
         targets.push([target.clock, target.radial, target.along, target.cross]);
-        sequences.push(seq);
     }
 
     return {
@@ -375,7 +318,11 @@ export function prepareTrainingSequences(data, sequenceLength = 96, predictionHo
         metadata: {
             sequenceLength,
             predictionHorizon,
-            featuresPerStep: 4
+            featuresPerStep: 4,
+            stepMinutes: grid ? stepMinutes : null,
+            gridRows: rows.length,
+            imputedRows: grid?.imputed ?? 0,
+            maskedRows: grid?.masked ?? 0
         }
     };
 }
@@ -445,6 +392,7 @@ export function generateDataPreview(data, limit = 50) {
 
 export default {
     validateCSV,
+    validateCSVContent,
     parseCSVData,
     calculateStatistics,
     prepareTrainingSequences,
@@ -0,0 +1,148 @@
+/**
+ * Walk-forward backtesting (src/utils/backtest.js) on a deterministic
+ * fixture: skill scores against the persistence reference, and what each
+ * forecaster is allowed to see at a rolling origin.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    walkForward,
+    persistenceForecaster,
+    linearDriftForecaster,
+    serializeBacktest,
+    skillSummary
+} from '../src/utils/backtest.js';
+
+const CHANNELS = ['radial', 'along', 'cross', 'clock'];
+const START = Date.UTC(2025, 0, 1);
+const STEP_MS = 15 * 60000;
+const HORIZONS = [1, 2, 4];
+
+// 60 rows, 15 min apart: a linear clock drift and periodic orbit errors
+const ROWS = Array.from({ length: 60 }, (_, i) => ({
+    timestamp: START + i * STEP_MS,
+    clock: 0.5 * i,
+    radial: Math.sin(i / 3),
+    along: (i % 5) - 2,
+    cross: Math.cos(i / 4)
+}));
+
+const assertClose = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+
+/**
+ * Persistence under another id, scored as a model
+ */
+const persistenceCopy = () => ({ ...persistenceForecaster(), id: 'persistenceCopy', label: 'Persistence copy', kind: 'model' });
+
+test('persistence has skill 0 against itself', async () => {
+    const report = await walkForward(ROWS, [persistenceCopy()], { horizons: HORIZONS, minHistory: 12 });
+
+    assert.equal(report.reference, 'persistence');
+    assert.deepEqual(report.methods.map(m => m.id), ['persistence', 'persistenceCopy']);
+    for (const method of report.methods) {
+        assert.equal(method.missing, 0);
+        for (const channel of CHANNELS) {
+            assert.equal(method.overall[channel].skill, 0, `${method.id} ${channel}`);
+            assert.equal(method.overall[channel].rmse, method.overall[channel].referenceRmse);
+        }
+        method.horizons.forEach(h => CHANNELS.forEach(c => assert.equal(h.channels[c].skill, 0)));
+    }
+
+    // The API/UI layout reports the same
+    const serialized = serializeBacktest(report);
+    assert.equal(serialized.step_minutes, 15);
+    assert.deepEqual(serialized.horizons.map(h => h.lead_minutes), [15, 30, 60]);
+    const summary = skillSummary(serialized);
+    assert.equal(summary.method, 'Persistence copy');
+    assert.equal(summary.skill, 0);
+    assert.equal(summary.rmse, summary.referenceRmse);
+});
+
+test('persistence errors on a linear drift are the drift over the horizon', async () => {
+    const report = await walkForward(ROWS, [linearDriftForecaster({ window: 6 })], { horizons: HORIZONS, minHistory: 12 });
+    const [persistence, drift] = report.methods;
+
+    persistence.horizons.forEach(({ horizon, channels }) => {
+        assertClose(channels.clock.rmse, 0.5 * horizon);
+        assertClose(channels.clock.bias, 0.5 * horizon);
+    });
+    // The straight line is exact on the clock channel (up to the solver's ridge), so it has full skill there
+    drift.horizons.forEach(({ channels }) => {
+        assertClose(channels.clock.rmse, 0, 1e-6);
+        assertClose(channels.clock.skill, 1, 1e-6);
+    });
+});
+
+test('rolling origins never show a forecaster its targets', async () => {
+    const predictCalls = [];
+    const fitCalls = [];
+    const spy = {
+        id: 'spy',
+        label: 'Spy',
+        kind: 'model',
+        refitEvery: 5,
+        fit: (history) => {
+            fitCalls.push({ history, call: predictCalls.length });
+        },
+        predict: (history, targets) => {
+            predictCalls.push({ history, targets });
+            return targets.map(() => ({ ...history.at(-1) }));
+        }
+    };
+
+    const report = await walkForward(ROWS, [spy], { horizons: HORIZONS, minHistory: 12, stride: 3 });
+    assert.equal(predictCalls.length, report.origins);
+    assert.ok(report.origins > 10);
+
+    predictCalls.forEach(({ history, targets }, o) => {
+        const origin = 11 + o * 3;
+        // History is exactly the rows up to and including the origin
+        assert.equal(history.length, origin + 1);
+        history.forEach((row, i) => assert.equal(row, ROWS[i]));
+        // Every target lies strictly after it
+        targets.forEach(({ horizon, timestamp }) => {
+            assert.ok(timestamp > history.at(-1).timestamp);
+            assert.equal(timestamp, ROWS[origin + horizon].timestamp);
+        });
+    });
+
+    // Refits happen every 5 origins, each on the history of its own origin
+    assert.deepEqual(fitCalls.map(f => f.call), Array.from({ length: Math.ceil(report.origins / 5) }, (_, k) => k * 5));
+    fitCalls.forEach(({ history, call }) => assert.equal(history.length, predictCalls[call].history.length));
+});
+
+test('rows before scoreFrom and imputed rows are context, never targets', async () => {
+    const rows = ROWS.map((row, i) => (i === 30 ? { ...row, imputed: true } : row));
+    const requested = [];
+    const spy = {
+        ...persistenceForecaster(),
+        id: 'spy',
+        kind: 'model',
+        predict: (history, targets) => {
+            requested.push(...targets.map(t => t.timestamp));
+            return targets.map(() => ({ ...history.at(-1) }));
+        }
+    };
+
+    const report = await walkForward(rows, [spy], { horizons: HORIZONS, minHistory: 12, scoreFrom: 20 });
+
+    assert.ok(requested.length > 0);
+    assert.ok(requested.every(t => t >= rows[20].timestamp));
+    assert.ok(!requested.includes(rows[30].timestamp));
+    assert.equal(report.methods.find(m => m.id === 'spy').samples, requested.length);
+    assert.equal(report.horizons.reduce((sum, h) => sum + h.targets, 0), requested.length);
+});
+
+test('a cancelled backtest stops between origins', async () => {
+    let calls = 0;
+    const report = await walkForward(ROWS, [], {
+        horizons: HORIZONS,
+        minHistory: 12,
+        onProgress: () => { calls++; },
+        shouldStop: () => calls >= 3
+    });
+    assert.equal(report.cancelled, true);
+    assert.equal(calls, 3);
+});
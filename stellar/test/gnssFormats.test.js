@@ -0,0 +1,171 @@
+/**
+ * SP3-d and RINEX 3.00 clock writers (src/utils/gnssFormats.js) read back
+ * by their parsers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeSP3, parseSP3, writeRinexClock, parseRinexClock, gpsWeek, modifiedJulianDate } from '../src/utils/gnssFormats.js';
+
+const START = Date.UTC(2025, 2, 14, 0, 0, 0);
+const STEP_MS = 15 * 60000;
+
+// Three epochs; E11 loses its position at the second and its clock at the third
+const SP3_EPOCHS = [0, 1, 2].map(k => ({
+    time: START + k * STEP_MS,
+    records: [
+        {
+            id: 'G01',
+            position: [15000.123456, -20000.5 + k, 7000.25],
+            clock: 123.456789 - k * 0.001,
+            sigma: { position: [12, 15, 20], clock: 30 },
+            flags: { clockPredicted: true, maneuver: k === 2 }
+        },
+        {
+            id: 'E11',
+            position: k === 1 ? null : [-25000.1, 10000.2, 12000.3],
+            clock: k === 2 ? null : -45.5
+        }
+    ]
+}));
+
+test('SP3-d header fields survive a round trip', () => {
+    const text = writeSP3({
+        epochs: SP3_EPOCHS,
+        dataUsed: 'ORBIT',
+        coordinateSystem: 'IGS20',
+        orbitType: 'EXT',
+        agency: 'STLR',
+        comments: ['STELLAR forecast round trip']
+    });
+    const parsed = parseSP3(text);
+
+    assert.equal(parsed.version, 'd');
+    assert.equal(parsed.positionVelocity, 'P');
+    assert.equal(parsed.start, START);
+    assert.equal(parsed.epochCount, 3);
+    assert.equal(parsed.dataUsed, 'ORBIT');
+    assert.equal(parsed.coordinateSystem, 'IGS20');
+    assert.equal(parsed.orbitType, 'EXT');
+    assert.equal(parsed.agency, 'STLR');
+    assert.equal(parsed.gpsWeek, gpsWeek(START).week);
+    assert.equal(parsed.secondsOfWeek, gpsWeek(START).seconds);
+    assert.equal(parsed.interval, 900);
+    assert.equal(parsed.mjd, modifiedJulianDate(START).mjd);
+    assert.equal(parsed.fileType, 'M');
+    assert.equal(parsed.timeSystem, 'GPS');
+    assert.deepEqual(parsed.base, { position: 1.25, clock: 1.025 });
+    assert.deepEqual(parsed.satellites, ['E11', 'G01']);
+    assert.equal(parsed.accuracy.E11, 0);
+    assert.ok(parsed.accuracy.G01 > 0);
+    assert.equal(parsed.comments[0], 'STELLAR forecast round trip');
+    assert.ok(parsed.comments.length >= 4);
+
+    assert.ok(text.endsWith('EOF\n'));
+    text.split('\n').forEach(line => assert.ok(line.length <= 80, `line longer than 80 columns: "${line}"`));
+});
+
+test('SP3-d records survive a round trip across epochs', () => {
+    const parsed = parseSP3(writeSP3({ epochs: SP3_EPOCHS }));
+
+    assert.deepEqual(parsed.epochs.map(e => e.time), SP3_EPOCHS.map(e => e.time));
+    parsed.epochs.forEach((epoch, k) => {
+        const g01 = epoch.records.find(r => r.id === 'G01');
+        assert.deepEqual(g01.position, SP3_EPOCHS[k].records[0].position);
+        assert.equal(g01.clock, SP3_EPOCHS[k].records[0].clock);
+        assert.equal(g01.flags.clockPredicted, true);
+        assert.equal(g01.flags.maneuver, k === 2);
+        assert.equal(g01.flags.clockEvent, false);
+
+        // Sigmas come back as powers of the %f bases, within one step of the original
+        g01.sigma.position.forEach((sigma, i) => {
+            const original = SP3_EPOCHS[k].records[0].sigma.position[i];
+            assert.ok(sigma <= original && sigma * 1.25 > original, `position sigma ${sigma} for ${original}`);
+        });
+        assert.ok(g01.sigma.clock / 1.025 < 30 && g01.sigma.clock * 1.025 > 30);
+    });
+});
+
+test('SP3-d bad or absent values come back as null', () => {
+    const text = writeSP3({ epochs: SP3_EPOCHS });
+    assert.match(text, /^PE11 +0\.000000 +0\.000000 +0\.000000 +-45\.500000$/m);
+    assert.match(text, /^PE11 .* 999999\.999999$/m);
+
+    const [first, second, third] = parseSP3(text).epochs.map(e => e.records.find(r => r.id === 'E11'));
+    assert.deepEqual(first.position, [-25000.1, 10000.2, 12000.3]);
+    assert.equal(first.clock, -45.5);
+    assert.equal(second.position, null);
+    assert.equal(second.clock, -45.5);
+    assert.deepEqual(third.position, [-25000.1, 10000.2, 12000.3]);
+    assert.equal(third.clock, null);
+    // No sigmas written, none read back
+    assert.deepEqual(first.sigma, { position: [null, null, null], clock: null });
+});
+
+test('SP3 writer and parser reject what they cannot represent', () => {
+    assert.throws(() => writeSP3({ epochs: [] }), /at least one epoch/);
+    assert.throws(() => parseSP3('not an sp3 file'), /Not an SP3 file/);
+});
+
+// Two 5-minute epochs; E11 has no sigma
+const CLOCK_RECORDS = [0, 1].flatMap(k => [
+    { time: START + k * 300000, id: 'G01', bias: 1.23456789012e-4 + k * 1e-9, sigma: 2.5e-11 },
+    { time: START + k * 300000, id: 'E11', bias: -3.2e-6 - k * 1e-10, sigma: null }
+]);
+
+test('RINEX 3.00 clock header fields survive a round trip', () => {
+    const text = writeRinexClock({
+        records: CLOCK_RECORDS,
+        timeSystem: 'GPS',
+        program: 'STELLAR-v1k',
+        runBy: 'STELLAR',
+        createdAt: new Date(START),
+        analysisCenter: { code: 'STL', name: 'STELLAR-v1k forecast' },
+        comments: ['Forecast clock corrections for the round-trip test']
+    });
+    const parsed = parseRinexClock(text);
+
+    assert.equal(parsed.version, 3);
+    assert.equal(parsed.system, 'M');
+    assert.equal(parsed.program, 'STELLAR-v1k');
+    assert.equal(parsed.runBy, 'STELLAR');
+    assert.equal(parsed.date, '20250314 000000 UTC');
+    assert.equal(parsed.timeSystem, 'GPS');
+    assert.deepEqual(parsed.dataTypes, ['AS']);
+    assert.deepEqual(parsed.analysisCenter, { code: 'STL', name: 'STELLAR-v1k forecast' });
+    assert.deepEqual(parsed.satellites, ['E11', 'G01']);
+    assert.deepEqual(parsed.comments, ['Forecast clock corrections for the round-trip test']);
+
+    // Header labels start in column 61
+    text.split('\n').slice(0, text.split('\n').findIndex(l => l.includes('END OF HEADER')) + 1)
+        .forEach(line => assert.ok(line.length <= 80 && line.slice(60).trim().length > 0, `bad header line: "${line}"`));
+});
+
+test('RINEX 3.00 clock records survive a round trip across epochs', () => {
+    const parsed = parseRinexClock(writeRinexClock({ records: CLOCK_RECORDS, createdAt: new Date(START) }));
+
+    assert.equal(parsed.records.length, CLOCK_RECORDS.length);
+    // Written in time order, satellites in PRN-list order within an epoch
+    assert.deepEqual(parsed.records.map(r => [r.time, r.id]), [
+        [START, 'E11'], [START, 'G01'], [START + 300000, 'E11'], [START + 300000, 'G01']
+    ]);
+
+    for (const record of parsed.records) {
+        const original = CLOCK_RECORDS.find(r => r.id === record.id && r.time === record.time);
+        assert.equal(record.type, 'AS');
+        assert.ok(Math.abs(record.bias - original.bias) <= Math.abs(original.bias) * 1e-12);
+        if (original.sigma === null) {
+            assert.equal(record.sigma, null);
+            assert.equal(record.values.length, 1);
+        } else {
+            assert.ok(Math.abs(record.sigma - original.sigma) <= original.sigma * 1e-12);
+            assert.equal(record.values.length, 2);
+        }
+    }
+});
+
+test('RINEX clock writer and parser reject what they cannot represent', () => {
+    assert.throws(() => writeRinexClock({ records: [] }), /at least one record/);
+    assert.throws(() => parseRinexClock('     3.00           O                   M                   RINEX VERSION / TYPE\n'), /file type must be C/);
+    assert.throws(() => parseRinexClock('no header here\n'), /missing RINEX VERSION/);
+});
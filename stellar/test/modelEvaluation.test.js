@@ -0,0 +1,99 @@
+/**
+ * Evaluation endpoints (server/modelEvaluation.js) for a registered version
+ * whose files are gone: the API server is started on a scratch storage
+ * directory and must answer 503, not crash with a 500.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STORAGE = fs.mkdtempSync(path.join(os.tmpdir(), 'stellar-eval-'));
+process.env.STELLAR_STORAGE_DIR = STORAGE;
+
+// Imported after STELLAR_STORAGE_DIR is set, so the registry lives in the scratch directory
+const { buildForecastModel, modelToArtifacts } = await import('../src/services/aiService.js');
+const { registerModel } = await import('../server/modelRegistry.js');
+
+let server;
+let baseUrl;
+let apiKey;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Start server/index.js on the scratch storage and wait until it listens
+ */
+async function startServer() {
+    const port = await freePort();
+    server = spawn(process.execPath, ['server/index.js'], {
+        cwd: ROOT,
+        env: { ...process.env, STELLAR_STORAGE_DIR: STORAGE, STELLAR_PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('API server did not start')), 60000);
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.on('exit', code => reject(new Error(`API server exited with ${code}`)));
+    });
+    baseUrl = `http://localhost:${port}/api/v1`;
+    apiKey = fs.readFileSync(path.join(STORAGE, 'admin-key.txt'), 'utf-8').trim();
+}
+
+before(async () => {
+    const sequenceLength = 8;
+    const predictionHorizons = [1, 2];
+    const model = buildForecastModel({ sequenceLength, predictionHorizons });
+    const artifacts = await modelToArtifacts(model);
+    model.dispose();
+
+    const zero = { clock: 0, radial: 0, along: 0, cross: 0 };
+    await registerModel({
+        satellite: 'gsat-14',
+        orbit: 'MEO',
+        artifacts,
+        metadata: {
+            dataset: 'MEO_Train2',
+            sequenceLength,
+            predictionHorizons,
+            uncertainty: 'gaussian',
+            normalizationParams: { means: zero, stds: { clock: 1, radial: 1, along: 1, cross: 1 } }
+        }
+    });
+    fs.rmSync(path.join(STORAGE, 'registry', 'gsat-14', 'MEO', '1.0.0', 'model.json'));
+
+    await startServer();
+});
+
+after(() => {
+    server?.kill();
+    fs.rmSync(STORAGE, { recursive: true, force: true });
+});
+
+for (const endpoint of ['residuals', 'backtest']) {
+    test(`${endpoint} of a version without model.json is a 503`, async () => {
+        const res = await fetch(`${baseUrl}/models/gsat-14/MEO/1.0.0/${endpoint}`, { headers: { 'X-API-Key': apiKey } });
+        const body = await res.json();
+
+        assert.equal(res.status, 503);
+        assert.match(body.error, /^No model available: stellar-gnss-gsat-14-meo@1\.0\.0 is registered but its files cannot be loaded/);
+    });
+}
@@ -0,0 +1,200 @@
+/**
+ * Normality and whiteness tests (src/utils/statisticalTests.js) against
+ * reference values from R: stats::shapiro.test, nortest::ad.test,
+ * nortest::lillie.test, tseries::jarque.bera.test, stats::acf, stats::pacf
+ * and stats::Box.test.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    shapiroWilkTest,
+    andersonDarlingTest,
+    jarqueBeraTest,
+    lillieforsTest,
+    normalityTestBattery,
+    normalQuantile,
+    chiSquareSurvival,
+    autocorrelation,
+    partialAutocorrelation,
+    ljungBoxTest,
+    durbinWatsonTest,
+    residualAutocorrelation
+} from '../src/utils/statisticalTests.js';
+
+const assertClose = (actual, expected, tolerance) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+
+// Shapiro & Wilk style example: shapiro.test() gives W = 0.78881, p-value = 0.006704
+const SKEWED = [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236];
+
+// mtcars$mpg
+const MPG = [
+    21.0, 21.0, 22.8, 21.4, 18.7, 18.1, 14.3, 24.4, 22.8, 19.2, 17.8, 16.4, 17.3, 15.2, 10.4, 10.4,
+    14.7, 32.4, 30.4, 33.9, 21.5, 15.5, 15.2, 13.3, 19.2, 27.3, 26.0, 30.4, 15.8, 19.7, 15.0, 21.4
+];
+
+// Deterministic samples: normal and exponential quantiles at (i + 0.5) / n
+const quantiles = (n, inverse) => Array.from({ length: n }, (_, i) => inverse((i + 0.5) / n));
+const NORMAL = quantiles(200, normalQuantile);
+const EXPONENTIAL = quantiles(200, p => -Math.log(1 - p));
+
+// Seeded standard normal draws (mulberry32 + Box-Muller), so the series below never change
+function gaussianNoise(n, seed) {
+    let a = seed >>> 0;
+    const random = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return Array.from({ length: n }, () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()));
+}
+
+const WHITE = gaussianNoise(500, 42);
+// AR(1) with φ = 0.7 driven by the same noise
+const AR1 = WHITE.reduce((series, e) => [...series, 0.7 * (series.at(-1) ?? 0) + e], []);
+
+test('Shapiro-Wilk matches R on a skewed sample', () => {
+    const result = shapiroWilkTest(SKEWED);
+    assertClose(result.W, 0.78881, 5e-6);
+    assertClose(result.pValue, 0.006704, 5e-7);
+    assert.equal(result.rejectNull, true);
+});
+
+test('Shapiro-Wilk matches R on mtcars$mpg', () => {
+    const result = shapiroWilkTest(MPG);
+    assertClose(result.W, 0.94756, 5e-6);
+    assertClose(result.pValue, 0.1229, 5e-5);
+    assert.equal(result.rejectNull, false);
+});
+
+test('Shapiro-Wilk for n = 3 uses the exact distribution', () => {
+    // W = (a·x)² / SS with a = (−1/√2, 0, 1/√2); p = 6/π (asin √W − asin √(3/4))
+    const result = shapiroWilkTest([1, 2, 4]);
+    const W = 4.5 / (42 / 9);
+    assertClose(result.W, W, 1e-12);
+    assertClose(result.pValue, (6 / Math.PI) * (Math.asin(Math.sqrt(W)) - Math.asin(Math.sqrt(0.75))), 1e-12);
+    assertClose(result.pValue, 0.6369, 5e-5);
+});
+
+test('Shapiro-Wilk reports too few values instead of a statistic', () => {
+    for (const data of [[], [1], [1, 2], [1, NaN, 2]]) {
+        const result = shapiroWilkTest(data);
+        assert.ok(Number.isNaN(result.W));
+        assert.ok(Number.isNaN(result.pValue));
+        assert.equal(result.rejectNull, false);
+        assert.match(result.error, /at least 3/);
+    }
+});
+
+test('Shapiro-Wilk warns above n = 5000', () => {
+    const large = shapiroWilkTest(quantiles(5001, normalQuantile));
+    assert.match(large.warning, /n > 5000/);
+    assert.ok(large.W > 0.999);
+    assert.equal(shapiroWilkTest(quantiles(5000, normalQuantile)).warning, undefined);
+});
+
+test('Shapiro-Wilk treats a constant sample as normal', () => {
+    const result = shapiroWilkTest([3, 3, 3, 3]);
+    assert.equal(result.W, 1);
+    assert.equal(result.pValue, 1);
+});
+
+test('Anderson-Darling, Lilliefors and Jarque-Bera match R on mtcars$mpg', () => {
+    const ad = andersonDarlingTest(MPG);
+    assertClose(ad.statistic, 0.57968, 5e-6);
+    assertClose(ad.pValue, 0.1207, 5e-5);
+
+    const lillie = lillieforsTest(MPG);
+    assertClose(lillie.statistic, 0.1263, 5e-5);
+    assertClose(lillie.pValue, 0.2171, 5e-5);
+
+    const jb = jarqueBeraTest(MPG);
+    assertClose(jb.statistic, 2.2412, 5e-5);
+    assertClose(jb.pValue, 0.3261, 5e-5);
+});
+
+test('normality battery agrees on clearly normal and clearly skewed samples', () => {
+    const normal = normalityTestBattery(NORMAL);
+    assert.equal(normal.n, 200);
+    assert.deepEqual(normal.rejectedBy, []);
+    assert.equal(normal.verdict, 'normal');
+
+    const skewed = normalityTestBattery(EXPONENTIAL);
+    assert.deepEqual(skewed.rejectedBy, ['Shapiro-Wilk', 'Anderson-Darling', 'Jarque-Bera', "D'Agostino K²", 'Lilliefors']);
+    assert.equal(skewed.verdict, 'non-normal');
+});
+
+test('normality battery leaves out tests that need more values', () => {
+    const result = normalityTestBattery([1, 2, 3, 5, 8]);
+    assert.match(result.tests.andersonDarling.error, /at least 8/);
+    assert.match(result.tests.dagostinoK2.error, /at least 8/);
+    assert.ok(Number.isFinite(result.tests.shapiroWilk.pValue));
+    assert.equal(result.tests.shapiroWilk.statistic, result.tests.shapiroWilk.W);
+    assert.equal(result.verdict, 'normal');
+});
+
+test('ACF and PACF match R on 1:5', () => {
+    // acf(1:5): 1, 0.4, -0.1, -0.4, -0.4; pacf(1:5): 0.4, -0.3095, -0.2947
+    assert.deepEqual(autocorrelation([1, 2, 3, 4, 5], 4).map(r => Number(r.toFixed(12))), [1, 0.4, -0.1, -0.4, -0.4]);
+    const pacf = partialAutocorrelation(autocorrelation([1, 2, 3, 4, 5], 3));
+    assertClose(pacf[1], 0.4, 1e-12);
+    assertClose(pacf[2], (-0.1 - 0.16) / (1 - 0.16), 1e-12);
+    assertClose(pacf[3], -0.2947, 5e-5);
+});
+
+test('PACF of an AR(1) autocorrelation cuts off after lag 1', () => {
+    const pacf = partialAutocorrelation([1, 0.6, 0.36, 0.216]);
+    assertClose(pacf[1], 0.6, 1e-12);
+    assertClose(pacf[2], 0, 1e-12);
+    assertClose(pacf[3], 0, 1e-12);
+});
+
+test('χ² survival matches the 5% critical values', () => {
+    assertClose(chiSquareSurvival(3.841459, 1), 0.05, 1e-7);
+    assertClose(chiSquareSurvival(18.307038, 10), 0.05, 1e-7);
+});
+
+test('Ljung-Box matches R on 1:5', () => {
+    // Box.test(1:5, lag = 2, type = "Ljung"): X-squared = 1.5167, df = 2, p-value = 0.4684
+    const result = ljungBoxTest([1, 2, 3, 4, 5], 2);
+    assertClose(result.statistic, 5 * 7 * (0.16 / 4 + 0.01 / 3), 1e-12);
+    assert.equal(result.df, 2);
+    assertClose(result.pValue, 0.4684, 5e-5);
+
+    assert.equal(ljungBoxTest([1, 2, 3, 4, 5], 2, { fitdf: 1 }).df, 1);
+});
+
+test('Ljung-Box accepts white noise and rejects an AR(1) series', () => {
+    const white = ljungBoxTest(WHITE, 10);
+    assert.ok(white.pValue > 0.05, `white noise p = ${white.pValue}`);
+    assert.equal(white.rejectNull, false);
+
+    const ar = ljungBoxTest(AR1, 10);
+    assert.ok(ar.pValue < 1e-10, `AR(1) p = ${ar.pValue}`);
+    assert.equal(ar.rejectNull, true);
+});
+
+test('Durbin-Watson is about 2 for i.i.d. input and 2(1 − φ) for AR(1)', () => {
+    assertClose(durbinWatsonTest(WHITE).statistic, 2, 0.2);
+    assertClose(durbinWatsonTest(AR1).statistic, 2 * (1 - 0.7), 0.1);
+    assert.match(durbinWatsonTest(AR1).interpretation, /Positive autocorrelation/);
+    assert.ok(Number.isNaN(durbinWatsonTest([1, 2]).statistic));
+});
+
+test('residual diagnostics flag orbit-periodic structure', () => {
+    const white = residualAutocorrelation(WHITE, { stepMinutes: 15, orbitalPeriodHours: 12 });
+    assert.equal(white.white, true);
+    assert.deepEqual(white.flagged, []);
+
+    // A 12-hour sinusoid on a 15-minute grid: half a period is 24 lags
+    const noise = gaussianNoise(400, 7);
+    const periodic = noise.map((e, i) => Math.sin((2 * Math.PI * i * 15) / (12 * 60)) + 0.3 * e);
+    const result = residualAutocorrelation(periodic, { stepMinutes: 15, orbitalPeriodHours: 12 });
+    assert.deepEqual(result.periodicLags.map(p => p.lag), [24, 48]);
+    assert.ok(result.flagged.some(l => l.lag === 24 && l.periodic === '1/2 period'));
+    assert.ok(result.flagged.some(l => l.lag === 48 && l.periodic === '1× period'));
+    assert.equal(result.white, false);
+});